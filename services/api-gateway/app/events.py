@@ -0,0 +1,65 @@
+import asyncio
+import json
+from datetime import datetime
+from typing import Optional
+
+
+# Heartbeat comment so proxies don't close idle streams
+HEARTBEAT_SECONDS = 20
+# Slow clients are dropped rather than letting their queue grow forever
+MAX_QUEUED_EVENTS = 100
+
+_subscribers = set()
+_next_event_id = 0
+
+
+def get_actor_name(auth: dict) -> str:
+    """Display name for whoever made a change (user, API key or network)"""
+    return auth.get("full_name") or auth.get("username") or auth.get("name") or "Someone"
+
+
+def publish(event_type: str, auth: dict, client_id: Optional[str] = None, **data):
+    """
+    Broadcast an inventory event to every connected browser
+    client_id identifies the tab that made the change so it can ignore its own events
+    """
+    global _next_event_id
+    _next_event_id += 1
+    event = {
+        "id": _next_event_id,
+        "type": event_type,
+        "actor": get_actor_name(auth),
+        "client_id": client_id,
+        "at": datetime.utcnow().isoformat() + "Z",
+        **data,
+    }
+    for queue in list(_subscribers):
+        try:
+            queue.put_nowait(event)
+        except asyncio.QueueFull:
+            # Ends that client's stream; it reconnects and refetches
+            _subscribers.discard(queue)
+
+
+def format_sse(event: dict) -> str:
+    """Encode an event in the text/event-stream wire format"""
+    return f"id: {event['id']}\nevent: {event['type']}\ndata: {json.dumps(event)}\n\n"
+
+
+async def stream(is_disconnected):
+    """Yield SSE frames until the client disconnects"""
+    queue = asyncio.Queue(maxsize=MAX_QUEUED_EVENTS)
+    _subscribers.add(queue)
+    try:
+        # Tell the client how long to wait before reconnecting
+        yield "retry: 3000\n\n"
+        while queue in _subscribers:
+            if await is_disconnected():
+                break
+            try:
+                event = await asyncio.wait_for(queue.get(), timeout=HEARTBEAT_SECONDS)
+                yield format_sse(event)
+            except asyncio.TimeoutError:
+                yield ": keep-alive\n\n"
+    finally:
+        _subscribers.discard(queue)
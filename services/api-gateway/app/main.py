@@ -1,5 +1,6 @@
 from fastapi import FastAPI, HTTPException, Depends, Response, Request, status
 from fastapi.middleware.cors import CORSMiddleware
+from fastapi.responses import StreamingResponse
 from datetime import datetime, timedelta
 from typing import Optional
 import httpx
@@ -11,7 +12,7 @@ from .network_utils import get_client_ip, is_trusted_network
 
 # Import auth modules
 from .auth import get_current_auth, require_admin
-from . import auth_db, user_db
+from . import auth_db, user_db, events
 from .email_service import send_password_reset_email, send_welcome_email, is_email_configured
 
 app = FastAPI(title="PantryPal API Gateway", version="2.0.0")
@@ -33,6 +34,7 @@ app.add_middleware(
     allow_credentials=True,
     allow_methods=["*"],
     allow_headers=["*"],
+    expose_headers=["X-Total-Count"],
 )
 
 INVENTORY_SERVICE_URL = os.getenv("INVENTORY_SERVICE_URL", "http://inventory-service:8001")
@@ -52,20 +54,86 @@ class ManualAddRequest(BaseModel):
     name: str
     barcode: Optional[str] = None
     brand: Optional[str] = None
+    image_url: Optional[str] = None
     category: str = "Uncategorized"
     location: str = "Basement Pantry"
     quantity: int = 1
     expiry_date: Optional[str] = None
+    date_type: Optional[str] = None  # use_by or best_before
     notes: Optional[str] = None
+    opened_date: Optional[str] = None
+    opened_shelf_life_days: Optional[int] = None
+    expiry_estimated: bool = False
+    frozen_date: Optional[str] = None  # defaults to today for a freezer location
 
 class UpdateItemRequest(BaseModel):
     name: Optional[str] = None
     brand: Optional[str] = None
+    image_url: Optional[str] = None
     category: Optional[str] = None
     location: Optional[str] = None
     quantity: Optional[int] = None
     expiry_date: Optional[str] = None
+    date_type: Optional[str] = None  # use_by or best_before
     notes: Optional[str] = None
+    opened_date: Optional[str] = None
+    opened_shelf_life_days: Optional[int] = None
+    expiry_estimated: Optional[bool] = None
+    frozen_date: Optional[str] = None
+    reason: Optional[str] = None  # consumed or discarded, when the quantity goes down
+
+class ShoppingItemRequest(BaseModel):
+    name: str
+    barcode: Optional[str] = None
+    brand: Optional[str] = None
+    category: Optional[str] = None
+    location: Optional[str] = None
+    quantity: int = 1
+    notes: Optional[str] = None
+
+class UpdateShoppingItemRequest(BaseModel):
+    name: Optional[str] = None
+    category: Optional[str] = None
+    location: Optional[str] = None
+    quantity: Optional[int] = None
+    notes: Optional[str] = None
+    checked: Optional[bool] = None
+
+class TrashRequest(BaseModel):
+    ids: list[int]  # Recently Deleted entry ids
+
+class BackupRestoreRequest(BaseModel):
+    mode: str
+    items: list[dict]
+
+class BatchUpdateRequest(BaseModel):
+    item_ids: list[int]
+    changes: dict
+
+class LabelRequest(BaseModel):
+    item_ids: list[int]
+
+class AuditRequest(BaseModel):
+    location: str
+    present: list[dict] = []
+    missing: list[int] = []
+    found: list[dict] = []
+    missing_action: str = "zero"
+
+class OpenItemRequest(BaseModel):
+    opened_date: Optional[str] = None
+
+class OpenedShelfLifeRequest(BaseModel):
+    rules: list[dict]
+
+class ShelfLifeRequest(BaseModel):
+    estimates: list[dict]
+
+class LocationProfilesRequest(BaseModel):
+    profiles: list[dict]
+
+class ExpiryRulesRequest(BaseModel):
+    rules: list[dict]
 
 class CreateApiKeyRequest(BaseModel):
     name: str
@@ -93,6 +161,10 @@ class ResetPasswordRequest(BaseModel):
     token: str
     new_password: str
 
+def expiry_rules_owner(auth) -> Optional[int]:
+    """Logged-in users can have their own expiry thresholds; everyone else shares the household's"""
+    return auth.get("id") if auth.get("type") == "session" else None
+
 # ============================================================================
 # PUBLIC ENDPOINTS (No authentication required)
 # ============================================================================
@@ -454,7 +526,7 @@ async def lookup_barcode(barcode: str, request: Request, auth = Depends(get_curr
         raise HTTPException(status_code=500, detail=f"Lookup service error: {str(e)}")
 
 @app.post("/api/items")
-async def add_item(request: AddItemRequest, auth = Depends(get_current_auth)):
+async def add_item(request: AddItemRequest, http_request: Request, auth = Depends(get_current_auth)):
     try:
         async with httpx.AsyncClient() as client:
             lookup_response = await client.get(f"{LOOKUP_SERVICE_URL}/lookup/{request.barcode}", timeout=10.0)
@@ -487,46 +559,142 @@ async def add_item(request: AddItemRequest, auth = Depends(get_current_auth)):
             inventory_response.raise_for_status()
             
             result = inventory_response.json()
+            events.publish("item.created", auth, http_request.headers.get("X-Client-Id"), item=result)
             result["product_info"] = product_info
             return result
     except httpx.HTTPError as e:
         raise HTTPException(status_code=500, detail=f"Service error: {str(e)}")
 
 @app.post("/api/items/manual")
-async def add_item_manual(request: ManualAddRequest, auth = Depends(get_current_auth)):
+async def add_item_manual(request: ManualAddRequest, http_request: Request, auth = Depends(get_current_auth)):
     try:
         async with httpx.AsyncClient() as client:
             inventory_data = {
                 "barcode": request.barcode,
                 "name": request.name,
                 "brand": request.brand,
-                "image_url": None,
+                "image_url": request.image_url,
                 "category": request.category,
                 "location": request.location,
                 "quantity": request.quantity,
                 "expiry_date": request.expiry_date,
+                "date_type": request.date_type,
                 "notes": request.notes,
+                "opened_date": request.opened_date,
+                "opened_shelf_life_days": request.opened_shelf_life_days,
+                "expiry_estimated": request.expiry_estimated,
+                "frozen_date": request.frozen_date,
                 "manually_added": True
             }
             response = await client.post(f"{INVENTORY_SERVICE_URL}/items", json=inventory_data, timeout=5.0)
             response.raise_for_status()
-            return response.json()
+            item = response.json()
+            events.publish("item.created", auth, http_request.headers.get("X-Client-Id"), item=item)
+            return item
+    except httpx.HTTPStatusError as e:
+        if e.response.status_code == 400:
+            raise HTTPException(status_code=400, detail=e.response.json().get("detail", "Invalid item"))
+        raise HTTPException(status_code=500, detail=f"Inventory service error: {str(e)}")
     except httpx.HTTPError as e:
         raise HTTPException(status_code=500, detail=f"Inventory service error: {str(e)}")
 
 @app.get("/api/items")
-async def get_items(location: Optional[str] = None, search: Optional[str] = None, auth = Depends(get_current_auth)):
+async def get_items(
+    response: Response,
+    location: Optional[str] = None,
+    category: Optional[str] = None,
+    search: Optional[str] = None,
+    barcode: Optional[str] = None,
+    expiry_status: Optional[str] = None,
+    expires_within: Optional[int] = None,
+    sort: Optional[str] = None,
+    order: Optional[str] = None,
+    limit: Optional[int] = None,
+    offset: Optional[int] = None,
+    auth = Depends(get_current_auth)
+):
+    """List items; X-Total-Count carries the match count before limit/offset"""
+    params = {
+        "location": location,
+        "category": category,
+        "search": search,
+        "barcode": barcode,
+        "expiry_status": expiry_status,
+        "expires_within": expires_within,
+        "sort": sort,
+        "order": order,
+        "limit": limit,
+        "offset": offset,
+        "user_id": expiry_rules_owner(auth),
+    }
+    params = {key: value for key, value in params.items() if value not in (None, "")}
     try:
-        params = {}
-        if location:
-            params["location"] = location
-        if search:
-            params["search"] = search
         async with httpx.AsyncClient() as client:
-            response = await client.get(f"{INVENTORY_SERVICE_URL}/items", params=params, timeout=5.0)
+            inventory_response = await client.get(f"{INVENTORY_SERVICE_URL}/items", params=params, timeout=10.0)
+            inventory_response.raise_for_status()
+            if "X-Total-Count" in inventory_response.headers:
+                response.headers["X-Total-Count"] = inventory_response.headers["X-Total-Count"]
+            return inventory_response.json()
+    except httpx.HTTPStatusError as e:
+        if e.response.status_code == 400:
+            raise HTTPException(status_code=400, detail=e.response.json().get("detail", "Invalid query"))
+        raise HTTPException(status_code=500, detail=f"Inventory service error: {str(e)}")
+    except httpx.HTTPError as e:
+        raise HTTPException(status_code=500, detail=f"Inventory service error: {str(e)}")
+
+@app.get("/api/items/summary")
+async def get_items_summary(
+    location: Optional[str] = None,
+    category: Optional[str] = None,
+    search: Optional[str] = None,
+    expiry_status: Optional[str] = None,
+    expires_within: Optional[int] = None,
+    auth = Depends(get_current_auth)
+):
+    """Item counts by expiry status, location and category"""
+    params = {
+        "location": location,
+        "category": category,
+        "search": search,
+        "expiry_status": expiry_status,
+        "expires_within": expires_within,
+        "user_id": expiry_rules_owner(auth),
+    }
+    params = {key: value for key, value in params.items() if value not in (None, "")}
+    try:
+        async with httpx.AsyncClient() as client:
+            response = await client.get(f"{INVENTORY_SERVICE_URL}/items/summary", params=params, timeout=10.0)
+            response.raise_for_status()
+            return response.json()
+    except httpx.HTTPError as e:
+        raise HTTPException(status_code=500, detail=f"Inventory service error: {str(e)}")
+
+@app.post("/api/items/labels")
+async def prepare_labels(request: LabelRequest, http_request: Request, auth = Depends(get_current_auth)):
+    """Assign label codes to items that are about to have labels printed"""
+    try:
+        async with httpx.AsyncClient() as client:
+            response = await client.post(f"{INVENTORY_SERVICE_URL}/items/labels", json=request.dict(), timeout=30.0)
+            response.raise_for_status()
+            items = response.json()
+            # One event for the whole batch: an event per item could overflow live streams
+            if items:
+                events.publish("inventory.changed", auth, http_request.headers.get("X-Client-Id"))
+            return items
+    except httpx.HTTPError as e:
+        raise HTTPException(status_code=500, detail=f"Inventory service error: {str(e)}")
+
+@app.get("/api/items/by-code/{code}")
+async def get_item_by_label_code(code: str, auth = Depends(get_current_auth)):
+    """Find the item a scanned label belongs to"""
+    try:
+        async with httpx.AsyncClient() as client:
+            response = await client.get(f"{INVENTORY_SERVICE_URL}/items/by-code/{code}", timeout=5.0)
             response.raise_for_status()
             return response.json()
     except httpx.HTTPError as e:
+        if e.response.status_code == 404:
+            raise HTTPException(status_code=404, detail="No item has this label")
         raise HTTPException(status_code=500, detail=f"Inventory service error: {str(e)}")
 
 @app.get("/api/items/{item_id}")
@@ -541,16 +709,63 @@ async def get_item(item_id: int, auth = Depends(get_current_auth)):
             raise HTTPException(status_code=404, detail="Item not found")
         raise HTTPException(status_code=500, detail=f"Inventory service error: {str(e)}")
 
+@app.post("/api/items/batch")
+async def batch_update_items(request: BatchUpdateRequest, http_request: Request, auth = Depends(get_current_auth)):
+    """Apply the same changes to many items at once"""
+    try:
+        async with httpx.AsyncClient() as client:
+            response = await client.post(f"{INVENTORY_SERVICE_URL}/items/batch", json=request.dict(), timeout=30.0)
+            response.raise_for_status()
+            result = response.json()
+            # Up to MAX_BATCH_SIZE items: one event, not one per item, so live streams don't overflow
+            if any(entry.get("ok") for entry in result.get("results", [])):
+                events.publish("inventory.changed", auth, http_request.headers.get("X-Client-Id"))
+            return result
+    except httpx.HTTPStatusError as e:
+        if e.response.status_code == 400:
+            raise HTTPException(status_code=400, detail=e.response.json().get("detail", "Invalid changes"))
+        raise HTTPException(status_code=500, detail=f"Inventory service error: {str(e)}")
+    except httpx.HTTPError as e:
+        raise HTTPException(status_code=500, detail=f"Inventory service error: {str(e)}")
+
 @app.put("/api/items/{item_id}")
-async def update_item(item_id: int, request: UpdateItemRequest, auth = Depends(get_current_auth)):
+async def update_item(item_id: int, request: UpdateItemRequest, http_request: Request, auth = Depends(get_current_auth)):
     try:
         async with httpx.AsyncClient() as client:
             response = await client.put(f"{INVENTORY_SERVICE_URL}/items/{item_id}", json=request.dict(exclude_unset=True), timeout=5.0)
             response.raise_for_status()
-            return response.json()
+            item = response.json()
+            events.publish("item.updated", auth, http_request.headers.get("X-Client-Id"), item=item)
+            return item
     except httpx.HTTPError as e:
         if e.response.status_code == 404:
             raise HTTPException(status_code=404, detail="Item not found")
+        if e.response.status_code == 400:
+            raise HTTPException(status_code=400, detail=e.response.json().get("detail", "Invalid update"))
+        raise HTTPException(status_code=500, detail=f"Inventory service error: {str(e)}")
+
+@app.post("/api/items/{item_id}/open")
+async def open_item(item_id: int, request: OpenItemRequest, http_request: Request, auth = Depends(get_current_auth)):
+    """Open one unit of an item; one of several is split off as a new item"""
+    try:
+        async with httpx.AsyncClient() as client:
+            response = await client.post(f"{INVENTORY_SERVICE_URL}/items/{item_id}/open", json=request.dict(), timeout=5.0)
+            response.raise_for_status()
+            result = response.json()
+            client_id = http_request.headers.get("X-Client-Id")
+            if result["source"]:
+                events.publish("item.updated", auth, client_id, item=result["source"])
+                events.publish("item.created", auth, client_id, item=result["item"])
+            else:
+                events.publish("item.updated", auth, client_id, item=result["item"])
+            return result
+    except httpx.HTTPStatusError as e:
+        if e.response.status_code == 404:
+            raise HTTPException(status_code=404, detail="Item not found")
+        if e.response.status_code == 400:
+            raise HTTPException(status_code=400, detail=e.response.json().get("detail", "Item can't be opened"))
+        raise HTTPException(status_code=500, detail=f"Inventory service error: {str(e)}")
+    except httpx.HTTPError as e:
         raise HTTPException(status_code=500, detail=f"Inventory service error: {str(e)}")
 
 @app.get("/api/export/csv")
@@ -568,11 +783,12 @@ async def export_csv(auth = Depends(get_current_auth)):
         raise HTTPException(status_code=500, detail=f"Export failed: {str(e)}")
 
 @app.delete("/api/items/{item_id}")
-async def delete_item(item_id: int, auth = Depends(get_current_auth)):
+async def delete_item(item_id: int, http_request: Request, auth = Depends(get_current_auth)):
     try:
         async with httpx.AsyncClient() as client:
             response = await client.delete(f"{INVENTORY_SERVICE_URL}/items/{item_id}", timeout=5.0)
             response.raise_for_status()
+            events.publish("item.deleted", auth, http_request.headers.get("X-Client-Id"), item_id=item_id)
             return response.json()
     except httpx.HTTPError as e:
         if e.response.status_code == 404:
@@ -598,6 +814,327 @@ async def get_categories(auth = Depends(get_current_auth)):
             return response.json()
     except httpx.HTTPError as e:
         raise HTTPException(status_code=500, detail=f"Inventory service error: {str(e)}")
+
+# ============================================================================
+# RECENTLY DELETED
+# ============================================================================
+
+@app.get("/api/trash")
+async def get_deleted_items(auth = Depends(get_current_auth)):
+    """Items deleted in the last 30 days, newest first"""
+    try:
+        async with httpx.AsyncClient() as client:
+            response = await client.get(f"{INVENTORY_SERVICE_URL}/trash", timeout=10.0)
+            response.raise_for_status()
+            return response.json()
+    except httpx.HTTPError as e:
+        raise HTTPException(status_code=500, detail=f"Inventory service error: {str(e)}")
+
+@app.post("/api/trash/restore")
+async def restore_deleted_items(request: TrashRequest, http_request: Request, auth = Depends(get_current_auth)):
+    try:
+        async with httpx.AsyncClient() as client:
+            response = await client.post(f"{INVENTORY_SERVICE_URL}/trash/restore", json=request.dict(), timeout=10.0)
+            response.raise_for_status()
+            result = response.json()
+            if result.get("restored"):
+                events.publish("inventory.changed", auth, http_request.headers.get("X-Client-Id"))
+            return result
+    except httpx.HTTPError as e:
+        raise HTTPException(status_code=500, detail=f"Inventory service error: {str(e)}")
+
+@app.post("/api/trash/purge")
+async def purge_deleted_items(request: TrashRequest, auth = Depends(get_current_auth)):
+    """Permanently delete items from Recently Deleted"""
+    try:
+        async with httpx.AsyncClient() as client:
+            response = await client.post(f"{INVENTORY_SERVICE_URL}/trash/purge", json=request.dict(), timeout=10.0)
+            response.raise_for_status()
+            return response.json()
+    except httpx.HTTPError as e:
+        raise HTTPException(status_code=500, detail=f"Inventory service error: {str(e)}")
+
+@app.delete("/api/trash")
+async def empty_trash(auth = Depends(get_current_auth)):
+    try:
+        async with httpx.AsyncClient() as client:
+            response = await client.delete(f"{INVENTORY_SERVICE_URL}/trash", timeout=10.0)
+            response.raise_for_status()
+            return response.json()
+    except httpx.HTTPError as e:
+        raise HTTPException(status_code=500, detail=f"Inventory service error: {str(e)}")
+
+@app.post("/api/backup/restore")
+async def restore_backup(request: BackupRestoreRequest, http_request: Request, auth = Depends(get_current_auth)):
+    """Restore items from a JSON backup (merge or replace)"""
+    try:
+        async with httpx.AsyncClient() as client:
+            response = await client.post(f"{INVENTORY_SERVICE_URL}/backup/restore", json=request.dict(), timeout=60.0)
+            response.raise_for_status()
+            result = response.json()
+            events.publish("inventory.changed", auth, http_request.headers.get("X-Client-Id"))
+            return result
+    except httpx.HTTPStatusError as e:
+        if e.response.status_code == 400:
+            raise HTTPException(status_code=400, detail=e.response.json().get("detail", "Invalid backup"))
+        raise HTTPException(status_code=500, detail=f"Inventory service error: {str(e)}")
+    except httpx.HTTPError as e:
+        raise HTTPException(status_code=500, detail=f"Inventory service error: {str(e)}")
+
+@app.post("/api/audits")
+async def apply_audit(request: AuditRequest, http_request: Request, auth = Depends(get_current_auth)):
+    """Apply a stock-take of one location"""
+    try:
+        async with httpx.AsyncClient() as client:
+            response = await client.post(f"{INVENTORY_SERVICE_URL}/audits", json=request.dict(), timeout=30.0)
+            response.raise_for_status()
+            result = response.json()
+            events.publish("inventory.changed", auth, http_request.headers.get("X-Client-Id"))
+            return result
+    except httpx.HTTPStatusError as e:
+        if e.response.status_code == 400:
+            raise HTTPException(status_code=400, detail=e.response.json().get("detail", "Invalid audit"))
+        raise HTTPException(status_code=500, detail=f"Inventory service error: {str(e)}")
+    except httpx.HTTPError as e:
+        raise HTTPException(status_code=500, detail=f"Inventory service error: {str(e)}")
+
+@app.get("/api/audits/latest")
+async def get_latest_audits(auth = Depends(get_current_auth)):
+    """When each location was last audited"""
+    try:
+        async with httpx.AsyncClient() as client:
+            response = await client.get(f"{INVENTORY_SERVICE_URL}/audits/latest", timeout=5.0)
+            response.raise_for_status()
+            return response.json()
+    except httpx.HTTPError as e:
+        raise HTTPException(status_code=500, detail=f"Inventory service error: {str(e)}")
+
+@app.get("/api/opened-shelf-life")
+async def get_opened_shelf_life(auth = Depends(get_current_auth)):
+    """How long each category keeps after opening"""
+    try:
+        async with httpx.AsyncClient() as client:
+            response = await client.get(f"{INVENTORY_SERVICE_URL}/opened-shelf-life", timeout=5.0)
+            response.raise_for_status()
+            return response.json()
+    except httpx.HTTPError as e:
+        raise HTTPException(status_code=500, detail=f"Inventory service error: {str(e)}")
+
+@app.put("/api/opened-shelf-life")
+async def save_opened_shelf_life(request: OpenedShelfLifeRequest, http_request: Request, auth = Depends(get_current_auth)):
+    """Replace the per-category shelf lives after opening"""
+    try:
+        async with httpx.AsyncClient() as client:
+            response = await client.put(f"{INVENTORY_SERVICE_URL}/opened-shelf-life", json=request.dict(), timeout=10.0)
+            response.raise_for_status()
+            # Opened items may have new use-by dates
+            events.publish("inventory.changed", auth, http_request.headers.get("X-Client-Id"))
+            return response.json()
+    except httpx.HTTPStatusError as e:
+        if e.response.status_code == 400:
+            raise HTTPException(status_code=400, detail=e.response.json().get("detail", "Invalid shelf life"))
+        raise HTTPException(status_code=500, detail=f"Inventory service error: {str(e)}")
+    except httpx.HTTPError as e:
+        raise HTTPException(status_code=500, detail=f"Inventory service error: {str(e)}")
+
+@app.get("/api/location-profiles")
+async def get_location_profiles(locations: Optional[str] = None, auth = Depends(get_current_auth)):
+    """Storage type and move behaviour of each location; `locations` is comma-separated"""
+    try:
+        async with httpx.AsyncClient() as client:
+            response = await client.get(f"{INVENTORY_SERVICE_URL}/location-profiles", params={"locations": locations} if locations else {}, timeout=5.0)
+            response.raise_for_status()
+            return response.json()
+    except httpx.HTTPError as e:
+        raise HTTPException(status_code=500, detail=f"Inventory service error: {str(e)}")
+
+@app.put("/api/location-profiles")
+async def save_location_profiles(request: LocationProfilesRequest, auth = Depends(get_current_auth)):
+    """Replace the location profiles used when items are moved"""
+    try:
+        async with httpx.AsyncClient() as client:
+            response = await client.put(f"{INVENTORY_SERVICE_URL}/location-profiles", json=request.dict(), timeout=10.0)
+            response.raise_for_status()
+            return response.json()
+    except httpx.HTTPStatusError as e:
+        if e.response.status_code == 400:
+            raise HTTPException(status_code=400, detail=e.response.json().get("detail", "Invalid location profiles"))
+        raise HTTPException(status_code=500, detail=f"Inventory service error: {str(e)}")
+    except httpx.HTTPError as e:
+        raise HTTPException(status_code=500, detail=f"Inventory service error: {str(e)}")
+
+@app.get("/api/shelf-life")
+async def get_shelf_life(auth = Depends(get_current_auth)):
+    """Typical shelf life per category and kind of storage"""
+    try:
+        async with httpx.AsyncClient() as client:
+            response = await client.get(f"{INVENTORY_SERVICE_URL}/shelf-life", timeout=5.0)
+            response.raise_for_status()
+            return response.json()
+    except httpx.HTTPError as e:
+        raise HTTPException(status_code=500, detail=f"Inventory service error: {str(e)}")
+
+@app.put("/api/shelf-life")
+async def save_shelf_life(request: ShelfLifeRequest, auth = Depends(get_current_auth)):
+    """Replace the shelf-life table used for estimated expiry dates"""
+    try:
+        async with httpx.AsyncClient() as client:
+            response = await client.put(f"{INVENTORY_SERVICE_URL}/shelf-life", json=request.dict(), timeout=10.0)
+            response.raise_for_status()
+            return response.json()
+    except httpx.HTTPStatusError as e:
+        if e.response.status_code == 400:
+            raise HTTPException(status_code=400, detail=e.response.json().get("detail", "Invalid shelf life"))
+        raise HTTPException(status_code=500, detail=f"Inventory service error: {str(e)}")
+    except httpx.HTTPError as e:
+        raise HTTPException(status_code=500, detail=f"Inventory service error: {str(e)}")
+
+@app.get("/api/shelf-life/estimate")
+async def get_shelf_life_estimate(category: Optional[str] = None, location: Optional[str] = None, auth = Depends(get_current_auth)):
+    """Suggested expiry date for an item added today"""
+    try:
+        async with httpx.AsyncClient() as client:
+            params = {key: value for key, value in {"category": category, "location": location}.items() if value}
+            response = await client.get(f"{INVENTORY_SERVICE_URL}/shelf-life/estimate", params=params, timeout=5.0)
+            response.raise_for_status()
+            return response.json()
+    except httpx.HTTPError as e:
+        raise HTTPException(status_code=500, detail=f"Inventory service error: {str(e)}")
+
+@app.post("/api/shelf-life/apply")
+async def apply_shelf_life(http_request: Request, auth = Depends(get_current_auth)):
+    """Estimate expiry dates for in-stock items that have none"""
+    try:
+        async with httpx.AsyncClient() as client:
+            response = await client.post(f"{INVENTORY_SERVICE_URL}/shelf-life/apply", timeout=30.0)
+            response.raise_for_status()
+            result = response.json()
+            if result.get("updated"):
+                events.publish("inventory.changed", auth, http_request.headers.get("X-Client-Id"))
+            return result
+    except httpx.HTTPError as e:
+        raise HTTPException(status_code=500, detail=f"Inventory service error: {str(e)}")
+
+@app.get("/api/expiry-rules")
+async def get_expiry_rules(auth = Depends(get_current_auth)):
+    """Expiry thresholds in effect for the caller"""
+    owner = expiry_rules_owner(auth)
+    try:
+        async with httpx.AsyncClient() as client:
+            response = await client.get(f"{INVENTORY_SERVICE_URL}/expiry-rules", params={"user_id": owner} if owner is not None else {}, timeout=5.0)
+            response.raise_for_status()
+            return response.json()
+    except httpx.HTTPError as e:
+        raise HTTPException(status_code=500, detail=f"Inventory service error: {str(e)}")
+
+@app.put("/api/expiry-rules")
+async def save_expiry_rules(request: ExpiryRulesRequest, auth = Depends(get_current_auth)):
+    """Save the caller's expiry thresholds (the household's when not logged in)"""
+    try:
+        async with httpx.AsyncClient() as client:
+            response = await client.put(
+                f"{INVENTORY_SERVICE_URL}/expiry-rules",
+                json={"user_id": expiry_rules_owner(auth), "rules": request.rules},
+                timeout=5.0,
+            )
+            response.raise_for_status()
+            return response.json()
+    except httpx.HTTPStatusError as e:
+        if e.response.status_code == 400:
+            raise HTTPException(status_code=400, detail=e.response.json().get("detail", "Invalid expiry rules"))
+        raise HTTPException(status_code=500, detail=f"Inventory service error: {str(e)}")
+    except httpx.HTTPError as e:
+        raise HTTPException(status_code=500, detail=f"Inventory service error: {str(e)}")
+
+@app.get("/api/analytics")
+async def get_analytics(months: int = 12, auth = Depends(get_current_auth)):
+    """Consumption and waste history for the analytics page"""
+    try:
+        async with httpx.AsyncClient() as client:
+            response = await client.get(f"{INVENTORY_SERVICE_URL}/analytics", params={"months": months}, timeout=10.0)
+            response.raise_for_status()
+            return response.json()
+    except httpx.HTTPStatusError as e:
+        if e.response.status_code == 400:
+            raise HTTPException(status_code=400, detail=e.response.json().get("detail", "Invalid analytics range"))
+        raise HTTPException(status_code=500, detail=f"Inventory service error: {str(e)}")
+    except httpx.HTTPError as e:
+        raise HTTPException(status_code=500, detail=f"Inventory service error: {str(e)}")
+
+# ============================================================================
+# LIVE UPDATES
+# ============================================================================
+
+@app.get("/api/events")
+async def inventory_events(request: Request, auth = Depends(get_current_auth)):
+    """Server-Sent Events stream of item changes made by any user"""
+    return StreamingResponse(
+        events.stream(request.is_disconnected),
+        media_type="text/event-stream",
+        headers={"Cache-Control": "no-cache", "X-Accel-Buffering": "no"},
+    )
+
+# ============================================================================
+# SHOPPING LIST
+# ============================================================================
+
+@app.get("/api/shopping")
+async def get_shopping_list(auth = Depends(get_current_auth)):
+    try:
+        async with httpx.AsyncClient() as client:
+            response = await client.get(f"{INVENTORY_SERVICE_URL}/shopping", timeout=5.0)
+            response.raise_for_status()
+            return response.json()
+    except httpx.HTTPError as e:
+        raise HTTPException(status_code=500, detail=f"Inventory service error: {str(e)}")
+
+@app.post("/api/shopping")
+async def add_shopping_item(request: ShoppingItemRequest, auth = Depends(get_current_auth)):
+    try:
+        async with httpx.AsyncClient() as client:
+            response = await client.post(f"{INVENTORY_SERVICE_URL}/shopping", json=request.dict(), timeout=5.0)
+            response.raise_for_status()
+            return response.json()
+    except httpx.HTTPError as e:
+        raise HTTPException(status_code=500, detail=f"Inventory service error: {str(e)}")
+
+@app.post("/api/shopping/purchase")
+async def purchase_shopping_items(http_request: Request, auth = Depends(get_current_auth)):
+    """Re-add checked shopping list entries to inventory"""
+    try:
+        async with httpx.AsyncClient() as client:
+            response = await client.post(f"{INVENTORY_SERVICE_URL}/shopping/purchase", timeout=10.0)
+            response.raise_for_status()
+            result = response.json()
+            if result.get("purchased"):
+                events.publish("inventory.changed", auth, http_request.headers.get("X-Client-Id"))
+            return result
+    except httpx.HTTPError as e:
+        raise HTTPException(status_code=500, detail=f"Inventory service error: {str(e)}")
+
+@app.put("/api/shopping/{entry_id}")
+async def update_shopping_item(entry_id: int, request: UpdateShoppingItemRequest, auth = Depends(get_current_auth)):
+    try:
+        async with httpx.AsyncClient() as client:
+            response = await client.put(f"{INVENTORY_SERVICE_URL}/shopping/{entry_id}", json=request.dict(exclude_unset=True), timeout=5.0)
+            response.raise_for_status()
+            return response.json()
+    except httpx.HTTPError as e:
+        if e.response.status_code == 404:
+            raise HTTPException(status_code=404, detail="Shopping list entry not found")
+        raise HTTPException(status_code=500, detail=f"Inventory service error: {str(e)}")
+
+@app.delete("/api/shopping/{entry_id}")
+async def delete_shopping_item(entry_id: int, auth = Depends(get_current_auth)):
+    try:
+        async with httpx.AsyncClient() as client:
+            response = await client.delete(f"{INVENTORY_SERVICE_URL}/shopping/{entry_id}", timeout=5.0)
+            response.raise_for_status()
+            return response.json()
+    except httpx.HTTPError as e:
+        if e.response.status_code == 404:
+            raise HTTPException(status_code=404, detail="Shopping list entry not found")
+        raise HTTPException(status_code=500, detail=f"Inventory service error: {str(e)}")
     
 @app.get("/api/stats/expiring")
 async def get_expiring_items(days: int = 7, auth = Depends(get_current_auth)):
@@ -607,18 +1144,23 @@ async def get_expiring_items(days: int = 7, auth = Depends(get_current_auth)):
             response = await client.get(f"{INVENTORY_SERVICE_URL}/items", timeout=5.0)
             response.raise_for_status()
             items = response.json()
+            owner = expiry_rules_owner(auth)
+            rules_response = await client.get(f"{INVENTORY_SERVICE_URL}/expiry-rules", params={"user_id": owner} if owner is not None else {}, timeout=5.0)
+            rules_response.raise_for_status()
+            rules = {rule["category"]: rule for rule in rules_response.json()["rules"]}
             
-            items_with_expiry = [item for item in items if item.get('expiry_date')]
+            items_with_expiry = [item for item in items if item.get('expiry_date') or item.get('opened_expiry_date')]
             today = datetime.now().date()
             
             expired = []
+            past_best = []  # best-before date passed: usually still fine
             critical = []  
             warning = []   
             upcoming = []  
             
             for item in items_with_expiry:
                 try:
-                    expiry_date = datetime.fromisoformat(item['expiry_date']).date()
+                    expiry_date = datetime.fromisoformat(min(date for date in (item['expiry_date'], item.get('opened_expiry_date')) if date)).date()
                     days_until = (expiry_date - today).days
                     
                     item_info = {
@@ -628,15 +1170,20 @@ async def get_expiring_items(days: int = 7, auth = Depends(get_current_auth)):
                         'location': item['location'],
                         'category': item.get('category', 'Uncategorized'),
                         'quantity': item['quantity'],
-                        'expiry_date': item['expiry_date'],
+                        'expiry_date': expiry_date.isoformat(),
+                        'date_type': item.get('date_type') or 'use_by',
                         'days_until_expiry': days_until
                     }
                     
-                    if days_until < 0:
+                    rule = rules.get(item.get('category'), rules[None])
+                    opened_expiry = item.get('opened_expiry_date')
+                    if days_until < 0 and item.get('date_type') == 'best_before' and not (opened_expiry and opened_expiry < today.isoformat()):
+                        past_best.append(item_info)
+                    elif days_until < 0:
                         expired.append(item_info)
-                    elif days_until <= 3:
+                    elif days_until <= rule['critical_days']:
                         critical.append(item_info)
-                    elif days_until <= 7:
+                    elif days_until <= rule['warning_days']:
                         warning.append(item_info)
                     elif days_until <= days:
                         upcoming.append(item_info)
@@ -645,6 +1192,7 @@ async def get_expiring_items(days: int = 7, auth = Depends(get_current_auth)):
                     continue
             
             expired.sort(key=lambda x: x['days_until_expiry'])
+            past_best.sort(key=lambda x: x['days_until_expiry'])
             critical.sort(key=lambda x: x['days_until_expiry'])
             warning.sort(key=lambda x: x['days_until_expiry'])
             upcoming.sort(key=lambda x: x['days_until_expiry'])
@@ -652,6 +1200,7 @@ async def get_expiring_items(days: int = 7, auth = Depends(get_current_auth)):
             return {
                 'summary': {
                     'expired': len(expired),
+                    'past_best': len(past_best),
                     'critical': len(critical),
                     'warning': len(warning),
                     'upcoming': len(upcoming),
@@ -659,6 +1208,7 @@ async def get_expiring_items(days: int = 7, auth = Depends(get_current_auth)):
                 },
                 'items': {
                     'expired': expired,
+                    'past_best': past_best,
                     'critical': critical,
                     'warning': warning,
                     'upcoming': upcoming
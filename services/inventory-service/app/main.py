@@ -1,6 +1,6 @@
-from fastapi import FastAPI, HTTPException, Depends
+from fastapi import FastAPI, HTTPException, Depends, Response
 from fastapi.responses import StreamingResponse
-from sqlalchemy import create_engine, Column, Integer, String, DateTime, Boolean, Date
+from sqlalchemy import create_engine, Column, Integer, String, DateTime, Boolean, Date, func, and_, or_, case, inspect, text
 from sqlalchemy.ext.declarative import declarative_base
 from sqlalchemy.orm import sessionmaker, Session
 from datetime import datetime, date, timedelta
@@ -11,7 +11,9 @@ from apscheduler.triggers.cron import CronTrigger
 import os
 import csv
 import io
+import json
 import logging
+import secrets
 
 logging.basicConfig(level=logging.INFO)
 logger = logging.getLogger(__name__)
@@ -27,6 +29,7 @@ BACKUP_ENABLED = os.getenv("BACKUP_ENABLED", "false").lower() == "true"
 BACKUP_SCHEDULE = os.getenv("BACKUP_SCHEDULE", "0 2 * * *")
 BACKUP_RETENTION_DAYS = int(os.getenv("BACKUP_RETENTION_DAYS", "7"))
 BACKUP_PATH = os.getenv("BACKUP_PATH", "/app/backups")
+TRASH_RETENTION_DAYS = int(os.getenv("TRASH_RETENTION_DAYS", "30"))
 
 class ItemDB(Base):
     __tablename__ = "items"
@@ -39,13 +42,143 @@ class ItemDB(Base):
     location = Column(String, default="Basement Pantry")
     quantity = Column(Integer, default=1)
     expiry_date = Column(Date, nullable=True)
+    date_type = Column(String, nullable=True)  # what expiry_date is: use_by (strict, the default) or best_before (advisory)
     notes = Column(String, nullable=True)
     manually_added = Column(Boolean, default=False)
+    label_code = Column(String, unique=True, index=True, nullable=True)  # printed on labels for items without a barcode
+    opened_date = Column(Date, nullable=True)
+    opened_shelf_life_days = Column(Integer, nullable=True)  # this product's "use within N days after opening"
+    opened_expiry_date = Column(Date, nullable=True)  # opened_date + shelf life, updated whenever either changes
+    expiry_estimated = Column(Boolean, default=False)  # expiry_date was estimated from the shelf-life table, not read off the pack
+    frozen_date = Column(Date, nullable=True)  # when it went into a freezer; cleared when it comes out
     added_date = Column(DateTime, default=datetime.utcnow)
     updated_date = Column(DateTime, default=datetime.utcnow, onupdate=datetime.utcnow)
 
+class ShoppingItemDB(Base):
+    __tablename__ = "shopping_list"
+    id = Column(Integer, primary_key=True, index=True)
+    item_id = Column(Integer, index=True, nullable=True)
+    source = Column(String, default="manual")  # manual, depleted, expired
+    barcode = Column(String, nullable=True)
+    name = Column(String, nullable=False)
+    brand = Column(String, nullable=True)
+    category = Column(String, nullable=True)
+    location = Column(String, nullable=True)
+    quantity = Column(Integer, default=1)
+    notes = Column(String, nullable=True)
+    checked = Column(Boolean, default=False)
+    dismissed = Column(Boolean, default=False)
+    added_date = Column(DateTime, default=datetime.utcnow)
+
+class DeletedItemDB(Base):
+    __tablename__ = "deleted_items"
+    id = Column(Integer, primary_key=True, index=True)
+    item_id = Column(Integer, index=True, nullable=False)
+    name = Column(String, nullable=False)
+    data = Column(String, nullable=False)  # JSON snapshot of the item as it was deleted
+    event_id = Column(Integer, nullable=True)  # the discarded event deleting it logged; undone by restoring
+    deleted_date = Column(DateTime, default=datetime.utcnow)
+
+class LocationAuditDB(Base):
+    __tablename__ = "location_audits"
+    id = Column(Integer, primary_key=True, index=True)
+    location = Column(String, index=True, nullable=False)
+    audited_date = Column(DateTime, default=datetime.utcnow)
+    expected = Column(Integer, default=0)  # items on the shelf according to PantryPal
+    present = Column(Integer, default=0)
+    adjusted = Column(Integer, default=0)  # present, but with a different quantity
+    missing = Column(Integer, default=0)
+    found = Column(Integer, default=0)  # on the shelf but not in PantryPal
+
+class ItemEventDB(Base):
+    __tablename__ = "item_events"
+    id = Column(Integer, primary_key=True, index=True)
+    item_id = Column(Integer, index=True, nullable=False)
+    event_type = Column(String, nullable=False)  # consumed, discarded, missing (short at a stock-take)
+    quantity = Column(Integer, default=1)
+    # Copied from the item, so history survives the item being edited or deleted
+    name = Column(String, nullable=False)
+    category = Column(String, nullable=True)
+    location = Column(String, nullable=True)
+    purchased_date = Column(DateTime, nullable=True)
+    expiry_date = Column(Date, nullable=True)
+    event_date = Column(DateTime, default=datetime.utcnow, index=True)
+
+class OpenedShelfLifeDB(Base):
+    __tablename__ = "opened_shelf_life"
+    id = Column(Integer, primary_key=True, index=True)
+    category = Column(String, unique=True, nullable=False)
+    days = Column(Integer, nullable=False)  # good for this many days after opening
+
+class LocationProfileDB(Base):
+    __tablename__ = "location_profiles"
+    id = Column(Integer, primary_key=True, index=True)
+    location = Column(String, unique=True, nullable=False)
+    storage = Column(String, nullable=False)  # pantry, fridge, freezer
+    on_move = Column(String, nullable=False)  # what an item's expiry does when it is moved here: keep, extend, reset
+
+class ShelfLifeEstimateDB(Base):
+    __tablename__ = "shelf_life_estimates"
+    id = Column(Integer, primary_key=True, index=True)
+    category = Column(String, unique=True, nullable=False)
+    # Typical shelf life per kind of storage; None: no estimate (e.g. raw meat in the pantry)
+    pantry_days = Column(Integer, nullable=True)
+    fridge_days = Column(Integer, nullable=True)
+    freezer_days = Column(Integer, nullable=True)
+
+class ExpiryRuleDB(Base):
+    __tablename__ = "expiry_rules"
+    id = Column(Integer, primary_key=True, index=True)
+    user_id = Column(Integer, index=True, nullable=True)  # None: the household's rules
+    category = Column(String, nullable=True)  # None: every category without its own rule
+    critical_days = Column(Integer, nullable=False)
+    warning_days = Column(Integer, nullable=False)
+
 Base.metadata.create_all(bind=engine)
 
+def add_missing_columns():
+    """create_all only creates missing tables; add columns (and their indexes) introduced since the database was created"""
+    inspector = inspect(engine)
+    with engine.begin() as conn:
+        for table in Base.metadata.sorted_tables:
+            existing = {column["name"] for column in inspector.get_columns(table.name)}
+            for column in table.columns:
+                if column.name not in existing:
+                    column_type = column.type.compile(dialect=engine.dialect)
+                    conn.execute(text(f"ALTER TABLE {table.name} ADD COLUMN {column.name} {column_type}"))
+                    logger.info(f"Added column {table.name}.{column.name}")
+            for index in table.indexes:
+                index.create(bind=conn, checkfirst=True)
+
+add_missing_columns()
+
+# Seed for the shelf-life table, keyed by the web UI's default categories: (pantry, fridge, freezer) days
+DEFAULT_SHELF_LIFE = {
+    "Beverages": (270, 270, None),
+    "Snacks": (90, 90, None),
+    "Dairy": (None, 10, 90),
+    "Canned Goods": (730, 730, None),
+    "Frozen": (None, 2, 180),
+    "Fresh Produce": (7, 14, 240),
+    "Condiments": (365, 180, None),
+    "Breakfast": (180, 180, None),
+    "Bakery": (5, 10, 90),
+    "Meat & Seafood": (None, 3, 180),
+}
+
+def seed_shelf_life_estimates():
+    """Fill the shelf-life table on first start; after that it is edited from Settings"""
+    db = SessionLocal()
+    try:
+        if db.query(ShelfLifeEstimateDB).count() == 0:
+            for category, (pantry_days, fridge_days, freezer_days) in DEFAULT_SHELF_LIFE.items():
+                db.add(ShelfLifeEstimateDB(category=category, pantry_days=pantry_days, fridge_days=fridge_days, freezer_days=freezer_days))
+            db.commit()
+    finally:
+        db.close()
+
+seed_shelf_life_estimates()
+
 class ItemCreate(BaseModel):
     barcode: Optional[str] = None
     name: str
@@ -55,17 +188,71 @@ class ItemCreate(BaseModel):
     location: str = "Basement Pantry"
     quantity: int = 1
     expiry_date: Optional[date] = None
+    date_type: Optional[str] = None
     notes: Optional[str] = None
     manually_added: bool = False
+    opened_date: Optional[date] = None
+    opened_shelf_life_days: Optional[int] = None
+    expiry_estimated: bool = False
+    frozen_date: Optional[date] = None  # today when added straight into a freezer
 
 class ItemUpdate(BaseModel):
     name: Optional[str] = None
     brand: Optional[str] = None
+    image_url: Optional[str] = None
     category: Optional[str] = None
     location: Optional[str] = None
     quantity: Optional[int] = None
     expiry_date: Optional[date] = None
+    date_type: Optional[str] = None
     notes: Optional[str] = None
+    opened_date: Optional[date] = None
+    opened_shelf_life_days: Optional[int] = None
+    expiry_estimated: Optional[bool] = None  # cleared when expiry_date is changed without it
+    frozen_date: Optional[date] = None
+    reason: Optional[str] = None  # why the quantity went down: consumed (default) or discarded
+
+class OpenItemRequest(BaseModel):
+    opened_date: Optional[date] = None  # today if not given
+
+class OpenedShelfLife(BaseModel):
+    category: str
+    days: int
+
+    class Config:
+        from_attributes = True
+
+class OpenedShelfLifeUpdate(BaseModel):
+    rules: List[OpenedShelfLife]
+
+class LocationProfile(BaseModel):
+    location: str
+    storage: str
+    on_move: str
+
+class LocationProfilesUpdate(BaseModel):
+    profiles: List[LocationProfile]
+
+class ShelfLifeEstimate(BaseModel):
+    category: str
+    pantry_days: Optional[int] = None
+    fridge_days: Optional[int] = None
+    freezer_days: Optional[int] = None
+
+    class Config:
+        from_attributes = True
+
+class ShelfLifeUpdate(BaseModel):
+    estimates: List[ShelfLifeEstimate]
+
+class ExpiryRule(BaseModel):
+    category: Optional[str] = None
+    critical_days: int
+    warning_days: int
+
+class ExpiryRulesUpdate(BaseModel):
+    user_id: Optional[int] = None
+    rules: List[ExpiryRule]
 
 class ItemResponse(BaseModel):
     id: int
@@ -77,14 +264,128 @@ class ItemResponse(BaseModel):
     location: str
     quantity: int
     expiry_date: Optional[date]
+    date_type: Optional[str] = None
     notes: Optional[str]
     manually_added: bool
+    label_code: Optional[str] = None
+    opened_date: Optional[date] = None
+    opened_shelf_life_days: Optional[int] = None
+    opened_expiry_date: Optional[date] = None
+    expiry_estimated: Optional[bool] = False
+    frozen_date: Optional[date] = None
     added_date: datetime
     updated_date: datetime
     
     class Config:
         from_attributes = True
 
+class ShoppingItemCreate(BaseModel):
+    name: str
+    barcode: Optional[str] = None
+    brand: Optional[str] = None
+    category: Optional[str] = None
+    location: Optional[str] = None
+    quantity: int = 1
+    notes: Optional[str] = None
+
+class ShoppingItemUpdate(BaseModel):
+    name: Optional[str] = None
+    category: Optional[str] = None
+    location: Optional[str] = None
+    quantity: Optional[int] = None
+    notes: Optional[str] = None
+    checked: Optional[bool] = None
+
+class ShoppingItemResponse(BaseModel):
+    id: int
+    item_id: Optional[int]
+    source: str
+    barcode: Optional[str]
+    name: str
+    brand: Optional[str]
+    category: Optional[str]
+    location: Optional[str]
+    quantity: int
+    notes: Optional[str]
+    checked: bool
+    added_date: datetime
+
+    class Config:
+        from_attributes = True
+
+class DeletedItemResponse(BaseModel):
+    id: int
+    item_id: int
+    name: str
+    deleted_date: datetime
+    purge_date: datetime
+    item: dict
+
+class TrashRequest(BaseModel):
+    ids: List[int]  # Recently Deleted entry ids; an item id can be reused after its item was deleted
+
+class BatchChanges(BaseModel):
+    location: Optional[str] = None
+    category: Optional[str] = None
+    expiry_date: Optional[date] = None  # explicitly null clears it
+    expiry_shift_days: Optional[int] = None
+    quantity: Optional[int] = None
+    quantity_delta: Optional[int] = None
+
+class BackupItem(BaseModel):
+    barcode: Optional[str] = None
+    name: str
+    brand: Optional[str] = None
+    image_url: Optional[str] = None
+    category: str = "Uncategorized"
+    location: str = "Basement Pantry"
+    quantity: int = 0
+    expiry_date: Optional[date] = None
+    date_type: Optional[str] = None
+    notes: Optional[str] = None
+    manually_added: bool = True
+    label_code: Optional[str] = None
+    opened_date: Optional[date] = None
+    opened_shelf_life_days: Optional[int] = None
+    expiry_estimated: Optional[bool] = False
+    frozen_date: Optional[date] = None
+    added_date: Optional[datetime] = None
+
+class BackupRestoreRequest(BaseModel):
+    mode: str  # "merge" keeps current items, "replace" moves them to Recently Deleted first
+    items: List[BackupItem]
+
+class BatchUpdateRequest(BaseModel):
+    item_ids: List[int]
+    changes: BatchChanges
+
+class LabelRequest(BaseModel):
+    item_ids: List[int]
+
+class AuditCount(BaseModel):
+    item_id: int
+    quantity: int
+
+class AuditRequest(BaseModel):
+    location: str
+    present: List[AuditCount] = []
+    missing: List[int] = []
+    found: List[ItemCreate] = []
+    missing_action: str = "zero"  # "zero" leaves missing items at quantity 0, "trash" moves them to Recently Deleted
+
+class LocationAuditResponse(BaseModel):
+    id: int
+    location: str
+    audited_date: datetime
+    expected: int
+    present: int
+    adjusted: int
+    missing: int
+    found: int
+
+    class Config:
+        from_attributes = True
+
 def get_db():
     db = SessionLocal()
     try:
@@ -96,24 +397,238 @@ def get_db():
 async def health_check():
     return {"status": "healthy", "service": "inventory-service", "timestamp": datetime.utcnow().isoformat()}
 
+def add_new_item(db: Session, data: dict) -> ItemDB:
+    """Insert an item added by hand or found by a stock-take: checks its date type,
+    marks it frozen today in a freezer and works out its use-by date after opening"""
+    validate_date_type(data.get("date_type"))
+    db_item = ItemDB(**data)
+    if db_item.frozen_date is None and get_storage_type(db, db_item.location) == "freezer":
+        db_item.frozen_date = date.today()
+    update_opened_expiry(db, db_item)
+    db.add(db_item)
+    return db_item
+
 @app.post("/items", response_model=ItemResponse)
 async def create_item(item: ItemCreate, db: Session = Depends(get_db)):
-    db_item = ItemDB(**item.dict())
-    db.add(db_item)
+    db_item = add_new_item(db, item.dict())
     db.commit()
     db.refresh(db_item)
     return db_item
 
-@app.get("/items", response_model=List[ItemResponse])
-async def get_items(location: Optional[str] = None, search: Optional[str] = None, db: Session = Depends(get_db)):
-    query = db.query(ItemDB)
+# The earlier of the printed date and the use-by date after opening
+EFFECTIVE_EXPIRY = case(
+    (ItemDB.opened_expiry_date.is_(None), ItemDB.expiry_date),
+    (ItemDB.expiry_date.is_(None), ItemDB.opened_expiry_date),
+    (ItemDB.opened_expiry_date < ItemDB.expiry_date, ItemDB.opened_expiry_date),
+    else_=ItemDB.expiry_date,
+)
+
+def effective_expiry(expiry_date: Optional[date], opened_expiry_date: Optional[date]) -> Optional[date]:
+    dates = [value for value in (expiry_date, opened_expiry_date) if value]
+    return min(dates) if dates else None
+
+SORT_FIELDS = {
+    "name": func.lower(ItemDB.name),
+    "brand": func.lower(ItemDB.brand),
+    "location": ItemDB.location,
+    "category": ItemDB.category,
+    "quantity": ItemDB.quantity,
+    "expiry_date": EFFECTIVE_EXPIRY,
+    "added_date": ItemDB.added_date,
+    "updated_date": ItemDB.updated_date,
+}
+
+# Same buckets as the web UI's getExpiryStatus. Past best: a best-before date has
+# passed, which is a quality warning rather than a safety limit.
+EXPIRY_STATUSES = ["expired", "past_best", "critical", "warning", "good", "none", "expiring"]
+
+# What an expiry date means; items without a date type are treated as use by
+DATE_TYPES = ("use_by", "best_before")
+
+def validate_date_type(date_type: Optional[str]):
+    if date_type is not None and date_type not in DATE_TYPES:
+        raise HTTPException(status_code=400, detail=f"Date type must be one of: {', '.join(DATE_TYPES)}")
+
+# An item whose expiry date is only advisory
+IS_BEST_BEFORE = ItemDB.date_type == "best_before"
+
+DEFAULT_EXPIRY_THRESHOLDS = {"default": (3, 7), "categories": {}}  # (critical_days, warning_days)
+MAX_THRESHOLD_DAYS = 365
+
+def get_expiry_thresholds(db: Session, user_id: Optional[int] = None) -> dict:
+    """A user's own rules if they saved any, otherwise the household's"""
+    rules = []
+    if user_id is not None:
+        rules = db.query(ExpiryRuleDB).filter(ExpiryRuleDB.user_id == user_id).all()
+    if not rules:
+        rules = db.query(ExpiryRuleDB).filter(ExpiryRuleDB.user_id.is_(None)).all()
+    thresholds = {"default": DEFAULT_EXPIRY_THRESHOLDS["default"], "categories": {}}
+    for rule in rules:
+        if rule.category:
+            thresholds["categories"][rule.category] = (rule.critical_days, rule.warning_days)
+        else:
+            thresholds["default"] = (rule.critical_days, rule.warning_days)
+    return thresholds
+
+def thresholds_for(thresholds: dict, category: Optional[str]):
+    return thresholds["categories"].get(category, thresholds["default"])
+
+def get_expiry_status(expiry_date: Optional[date], opened_expiry_date: Optional[date] = None, date_type: Optional[str] = None, critical_days: int = 3, warning_days: int = 7) -> str:
+    today = date.today()
+    # The use-by date after opening is always strict
+    if opened_expiry_date and opened_expiry_date < today:
+        return "expired"
+    effective = effective_expiry(expiry_date, opened_expiry_date)
+    if not effective:
+        return "none"
+    days = (effective - today).days
+    if days < 0:
+        return "past_best" if date_type == "best_before" else "expired"
+    if days <= critical_days:
+        return "critical"
+    if days <= warning_days:
+        return "warning"
+    return "good"
+
+def get_expiry_window(status: str, critical_days: int, warning_days: int):
+    today = date.today()
+    if status == "none":
+        return EFFECTIVE_EXPIRY.is_(None)
+    if status == "expired":
+        return or_(ItemDB.opened_expiry_date < today, and_(ItemDB.expiry_date < today, or_(ItemDB.date_type.is_(None), ~IS_BEST_BEFORE)))
+    if status == "past_best":
+        return and_(IS_BEST_BEFORE, ItemDB.expiry_date < today, or_(ItemDB.opened_expiry_date.is_(None), ItemDB.opened_expiry_date >= today))
+    if status == "critical":
+        return and_(EFFECTIVE_EXPIRY >= today, EFFECTIVE_EXPIRY <= today + timedelta(days=critical_days))
+    if status == "warning":
+        return and_(EFFECTIVE_EXPIRY > today + timedelta(days=critical_days), EFFECTIVE_EXPIRY <= today + timedelta(days=warning_days))
+    if status == "expiring":
+        return and_(EFFECTIVE_EXPIRY >= today, EFFECTIVE_EXPIRY <= today + timedelta(days=warning_days))
+    return EFFECTIVE_EXPIRY > today + timedelta(days=warning_days)
+
+def get_expiry_condition(status: str, thresholds: dict = DEFAULT_EXPIRY_THRESHOLDS):
+    """SQL condition for an expiry status, honouring per-category thresholds"""
+    overrides = thresholds["categories"]
+    default_window = get_expiry_window(status, *thresholds["default"])
+    if status in ("none", "expired", "past_best") or not overrides:
+        return default_window
+    conditions = [
+        and_(ItemDB.category == category, get_expiry_window(status, *days))
+        for category, days in overrides.items()
+    ]
+    conditions.append(and_(or_(ItemDB.category.is_(None), ItemDB.category.notin_(list(overrides))), default_window))
+    return or_(*conditions)
+
+def apply_item_filters(query, location=None, category=None, search=None, barcode=None, expiry_status=None, expires_within=None, thresholds=DEFAULT_EXPIRY_THRESHOLDS):
     if location:
         query = query.filter(ItemDB.location == location)
+    if category:
+        query = query.filter(ItemDB.category == category)
+    if barcode:
+        query = query.filter(ItemDB.barcode == barcode)
     if search:
         search_term = f"%{search}%"
-        query = query.filter((ItemDB.name.ilike(search_term)) | (ItemDB.brand.ilike(search_term)) | (ItemDB.barcode.ilike(search_term)))
-    items = query.order_by(ItemDB.updated_date.desc()).all()
-    return items
+        query = query.filter((ItemDB.name.ilike(search_term)) | (ItemDB.brand.ilike(search_term)) | (ItemDB.barcode.ilike(search_term)) | (ItemDB.label_code.ilike(search_term)))
+
+    if expiry_status:
+        # Comma-separated statuses are OR'ed together, e.g. "expired,expiring"
+        conditions = [get_expiry_condition(status.strip(), thresholds) for status in expiry_status.split(",")]
+        query = query.filter(or_(*conditions))
+
+    if expires_within is not None:
+        today = date.today()
+        query = query.filter(EFFECTIVE_EXPIRY >= today, EFFECTIVE_EXPIRY <= today + timedelta(days=expires_within))
+    return query
+
+def apply_item_sort(query, sort: Optional[str], order: str):
+    """sort is a comma-separated list of SORT_FIELDS keys, e.g. location,expiry_date"""
+    if not sort:
+        return query.order_by(ItemDB.updated_date.desc(), ItemDB.id.desc())
+
+    descending = order == "desc"
+    clauses = []
+    for field in sort.split(","):
+        column = SORT_FIELDS[field.strip()]
+        if field.strip() in ("expiry_date", "brand"):
+            # Items without a value go last in either direction
+            clauses.append(column.is_(None))
+        clauses.append(column.desc() if descending else column.asc())
+    clauses.append(ItemDB.id.desc() if descending else ItemDB.id.asc())
+    return query.order_by(*clauses)
+
+def validate_item_query(expiry_status: Optional[str], sort: Optional[str], order: str):
+    if expiry_status and any(status.strip() not in EXPIRY_STATUSES for status in expiry_status.split(",")):
+        raise HTTPException(status_code=400, detail=f"Invalid expiry_status. Use one of: {', '.join(EXPIRY_STATUSES)}")
+    if sort and any(field.strip() not in SORT_FIELDS for field in sort.split(",")):
+        raise HTTPException(status_code=400, detail=f"Invalid sort field. Use any of: {', '.join(SORT_FIELDS)}")
+    if order not in ("asc", "desc"):
+        raise HTTPException(status_code=400, detail="Invalid order. Use asc or desc")
+
+@app.get("/items", response_model=List[ItemResponse])
+async def get_items(
+    response: Response,
+    location: Optional[str] = None,
+    category: Optional[str] = None,
+    search: Optional[str] = None,
+    barcode: Optional[str] = None,
+    expiry_status: Optional[str] = None,
+    expires_within: Optional[int] = None,
+    sort: Optional[str] = None,
+    order: str = "asc",
+    limit: Optional[int] = None,
+    offset: int = 0,
+    user_id: Optional[int] = None,
+    db: Session = Depends(get_db)
+):
+    validate_item_query(expiry_status, sort, order)
+    thresholds = get_expiry_thresholds(db, user_id) if expiry_status else DEFAULT_EXPIRY_THRESHOLDS
+    query = apply_item_filters(db.query(ItemDB), location, category, search, barcode, expiry_status, expires_within, thresholds)
+    response.headers["X-Total-Count"] = str(query.count())
+
+    query = apply_item_sort(query, sort, order)
+    if offset:
+        query = query.offset(offset)
+    if limit is not None:
+        query = query.limit(limit)
+    return query.all()
+
+@app.get("/items/summary")
+async def get_items_summary(
+    location: Optional[str] = None,
+    category: Optional[str] = None,
+    search: Optional[str] = None,
+    expiry_status: Optional[str] = None,
+    expires_within: Optional[int] = None,
+    user_id: Optional[int] = None,
+    db: Session = Depends(get_db)
+):
+    """Counts by expiry status, location and category without sending the items"""
+    validate_item_query(expiry_status, None, "asc")
+    thresholds = get_expiry_thresholds(db, user_id)
+    query = apply_item_filters(db.query(ItemDB), location, category, search, None, expiry_status, expires_within, thresholds)
+    rows = query.with_entities(ItemDB.location, ItemDB.category, ItemDB.quantity, ItemDB.expiry_date, ItemDB.opened_expiry_date, ItemDB.date_type).all()
+
+    by_status = {status: 0 for status in ["expired", "past_best", "critical", "warning", "good", "none"]}
+    by_location = {}
+    by_category = {}
+    depleted = 0
+    for location_name, category_name, quantity, expiry_date, opened_expiry_date, date_type in rows:
+        by_status[get_expiry_status(expiry_date, opened_expiry_date, date_type, *thresholds_for(thresholds, category_name))] += 1
+        if location_name:
+            by_location[location_name] = by_location.get(location_name, 0) + 1
+        if category_name:
+            by_category[category_name] = by_category.get(category_name, 0) + 1
+        if (quantity or 0) <= 0:
+            depleted += 1
+
+    return {
+        "total_items": len(rows),
+        "total_quantity": sum(row[2] or 0 for row in rows),
+        "depleted": depleted,
+        "by_status": by_status,
+        "by_location": by_location,
+        "by_category": by_category,
+    }
 
 @app.get("/items/expiring")
 async def get_expiring_items(days: int = 7, db: Session = Depends(get_db)):
@@ -121,11 +636,318 @@ async def get_expiring_items(days: int = 7, db: Session = Depends(get_db)):
     from datetime import timedelta
     cutoff_date = date.today() + timedelta(days=days)
     items = db.query(ItemDB).filter(
-        ItemDB.expiry_date.isnot(None),
-        ItemDB.expiry_date <= cutoff_date
-    ).order_by(ItemDB.expiry_date).all()
+        EFFECTIVE_EXPIRY.isnot(None),
+        EFFECTIVE_EXPIRY <= cutoff_date
+    ).order_by(EFFECTIVE_EXPIRY).all()
     return items
 
+# ============================================================================
+# OPENED ITEMS
+# ============================================================================
+
+# Changing any of these can move an opened item's use-by date
+OPENED_EXPIRY_FIELDS = {"opened_date", "opened_shelf_life_days", "category", "barcode"}
+
+# Copied to the unit split off when one of several is opened
+OPENED_COPY_FIELDS = ("barcode", "name", "brand", "image_url", "category", "location", "expiry_date", "date_type", "expiry_estimated", "frozen_date", "notes", "manually_added", "opened_shelf_life_days", "added_date")
+
+def get_opened_shelf_life(db: Session, db_item: ItemDB) -> Optional[int]:
+    """Days an opened item stays good: its own setting, else the same product's, else its category's"""
+    if db_item.opened_shelf_life_days is not None:
+        return db_item.opened_shelf_life_days
+    if db_item.barcode:
+        product = db.query(ItemDB.opened_shelf_life_days).filter(
+            ItemDB.barcode == db_item.barcode,
+            ItemDB.opened_shelf_life_days.isnot(None),
+        ).order_by(ItemDB.updated_date.desc()).first()
+        if product:
+            return product[0]
+    rule = db.query(OpenedShelfLifeDB).filter(OpenedShelfLifeDB.category == db_item.category).first()
+    return rule.days if rule else None
+
+def update_opened_expiry(db: Session, db_item: ItemDB):
+    days = get_opened_shelf_life(db, db_item) if db_item.opened_date else None
+    db_item.opened_expiry_date = db_item.opened_date + timedelta(days=days) if days is not None else None
+
+@app.post("/items/{item_id}/open")
+async def open_item(item_id: int, request: OpenItemRequest, db: Session = Depends(get_db)):
+    """Mark one unit as opened. With more than one in stock, the opened unit is split off as its own item."""
+    db_item = db.query(ItemDB).filter(ItemDB.id == item_id).first()
+    if not db_item:
+        raise HTTPException(status_code=404, detail="Item not found")
+    if db_item.opened_date:
+        raise HTTPException(status_code=400, detail="Item is already open")
+    if (db_item.quantity or 0) <= 0:
+        raise HTTPException(status_code=400, detail="Nothing left to open")
+
+    source = None
+    opened = db_item
+    if db_item.quantity > 1:
+        db_item.quantity -= 1
+        db_item.updated_date = datetime.utcnow()
+        source = db_item
+        opened = ItemDB(quantity=1, **{field: getattr(db_item, field) for field in OPENED_COPY_FIELDS})
+        db.add(opened)
+    opened.opened_date = request.opened_date or date.today()
+    opened.updated_date = datetime.utcnow()
+    update_opened_expiry(db, opened)
+    db.commit()
+    db.refresh(opened)
+    if source:
+        db.refresh(source)
+    return {
+        "item": ItemResponse.model_validate(opened),
+        "source": ItemResponse.model_validate(source) if source else None,
+    }
+
+@app.get("/opened-shelf-life", response_model=List[OpenedShelfLife])
+async def get_opened_shelf_life_rules(db: Session = Depends(get_db)):
+    """How long each category keeps after opening"""
+    return db.query(OpenedShelfLifeDB).order_by(OpenedShelfLifeDB.category).all()
+
+@app.put("/opened-shelf-life", response_model=List[OpenedShelfLife])
+async def save_opened_shelf_life_rules(request: OpenedShelfLifeUpdate, db: Session = Depends(get_db)):
+    """Replace the per-category shelf lives and move the use-by dates of opened items that follow them"""
+    categories = [rule.category for rule in request.rules]
+    if len(categories) != len(set(categories)):
+        raise HTTPException(status_code=400, detail="Only one rule per category")
+    if any(rule.days < 0 or rule.days > MAX_THRESHOLD_DAYS for rule in request.rules):
+        raise HTTPException(status_code=400, detail=f"Shelf life must be between 0 and {MAX_THRESHOLD_DAYS} days")
+
+    db.query(OpenedShelfLifeDB).delete()
+    for rule in request.rules:
+        db.add(OpenedShelfLifeDB(category=rule.category, days=rule.days))
+    db.flush()
+    for db_item in db.query(ItemDB).filter(ItemDB.opened_date.isnot(None)).all():
+        update_opened_expiry(db, db_item)
+    db.commit()
+    return db.query(OpenedShelfLifeDB).order_by(OpenedShelfLifeDB.category).all()
+
+# ============================================================================
+# LOCATION PROFILES
+# ============================================================================
+
+STORAGE_TYPES = ("pantry", "fridge", "freezer")
+
+# keep: the expiry date stays; extend: it moves to the shelf life here if that is later;
+# reset: it becomes the shelf life here. Coming out of a freezer always resets, whatever the
+# profile says: a thawed item only keeps as long as a fresh one, not as long as its freezer date.
+# With no shelf life for its category there, the date is cleared rather than kept.
+MOVE_ACTIONS = ("keep", "extend", "reset")
+DEFAULT_MOVE_ACTIONS = {"pantry": "keep", "fridge": "keep", "freezer": "extend"}
+
+def guess_storage_type(location: Optional[str]) -> str:
+    """What kind of storage a location is, going by its name"""
+    name = (location or "").lower()
+    if "freez" in name:
+        return "freezer"
+    if "fridge" in name or "refrigerator" in name:
+        return "fridge"
+    return "pantry"
+
+def get_location_profile(db: Session, location: Optional[str]):
+    """(storage, on_move) for a location: its saved profile, else a guess from its name"""
+    profile = db.query(LocationProfileDB).filter(LocationProfileDB.location == location).first() if location else None
+    if profile:
+        return profile.storage, profile.on_move
+    storage = guess_storage_type(location)
+    return storage, DEFAULT_MOVE_ACTIONS[storage]
+
+def get_storage_type(db: Session, location: Optional[str]) -> str:
+    return get_location_profile(db, location)[0]
+
+def apply_location_move(db: Session, db_item: ItemDB, previous_location: Optional[str], keep_expiry: bool = False):
+    """Record freezing and thawing, and adjust the expiry date, after an item changed location"""
+    if db_item.location == previous_location:
+        return
+    previous_storage = get_storage_type(db, previous_location)
+    storage, on_move = get_location_profile(db, db_item.location)
+    if storage == "freezer" and previous_storage != "freezer":
+        db_item.frozen_date = date.today()
+    elif storage != "freezer" and previous_storage == "freezer":
+        db_item.frozen_date = None
+
+    if keep_expiry or storage == previous_storage:
+        return
+    if previous_storage == "freezer":
+        on_move = "reset"
+    elif on_move == "keep":
+        return
+    _, _, expiry_date = estimate_expiry(db, db_item.category, db_item.location, date.today())
+    if not expiry_date and previous_storage == "freezer":
+        # Nothing to go by here, and the freezer date would overstate how long it keeps
+        db_item.expiry_date = None
+        db_item.expiry_estimated = False
+        return
+    if not expiry_date or (on_move == "extend" and db_item.expiry_date and db_item.expiry_date >= expiry_date):
+        return
+    db_item.expiry_date = expiry_date
+    db_item.expiry_estimated = True
+
+def to_location_profiles(db: Session, locations: List[str]):
+    saved = {profile.location: profile for profile in db.query(LocationProfileDB).all()}
+    in_use = [row[0] for row in db.query(ItemDB.location).distinct().all() if row[0]]
+    profiles = []
+    for location in sorted(set(locations) | set(in_use) | set(saved)):
+        storage, on_move = get_location_profile(db, location)
+        profiles.append({"location": location, "storage": storage, "on_move": on_move, "saved": location in saved})
+    return profiles
+
+@app.get("/location-profiles")
+async def get_location_profiles(locations: Optional[str] = None, db: Session = Depends(get_db)):
+    """Profiles for every location in use, plus any comma-separated extra `locations`; unsaved ones are guessed from the name"""
+    extra = [location.strip() for location in (locations or "").split(",") if location.strip()]
+    return to_location_profiles(db, extra)
+
+@app.put("/location-profiles")
+async def save_location_profiles(request: LocationProfilesUpdate, db: Session = Depends(get_db)):
+    """Replace the saved profiles. Items already stored keep their dates until they are moved."""
+    names = [profile.location for profile in request.profiles]
+    if len(names) != len(set(names)):
+        raise HTTPException(status_code=400, detail="Only one profile per location")
+    for profile in request.profiles:
+        if profile.storage not in STORAGE_TYPES:
+            raise HTTPException(status_code=400, detail=f"Storage must be one of: {', '.join(STORAGE_TYPES)}")
+        if profile.on_move not in MOVE_ACTIONS:
+            raise HTTPException(status_code=400, detail=f"On move must be one of: {', '.join(MOVE_ACTIONS)}")
+
+    db.query(LocationProfileDB).delete()
+    for profile in request.profiles:
+        db.add(LocationProfileDB(**profile.model_dump()))
+    db.commit()
+    return to_location_profiles(db, names)
+
+# ============================================================================
+# SHELF LIFE ESTIMATES
+# ============================================================================
+
+MAX_SHELF_LIFE_DAYS = 3650
+
+def estimate_expiry(db: Session, category: Optional[str], location: Optional[str], start: date):
+    """(storage, days, expiry date) for an item stored from `start`; days and date are None without an estimate"""
+    storage = get_storage_type(db, location)
+    estimate = db.query(ShelfLifeEstimateDB).filter(ShelfLifeEstimateDB.category == category).first()
+    days = getattr(estimate, f"{storage}_days") if estimate else None
+    return storage, days, start + timedelta(days=days) if days is not None else None
+
+@app.get("/shelf-life", response_model=List[ShelfLifeEstimate])
+async def get_shelf_life_estimates(db: Session = Depends(get_db)):
+    """Typical shelf life per category and kind of storage"""
+    return db.query(ShelfLifeEstimateDB).order_by(ShelfLifeEstimateDB.category).all()
+
+@app.put("/shelf-life", response_model=List[ShelfLifeEstimate])
+async def save_shelf_life_estimates(request: ShelfLifeUpdate, db: Session = Depends(get_db)):
+    """Replace the shelf-life table. Dates already estimated stay as they are."""
+    categories = [estimate.category for estimate in request.estimates]
+    if len(categories) != len(set(categories)):
+        raise HTTPException(status_code=400, detail="Only one row per category")
+    for estimate in request.estimates:
+        days = [getattr(estimate, f"{storage}_days") for storage in STORAGE_TYPES]
+        if any(value is not None and (value < 0 or value > MAX_SHELF_LIFE_DAYS) for value in days):
+            raise HTTPException(status_code=400, detail=f"{estimate.category}: shelf life must be between 0 and {MAX_SHELF_LIFE_DAYS} days")
+
+    db.query(ShelfLifeEstimateDB).delete()
+    for estimate in request.estimates:
+        db.add(ShelfLifeEstimateDB(**estimate.model_dump()))
+    db.commit()
+    return db.query(ShelfLifeEstimateDB).order_by(ShelfLifeEstimateDB.category).all()
+
+@app.get("/shelf-life/estimate")
+async def get_shelf_life_estimate(category: Optional[str] = None, location: Optional[str] = None, db: Session = Depends(get_db)):
+    """Suggested expiry date for an item added today"""
+    storage, days, expiry_date = estimate_expiry(db, category, location, date.today())
+    return {"storage": storage, "days": days, "expiry_date": expiry_date}
+
+@app.post("/shelf-life/apply")
+async def apply_shelf_life_estimates(db: Session = Depends(get_db)):
+    """Give in-stock items without an expiry date an estimated one, counted from when they were added"""
+    items = db.query(ItemDB).filter(ItemDB.expiry_date.is_(None), ItemDB.quantity > 0).all()
+    updated = 0
+    for db_item in items:
+        start = db_item.added_date.date() if db_item.added_date else date.today()
+        _, _, expiry_date = estimate_expiry(db, db_item.category, db_item.location, start)
+        if expiry_date:
+            db_item.expiry_date = expiry_date
+            db_item.expiry_estimated = True
+            db_item.updated_date = datetime.utcnow()
+            updated += 1
+    db.commit()
+    return {"updated": updated, "skipped": len(items) - updated}
+
+# ============================================================================
+# EXPIRY RULES
+# ============================================================================
+
+def to_expiry_rules_response(db: Session, user_id: Optional[int]):
+    own = user_id is not None and db.query(ExpiryRuleDB).filter(ExpiryRuleDB.user_id == user_id).count() > 0
+    thresholds = get_expiry_thresholds(db, user_id)
+    rules = [{"category": None, "critical_days": thresholds["default"][0], "warning_days": thresholds["default"][1]}]
+    rules += [
+        {"category": category, "critical_days": critical_days, "warning_days": warning_days}
+        for category, (critical_days, warning_days) in sorted(thresholds["categories"].items())
+    ]
+    return {"scope": "user" if own else "household", "rules": rules}
+
+@app.get("/expiry-rules")
+async def get_expiry_rules(user_id: Optional[int] = None, db: Session = Depends(get_db)):
+    """Thresholds in effect: the default rule first, then per-category overrides"""
+    return to_expiry_rules_response(db, user_id)
+
+@app.put("/expiry-rules")
+async def save_expiry_rules(request: ExpiryRulesUpdate, db: Session = Depends(get_db)):
+    """Replace a user's rules (or the household's, without user_id). No rules for a user means household rules apply."""
+    categories = [rule.category or None for rule in request.rules]
+    if len(categories) != len(set(categories)):
+        raise HTTPException(status_code=400, detail="Only one rule per category")
+    for rule in request.rules:
+        if rule.critical_days < 0 or rule.warning_days > MAX_THRESHOLD_DAYS:
+            raise HTTPException(status_code=400, detail=f"Thresholds must be between 0 and {MAX_THRESHOLD_DAYS} days")
+        if rule.warning_days < rule.critical_days:
+            raise HTTPException(status_code=400, detail=f"{rule.category or 'Default'}: warning must be at least as long as critical")
+
+    owner = ExpiryRuleDB.user_id == request.user_id if request.user_id is not None else ExpiryRuleDB.user_id.is_(None)
+    db.query(ExpiryRuleDB).filter(owner).delete(synchronize_session=False)
+    for rule in request.rules:
+        db.add(ExpiryRuleDB(user_id=request.user_id, category=rule.category or None, **rule.model_dump(exclude={"category"})))
+    db.commit()
+    return to_expiry_rules_response(db, request.user_id)
+
+# ============================================================================
+# LABELS
+# ============================================================================
+
+# Crockford base32: no I, L, O or U, so codes can't be misread when typed
+LABEL_CODE_ALPHABET = "0123456789ABCDEFGHJKMNPQRSTVWXYZ"
+LABEL_CODE_PREFIX = "PP-"
+
+def new_label_code(db: Session) -> str:
+    """A random code like PP-4K7Q2M9X that no other item uses, including items in Recently Deleted"""
+    while True:
+        code = LABEL_CODE_PREFIX + "".join(secrets.choice(LABEL_CODE_ALPHABET) for _ in range(8))
+        if db.query(ItemDB).filter(ItemDB.label_code == code).first():
+            continue
+        # Snapshots are JSON, so look for the quoted code; a false match only costs another draw
+        if not db.query(DeletedItemDB).filter(DeletedItemDB.data.contains(json.dumps(code))).first():
+            return code
+
+@app.post("/items/labels", response_model=List[ItemResponse])
+async def prepare_labels(request: LabelRequest, db: Session = Depends(get_db)):
+    """Give each item a label code if it doesn't have one yet; returns the items in request order"""
+    items = {item.id: item for item in db.query(ItemDB).filter(ItemDB.id.in_(request.item_ids)).all()}
+    for db_item in items.values():
+        if not db_item.label_code:
+            db_item.label_code = new_label_code(db)
+            db.flush()
+    db.commit()
+    return [items[item_id] for item_id in request.item_ids if item_id in items]
+
+@app.get("/items/by-code/{code}", response_model=ItemResponse)
+async def get_item_by_label_code(code: str, db: Session = Depends(get_db)):
+    item = db.query(ItemDB).filter(ItemDB.label_code == code.strip().upper()).first()
+    if not item:
+        raise HTTPException(status_code=404, detail="No item has this label")
+    return item
+
 @app.get("/items/{item_id}", response_model=ItemResponse)
 async def get_item(item_id: int, db: Session = Depends(get_db)):
     item = db.query(ItemDB).filter(ItemDB.id == item_id).first()
@@ -133,14 +955,116 @@ async def get_item(item_id: int, db: Session = Depends(get_db)):
         raise HTTPException(status_code=404, detail="Item not found")
     return item
 
+# ============================================================================
+# USAGE HISTORY
+# ============================================================================
+
+USAGE_REASONS = ("consumed", "discarded")
+
+def record_usage(db: Session, db_item: ItemDB, used: Optional[int], reason: str = "consumed"):
+    """Log units taken out of stock so consumption and waste can be charted later. Returns the event, if any."""
+    if not used or used <= 0:
+        return None
+    event = ItemEventDB(
+        item_id=db_item.id,
+        event_type=reason,
+        quantity=used,
+        name=db_item.name,
+        category=db_item.category,
+        location=db_item.location,
+        purchased_date=db_item.added_date,
+        expiry_date=db_item.expiry_date,
+    )
+    db.add(event)
+    return event
+
+MAX_BATCH_SIZE = 500
+
+def apply_batch_changes(db: Session, db_item: ItemDB, changes: dict):
+    """Apply one batch edit to an item; raises ValueError if it can't apply to this item"""
+    for field in ("location", "category"):
+        if changes.get(field):
+            setattr(db_item, field, changes[field])
+    if changes.get("category"):
+        # The after-opening shelf life depends on the category
+        update_opened_expiry(db, db_item)
+    if "expiry_date" in changes:
+        db_item.expiry_date = changes["expiry_date"]
+        db_item.expiry_estimated = False
+    elif changes.get("expiry_shift_days"):
+        if not db_item.expiry_date:
+            raise ValueError("No expiry date to shift")
+        db_item.expiry_date = db_item.expiry_date + timedelta(days=changes["expiry_shift_days"])
+    if changes.get("quantity") is not None:
+        db_item.quantity = max(0, changes["quantity"])
+    elif changes.get("quantity_delta"):
+        db_item.quantity = max(0, (db_item.quantity or 0) + changes["quantity_delta"])
+    db_item.updated_date = datetime.utcnow()
+
+@app.post("/items/batch")
+async def batch_update_items(request: BatchUpdateRequest, db: Session = Depends(get_db)):
+    """Apply the same changes to many items; failures are reported per item"""
+    changes = request.changes.model_dump(exclude_unset=True)
+    if not changes:
+        raise HTTPException(status_code=400, detail="No changes given")
+    if "expiry_date" in changes and "expiry_shift_days" in changes:
+        raise HTTPException(status_code=400, detail="Set an expiry date or shift it, not both")
+    if "quantity" in changes and "quantity_delta" in changes:
+        raise HTTPException(status_code=400, detail="Set a quantity or adjust it, not both")
+    if len(request.item_ids) > MAX_BATCH_SIZE:
+        raise HTTPException(status_code=400, detail=f"At most {MAX_BATCH_SIZE} items per batch")
+
+    items = {item.id: item for item in db.query(ItemDB).filter(ItemDB.id.in_(request.item_ids)).all()}
+    results = []
+    for item_id in request.item_ids:
+        db_item = items.get(item_id)
+        if not db_item:
+            results.append({"id": item_id, "ok": False, "error": "Item not found"})
+            continue
+        try:
+            previous_quantity = db_item.quantity or 0
+            previous_location = db_item.location
+            apply_batch_changes(db, db_item, changes)
+            apply_location_move(db, db_item, previous_location, "expiry_date" in changes or "expiry_shift_days" in changes)
+            record_usage(db, db_item, previous_quantity - db_item.quantity)
+            results.append({"id": item_id, "ok": True})
+        except ValueError as e:
+            results.append({"id": item_id, "ok": False, "name": db_item.name, "error": str(e)})
+    db.commit()
+
+    for result in results:
+        if result["ok"]:
+            db_item = items[result["id"]]
+            db.refresh(db_item)
+            result["item"] = ItemResponse.model_validate(db_item).model_dump(mode="json")
+    return {
+        "updated": sum(1 for result in results if result["ok"]),
+        "failed": sum(1 for result in results if not result["ok"]),
+        "results": results,
+    }
+
 @app.put("/items/{item_id}", response_model=ItemResponse)
 async def update_item(item_id: int, item_update: ItemUpdate, db: Session = Depends(get_db)):
     db_item = db.query(ItemDB).filter(ItemDB.id == item_id).first()
     if not db_item:
         raise HTTPException(status_code=404, detail="Item not found")
     update_data = item_update.dict(exclude_unset=True)
+    reason = update_data.pop("reason", None) or "consumed"
+    if reason not in USAGE_REASONS:
+        raise HTTPException(status_code=400, detail="Reason must be 'consumed' or 'discarded'")
+    validate_date_type(update_data.get("date_type"))
+    previous_quantity = db_item.quantity or 0
+    previous_location = db_item.location
+    # The edit form sends every field; only a changed date counts as setting it
+    keep_expiry = update_data.get("expiry_date", db_item.expiry_date) != db_item.expiry_date
+    if "expiry_date" in update_data and "expiry_estimated" not in update_data:
+        update_data["expiry_estimated"] = False
     for field, value in update_data.items():
         setattr(db_item, field, value)
+    apply_location_move(db, db_item, previous_location, keep_expiry)
+    if OPENED_EXPIRY_FIELDS & update_data.keys():
+        update_opened_expiry(db, db_item)
+    record_usage(db, db_item, previous_quantity - (db_item.quantity or 0), reason)
     db_item.updated_date = datetime.utcnow()
     db.commit()
     db.refresh(db_item)
@@ -151,9 +1075,339 @@ async def delete_item(item_id: int, db: Session = Depends(get_db)):
     db_item = db.query(ItemDB).filter(ItemDB.id == item_id).first()
     if not db_item:
         raise HTTPException(status_code=404, detail="Item not found")
+    # Deleting what's left is the usual way to throw something out
+    entry = move_to_trash(db, db_item, discarded=True)
+    db.commit()
+    return {"message": "Item moved to Recently Deleted", "id": item_id, "trash_id": entry.id}
+
+# ============================================================================
+# RECENTLY DELETED
+# ============================================================================
+
+def move_to_trash(db: Session, db_item: ItemDB, discarded: bool = False):
+    """Delete an item, keeping a snapshot so it can be restored for TRASH_RETENTION_DAYS.
+    With `discarded`, units still in stock are logged as waste until the item is restored."""
+    snapshot = ItemResponse.model_validate(db_item).model_dump(mode="json")
+    event = record_usage(db, db_item, db_item.quantity, "discarded") if discarded else None
+    if event:
+        db.flush()
+    entry = DeletedItemDB(item_id=db_item.id, name=db_item.name, data=json.dumps(snapshot), event_id=event.id if event else None)
+    db.add(entry)
     db.delete(db_item)
+    return entry
+
+def purge_expired_trash(db: Session):
+    cutoff = datetime.utcnow() - timedelta(days=TRASH_RETENTION_DAYS)
+    db.query(DeletedItemDB).filter(DeletedItemDB.deleted_date < cutoff).delete()
+    db.commit()
+
+def to_deleted_item_response(entry: DeletedItemDB) -> DeletedItemResponse:
+    return DeletedItemResponse(
+        id=entry.id,
+        item_id=entry.item_id,
+        name=entry.name,
+        deleted_date=entry.deleted_date,
+        purge_date=entry.deleted_date + timedelta(days=TRASH_RETENTION_DAYS),
+        item=json.loads(entry.data),
+    )
+
+@app.get("/trash", response_model=List[DeletedItemResponse])
+async def get_deleted_items(db: Session = Depends(get_db)):
+    purge_expired_trash(db)
+    entries = db.query(DeletedItemDB).order_by(DeletedItemDB.deleted_date.desc(), DeletedItemDB.id.desc()).all()
+    return [to_deleted_item_response(entry) for entry in entries]
+
+@app.post("/trash/restore")
+async def restore_deleted_items(request: TrashRequest, db: Session = Depends(get_db)):
+    """Re-create deleted items, keeping their original id when it is still free"""
+    entries = db.query(DeletedItemDB).filter(DeletedItemDB.id.in_(request.ids)).order_by(DeletedItemDB.id).all()
+    restored = []
+    for entry in entries:
+        snapshot = ItemResponse.model_validate(json.loads(entry.data)).model_dump()
+        if db.query(ItemDB).filter(ItemDB.id == entry.item_id).first():
+            snapshot.pop("id")
+        # Keep its printed label working, unless another item took the code meanwhile (e.g. a backup restore)
+        code = snapshot["label_code"]
+        if code and db.query(ItemDB).filter(ItemDB.label_code == code).first():
+            snapshot["label_code"] = None
+        snapshot["updated_date"] = datetime.utcnow()
+        db_item = ItemDB(**snapshot)
+        db.add(db_item)
+        if entry.event_id:
+            # It wasn't thrown away after all
+            db.query(ItemEventDB).filter(ItemEventDB.id == entry.event_id).delete(synchronize_session=False)
+        db.delete(entry)
+        # So the next entry's id check sees this one (two entries can share an item id)
+        db.flush()
+        restored.append(db_item)
+    db.commit()
+    for db_item in restored:
+        db.refresh(db_item)
+    return {
+        "restored": len(restored),
+        "items": [ItemResponse.model_validate(db_item) for db_item in restored],
+    }
+
+@app.post("/trash/purge")
+async def purge_deleted_items(request: TrashRequest, db: Session = Depends(get_db)):
+    """Permanently delete items from Recently Deleted"""
+    purged = db.query(DeletedItemDB).filter(DeletedItemDB.id.in_(request.ids)).delete(synchronize_session=False)
+    db.commit()
+    return {"purged": purged}
+
+@app.delete("/trash")
+async def empty_trash(db: Session = Depends(get_db)):
+    purged = db.query(DeletedItemDB).delete()
+    db.commit()
+    return {"purged": purged}
+
+def backup_item_key(name: str, location: Optional[str], expiry_date: Optional[date], barcode: Optional[str]):
+    """Two items with the same key are treated as the same item when merging a backup"""
+    return ((name or "").strip().lower(), location or "", expiry_date, barcode or "")
+
+@app.post("/backup/restore")
+async def restore_backup(request: BackupRestoreRequest, db: Session = Depends(get_db)):
+    """Restore items from a backup in one transaction"""
+    if request.mode not in ("merge", "replace"):
+        raise HTTPException(status_code=400, detail="Mode must be 'merge' or 'replace'")
+
+    trashed = 0
+    existing_keys = set()
+    for db_item in db.query(ItemDB).all():
+        if request.mode == "replace":
+            move_to_trash(db, db_item)
+            trashed += 1
+        else:
+            existing_keys.add(backup_item_key(db_item.name, db_item.location, db_item.expiry_date, db_item.barcode))
+    # Delete replaced items before inserting, so restored label codes don't collide with them
+    db.flush()
+
+    created = 0
+    skipped = 0
+    used_codes = set()
+    for item in request.items:
+        key = backup_item_key(item.name, item.location, item.expiry_date, item.barcode)
+        if key in existing_keys:
+            skipped += 1
+            continue
+        data = item.model_dump()
+        # Keep printed labels working, unless another item already has the code
+        code = data["label_code"]
+        if code in used_codes or (code and request.mode == "merge" and db.query(ItemDB).filter(ItemDB.label_code == code).first()):
+            data["label_code"] = None
+        elif code:
+            used_codes.add(code)
+        data["added_date"] = data["added_date"] or datetime.utcnow()
+        db_item = ItemDB(**data)
+        update_opened_expiry(db, db_item)
+        db.add(db_item)
+        created += 1
+
+    db.commit()
+    return {"mode": request.mode, "created": created, "skipped": skipped, "trashed": trashed}
+
+# ============================================================================
+# STOCK-TAKE
+# ============================================================================
+
+@app.post("/audits")
+async def apply_audit(request: AuditRequest, db: Session = Depends(get_db)):
+    """Apply a counted shelf in one transaction and record when the location was audited"""
+    if request.missing_action not in ("zero", "trash"):
+        raise HTTPException(status_code=400, detail="Missing action must be 'zero' or 'trash'")
+
+    ids = [count.item_id for count in request.present] + request.missing
+    items = {item.id: item for item in db.query(ItemDB).filter(ItemDB.id.in_(ids)).all()}
+    # Items deleted elsewhere since the count started are left alone
+    skipped = len([item_id for item_id in ids if item_id not in items])
+
+    # Shortfalls found by a stock-take went unlogged; whether they were eaten or binned is unknown,
+    # so they are kept out of the consumption and waste figures
+    adjusted = 0
+    for count in request.present:
+        db_item = items.get(count.item_id)
+        if db_item and db_item.quantity != max(0, count.quantity):
+            record_usage(db, db_item, (db_item.quantity or 0) - max(0, count.quantity), "missing")
+            db_item.quantity = max(0, count.quantity)
+            db_item.updated_date = datetime.utcnow()
+            adjusted += 1
+
+    missing = 0
+    for item_id in request.missing:
+        db_item = items.get(item_id)
+        if not db_item:
+            continue
+        record_usage(db, db_item, db_item.quantity, "missing")
+        if request.missing_action == "trash":
+            move_to_trash(db, db_item)
+        else:
+            db_item.quantity = 0
+            db_item.updated_date = datetime.utcnow()
+        missing += 1
+
+    for item in request.found:
+        data = item.model_dump()
+        data["location"] = request.location
+        add_new_item(db, data)
+
+    audit = LocationAuditDB(
+        location=request.location,
+        expected=len(ids),
+        present=len(request.present),
+        adjusted=adjusted,
+        missing=missing,
+        found=len(request.found),
+    )
+    db.add(audit)
+    db.commit()
+    db.refresh(audit)
+    return {"audit": LocationAuditResponse.model_validate(audit), "skipped": skipped}
+
+@app.get("/audits/latest", response_model=List[LocationAuditResponse])
+async def get_latest_audits(db: Session = Depends(get_db)):
+    """The most recent audit of each location"""
+    latest_ids = [row[0] for row in db.query(func.max(LocationAuditDB.id)).group_by(LocationAuditDB.location).all()]
+    return db.query(LocationAuditDB).filter(LocationAuditDB.id.in_(latest_ids)).order_by(LocationAuditDB.location).all()
+
+def get_shopping_source(item: ItemDB) -> Optional[str]:
+    """Why an inventory item belongs on the shopping list, if it does"""
+    if item.quantity is not None and item.quantity <= 0:
+        return "depleted"
+    if get_expiry_status(item.expiry_date, item.opened_expiry_date, item.date_type) == "expired":
+        return "expired"
+    return None
+
+def sync_shopping_list(db: Session):
+    """Add entries for depleted/expired items and drop ones that no longer apply"""
+    generated = {
+        entry.item_id: entry
+        for entry in db.query(ShoppingItemDB).filter(ShoppingItemDB.item_id.isnot(None)).all()
+    }
+
+    for item in db.query(ItemDB).all():
+        source = get_shopping_source(item)
+        entry = generated.pop(item.id, None)
+        if source and not entry:
+            db.add(ShoppingItemDB(
+                item_id=item.id,
+                source=source,
+                barcode=item.barcode,
+                name=item.name,
+                brand=item.brand,
+                category=item.category,
+                location=item.location,
+                quantity=1,
+            ))
+        elif source and entry and entry.source != source:
+            entry.source = source
+        elif not source and entry and not entry.checked:
+            # Restocked or expiry fixed elsewhere
+            db.delete(entry)
+
+    # Items deleted from inventory keep their entry as a plain manual one
+    for entry in generated.values():
+        entry.item_id = None
+        entry.source = "manual"
+        if entry.dismissed:
+            db.delete(entry)
+
+    db.commit()
+
+@app.get("/shopping", response_model=List[ShoppingItemResponse])
+async def get_shopping_list(db: Session = Depends(get_db)):
+    sync_shopping_list(db)
+    return db.query(ShoppingItemDB).filter(ShoppingItemDB.dismissed == False).order_by(
+        ShoppingItemDB.checked, ShoppingItemDB.added_date.desc()
+    ).all()
+
+@app.post("/shopping", response_model=ShoppingItemResponse)
+async def add_shopping_item(entry: ShoppingItemCreate, db: Session = Depends(get_db)):
+    db_entry = ShoppingItemDB(**entry.dict(), source="manual")
+    db.add(db_entry)
+    db.commit()
+    db.refresh(db_entry)
+    return db_entry
+
+@app.put("/shopping/{entry_id}", response_model=ShoppingItemResponse)
+async def update_shopping_item(entry_id: int, entry_update: ShoppingItemUpdate, db: Session = Depends(get_db)):
+    db_entry = db.query(ShoppingItemDB).filter(ShoppingItemDB.id == entry_id).first()
+    if not db_entry:
+        raise HTTPException(status_code=404, detail="Shopping list entry not found")
+    for field, value in entry_update.dict(exclude_unset=True).items():
+        setattr(db_entry, field, value)
+    db.commit()
+    db.refresh(db_entry)
+    return db_entry
+
+@app.delete("/shopping/{entry_id}")
+async def delete_shopping_item(entry_id: int, db: Session = Depends(get_db)):
+    db_entry = db.query(ShoppingItemDB).filter(ShoppingItemDB.id == entry_id).first()
+    if not db_entry:
+        raise HTTPException(status_code=404, detail="Shopping list entry not found")
+    if db_entry.item_id is not None:
+        # Keep generated entries around so the next sync doesn't re-add them
+        db_entry.dismissed = True
+        db_entry.checked = False
+    else:
+        db.delete(db_entry)
+    db.commit()
+    return {"message": "Shopping list entry deleted successfully", "id": entry_id}
+
+@app.post("/shopping/purchase")
+async def purchase_shopping_items(db: Session = Depends(get_db)):
+    """Move checked entries back into inventory"""
+    entries = db.query(ShoppingItemDB).filter(
+        ShoppingItemDB.checked == True,
+        ShoppingItemDB.dismissed == False
+    ).all()
+
+    restocked = []
+    for entry in entries:
+        item = None
+        if entry.item_id is not None and entry.source == "depleted":
+            item = db.query(ItemDB).filter(ItemDB.id == entry.item_id).first()
+
+        if item:
+            # Refill the empty item in place; nothing about the old pack's dates applies to the new one
+            item.quantity = (item.quantity or 0) + entry.quantity
+            item.expiry_date = None
+            item.expiry_estimated = False
+            item.date_type = None
+            item.opened_date = None
+            item.opened_expiry_date = None
+            item.opened_shelf_life_days = None
+            item.frozen_date = date.today() if get_storage_type(db, item.location) == "freezer" else None
+            item.updated_date = datetime.utcnow()
+        else:
+            # Expired or manual entries become a fresh batch
+            item = ItemDB(
+                barcode=entry.barcode,
+                name=entry.name,
+                brand=entry.brand,
+                category=entry.category or "Uncategorized",
+                location=entry.location or "Basement Pantry",
+                quantity=entry.quantity,
+                notes=entry.notes,
+                manually_added=not entry.barcode,
+            )
+            db.add(item)
+
+        restocked.append(item)
+        if entry.source == "expired":
+            # The expired batch is still in inventory; don't list it again
+            entry.dismissed = True
+            entry.checked = False
+        else:
+            db.delete(entry)
+
     db.commit()
-    return {"message": "Item deleted successfully", "id": item_id}
+    for item in restocked:
+        db.refresh(item)
+
+    return {
+        "purchased": len(restocked),
+        "items": [ItemResponse.model_validate(item) for item in restocked]
+    }
 
 @app.get("/locations")
 async def get_locations(db: Session = Depends(get_db)):
@@ -189,6 +1443,78 @@ async def get_stats(db: Session = Depends(get_db)):
         "manually_added_count": db.query(ItemDB).filter(ItemDB.manually_added == True).count()
     }
 
+MAX_ANALYTICS_MONTHS = 36
+
+@app.get("/analytics")
+async def get_analytics(months: int = 12, db: Session = Depends(get_db)):
+    """Consumption and waste over the last `months` calendar months (UTC), including the current one"""
+    if months < 1 or months > MAX_ANALYTICS_MONTHS:
+        raise HTTPException(status_code=400, detail=f"Months must be between 1 and {MAX_ANALYTICS_MONTHS}")
+
+    today = date.today()
+    first_month = today.year * 12 + today.month - months  # months since year 0, zero-based
+    month_keys = [f"{index // 12:04d}-{index % 12 + 1:02d}" for index in range(first_month, first_month + months)]
+    start = datetime(first_month // 12, first_month % 12 + 1, 1)
+
+    monthly = {key: {"month": key, "consumed": 0, "discarded": 0} for key in month_keys}
+    categories = {}
+    locations = {}
+    totals = {"consumed": 0, "discarded": 0}
+    consumed_days = 0.0
+    consumed_with_date = 0
+
+    events = db.query(ItemEventDB).filter(ItemEventDB.event_date >= start, ItemEventDB.event_type.in_(USAGE_REASONS)).all()
+    for event in events:
+        quantity = event.quantity or 0
+        totals[event.event_type] += quantity
+        month = monthly.get(event.event_date.strftime("%Y-%m"))
+        if month:
+            month[event.event_type] += quantity
+        location = locations.setdefault(event.location or "Unknown", {"consumed": 0, "discarded": 0})
+        location[event.event_type] += quantity
+        if event.event_type == "discarded":
+            category = event.category or "Uncategorized"
+            categories[category] = categories.get(category, 0) + quantity
+        elif event.purchased_date:
+            consumed_days += (event.event_date - event.purchased_date).total_seconds() / 86400 * quantity
+            consumed_with_date += quantity
+
+    in_stock = {}
+    for name, quantity in db.query(ItemDB.location, func.sum(ItemDB.quantity)).group_by(ItemDB.location).all():
+        in_stock[name or "Unknown"] = in_stock.get(name or "Unknown", 0) + (quantity or 0)
+        locations.setdefault(name or "Unknown", {"consumed": 0, "discarded": 0})
+
+    location_rows = []
+    for name, usage in locations.items():
+        stock = in_stock.get(name, 0)
+        used = usage["consumed"] + usage["discarded"]
+        location_rows.append({
+            "location": name,
+            "consumed": usage["consumed"],
+            "discarded": usage["discarded"],
+            "in_stock": stock,
+            # How many times the current stock was used up over the period
+            "turnover": round(used / stock, 2) if stock else None,
+        })
+    location_rows.sort(key=lambda row: (-(row["consumed"] + row["discarded"]), row["location"]))
+
+    used = totals["consumed"] + totals["discarded"]
+    return {
+        "months": months,
+        "start_date": start.date(),
+        "totals": {
+            **totals,
+            "waste_rate": round(totals["discarded"] / used, 3) if used else None,
+        },
+        "monthly": list(monthly.values()),
+        "wasted_categories": [
+            {"category": category, "quantity": quantity}
+            for category, quantity in sorted(categories.items(), key=lambda entry: (-entry[1], entry[0]))
+        ],
+        "average_days_to_consume": round(consumed_days / consumed_with_date, 1) if consumed_with_date else None,
+        "locations": location_rows,
+    }
+
 def escape_csv_field(value):
     if value is None:
         return ''
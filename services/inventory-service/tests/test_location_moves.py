@@ -0,0 +1,51 @@
+# Expiry dates when items move in and out of a freezer.
+# Run from services/inventory-service: python -m unittest discover tests
+import os
+import sys
+import unittest
+from datetime import date, timedelta
+
+os.environ["DATABASE_URL"] = "sqlite://"
+sys.path.insert(0, os.path.join(os.path.dirname(__file__), ".."))
+
+from app.main import ItemDB, SessionLocal, apply_location_move  # noqa: E402
+
+
+class LocationMoveTest(unittest.TestCase):
+    def setUp(self):
+        self.db = SessionLocal()
+
+    def tearDown(self):
+        self.db.close()
+
+    def frozen_item(self, category):
+        return ItemDB(name="Chicken thighs", category=category, location="Freezer", quantity=1,
+                      expiry_date=date.today() + timedelta(days=150), expiry_estimated=False,
+                      frozen_date=date.today() - timedelta(days=30))
+
+    def test_thawing_resets_to_shelf_life_there(self):
+        item = self.frozen_item("Meat & Seafood")
+        item.location = "Fridge"
+        apply_location_move(self.db, item, "Freezer")
+        self.assertEqual(item.expiry_date, date.today() + timedelta(days=3))
+        self.assertTrue(item.expiry_estimated)
+        self.assertIsNone(item.frozen_date)
+
+    def test_thawing_without_estimate_clears_freezer_date(self):
+        # Meat & Seafood has no pantry shelf life
+        item = self.frozen_item("Meat & Seafood")
+        item.location = "Pantry"
+        apply_location_move(self.db, item, "Freezer")
+        self.assertIsNone(item.expiry_date)
+        self.assertFalse(item.expiry_estimated)
+        self.assertIsNone(item.frozen_date)
+
+    def test_thawing_keeps_a_date_set_in_the_same_edit(self):
+        item = self.frozen_item(None)
+        item.location = "Pantry"
+        apply_location_move(self.db, item, "Freezer", keep_expiry=True)
+        self.assertEqual(item.expiry_date, date.today() + timedelta(days=150))
+
+
+if __name__ == "__main__":
+    unittest.main()
@@ -0,0 +1,90 @@
+// PantryPal service worker - caches the app shell and the last-known inventory
+// so the app opens and shows data with no connection. Writes made offline are
+// queued by the app itself (src/offlineQueue.js), not here.
+
+// Replaced with a per-build version by vite.config.js (the worker only runs in builds).
+// Each deploy gets a fresh shell cache; cached inventory carries over.
+const VERSION = 'dev';
+const SHELL_CACHE = `pantrypal-shell-${VERSION}`;
+const API_CACHE = 'pantrypal-api-v1';
+
+const API_TIMEOUT = 4000;
+
+const SHELL_FILES = ['/', '/index.html', '/manifest.webmanifest', '/pantrypal-icon.svg'];
+
+// Read-only endpoints worth serving from cache when the network is down
+const CACHED_API_PATHS = [/^\/api\/items(\/|$)/, /^\/api\/locations$/, /^\/api\/categories$/, /^\/api\/shopping$/];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith('pantrypal-') && key !== SHELL_CACHE && key !== API_CACHE)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// The app clears cached inventory on logout
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'CLEAR_API_CACHE') {
+    event.waitUntil(caches.delete(API_CACHE));
+  }
+});
+
+// Try the network, keep a copy, fall back to the copy when offline. With a
+// timeout, a slow connection (basement Wi-Fi) also gets the copy instead of a hang.
+const networkFirst = async (request, cacheName, { cacheKey = request, timeout = 0 } = {}) => {
+  const cache = await caches.open(cacheName);
+  const network = fetch(request).then(response => {
+    if (response.ok) cache.put(cacheKey, response.clone());
+    return response;
+  });
+  network.catch(() => {}); // may be abandoned in favour of the cached copy
+  try {
+    if (!timeout) return await network;
+    return await Promise.race([
+      network,
+      new Promise((_, reject) => setTimeout(() => reject(new Error('Network timeout')), timeout)),
+    ]);
+  } catch (err) {
+    const cached = await cache.match(cacheKey);
+    if (cached) return cached;
+    if (err.message === 'Network timeout') return network;
+    throw err;
+  }
+};
+
+// Hashed build assets never change, so any cached copy is good
+const cacheFirst = async (request) => {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) cache.put(request, response.clone());
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    // Every route is the same SPA shell
+    event.respondWith(networkFirst(request, SHELL_CACHE, { cacheKey: '/index.html' }));
+  } else if (url.origin === self.location.origin && url.pathname.startsWith('/assets/')) {
+    event.respondWith(cacheFirst(request));
+  } else if (CACHED_API_PATHS.some(pattern => pattern.test(url.pathname))) {
+    // The API may live on another origin (Settings > API URL); match on path only
+    event.respondWith(networkFirst(request, API_CACHE, { timeout: API_TIMEOUT }));
+  }
+});
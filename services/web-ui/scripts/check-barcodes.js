@@ -0,0 +1,99 @@
+// Decode the still-image fixtures in test/barcodes and compare with expected.json.
+// Run with `npm run test:barcodes`; exits non-zero if any fixture decodes wrong.
+import { readFileSync, readdirSync } from 'node:fs';
+import { inflateSync } from 'node:zlib';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { createServer } from 'vite';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const FIXTURES = path.join(ROOT, 'test', 'barcodes');
+const FORMATS = ['ean_13', 'upc_a', 'ean_8', 'code_128'];
+
+// Channels per pixel for the 8-bit, non-interlaced PNG color types we read
+const CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 };
+
+/**
+ * Read an 8-bit grayscale or RGB(A) PNG into ImageData-like { data, width, height }
+ */
+function readPng(file) {
+  const buffer = readFileSync(file);
+  let offset = 8;
+  let header = null;
+  const idat = [];
+  while (offset < buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      header = { width: data.readUInt32BE(0), height: data.readUInt32BE(4), depth: data[8], colorType: data[9], interlace: data[12] };
+    } else if (type === 'IDAT') {
+      idat.push(data);
+    }
+    offset += length + 12;
+  }
+
+  const { width, height, depth, colorType, interlace } = header;
+  const channels = CHANNELS[colorType];
+  if (depth !== 8 || !channels || interlace) throw new Error(`${path.basename(file)}: only 8-bit, non-interlaced, non-palette PNGs are supported`);
+
+  const raw = inflateSync(Buffer.concat(idat));
+  const stride = width * channels;
+  const pixels = Buffer.alloc(height * stride);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    for (let x = 0; x < stride; x++) {
+      const left = x >= channels ? pixels[y * stride + x - channels] : 0;
+      const up = y > 0 ? pixels[(y - 1) * stride + x] : 0;
+      const upLeft = y > 0 && x >= channels ? pixels[(y - 1) * stride + x - channels] : 0;
+      let predicted = 0;
+      if (filter === 1) predicted = left;
+      else if (filter === 2) predicted = up;
+      else if (filter === 3) predicted = (left + up) >> 1;
+      else if (filter === 4) {
+        const p = left + up - upLeft;
+        const [pa, pb, pc] = [Math.abs(p - left), Math.abs(p - up), Math.abs(p - upLeft)];
+        predicted = pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+      }
+      pixels[y * stride + x] = (line[x] + predicted) & 0xff;
+    }
+  }
+
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    const pixel = pixels.subarray(i * channels, (i + 1) * channels);
+    const [r, g, b] = channels >= 3 ? pixel : [pixel[0], pixel[0], pixel[0]];
+    data.set([r, g, b, channels === 2 || channels === 4 ? pixel[channels - 1] : 255], i * 4);
+  }
+  return { data, width, height };
+}
+
+// The decoder uses extensionless imports, so load it the way the app does: through Vite
+const server = await createServer({
+  root: ROOT,
+  configFile: false,
+  logLevel: 'error',
+  server: { middlewareMode: true },
+  optimizeDeps: { noDiscovery: true, entries: [] },
+});
+let failures = 0;
+try {
+  const { decodeImageData } = await server.ssrLoadModule('/src/utils/barcodeDecoder.js');
+  const expected = JSON.parse(readFileSync(path.join(FIXTURES, 'expected.json'), 'utf8'));
+
+  for (const file of readdirSync(FIXTURES).filter(name => name.endsWith('.png')).sort()) {
+    const want = expected[file];
+    const got = decodeImageData(readPng(path.join(FIXTURES, file)), { formats: FORMATS });
+    const ok = want && got && got.format === want.format && got.rawValue === want.rawValue;
+    if (!ok) failures++;
+    console.log(`${ok ? '✓' : '✗'} ${file}: ${got ? `${got.format} ${got.rawValue}` : 'nothing found'}${!want ? ' (not in expected.json)' : ok ? '' : ` (expected ${want.format} ${want.rawValue})`}`);
+  }
+} finally {
+  await server.close();
+}
+
+if (failures > 0) {
+  console.error(`${failures} fixture${failures === 1 ? '' : 's'} failed`);
+  process.exit(1);
+}
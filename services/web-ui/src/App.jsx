@@ -1,16 +1,37 @@
 // Main App
 import { useState, useEffect } from 'react';
-import { BrowserRouter as Router, Routes, Route, Navigate, useNavigate, useLocation } from 'react-router-dom';
+import { createBrowserRouter, RouterProvider, Routes, Route, Navigate, useNavigate, useLocation, useSearchParams } from 'react-router-dom';
 import Sidebar from './components/Sidebar';
 import TopBar from './components/TopBar';
 import InventoryPage from './pages/InventoryPage';
 import AddItemPage from './pages/AddItemPage';
+import ItemDetailPage from './pages/ItemDetailPage';
+import ShoppingListPage from './pages/ShoppingListPage';
+import RecentlyDeletedPage from './pages/RecentlyDeletedPage';
+import ReportsPage from './pages/ReportsPage';
+import AnalyticsPage from './pages/AnalyticsPage';
+import LabelsPage from './pages/LabelsPage';
+import ScanLabelPage from './pages/ScanLabelPage';
+import AuditPage from './pages/AuditPage';
 import SettingsPage from './SettingsPage';
 import LandingPage from './LandingPage';
+import InventoryProvider from './components/InventoryProvider';
+import ToastProvider from './components/ToastProvider';
+import { clearOfflineCache } from './serviceWorker';
 import { getItems, getCurrentUser } from './api';
 import { useDarkMode } from './hooks/useDarkMode';
+import { useInventoryStore } from './hooks/useInventoryStore';
+import { useExpiryRules } from './hooks/useExpiryRules';
 import './App.css';
 
+// Old deep links used /add?id=42 for editing
+function AddRoute({ onBack, isDark }) {
+  const [searchParams] = useSearchParams();
+  const legacyId = searchParams.get('id');
+  if (legacyId) return <Navigate to={`/items/${legacyId}/edit`} replace />;
+  return <AddItemPage key="add" onBack={onBack} isDark={isDark} />;
+}
+
 function AppContent() {
   const [showLanding, setShowLanding] = useState(false);
   const [checkingAuth, setCheckingAuth] = useState(true);
@@ -18,14 +39,23 @@ function AppContent() {
   const [sidebarOpen, setSidebarOpen] = useState(true);
   const [filters, setFilters] = useState({});
   const { isDark, toggle: toggleDark } = useDarkMode();
+  const inventoryStore = useInventoryStore();
+  // Subscribed here so every expiry color and count re-renders when thresholds change
+  const { reload: reloadExpiryRules, reset: resetExpiryRules } = useExpiryRules();
   const navigate = useNavigate();
   const location = useLocation();
 
   useEffect(() => { checkAuth(); }, []);
 
+  // Each user can have their own thresholds
+  const userId = currentUser?.id;
+  useEffect(() => {
+    if (!checkingAuth && !showLanding) reloadExpiryRules();
+  }, [checkingAuth, showLanding, userId, reloadExpiryRules]);
+
   const checkAuth = async () => {
     try {
-      await getItems();
+      await getItems({ limit: 1 });
       // Fetch current user info
       try {
         const user = await getCurrentUser();
@@ -35,9 +65,10 @@ function AppContent() {
       }
       setShowLanding(false);
     } catch (error) {
-      // Show landing page for any auth errors (401) or network errors
+      // Show landing page for any auth errors (401) or network errors,
+      // except when the device is simply offline (changes get queued)
       const isAuthError = error.response?.status === 401;
-      const isNetworkError = !error.response;
+      const isNetworkError = !error.response && navigator.onLine;
       setShowLanding(isAuthError || isNetworkError);
 
       if (isAuthError) {
@@ -52,6 +83,16 @@ function AppContent() {
     setFilters(newFilters);
   };
 
+  const handleLogout = () => {
+    // Don't show the previous user's inventory to whoever logs in next
+    inventoryStore.reset();
+    resetExpiryRules();
+    clearOfflineCache();
+    setCurrentUser(null);
+    setShowLanding(true);
+    navigate('/');
+  };
+
   if (checkingAuth) {
     return (
       <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: '100vh', background: isDark ? '#0c0a09' : '#fafaf9' }}>
@@ -71,13 +112,22 @@ function AppContent() {
     <div className="app">
       <Sidebar isOpen={sidebarOpen} currentPath={location.pathname} onNavigate={navigate} onFilterChange={handleFilterChange} isDark={isDark} />
       <div className="main-content-wrapper">
-        <TopBar onMenuClick={() => setSidebarOpen(!sidebarOpen)} currentUser={currentUser} onLogout={() => { setCurrentUser(null); setShowLanding(true); navigate('/'); }} onSettingsClick={() => navigate('/settings')} isDark={isDark} onToggleDark={toggleDark} />
+        <TopBar onMenuClick={() => setSidebarOpen(!sidebarOpen)} currentUser={currentUser} onLogout={handleLogout} onSettingsClick={() => navigate('/settings')} isDark={isDark} onToggleDark={toggleDark} />
         <main className="main-content">
           <Routes>
             <Route path="/" element={<InventoryPage isDark={isDark} sidebarFilters={filters} />} />
             <Route path="/inventory" element={<InventoryPage isDark={isDark} sidebarFilters={filters} />} />
-            <Route path="/add" element={<AddItemPage onBack={() => navigate('/inventory')} isDark={isDark} />} />
-            <Route path="/settings" element={<SettingsPage currentUser={currentUser} onLogout={() => { setCurrentUser(null); setShowLanding(true); navigate('/'); }} onBack={() => navigate('/inventory')} isDark={isDark} />} />
+            <Route path="/add" element={<AddRoute onBack={() => navigate('/inventory')} isDark={isDark} />} />
+            <Route path="/items/:id" element={<ItemDetailPage isDark={isDark} />} />
+            <Route path="/items/:id/edit" element={<AddItemPage key="edit" onBack={() => navigate('/inventory')} isDark={isDark} />} />
+            <Route path="/shopping" element={<ShoppingListPage isDark={isDark} />} />
+            <Route path="/trash" element={<RecentlyDeletedPage isDark={isDark} />} />
+            <Route path="/analytics" element={<AnalyticsPage isDark={isDark} />} />
+            <Route path="/reports" element={<ReportsPage isDark={isDark} />} />
+            <Route path="/labels" element={<LabelsPage isDark={isDark} />} />
+            <Route path="/scan/:code" element={<ScanLabelPage isDark={isDark} />} />
+            <Route path="/audit" element={<AuditPage isDark={isDark} />} />
+            <Route path="/settings" element={<SettingsPage currentUser={currentUser} onLogout={handleLogout} onBack={() => navigate('/inventory')} isDark={isDark} />} />
             <Route path="*" element={<Navigate to="/" replace />} />
           </Routes>
         </main>
@@ -86,8 +136,17 @@ function AppContent() {
   );
 }
 
+// Data router so pages can block navigation (unsaved changes)
+const router = createBrowserRouter([{ path: '*', element: <AppContent /> }]);
+
 function App() {
-  return <Router><AppContent /></Router>;
+  return (
+    <InventoryProvider>
+      <ToastProvider>
+        <RouterProvider router={router} />
+      </ToastProvider>
+    </InventoryProvider>
+  );
 }
 
 export default App;
\ No newline at end of file
@@ -2,10 +2,18 @@ import React, { useState, useEffect } from 'react';
 import { User, Mail, Lock, Users, Shield, Activity } from 'lucide-react';
 import { getColors, spacing, borderRadius, getShadows } from './colors';
 import { getDefaultLocations, getDefaultCategories, saveDefaultLocations, saveDefaultCategories, DEFAULT_LOCATIONS, DEFAULT_CATEGORIES } from './defaults';
-import { getItems, addItemManual } from './api';
+import { getItems } from './api';
+import ImportWizard from './components/ImportWizard';
+import BackupPanel from './components/BackupPanel';
+import ExpiryRulesPanel from './components/ExpiryRulesPanel';
+import OpenedShelfLifePanel from './components/OpenedShelfLifePanel';
+import ShelfLifePanel from './components/ShelfLifePanel';
+import LocationProfilesPanel from './components/LocationProfilesPanel';
+import { useInventoryStore } from './hooks/useInventoryStore';
 
 function SettingsPage({ onBack, currentUser, isDark }) {
   const colors = getColors(isDark);
+  const inventoryStore = useInventoryStore();
   const shadows = getShadows(isDark);
   const [activeTab, setActiveTab] = useState('connection');
   
@@ -72,13 +80,6 @@ function SettingsPage({ onBack, currentUser, isDark }) {
   const [exportFilter, setExportFilter] = useState('all');
   const [exportValue, setExportValue] = useState('');
   const [exporting, setExporting] = useState(false);
-  const [importing, setImporting] = useState(false);
-  const [importFile, setImportFile] = useState(null);
-  const [importPreview, setImportPreview] = useState(null);
-  const [importOptions, setImportOptions] = useState({
-    skipDuplicates: true,
-    updateExisting: false,
-  });
 
   const isAdmin = currentUser?.is_admin;
 
@@ -583,143 +584,6 @@ function SettingsPage({ onBack, currentUser, isDark }) {
     }
   };
 
-  const handleImportFileSelect = (e) => {
-    const file = e.target.files[0];
-    if (!file) return;
-
-    if (!file.name.endsWith('.csv')) {
-      alert('Please select a CSV file');
-      return;
-    }
-
-    setImportFile(file);
-    parseCSVPreview(file);
-  };
-
-  const parseCSVPreview = (file) => {
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      const text = e.target.result;
-      const lines = text.split('\n').filter(line => line.trim());
-      
-      if (lines.length < 2) {
-        alert('CSV file is empty or invalid');
-        return;
-      }
-
-      const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''));
-      const rows = lines.slice(1, 6).map(line => {
-        const values = [];
-        let current = '';
-        let inQuotes = false;
-        
-        for (let char of line) {
-          if (char === '"') {
-            inQuotes = !inQuotes;
-          } else if (char === ',' && !inQuotes) {
-            values.push(current.trim().replace(/^"|"$/g, ''));
-            current = '';
-          } else {
-            current += char;
-          }
-        }
-        values.push(current.trim().replace(/^"|"$/g, ''));
-        return values;
-      });
-
-      setImportPreview({
-        headers,
-        rows,
-        totalRows: lines.length - 1,
-      });
-    };
-    reader.readAsText(file);
-  };
-
-  const performImport = async () => {
-    if (!importFile) return;
-
-    setImporting(true);
-    try {
-      const reader = new FileReader();
-      reader.onload = async (e) => {
-        const text = e.target.result;
-        const lines = text.split('\n').filter(line => line.trim());
-        const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''));
-        
-        let successCount = 0;
-        let skipCount = 0;
-        let errorCount = 0;
-
-        const existingItems = await getItems();
-        const existingBarcodes = new Set(existingItems.map(item => item.barcode).filter(Boolean));
-
-        for (let i = 1; i < lines.length; i++) {
-          try {
-            const values = [];
-            let current = '';
-            let inQuotes = false;
-            
-            for (let char of lines[i]) {
-              if (char === '"') {
-                inQuotes = !inQuotes;
-              } else if (char === ',' && !inQuotes) {
-                values.push(current.trim().replace(/^"|"$/g, ''));
-                current = '';
-              } else {
-                current += char;
-              }
-            }
-            values.push(current.trim().replace(/^"|"$/g, ''));
-
-            const item = {};
-            headers.forEach((header, index) => {
-              item[header.toLowerCase().replace(/ /g, '_')] = values[index] || '';
-            });
-
-            if (importOptions.skipDuplicates && item.barcode && existingBarcodes.has(item.barcode)) {
-              skipCount++;
-              continue;
-            }
-
-            const itemData = {
-              name: item.name || 'Unknown Item',
-              brand: item.brand || null,
-              category: item.category || 'Uncategorized',
-              location: item.location || 'Basement Pantry',
-              quantity: parseInt(item.quantity) || 1,
-              expiry_date: item.expiry_date || null,
-              notes: item.notes || '',
-              barcode: item.barcode || null,
-            };
-
-            await addItemManual(itemData);
-            successCount++;
-          } catch (error) {
-            console.error('Failed to import row:', error);
-            errorCount++;
-          }
-        }
-
-        alert(`✅ Import Complete!\n\n✓ ${successCount} items imported\n${skipCount > 0 ? `⊘ ${skipCount} duplicates skipped\n` : ''}${errorCount > 0 ? `✗ ${errorCount} errors` : ''}`);
-        
-        setImportFile(null);
-        setImportPreview(null);
-      };
-      reader.readAsText(importFile);
-    } catch (error) {
-      console.error('Import failed:', error);
-      alert('❌ Import failed. Please check the CSV format and try again.');
-    } finally {
-      setImporting(false);
-    }
-  };
-
-  const cancelImport = () => {
-    setImportFile(null);
-    setImportPreview(null);
-  };
-
   // Tabs configuration
   const tabs = [
     { id: 'connection', label: '🌐 Connection' },
@@ -1874,7 +1738,7 @@ function SettingsPage({ onBack, currentUser, isDark }) {
         {/* IMPORT/EXPORT TAB */}
         {activeTab === 'importexport' && (
           <div>
-            {/* Import Section */}
+            {/* Backup Section */}
             <div style={{
               background: colors.card,
               padding: spacing.xl,
@@ -1882,136 +1746,40 @@ function SettingsPage({ onBack, currentUser, isDark }) {
               boxShadow: '0 2px 8px rgba(0,0,0,0.05)',
               marginBottom: spacing.lg,
             }}>
-              <h2 style={{ marginTop: 0, color: colors.textPrimary }}>📤 Import from CSV</h2>
+              <h2 style={{ marginTop: 0, color: colors.textPrimary }}>💾 Backup & Restore</h2>
               <p style={{ color: colors.textSecondary, lineHeight: 1.6 }}>
-                Import items in bulk from a CSV file.
+                A JSON backup keeps everything: items with all their details, your locations and categories, and preferences.
+                Every backup is checked before anything is restored.
               </p>
+              <BackupPanel
+                onRestored={({ locations: restoredLocations, categories: restoredCategories }) => {
+                  setLocations(restoredLocations);
+                  setCategories(restoredCategories);
+                  inventoryStore.revalidate();
+                }}
+                isDark={isDark}
+              />
+            </div>
 
-              {!importPreview ? (
-                <div>
-                  <input
-                    type="file"
-                    accept=".csv"
-                    onChange={handleImportFileSelect}
-                    style={{ display: 'none' }}
-                    id="csv-upload"
-                  />
-                  <label
-                    htmlFor="csv-upload"
-                    style={{
-                      display: 'inline-block',
-                      padding: spacing.lg,
-                      borderRadius: borderRadius.lg,
-                      border: `2px dashed ${colors.border}`,
-                      background: colors.background,
-                      color: colors.textPrimary,
-                      fontWeight: 'bold',
-                      cursor: 'pointer',
-                      textAlign: 'center',
-                      width: '100%',
-                      marginTop: spacing.md,
-                    }}
-                  >
-                    📁 Choose CSV File
-                  </label>
-
-                  <div style={{ marginTop: spacing.lg }}>
-                    <label style={{
-                      display: 'flex',
-                      alignItems: 'center',
-                      gap: spacing.sm,
-                      cursor: 'pointer',
-                    }}>
-                      <input
-                        type="checkbox"
-                        checked={importOptions.skipDuplicates}
-                        onChange={(e) => setImportOptions({...importOptions, skipDuplicates: e.target.checked})}
-                      />
-                      <span style={{ color: colors.textPrimary }}>Skip duplicate barcodes</span>
-                    </label>
-                  </div>
-                </div>
-              ) : (
-                <div style={{ marginTop: spacing.lg }}>
-                  <h3 style={{ color: colors.textPrimary }}>Preview ({importPreview.totalRows} items)</h3>
-                  <div style={{
-                    overflowX: 'auto',
-                    marginTop: spacing.md,
-                    marginBottom: spacing.lg,
-                  }}>
-                    <table style={{
-                      width: '100%',
-                      borderCollapse: 'collapse',
-                      fontSize: '14px',
-                    }}>
-                      <thead>
-                        <tr style={{ background: colors.background }}>
-                          {importPreview.headers.map((header, i) => (
-                            <th key={i} style={{
-                              padding: spacing.sm,
-                              textAlign: 'left',
-                              borderBottom: `2px solid ${colors.border}`,
-                              fontWeight: 'bold',
-                            }}>
-                              {header}
-                            </th>
-                          ))}
-                        </tr>
-                      </thead>
-                      <tbody>
-                        {importPreview.rows.map((row, i) => (
-                          <tr key={i}>
-                            {row.map((cell, j) => (
-                              <td key={j} style={{
-                                padding: spacing.sm,
-                                borderBottom: `1px solid ${colors.border}`,
-                              }}>
-                                {cell}
-                              </td>
-                            ))}
-                          </tr>
-                        ))}
-                      </tbody>
-                    </table>
-                  </div>
+            {/* Import Section */}
+            <div style={{
+              background: colors.card,
+              padding: spacing.xl,
+              borderRadius: borderRadius.lg,
+              boxShadow: '0 2px 8px rgba(0,0,0,0.05)',
+              marginBottom: spacing.lg,
+            }}>
+              <h2 style={{ marginTop: 0, color: colors.textPrimary }}>📤 Import Items</h2>
+              <p style={{ color: colors.textSecondary, lineHeight: 1.6 }}>
+                Import items in bulk from a CSV or Excel file, a Grocy export, or a plain-text list. You can match its columns to item fields and check every row before anything is added.
+              </p>
 
-                  <div style={{ display: 'flex', gap: spacing.md }}>
-                    <button
-                      onClick={performImport}
-                      disabled={importing}
-                      style={{
-                        flex: 1,
-                        padding: spacing.lg,
-                        borderRadius: borderRadius.lg,
-                        border: 'none',
-                        background: colors.primary,
-                        color: colors.textPrimary,
-                        fontWeight: 'bold',
-                        cursor: importing ? 'not-allowed' : 'pointer',
-                        opacity: importing ? 0.6 : 1,
-                      }}
-                    >
-                      {importing ? '⏳ Importing...' : `📤 Import ${importPreview.totalRows} Items`}
-                    </button>
-                    <button
-                      onClick={cancelImport}
-                      disabled={importing}
-                      style={{
-                        padding: spacing.lg,
-                        borderRadius: borderRadius.lg,
-                        border: 'none',
-                        background: colors.textSecondary,
-                        color: colors.card,
-                        fontWeight: 'bold',
-                        cursor: importing ? 'not-allowed' : 'pointer',
-                        opacity: importing ? 0.6 : 1,
-                      }}
-                    >
-                      Cancel
-                    </button>
-                  </div>
-                </div>
-              )}
+              <ImportWizard
+                locations={locations}
+                categories={categories}
+                onImported={() => inventoryStore.revalidate()}
+                isDark={isDark}
+              />
             </div>
 
             {/* Export Section */}
@@ -2426,6 +2194,14 @@ function SettingsPage({ onBack, currentUser, isDark }) {
               </div>
             </div>
 
+            <ExpiryRulesPanel categories={categories} currentUser={currentUser} isDark={isDark} />
+
+            <ShelfLifePanel categories={categories} isDark={isDark} />
+
+            <LocationProfilesPanel locations={locations} isDark={isDark} />
+
+            <OpenedShelfLifePanel categories={categories} isDark={isDark} />
+
             <button
               onClick={savePreferences}
               style={{
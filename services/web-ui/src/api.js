@@ -26,10 +26,17 @@ export const removeApiKey = () => {
   localStorage.removeItem('API_KEY');
 };
 
+// Identifies this tab so it can ignore live events about its own changes
+// (crypto.randomUUID is missing on plain-http LAN installs)
+const CLIENT_ID = globalThis.crypto?.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+export const getClientId = () => CLIENT_ID;
+
 // Create axios instance with dynamic base URL and API key
 const createApiInstance = () => {
   const headers = {
     'Content-Type': 'application/json',
+    'X-Client-Id': CLIENT_ID,
   };
   
   // Add API key header if available
@@ -77,13 +84,79 @@ export const checkAuthStatus = async () => {
   }
 };
 
+// Query params for /api/items from a filters object
+// { location, category, search, barcode, expiryStatus, expiresWithin, sort, order, limit, offset }
+const buildItemParams = (filters = {}) => {
+  const params = {
+    location: filters.location,
+    category: filters.category,
+    search: filters.search,
+    barcode: filters.barcode,
+    expiry_status: filters.expiryStatus,
+    expires_within: filters.expiresWithin,
+    sort: filters.sort,
+    order: filters.order,
+    limit: filters.limit,
+    offset: filters.offset,
+  };
+  return Object.fromEntries(Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '' && value !== 'all'));
+};
+
 // Get items
-export const getItems = async (location = null, search = null) => {
+export const getItems = async (filters = {}) => {
   const api = createApiInstance();
-  const params = {};
-  if (location) params.location = location;
-  if (search) params.search = search;
-  const response = await api.get('/api/items', { params });
+  const response = await api.get('/api/items', { params: buildItemParams(filters) });
+  return response.data;
+};
+
+// Get one page of items plus the total number of matches
+export const getItemsPage = async (filters = {}) => {
+  const api = createApiInstance();
+  const response = await api.get('/api/items', { params: buildItemParams(filters) });
+  const total = parseInt(response.headers['x-total-count'], 10);
+  return { items: response.data, total: Number.isNaN(total) ? response.data.length : total };
+};
+
+// Get item counts by expiry status, location and category
+export const getItemsSummary = async (filters = {}) => {
+  const api = createApiInstance();
+  const { sort: _sort, order: _order, limit: _limit, offset: _offset, ...summaryFilters } = filters;
+  const response = await api.get('/api/items/summary', { params: buildItemParams(summaryFilters) });
+  return response.data;
+};
+
+// Look up product info for a barcode (Open Food Facts / UPCitemdb via lookup-service)
+export const lookupBarcode = async (barcode) => {
+  const api = createApiInstance();
+  const response = await api.get(`/api/lookup/${encodeURIComponent(barcode)}`);
+  return response.data;
+};
+
+// Get every item (batch) sharing a barcode
+export const getItemsByBarcode = async (barcode) => {
+  const api = createApiInstance();
+  const response = await api.get('/api/items', { params: buildItemParams({ barcode }) });
+  return response.data;
+};
+
+// Get a single item by id
+export const getItem = async (itemId) => {
+  const api = createApiInstance();
+  const response = await api.get(`/api/items/${itemId}`);
+  return response.data;
+};
+
+// Find the item a printed label belongs to
+export const getItemByLabelCode = async (code) => {
+  const api = createApiInstance();
+  const response = await api.get(`/api/items/by-code/${encodeURIComponent(code)}`);
+  return response.data;
+};
+
+// Give items label codes (if they don't have one) before printing labels
+export const prepareLabels = async (itemIds) => {
+  const api = createApiInstance();
+  const response = await api.post('/api/items/labels', { item_ids: itemIds });
   return response.data;
 };
 
@@ -106,13 +179,162 @@ export const updateItem = async (itemId, updates) => {
   return response.data;
 };
 
-// Delete item
+// Apply the same changes to many items; the result lists failures per item
+export const batchUpdateItems = async (itemIds, changes) => {
+  const api = createApiInstance();
+  const response = await api.post('/api/items/batch', { item_ids: itemIds, changes });
+  return response.data;
+};
+
+// Mark an item opened; when there are several, one is split off into its own item.
+// Returns { item, source } where source is the remaining unopened batch (or null)
+export const openItem = async (itemId, openedDate = null) => {
+  const api = createApiInstance();
+  const response = await api.post(`/api/items/${itemId}/open`, { opened_date: openedDate });
+  return response.data;
+};
+
+// Delete item (into Recently Deleted): { id, trash_id }
 export const deleteItem = async (itemId) => {
   const api = createApiInstance();
   const response = await api.delete(`/api/items/${itemId}`);
   return response.data;
 };
 
+// Get items deleted in the last 30 days
+export const getDeletedItems = async () => {
+  const api = createApiInstance();
+  const response = await api.get('/api/trash');
+  return response.data;
+};
+
+// Restore deleted items (by their Recently Deleted entry ids)
+export const restoreDeletedItems = async (trashIds) => {
+  const api = createApiInstance();
+  const response = await api.post('/api/trash/restore', { ids: trashIds });
+  return response.data;
+};
+
+// Permanently delete items from Recently Deleted
+export const purgeDeletedItems = async (trashIds) => {
+  const api = createApiInstance();
+  const response = await api.post('/api/trash/purge', { ids: trashIds });
+  return response.data;
+};
+
+// Permanently delete everything in Recently Deleted
+export const emptyTrash = async () => {
+  const api = createApiInstance();
+  const response = await api.delete('/api/trash');
+  return response.data;
+};
+
+// Restore items from a JSON backup; mode is 'merge' or 'replace'
+export const restoreBackupItems = async (mode, items) => {
+  const api = createApiInstance();
+  const response = await api.post('/api/backup/restore', { mode, items }, { timeout: 60000 });
+  return response.data;
+};
+
+// Apply a stock-take of one location as a single batch
+export const applyAudit = async (audit) => {
+  const api = createApiInstance();
+  const response = await api.post('/api/audits', audit);
+  return response.data;
+};
+
+// Most recent stock-take of each location
+export const getLatestAudits = async () => {
+  const api = createApiInstance();
+  const response = await api.get('/api/audits/latest');
+  return response.data;
+};
+
+// Consumed vs. discarded history over the last `months` months
+export const getAnalytics = async (months = 12) => {
+  const api = createApiInstance();
+  const response = await api.get('/api/analytics', { params: { months } });
+  return response.data;
+};
+
+// Expiry thresholds in effect for the current user: { scope, rules }
+export const getExpiryRules = async () => {
+  const api = createApiInstance();
+  const response = await api.get('/api/expiry-rules');
+  return response.data;
+};
+
+// Save the current user's expiry thresholds (the household's when not logged in)
+export const saveExpiryRules = async (rules) => {
+  const api = createApiInstance();
+  const response = await api.put('/api/expiry-rules', { rules });
+  return response.data;
+};
+
+// After-opening shelf life per category: [{ category, days }]
+export const getOpenedShelfLife = async () => {
+  const api = createApiInstance();
+  const response = await api.get('/api/opened-shelf-life');
+  return response.data;
+};
+
+// Replace the household's after-opening shelf life rules
+export const saveOpenedShelfLife = async (rules) => {
+  const api = createApiInstance();
+  const response = await api.put('/api/opened-shelf-life', { rules });
+  return response.data;
+};
+
+// Storage type and move behaviour per location: [{ location, storage, on_move, saved }].
+// Locations without a saved profile are guessed from their name.
+export const getLocationProfiles = async (locations = []) => {
+  const api = createApiInstance();
+  const response = await api.get('/api/location-profiles', { params: locations.length ? { locations: locations.join(',') } : {} });
+  return response.data;
+};
+
+// Replace the location profiles
+export const saveLocationProfiles = async (profiles) => {
+  const api = createApiInstance();
+  const response = await api.put('/api/location-profiles', { profiles });
+  return response.data;
+};
+
+// Typical shelf life per category: [{ category, pantry_days, fridge_days, freezer_days }]
+export const getShelfLife = async () => {
+  const api = createApiInstance();
+  const response = await api.get('/api/shelf-life');
+  return response.data;
+};
+
+// Replace the shelf-life table
+export const saveShelfLife = async (estimates) => {
+  const api = createApiInstance();
+  const response = await api.put('/api/shelf-life', { estimates });
+  return response.data;
+};
+
+// Estimated expiry for an item added today: { storage, days, expiry_date } (days null without an estimate)
+export const getShelfLifeEstimate = async (category, location) => {
+  const api = createApiInstance();
+  const response = await api.get('/api/shelf-life/estimate', { params: { category, location } });
+  return response.data;
+};
+
+// Estimate expiry dates for in-stock items that have none: { updated, skipped }
+export const applyShelfLifeEstimates = async () => {
+  const api = createApiInstance();
+  const response = await api.post('/api/shelf-life/apply');
+  return response.data;
+};
+
+// List API keys (metadata only, never the key values)
+export const getApiKeys = async () => {
+  const api = createApiInstance();
+  const response = await api.get('/api/auth/keys');
+  return response.data.keys || [];
+};
+
 // Get statistics
 export const getStats = async () => {
   const api = createApiInstance();
@@ -134,6 +356,41 @@ export const getCategories = async () => {
   return response.data;
 };
 
+// Get shopping list (depleted, expired and manual entries)
+export const getShoppingList = async () => {
+  const api = createApiInstance();
+  const response = await api.get('/api/shopping');
+  return response.data;
+};
+
+// Add shopping list entry
+export const addShoppingItem = async (entry) => {
+  const api = createApiInstance();
+  const response = await api.post('/api/shopping', entry);
+  return response.data;
+};
+
+// Update shopping list entry
+export const updateShoppingItem = async (entryId, updates) => {
+  const api = createApiInstance();
+  const response = await api.put(`/api/shopping/${entryId}`, updates);
+  return response.data;
+};
+
+// Delete shopping list entry
+export const deleteShoppingItem = async (entryId) => {
+  const api = createApiInstance();
+  const response = await api.delete(`/api/shopping/${entryId}`);
+  return response.data;
+};
+
+// Re-add checked shopping list entries to inventory
+export const purchaseShoppingItems = async () => {
+  const api = createApiInstance();
+  const response = await api.post('/api/shopping/purchase');
+  return response.data;
+};
+
 // Get auth mode
 export const getAuthMode = async () => {
   const api = createApiInstance();
@@ -165,6 +422,50 @@ export const logout = async () => {
   }
 };
 
+// Stream live inventory events (Server-Sent Events). Uses fetch rather than
+// EventSource so the API key header can be sent. Resolves when the server
+// closes the stream; rejects on network errors or a non-2xx response.
+export const streamInventoryEvents = async ({ onOpen, onEvent, signal }) => {
+  const headers = { Accept: 'text/event-stream' };
+  const apiKey = getApiKey();
+  if (apiKey) {
+    headers['X-API-Key'] = apiKey;
+  }
+
+  const response = await fetch(`${getApiBaseUrl()}/api/events`, { headers, credentials: 'include', signal });
+  if (!response.ok || !response.body) {
+    const error = new Error(`Event stream failed (${response.status})`);
+    error.status = response.status;
+    throw error;
+  }
+  onOpen?.();
+
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    buffer += value.replace(/\r\n?/g, '\n');
+
+    // Events are separated by a blank line; comments (": keep-alive") have no data
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      const data = block.split('\n')
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).replace(/^ /, ''))
+        .join('\n');
+      if (!data) continue;
+      try {
+        onEvent(JSON.parse(data));
+      } catch (err) {
+        console.error('Bad inventory event:', err);
+      }
+    }
+  }
+};
+
 export const exportItemsCSV = async () => {
   const api = createApiInstance();
   const response = await api.get('/api/export/csv', {
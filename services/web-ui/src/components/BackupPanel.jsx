@@ -0,0 +1,193 @@
+// Backup & restore panel - download the whole household as JSON, or restore it by merging or replacing
+import { useState } from 'react';
+import { Download, Upload, AlertTriangle, CheckCircle, Info } from 'lucide-react';
+import { getColors, spacing, borderRadius } from '../colors';
+import { getItems, getApiKeys, restoreBackupItems } from '../api';
+import { getDefaultLocations, getDefaultCategories, saveDefaultLocations, saveDefaultCategories } from '../defaults';
+import { createBackup, downloadBackup, readBackupFile, verifyBackup, getPreferences, applyPreferences } from '../utils/backup';
+
+const union = (current, incoming) => [...current, ...incoming.filter(entry => !current.includes(entry))];
+
+export function BackupPanel({ onRestored, isDark }) {
+  const colors = getColors(isDark);
+  const [creating, setCreating] = useState(false);
+  const [restoring, setRestoring] = useState(false);
+  const [fileName, setFileName] = useState(null);
+  const [check, setCheck] = useState(null); // { backup, errors, warnings }
+  const [mode, setMode] = useState('merge');
+  const [result, setResult] = useState(null);
+
+  const handleCreate = async () => {
+    setCreating(true);
+    try {
+      const items = await getItems();
+      // Key metadata needs auth; a backup without it is still useful
+      const apiKeys = await getApiKeys().catch(() => []);
+      downloadBackup(createBackup({
+        items,
+        locations: getDefaultLocations(),
+        categories: getDefaultCategories(),
+        preferences: getPreferences(),
+        apiKeys,
+      }));
+    } catch (error) {
+      console.error('Backup failed:', error);
+      alert('❌ Backup failed. Please try again.');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleFileSelect = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setResult(null);
+    setFileName(file.name);
+    try {
+      setCheck(verifyBackup(await readBackupFile(file)));
+    } catch (error) {
+      setCheck({ backup: null, errors: [error.message], warnings: [] });
+    }
+  };
+
+  const cancelRestore = () => {
+    setFileName(null);
+    setCheck(null);
+    setMode('merge');
+  };
+
+  const handleRestore = async () => {
+    const { data } = check.backup;
+    if (mode === 'replace' && !window.confirm(`Replace your whole inventory with the ${data.items.length} items in this backup? Current items will be moved to Recently Deleted.`)) {
+      return;
+    }
+
+    setRestoring(true);
+    try {
+      // Items first: if the server rejects them, nothing local has changed yet
+      const itemResult = await restoreBackupItems(mode, data.items);
+      const locations = mode === 'replace' ? data.locations : union(getDefaultLocations(), data.locations);
+      const categories = mode === 'replace' ? data.categories : union(getDefaultCategories(), data.categories);
+      saveDefaultLocations(locations);
+      saveDefaultCategories(categories);
+      if (mode === 'replace') applyPreferences(data.preferences);
+
+      setResult({ ...itemResult, preferences: mode === 'replace' && Object.keys(data.preferences || {}).length > 0 });
+      setFileName(null);
+      setCheck(null);
+      onRestored?.({ locations, categories });
+    } catch (error) {
+      alert('❌ Restore failed: ' + (error.response?.data?.detail || error.message) + '\n\nNothing was changed.');
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  const buttonStyle = (background, disabled) => ({
+    padding: `${spacing.md} ${spacing.lg}`,
+    borderRadius: borderRadius.lg,
+    border: 'none',
+    background,
+    color: 'white',
+    fontWeight: 'bold',
+    cursor: disabled ? 'not-allowed' : 'pointer',
+    opacity: disabled ? 0.6 : 1,
+    display: 'inline-flex',
+    alignItems: 'center',
+    gap: spacing.sm,
+  });
+
+  const backup = check?.backup;
+  const canRestore = backup && check.errors.length === 0 && !restoring;
+
+  return (
+    <div>
+      <div style={{ display: 'flex', gap: spacing.md, flexWrap: 'wrap', marginTop: spacing.md }}>
+        <button onClick={handleCreate} disabled={creating} style={buttonStyle(colors.primary, creating)}>
+          <Download size={18} />
+          {creating ? 'Preparing...' : 'Download Backup'}
+        </button>
+        <input type="file" accept=".json,application/json" onChange={handleFileSelect} style={{ display: 'none' }} id="backup-upload" />
+        <label htmlFor="backup-upload" style={{ ...buttonStyle(colors.info, restoring), pointerEvents: restoring ? 'none' : 'auto' }}>
+          <Upload size={18} />
+          Restore from Backup
+        </label>
+      </div>
+
+      {check && (
+        <div style={{ marginTop: spacing.lg, padding: spacing.lg, borderRadius: borderRadius.lg, border: `1px solid ${colors.border}`, background: colors.background }}>
+          <div style={{ fontWeight: '600', color: colors.textPrimary, marginBottom: spacing.sm }}>{fileName}</div>
+
+          {backup && (
+            <div style={{ fontSize: '14px', color: colors.textSecondary, marginBottom: spacing.md, lineHeight: 1.6 }}>
+              Made {new Date(backup.created_at).toLocaleString()} · format version {backup.version}
+              <br />
+              {backup.data.items?.length ?? 0} items · {backup.data.locations?.length ?? 0} locations · {backup.data.categories?.length ?? 0} categories
+            </div>
+          )}
+
+          {check.errors.length > 0 && (
+            <div style={{ background: colors.expiredBg, borderRadius: borderRadius.md, padding: spacing.md, marginBottom: spacing.md, fontSize: '13px' }}>
+              <div style={{ display: 'flex', alignItems: 'center', gap: spacing.xs, color: colors.expiredText, fontWeight: '600', marginBottom: spacing.xs }}>
+                <AlertTriangle size={14} />
+                This backup can't be restored
+              </div>
+              {check.errors.map(error => <div key={error} style={{ color: colors.textSecondary }}>{error}</div>)}
+            </div>
+          )}
+
+          {check.warnings.map(warning => (
+            <div key={warning} style={{ display: 'flex', alignItems: 'flex-start', gap: spacing.xs, fontSize: '13px', color: colors.textSecondary, marginBottom: spacing.sm }}>
+              <Info size={14} style={{ flexShrink: 0, marginTop: '2px' }} />
+              {warning}
+            </div>
+          ))}
+
+          {check.errors.length === 0 && (
+            <div style={{ marginBottom: spacing.md }}>
+              {[
+                { value: 'merge', label: 'Merge', hint: 'Add items that aren\'t already here and combine location and category lists. Your preferences stay as they are.' },
+                { value: 'replace', label: 'Replace', hint: 'Move every current item to Recently Deleted, then restore the backup exactly, including preferences.' },
+              ].map(option => (
+                <label key={option.value} style={{ display: 'flex', gap: spacing.sm, cursor: 'pointer', marginBottom: spacing.sm, alignItems: 'flex-start' }}>
+                  <input type="radio" name="restore-mode" value={option.value} checked={mode === option.value} onChange={() => setMode(option.value)} style={{ marginTop: '3px' }} />
+                  <span>
+                    <span style={{ fontWeight: '600', color: colors.textPrimary }}>{option.label}</span>
+                    <span style={{ display: 'block', fontSize: '13px', color: colors.textSecondary }}>{option.hint}</span>
+                  </span>
+                </label>
+              ))}
+            </div>
+          )}
+
+          <div style={{ display: 'flex', gap: spacing.md }}>
+            {check.errors.length === 0 && (
+              <button onClick={handleRestore} disabled={!canRestore} style={buttonStyle(mode === 'replace' ? colors.danger : colors.primary, !canRestore)}>
+                {restoring ? '⏳ Restoring...' : mode === 'replace' ? 'Replace Everything' : 'Merge Backup'}
+              </button>
+            )}
+            <button onClick={cancelRestore} disabled={restoring} style={{ ...buttonStyle(colors.textSecondary, restoring), color: colors.card }}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {result && (
+        <div style={{ marginTop: spacing.lg, display: 'flex', alignItems: 'flex-start', gap: spacing.sm, color: colors.textPrimary, fontSize: '14px' }}>
+          <CheckCircle size={18} color={colors.success} style={{ flexShrink: 0 }} />
+          <div>
+            Restored {result.created} item{result.created === 1 ? '' : 's'}
+            {result.skipped > 0 && `, skipped ${result.skipped} already in your inventory`}
+            {result.trashed > 0 && `. ${result.trashed} previous item${result.trashed === 1 ? ' is' : 's are'} in Recently Deleted`}.
+            {result.preferences && ' Reload the page to apply restored preferences.'}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BackupPanel;
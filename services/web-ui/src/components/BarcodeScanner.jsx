@@ -0,0 +1,156 @@
+// Camera barcode scanner - BarcodeDetector with pure-JS fallback
+import { useState, useEffect, useRef } from 'react';
+import { X, ImagePlus, CameraOff } from 'lucide-react';
+import { getColors, spacing, borderRadius } from '../colors';
+import { SUPPORTED_FORMATS, decodeImageSource, decodeImageFile } from '../utils/barcodeDecoder';
+
+const SCAN_INTERVAL_MS = 250;
+
+// Use the native detector only when it supports every format we need
+async function createNativeDetector(formats) {
+  if (!('BarcodeDetector' in window)) return null;
+  try {
+    const available = await window.BarcodeDetector.getSupportedFormats();
+    if (!formats.every(format => available.includes(format))) return null;
+    return new window.BarcodeDetector({ formats });
+  } catch {
+    return null;
+  }
+}
+
+function getCameraErrorMessage(error) {
+  if (!window.isSecureContext) return 'Camera access requires HTTPS (or localhost).';
+  if (error?.name === 'NotAllowedError') return 'Camera permission was denied. Allow camera access in your browser settings.';
+  if (error?.name === 'NotFoundError') return 'No camera was found on this device.';
+  return 'Could not start the camera.';
+}
+
+// `formats` uses BarcodeDetector names; the fallback decoder skips any it can't read (QR)
+export function BarcodeScanner({ onDetected, onClose, isDark, formats = SUPPORTED_FORMATS, title = 'Scan Barcode' }) {
+  const colors = getColors(isDark);
+  const videoRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const [cameraError, setCameraError] = useState(null);
+  const [engine, setEngine] = useState(null);
+  const [photoMessage, setPhotoMessage] = useState('');
+
+  useEffect(() => {
+    let stream = null;
+    let timer = null;
+    let cancelled = false;
+
+    const start = async () => {
+      try {
+        if (!navigator.mediaDevices?.getUserMedia) throw new Error('getUserMedia not available');
+        stream = await navigator.mediaDevices.getUserMedia({
+          video: { facingMode: { ideal: 'environment' } },
+          audio: false,
+        });
+        if (cancelled) return;
+
+        const video = videoRef.current;
+        video.srcObject = stream;
+        await video.play();
+
+        const detector = await createNativeDetector(formats);
+        if (cancelled) return;
+        setEngine(detector ? 'native' : 'fallback');
+
+        const scanFrame = async () => {
+          if (cancelled) return;
+          try {
+            let result = null;
+            if (video.readyState >= 2) {
+              if (detector) {
+                const [barcode] = await detector.detect(video);
+                if (barcode) result = { format: barcode.format, rawValue: barcode.rawValue };
+              } else {
+                result = decodeImageSource(video, { formats });
+              }
+            }
+            if (result && !cancelled) {
+              cancelled = true;
+              onDetected(result.rawValue, result.format);
+              return;
+            }
+          } catch (error) {
+            console.warn('Barcode scan failed:', error);
+          }
+          timer = setTimeout(scanFrame, SCAN_INTERVAL_MS);
+        };
+        scanFrame();
+      } catch (error) {
+        console.error('Failed to start camera:', error);
+        if (!cancelled) setCameraError(getCameraErrorMessage(error));
+      }
+    };
+
+    start();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      if (stream) stream.getTracks().forEach(track => track.stop());
+    };
+  }, [onDetected, formats]);
+
+  const handlePhotoSelect = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setPhotoMessage('Reading barcode...');
+    try {
+      const result = await decodeImageFile(file, { formats });
+      if (result) {
+        onDetected(result.rawValue, result.format);
+      } else {
+        setPhotoMessage('No barcode found in that photo. Try a sharper, straight-on shot.');
+      }
+    } catch (error) {
+      console.error('Failed to decode photo:', error);
+      setPhotoMessage('Could not read that image.');
+    }
+  };
+
+  return (
+    <div style={{ position: 'fixed', top: 0, left: 0, right: 0, bottom: 0, background: 'rgba(0,0,0,0.7)', display: 'flex', alignItems: 'center', justifyContent: 'center', zIndex: 1000 }} onClick={onClose}>
+      <div style={{ background: colors.card, borderRadius: borderRadius.xl, padding: spacing.xl, maxWidth: '520px', width: '92%' }} onClick={(e) => e.stopPropagation()}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: spacing.lg }}>
+          <h2 style={{ fontSize: '20px', fontWeight: '700', color: colors.textPrimary }}>{title}</h2>
+          <button type="button" onClick={onClose} style={{ background: 'none', border: 'none', cursor: 'pointer', color: colors.textSecondary }}>
+            <X size={24} />
+          </button>
+        </div>
+
+        {cameraError ? (
+          <div style={{ padding: spacing.xxl, textAlign: 'center', color: colors.textSecondary, background: colors.background, borderRadius: borderRadius.lg }}>
+            <CameraOff size={40} style={{ marginBottom: spacing.md }} />
+            <div>{cameraError}</div>
+          </div>
+        ) : (
+          <div style={{ position: 'relative', borderRadius: borderRadius.lg, overflow: 'hidden', background: '#000' }}>
+            <video ref={videoRef} muted playsInline style={{ width: '100%', display: 'block' }} />
+            <div style={{ position: 'absolute', left: '10%', right: '10%', top: '50%', height: '2px', background: colors.danger, boxShadow: `0 0 8px ${colors.danger}` }} />
+          </div>
+        )}
+
+        <div style={{ marginTop: spacing.md, fontSize: '13px', color: colors.textSecondary, textAlign: 'center' }}>
+          {cameraError ? 'You can still scan a photo of the barcode.' : 'Hold the barcode steady and level across the red line.'}
+          {engine === 'fallback' && !cameraError && ' (compatibility mode)'}
+        </div>
+
+        <input ref={fileInputRef} type="file" accept="image/*" capture="environment" onChange={handlePhotoSelect} style={{ display: 'none' }} />
+        <button type="button" onClick={() => fileInputRef.current?.click()} style={{ marginTop: spacing.lg, width: '100%', padding: spacing.md, border: `2px solid ${colors.border}`, background: colors.card, borderRadius: borderRadius.md, cursor: 'pointer', fontWeight: '600', color: colors.textPrimary, display: 'flex', alignItems: 'center', justifyContent: 'center', gap: spacing.sm }}>
+          <ImagePlus size={18} />
+          Scan from Photo
+        </button>
+        {photoMessage && (
+          <div style={{ marginTop: spacing.sm, fontSize: '13px', color: colors.textSecondary, textAlign: 'center' }}>{photoMessage}</div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default BarcodeScanner;
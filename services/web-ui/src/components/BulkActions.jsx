@@ -1,8 +1,8 @@
 // Bulk actions toolbar for inventory
-import { Trash2, Download, X } from 'lucide-react';
+import { Trash2, Download, Pencil, QrCode, X } from 'lucide-react';
 import { colors, borderRadius, spacing, shadows } from '../colors';
 
-export function BulkActions({ selectedCount, onDelete, onExport, onClear }) {
+export function BulkActions({ selectedCount, onEdit, onLabels, onDelete, onExport, onClear }) {
   if (selectedCount === 0) return null;
 
   return (
@@ -28,6 +28,26 @@ export function BulkActions({ selectedCount, onDelete, onExport, onClear }) {
       </div>
 
       <div style={{ display: 'flex', gap: spacing.sm }}>
+        <button
+          onClick={onEdit}
+          style={{
+            background: colors.primary,
+            border: 'none',
+            cursor: 'pointer',
+            padding: `${spacing.sm} ${spacing.md}`,
+            borderRadius: borderRadius.md,
+            display: 'flex',
+            alignItems: 'center',
+            gap: spacing.xs,
+            color: 'white',
+            fontSize: '14px',
+            fontWeight: '500',
+          }}
+        >
+          <Pencil size={16} />
+          Edit
+        </button>
+
         <button
           onClick={onExport}
           style={{
@@ -48,6 +68,26 @@ export function BulkActions({ selectedCount, onDelete, onExport, onClear }) {
           Export
         </button>
 
+        <button
+          onClick={onLabels}
+          style={{
+            background: colors.info,
+            border: 'none',
+            cursor: 'pointer',
+            padding: `${spacing.sm} ${spacing.md}`,
+            borderRadius: borderRadius.md,
+            display: 'flex',
+            alignItems: 'center',
+            gap: spacing.xs,
+            color: 'white',
+            fontSize: '14px',
+            fontWeight: '500',
+          }}
+        >
+          <QrCode size={16} />
+          Labels
+        </button>
+
         <button
           onClick={onDelete}
           style={{
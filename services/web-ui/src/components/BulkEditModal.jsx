@@ -0,0 +1,184 @@
+// Bulk edit dialog - move, recategorize, re-date or restock many items at once
+import { useState } from 'react';
+import { X, Pencil, AlertTriangle, CheckCircle } from 'lucide-react';
+import { getColors, spacing, borderRadius } from '../colors';
+import { useInventoryStore } from '../hooks/useInventoryStore';
+
+const plural = (count) => `${count} item${count === 1 ? '' : 's'}`;
+
+// Only the fields the user touched are sent; everything else is left as it is
+function buildChanges({ location, category, expiryMode, expiryDate, expiryShift, quantityMode, quantity }) {
+  const changes = {};
+  if (location) changes.location = location;
+  if (category) changes.category = category;
+  if (expiryMode === 'set' && expiryDate) changes.expiry_date = expiryDate;
+  if (expiryMode === 'clear') changes.expiry_date = null;
+  if (expiryMode === 'shift' && parseInt(expiryShift)) changes.expiry_shift_days = parseInt(expiryShift);
+  if (quantityMode === 'set' && quantity !== '' && !isNaN(parseInt(quantity))) changes.quantity = parseInt(quantity);
+  if (quantityMode === 'adjust' && parseInt(quantity)) changes.quantity_delta = parseInt(quantity);
+  return changes;
+}
+
+export function BulkEditModal({ itemIds, locations, categories, onClose, onDone, isDark }) {
+  const colors = getColors(isDark);
+  const { batchEditItems } = useInventoryStore();
+  const [form, setForm] = useState({ location: '', category: '', expiryMode: 'keep', expiryDate: '', expiryShift: '', quantityMode: 'keep', quantity: '' });
+  const [progress, setProgress] = useState(null); // { done, total }
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState(null);
+
+  const busy = progress !== null && results === null && error === null;
+  const changes = buildChanges(form);
+  const hasChanges = Object.keys(changes).length > 0;
+  const failures = results?.filter(result => !result.ok) || [];
+
+  const update = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  const handleApply = async () => {
+    try {
+      setError(null);
+      setProgress({ done: 0, total: itemIds.length });
+      const batchResults = await batchEditItems(itemIds, changes, (done, total) => setProgress({ done, total }));
+      setResults(batchResults);
+      // Keep failed items selected so they can be fixed and retried
+      onDone(batchResults.filter(result => !result.ok).map(result => result.id));
+    } catch (err) {
+      setError(err.response?.data?.detail || err.message || 'Failed to update items');
+    }
+  };
+
+  const labelStyle = { display: 'block', fontSize: '13px', fontWeight: '600', color: colors.textSecondary, marginBottom: spacing.xs };
+  const inputStyle = { width: '100%', padding: spacing.sm, border: `2px solid ${colors.border}`, borderRadius: borderRadius.md, fontSize: '14px', background: colors.card, color: colors.textPrimary, boxSizing: 'border-box' };
+  const rowStyle = { display: 'flex', gap: spacing.sm };
+  const fieldStyle = { marginBottom: spacing.lg };
+
+  return (
+    <div style={{ position: 'fixed', top: 0, left: 0, right: 0, bottom: 0, background: 'rgba(0,0,0,0.5)', display: 'flex', alignItems: 'center', justifyContent: 'center', zIndex: 1000 }} onClick={busy ? undefined : onClose}>
+      <div style={{ background: colors.card, borderRadius: borderRadius.xl, padding: spacing.xxl, maxWidth: '520px', width: '92%', maxHeight: '85vh', overflowY: 'auto' }} onClick={(e) => e.stopPropagation()}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: spacing.lg }}>
+          <h2 style={{ fontSize: '20px', fontWeight: '700', color: colors.textPrimary, display: 'flex', alignItems: 'center', gap: spacing.sm, margin: 0 }}>
+            <Pencil size={20} color={colors.primary} />
+            Edit {plural(itemIds.length)}
+          </h2>
+          <button onClick={onClose} disabled={busy} style={{ background: 'none', border: 'none', cursor: 'pointer', color: colors.textSecondary }}>
+            <X size={24} />
+          </button>
+        </div>
+
+        {results ? (
+          <div>
+            <div style={{ display: 'flex', alignItems: 'center', gap: spacing.sm, color: colors.textPrimary, fontWeight: '600', marginBottom: spacing.md }}>
+              <CheckCircle size={18} color={colors.success} />
+              Updated {plural(results.length - failures.length)}
+            </div>
+            {failures.length > 0 && (
+              <div style={{ background: colors.expiredBg, borderRadius: borderRadius.md, padding: spacing.md, marginBottom: spacing.lg, fontSize: '13px' }}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: spacing.xs, color: colors.expiredText, fontWeight: '600', marginBottom: spacing.xs }}>
+                  <AlertTriangle size={14} />
+                  {plural(failures.length)} could not be changed and are still selected
+                </div>
+                {failures.map(failure => (
+                  <div key={failure.id} style={{ color: colors.textSecondary }}>
+                    {failure.name || `Item #${failure.id}`}: {failure.error}
+                  </div>
+                ))}
+              </div>
+            )}
+            <button onClick={onClose} style={{ width: '100%', padding: spacing.md, border: 'none', background: colors.primary, color: 'white', borderRadius: borderRadius.md, cursor: 'pointer', fontWeight: '600' }}>
+              Done
+            </button>
+          </div>
+        ) : (
+          <>
+            <p style={{ marginTop: 0, marginBottom: spacing.lg, color: colors.textSecondary, fontSize: '14px' }}>
+              Only the fields you fill in are changed.
+            </p>
+
+            <div style={{ ...rowStyle, ...fieldStyle }}>
+              <div style={{ flex: 1 }}>
+                <label style={labelStyle}>Move to</label>
+                <select value={form.location} onChange={update('location')} disabled={busy} style={inputStyle}>
+                  <option value="">Keep location</option>
+                  {locations.map(loc => <option key={loc} value={loc}>{loc}</option>)}
+                </select>
+              </div>
+              <div style={{ flex: 1 }}>
+                <label style={labelStyle}>Category</label>
+                <select value={form.category} onChange={update('category')} disabled={busy} style={inputStyle}>
+                  <option value="">Keep category</option>
+                  {categories.map(cat => <option key={cat} value={cat}>{cat}</option>)}
+                </select>
+              </div>
+            </div>
+
+            <div style={fieldStyle}>
+              <label style={labelStyle}>Expiry date</label>
+              <div style={rowStyle}>
+                <select value={form.expiryMode} onChange={update('expiryMode')} disabled={busy} style={{ ...inputStyle, flex: 1 }}>
+                  <option value="keep">Keep dates</option>
+                  <option value="set">Set to</option>
+                  <option value="shift">Shift by days</option>
+                  <option value="clear">Remove date</option>
+                </select>
+                {form.expiryMode === 'set' && (
+                  <input type="date" value={form.expiryDate} onChange={update('expiryDate')} disabled={busy} style={{ ...inputStyle, flex: 1 }} />
+                )}
+                {form.expiryMode === 'shift' && (
+                  <input type="number" value={form.expiryShift} onChange={update('expiryShift')} placeholder="e.g. 7 or -3" disabled={busy} style={{ ...inputStyle, flex: 1 }} />
+                )}
+              </div>
+            </div>
+
+            <div style={fieldStyle}>
+              <label style={labelStyle}>Quantity</label>
+              <div style={rowStyle}>
+                <select value={form.quantityMode} onChange={update('quantityMode')} disabled={busy} style={{ ...inputStyle, flex: 1 }}>
+                  <option value="keep">Keep quantities</option>
+                  <option value="set">Set to</option>
+                  <option value="adjust">Add or remove</option>
+                </select>
+                {form.quantityMode !== 'keep' && (
+                  <input
+                    type="number"
+                    min={form.quantityMode === 'set' ? 0 : undefined}
+                    value={form.quantity}
+                    onChange={update('quantity')}
+                    placeholder={form.quantityMode === 'set' ? '0' : 'e.g. 2 or -1'}
+                    disabled={busy}
+                    style={{ ...inputStyle, flex: 1 }}
+                  />
+                )}
+              </div>
+            </div>
+
+            {error && (
+              <div style={{ color: colors.danger, fontSize: '13px', marginBottom: spacing.md }}>{error}</div>
+            )}
+
+            {progress && !error && (
+              <div style={{ marginBottom: spacing.lg }}>
+                <div style={{ height: '6px', background: colors.border, borderRadius: borderRadius.full, overflow: 'hidden' }}>
+                  <div style={{ height: '100%', width: `${progress.total ? (progress.done / progress.total) * 100 : 0}%`, background: colors.primary, transition: 'width 0.2s' }} />
+                </div>
+                <div style={{ fontSize: '12px', color: colors.textSecondary, marginTop: spacing.xs }}>
+                  Updating {progress.done} of {progress.total}…
+                </div>
+              </div>
+            )}
+
+            <div style={{ display: 'flex', gap: spacing.md }}>
+              <button onClick={onClose} disabled={busy} style={{ flex: 1, padding: spacing.md, border: `2px solid ${colors.border}`, background: colors.card, borderRadius: borderRadius.md, cursor: 'pointer', fontWeight: '600', color: colors.textPrimary }}>
+                Cancel
+              </button>
+              <button onClick={handleApply} disabled={busy || !hasChanges} style={{ flex: 1, padding: spacing.md, border: 'none', background: colors.primary, color: 'white', borderRadius: borderRadius.md, cursor: busy || !hasChanges ? 'not-allowed' : 'pointer', opacity: hasChanges ? 1 : 0.6, fontWeight: '600' }}>
+                {busy ? 'Updating…' : `Apply to ${plural(itemIds.length)}`}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default BulkEditModal;
@@ -0,0 +1,92 @@
+// Charts - small SVG charts for the analytics page, sized to their container
+import { spacing, borderRadius } from '../colors';
+
+const WIDTH = 640;
+const HEIGHT = 220;
+const PLOT = { top: 12, right: 8, bottom: 28, left: 36 };
+
+// Round up to 1, 2 or 5 times a power of ten so gridlines land on round numbers
+const niceMax = (value) => {
+  if (value <= 0) return 4;
+  const magnitude = 10 ** Math.floor(Math.log10(value));
+  const step = [1, 2, 5, 10].find(factor => factor * magnitude >= value);
+  return Math.max(4, step * magnitude);
+};
+
+// Vertical bars, one per entry in `data`, stacking the `series` values
+export function StackedBarChart({ data, series, colors, height = HEIGHT }) {
+  const max = niceMax(Math.max(0, ...data.map(entry => series.reduce((sum, { key }) => sum + (entry[key] || 0), 0))));
+  const plotWidth = WIDTH - PLOT.left - PLOT.right;
+  const plotHeight = height - PLOT.top - PLOT.bottom;
+  const slot = plotWidth / Math.max(1, data.length);
+  const barWidth = Math.min(40, slot * 0.7);
+  const y = (value) => PLOT.top + plotHeight - (value / max) * plotHeight;
+  const gridlines = [0, 0.25, 0.5, 0.75, 1].map(fraction => Math.round(max * fraction));
+  // Skip labels when there are too many bars to fit them all
+  const labelEvery = Math.ceil(data.length / 12);
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${WIDTH} ${height}`} style={{ width: '100%', height: 'auto', display: 'block' }} role="img">
+        {gridlines.map(value => (
+          <g key={value}>
+            <line x1={PLOT.left} x2={WIDTH - PLOT.right} y1={y(value)} y2={y(value)} stroke={colors.border} strokeWidth="1" />
+            <text x={PLOT.left - 6} y={y(value) + 4} textAnchor="end" fontSize="11" fill={colors.textTertiary}>{value}</text>
+          </g>
+        ))}
+        {data.map((entry, index) => {
+          const x = PLOT.left + slot * index + (slot - barWidth) / 2;
+          let base = 0;
+          return (
+            <g key={entry.label}>
+              {series.map(({ key, label, color }) => {
+                const value = entry[key] || 0;
+                if (value === 0) return null;
+                const top = y(base + value);
+                const bottom = y(base);
+                base += value;
+                return (
+                  <rect key={key} x={x} y={top} width={barWidth} height={Math.max(1, bottom - top)} fill={color}>
+                    <title>{`${entry.title || entry.label}: ${value} ${label.toLowerCase()}`}</title>
+                  </rect>
+                );
+              })}
+              {index % labelEvery === 0 && (
+                <text x={x + barWidth / 2} y={height - 8} textAnchor="middle" fontSize="11" fill={colors.textSecondary}>{entry.label}</text>
+              )}
+            </g>
+          );
+        })}
+      </svg>
+      <div style={{ display: 'flex', gap: spacing.lg, justifyContent: 'center', marginTop: spacing.sm, fontSize: '13px', color: colors.textSecondary }}>
+        {series.map(({ key, label, color }) => (
+          <span key={key} style={{ display: 'flex', alignItems: 'center', gap: spacing.xs }}>
+            <span style={{ width: '10px', height: '10px', borderRadius: '2px', background: color }} />
+            {label}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Horizontal bars for ranked lists, e.g. most wasted categories
+export function RankedBarChart({ rows, color, colors, unit = '' }) {
+  const max = Math.max(1, ...rows.map(row => row.value));
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: spacing.sm }}>
+      {rows.map(row => (
+        <div key={row.label} style={{ display: 'flex', alignItems: 'center', gap: spacing.md, fontSize: '14px' }}>
+          <span style={{ width: '140px', flexShrink: 0, color: colors.textPrimary, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={row.label}>{row.label}</span>
+          <div style={{ flex: 1, height: '14px', background: colors.border, borderRadius: borderRadius.sm, overflow: 'hidden' }}>
+            <div style={{ width: `${(row.value / max) * 100}%`, height: '100%', background: color }} />
+          </div>
+          <span style={{ width: '48px', textAlign: 'right', color: colors.textSecondary }}>{row.value}{unit}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default StackedBarChart;
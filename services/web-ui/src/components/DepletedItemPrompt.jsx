@@ -0,0 +1,36 @@
+// Prompt shown when an item's quantity reaches zero
+import { X, Trash2, ShoppingCart } from 'lucide-react';
+import { getColors, spacing, borderRadius } from '../colors';
+
+export function DepletedItemPrompt({ item, onRemove, onKeep, isDark }) {
+  const colors = getColors(isDark);
+  if (!item) return null;
+
+  return (
+    <div style={{ position: 'fixed', top: 0, left: 0, right: 0, bottom: 0, background: 'rgba(0,0,0,0.5)', display: 'flex', alignItems: 'center', justifyContent: 'center', zIndex: 1000 }} onClick={onKeep}>
+      <div style={{ background: colors.card, borderRadius: borderRadius.xl, padding: spacing.xxl, maxWidth: '420px', width: '90%' }} onClick={(e) => e.stopPropagation()}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: spacing.lg }}>
+          <h2 style={{ fontSize: '20px', fontWeight: '700', color: colors.textPrimary }}>Out of {item.name}</h2>
+          <button onClick={onKeep} style={{ background: 'none', border: 'none', cursor: 'pointer', color: colors.textSecondary }}>
+            <X size={24} />
+          </button>
+        </div>
+        <p style={{ marginBottom: spacing.xl, color: colors.textSecondary }}>
+          That was the last one{item.location ? ` in ${item.location}` : ''}. Remove it from your inventory, or keep it at 0 so it goes on your shopping list?
+        </p>
+        <div style={{ display: 'flex', gap: spacing.md }}>
+          <button onClick={onKeep} style={{ flex: 1, padding: spacing.md, border: `2px solid ${colors.border}`, background: colors.card, borderRadius: borderRadius.md, cursor: 'pointer', fontWeight: '600', color: colors.textPrimary, display: 'flex', alignItems: 'center', justifyContent: 'center', gap: spacing.sm }}>
+            <ShoppingCart size={16} />
+            Keep at 0
+          </button>
+          <button onClick={onRemove} style={{ flex: 1, padding: spacing.md, border: 'none', background: colors.danger, color: 'white', borderRadius: borderRadius.md, cursor: 'pointer', fontWeight: '600', display: 'flex', alignItems: 'center', justifyContent: 'center', gap: spacing.sm }}>
+            <Trash2 size={16} />
+            Remove
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default DepletedItemPrompt;
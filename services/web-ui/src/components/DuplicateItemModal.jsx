@@ -0,0 +1,86 @@
+// Warning shown before adding an item that already exists in the inventory
+import { X, AlertTriangle, Plus, Layers } from 'lucide-react';
+import { getColors, spacing, borderRadius } from '../colors';
+import { formatDate, getExpiryBadgeText, getExpiryColor } from '../utils/dateUtils';
+
+export function DuplicateItemModal({ matches, newItem, onMerge, onCreateSeparate, onCancel, busy, isDark }) {
+  const colors = getColors(isDark);
+  if (!matches || matches.length === 0) return null;
+
+  const quantity = parseInt(newItem.quantity) || 1;
+  const cellStyle = { padding: spacing.sm, borderBottom: `1px solid ${colors.border}`, fontSize: '14px', color: colors.textPrimary };
+
+  return (
+    <div style={{ position: 'fixed', top: 0, left: 0, right: 0, bottom: 0, background: 'rgba(0,0,0,0.5)', display: 'flex', alignItems: 'center', justifyContent: 'center', zIndex: 1000 }} onClick={busy ? undefined : onCancel}>
+      <div style={{ background: colors.card, borderRadius: borderRadius.xl, padding: spacing.xxl, maxWidth: '640px', width: '92%', maxHeight: '85vh', overflowY: 'auto' }} onClick={(e) => e.stopPropagation()}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: spacing.lg }}>
+          <h2 style={{ fontSize: '20px', fontWeight: '700', color: colors.textPrimary, display: 'flex', alignItems: 'center', gap: spacing.sm, margin: 0 }}>
+            <AlertTriangle size={22} color={colors.warning} />
+            You already have {newItem.name}
+          </h2>
+          <button onClick={onCancel} disabled={busy} style={{ background: 'none', border: 'none', cursor: 'pointer', color: colors.textSecondary }}>
+            <X size={24} />
+          </button>
+        </div>
+        <p style={{ marginBottom: spacing.lg, color: colors.textSecondary, fontSize: '14px' }}>
+          {matches.length === 1 ? 'This matches an item' : `This matches ${matches.length} items`} in your inventory.
+          Add {quantity} to an existing entry, or keep it as a separate batch with its own expiry date.
+        </p>
+
+        <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: spacing.xl }}>
+          <thead>
+            <tr style={{ textAlign: 'left', fontSize: '12px', color: colors.textSecondary, textTransform: 'uppercase' }}>
+              <th style={{ padding: spacing.sm }}>Item</th>
+              <th style={{ padding: spacing.sm }}>Location</th>
+              <th style={{ padding: spacing.sm }}>Qty</th>
+              <th style={{ padding: spacing.sm }}>Expires</th>
+              <th style={{ padding: spacing.sm }}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {matches.map(match => (
+              <tr key={match.id}>
+                <td style={cellStyle}>
+                  <div style={{ fontWeight: '600' }}>{match.name}</div>
+                  {match.brand && <div style={{ fontSize: '12px', color: colors.textSecondary }}>{match.brand}</div>}
+                </td>
+                <td style={cellStyle}>{match.location || '-'}</td>
+                <td style={{ ...cellStyle, fontWeight: '600' }}>{match.quantity ?? 0}</td>
+                <td style={cellStyle}>
+                  {match.expiry_date ? (
+                    <>
+                      <div>{formatDate(match.expiry_date)}</div>
+                      <div style={{ fontSize: '12px', color: getExpiryColor(match) }}>{getExpiryBadgeText(match)}</div>
+                    </>
+                  ) : <span style={{ color: colors.textSecondary }}>No expiry</span>}
+                </td>
+                <td style={{ ...cellStyle, textAlign: 'right' }}>
+                  <button
+                    onClick={() => onMerge(match)}
+                    disabled={busy}
+                    style={{ padding: `${spacing.xs} ${spacing.md}`, border: 'none', background: colors.primary, color: 'white', borderRadius: borderRadius.md, cursor: busy ? 'not-allowed' : 'pointer', fontWeight: '600', fontSize: '13px', display: 'inline-flex', alignItems: 'center', gap: '4px', whiteSpace: 'nowrap' }}
+                  >
+                    <Plus size={14} />
+                    Merge
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div style={{ display: 'flex', gap: spacing.md }}>
+          <button onClick={onCancel} disabled={busy} style={{ flex: 1, padding: spacing.md, border: `2px solid ${colors.border}`, background: colors.card, borderRadius: borderRadius.md, cursor: 'pointer', fontWeight: '600', color: colors.textPrimary }}>
+            Cancel
+          </button>
+          <button onClick={onCreateSeparate} disabled={busy} style={{ flex: 1, padding: spacing.md, border: 'none', background: colors.info, color: 'white', borderRadius: borderRadius.md, cursor: busy ? 'not-allowed' : 'pointer', fontWeight: '600', display: 'flex', alignItems: 'center', justifyContent: 'center', gap: spacing.sm }}>
+            <Layers size={16} />
+            Add as Separate Batch
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default DuplicateItemModal;
@@ -0,0 +1,146 @@
+// Expiry thresholds panel - when items turn critical or warning, with per-category overrides
+import { useState } from 'react';
+import { Plus, X } from 'lucide-react';
+import { getColors, spacing, borderRadius } from '../colors';
+import { useExpiryRules } from '../hooks/useExpiryRules';
+import { useInventoryStore } from '../hooks/useInventoryStore';
+import { DEFAULT_EXPIRY_RULE, MAX_THRESHOLD_DAYS, validateExpiryRules } from '../utils/expiryRules';
+
+export function ExpiryRulesPanel({ categories, currentUser, isDark }) {
+  const colors = getColors(isDark);
+  const store = useInventoryStore();
+  const { scope, rules, save } = useExpiryRules();
+  const [draft, setDraft] = useState(null); // null until the first edit
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const shown = draft || rules;
+  const defaultRule = shown.find(rule => !rule.category) || DEFAULT_EXPIRY_RULE;
+  const categoryRules = shown.filter(rule => rule.category);
+  const unusedCategories = categories.filter(category => !categoryRules.some(rule => rule.category === category));
+
+  const edit = (next) => {
+    setDraft(next);
+    setMessage('');
+  };
+  const updateRule = (category, field, value) => {
+    const days = value === '' ? '' : parseInt(value, 10);
+    const withDefault = shown.some(rule => !rule.category) ? shown : [DEFAULT_EXPIRY_RULE, ...shown];
+    edit(withDefault.map(rule => (rule.category || null) === category ? { ...rule, [field]: days } : rule));
+  };
+  const addRule = (category) => {
+    if (!category) return;
+    edit([...shown, { category, critical_days: defaultRule.critical_days, warning_days: defaultRule.warning_days }]);
+  };
+  const removeRule = (category) => edit(shown.filter(rule => rule.category !== category));
+
+  const persist = async (nextRules, successMessage) => {
+    setSaving(true);
+    try {
+      await save(nextRules);
+      setDraft(null);
+      setMessage(successMessage);
+      // Server-side counts and filters use the thresholds too
+      store.revalidate();
+    } catch (err) {
+      setMessage('❌ ' + (err.response?.data?.detail || 'Failed to save thresholds'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSave = () => {
+    const error = validateExpiryRules(shown);
+    if (error) {
+      setMessage('❌ ' + error);
+      return;
+    }
+    persist(shown, '✅ Expiry thresholds saved!');
+  };
+
+  const inputStyle = { width: '64px', padding: spacing.sm, borderRadius: borderRadius.sm, border: `2px solid ${colors.border}`, fontSize: '14px', backgroundColor: colors.card, color: colors.textPrimary };
+  const rowStyle = { display: 'flex', alignItems: 'center', gap: spacing.md, padding: spacing.md, backgroundColor: colors.background, borderRadius: borderRadius.sm, marginBottom: spacing.xs, flexWrap: 'wrap', color: colors.textPrimary };
+
+  const dayInputs = (rule) => (
+    <>
+      <label style={{ display: 'flex', alignItems: 'center', gap: spacing.xs, fontSize: '14px', color: colors.textSecondary }}>
+        Critical ≤
+        <input type="number" min="0" max={MAX_THRESHOLD_DAYS} value={rule.critical_days} onChange={(e) => updateRule(rule.category || null, 'critical_days', e.target.value)} style={inputStyle} />
+        days
+      </label>
+      <label style={{ display: 'flex', alignItems: 'center', gap: spacing.xs, fontSize: '14px', color: colors.textSecondary }}>
+        Warning ≤
+        <input type="number" min="0" max={MAX_THRESHOLD_DAYS} value={rule.warning_days} onChange={(e) => updateRule(rule.category || null, 'warning_days', e.target.value)} style={inputStyle} />
+        days
+      </label>
+    </>
+  );
+
+  return (
+    <div style={{ background: colors.card, padding: spacing.xl, borderRadius: borderRadius.lg, boxShadow: '0 2px 8px rgba(0,0,0,0.05)', marginBottom: spacing.lg }}>
+      <h2 style={{ marginTop: 0, color: colors.textPrimary }}>⏰ Expiry Thresholds</h2>
+      <p style={{ color: colors.textSecondary, lineHeight: 1.6 }}>
+        How many days before its expiry date an item shows as critical or as a warning. Milk at 3 days is urgent; canned beans at 7 days are not.
+        {currentUser
+          ? (scope === 'user' ? ' These are your own thresholds.' : ' You are using the household thresholds; saving gives you your own.')
+          : ' These apply to everyone in the household.'}
+      </p>
+
+      <div style={rowStyle}>
+        <span style={{ flex: '1 1 140px', fontWeight: '600' }}>All other categories</span>
+        {dayInputs(defaultRule)}
+      </div>
+
+      {categoryRules.map(rule => (
+        <div key={rule.category} style={rowStyle}>
+          <span style={{ flex: '1 1 140px' }}>{rule.category}</span>
+          {dayInputs(rule)}
+          <button onClick={() => removeRule(rule.category)} title="Remove rule" style={{ background: 'none', border: 'none', cursor: 'pointer', color: colors.danger, display: 'flex', padding: spacing.xs }}>
+            <X size={16} />
+          </button>
+        </div>
+      ))}
+
+      <div style={{ display: 'flex', gap: spacing.sm, marginTop: spacing.md, alignItems: 'center', flexWrap: 'wrap' }}>
+        <Plus size={16} color={colors.textSecondary} />
+        <select value="" onChange={(e) => addRule(e.target.value)} disabled={unusedCategories.length === 0} style={{ ...inputStyle, width: 'auto' }}>
+          <option value="">Add a rule for a category...</option>
+          {unusedCategories.map(category => <option key={category} value={category}>{category}</option>)}
+        </select>
+        <div style={{ marginLeft: 'auto', display: 'flex', gap: spacing.sm }}>
+          {currentUser && scope === 'user' && !draft && (
+            <button
+              onClick={() => persist([], '✅ Using the household thresholds again.')}
+              disabled={saving}
+              style={{ padding: `${spacing.sm} ${spacing.lg}`, borderRadius: borderRadius.md, border: `2px solid ${colors.border}`, background: colors.card, color: colors.textPrimary, cursor: 'pointer', fontWeight: '600' }}
+            >
+              Use household thresholds
+            </button>
+          )}
+          {draft && (
+            <button
+              onClick={() => edit(null)}
+              disabled={saving}
+              style={{ padding: `${spacing.sm} ${spacing.lg}`, borderRadius: borderRadius.md, border: `2px solid ${colors.border}`, background: colors.card, color: colors.textPrimary, cursor: 'pointer', fontWeight: '600' }}
+            >
+              Discard
+            </button>
+          )}
+          <button
+            onClick={handleSave}
+            disabled={saving || !draft}
+            style={{ padding: `${spacing.sm} ${spacing.lg}`, borderRadius: borderRadius.md, border: 'none', background: colors.primary, color: '#ffffff', cursor: saving || !draft ? 'default' : 'pointer', fontWeight: 'bold', opacity: saving || !draft ? 0.6 : 1 }}
+          >
+            {saving ? 'Saving...' : 'Save Thresholds'}
+          </button>
+        </div>
+      </div>
+
+      {message && (
+        <div style={{ marginTop: spacing.md, fontSize: '14px', color: message.startsWith('❌') ? colors.danger : colors.success }}>{message}</div>
+      )}
+    </div>
+  );
+}
+
+export default ExpiryRulesPanel;
@@ -10,6 +10,7 @@ export function FilterPanel({ filters, onFilterChange, locations, categories, is
     { value: 'good', label: 'Good (7+ days)' },
     { value: 'warning', label: 'Warning (3-7 days)' },
     { value: 'critical', label: 'Critical (0-3 days)' },
+    { value: 'past_best', label: 'Past Best Before' },
     { value: 'expired', label: 'Expired' },
   ];
 
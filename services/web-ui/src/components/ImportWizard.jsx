@@ -0,0 +1,369 @@
+// Import wizard - pick a file (CSV, spreadsheet, Grocy export or plain-text list),
+// map its columns, review a dry run, then import
+import { useState } from 'react';
+import { Upload, AlertTriangle, CheckCircle, Download, ArrowLeft } from 'lucide-react';
+import { getColors, spacing, borderRadius } from '../colors';
+import { getItems, addItemManual } from '../api';
+import { downloadCSV } from '../utils/csv';
+import { readImportFile, parsePlainTextList, IMPORT_FILE_TYPES } from '../utils/importers';
+import { IMPORT_FIELDS, guessColumnMapping, planImport, failedRowsToCSVRows } from '../utils/csvImport';
+
+const PREVIEW_ROWS = 3;
+
+const plural = (count, word = 'row') => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+export function ImportWizard({ locations, categories, onImported, isDark }) {
+  const colors = getColors(isDark);
+  const [step, setStep] = useState('choose'); // choose -> map -> review -> done
+  const [sourceName, setSourceName] = useState(null); // file name, or "Pasted list"
+  const [sourceType, setSourceType] = useState(null);
+  const [pasteText, setPasteText] = useState('');
+  const [headers, setHeaders] = useState([]);
+  const [rows, setRows] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [options, setOptions] = useState({ skipDuplicates: true, location: locations[0] || '', category: 'Uncategorized' });
+  const [plan, setPlan] = useState(null);
+  const [progress, setProgress] = useState(null); // { done, total }
+  const [failed, setFailed] = useState([]); // rows rejected by validation or by the server
+  const [createdCount, setCreatedCount] = useState(0);
+  const [busy, setBusy] = useState(false);
+
+  const reset = () => {
+    setStep('choose');
+    setSourceName(null);
+    setSourceType(null);
+    setPasteText('');
+    setHeaders([]);
+    setRows([]);
+    setMapping({});
+    setPlan(null);
+    setProgress(null);
+    setFailed([]);
+    setCreatedCount(0);
+  };
+
+  const handleFileSelect = async (e) => {
+    const selected = e.target.files[0];
+    e.target.value = '';
+    if (!selected) return;
+
+    try {
+      startMapping(await readImportFile(selected), selected.name);
+    } catch (error) {
+      alert(`Could not read ${selected.name}: ${error.message}`);
+    }
+  };
+
+  const handlePaste = () => {
+    const table = parsePlainTextList(pasteText);
+    if (table.rows.length === 0) {
+      alert('No items found in the pasted list');
+      return;
+    }
+    startMapping(table, 'Pasted list');
+  };
+
+  const startMapping = (table, name) => {
+    setSourceName(name);
+    setSourceType(table.source);
+    setHeaders(table.headers);
+    setRows(table.rows);
+    setMapping(guessColumnMapping(table.headers));
+    setStep('map');
+  };
+
+  const setFieldColumn = (field, value) => {
+    setMapping(prev => {
+      const next = { ...prev };
+      if (value === '') delete next[field];
+      else next[field] = parseInt(value);
+      return next;
+    });
+  };
+
+  const runDryRun = async () => {
+    setBusy(true);
+    try {
+      const existingItems = options.skipDuplicates ? await getItems() : [];
+      setPlan(planImport(rows, mapping, {
+        existingItems,
+        skipDuplicates: options.skipDuplicates,
+        defaults: { location: options.location, category: options.category },
+      }));
+      setStep('review');
+    } catch (error) {
+      alert('Failed to check for duplicates: ' + error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const performImport = async () => {
+    const creates = plan.filter(entry => entry.status === 'create');
+    const rejected = plan.filter(entry => entry.status === 'error');
+    let created = 0;
+
+    setBusy(true);
+    setProgress({ done: 0, total: creates.length });
+    for (const entry of creates) {
+      try {
+        await addItemManual(entry.item);
+        created++;
+      } catch (error) {
+        rejected.push({ ...entry, status: 'error', errors: [error.response?.data?.detail || error.message || 'Server rejected the item'] });
+      }
+      setProgress(prev => ({ ...prev, done: prev.done + 1 }));
+    }
+    rejected.sort((a, b) => a.rowNumber - b.rowNumber);
+
+    setCreatedCount(created);
+    setFailed(rejected);
+    setBusy(false);
+    setStep('done');
+    if (created > 0) onImported?.();
+  };
+
+  const downloadFailedRows = (entries) => {
+    const baseName = sourceName.replace(/\.[^.]+$/, '').replace(/\s+/g, '-').toLowerCase();
+    downloadCSV(failedRowsToCSVRows(headers, entries), `${baseName}-failed-rows.csv`);
+  };
+
+  const counts = plan ? {
+    create: plan.filter(entry => entry.status === 'create').length,
+    skip: plan.filter(entry => entry.status === 'skip').length,
+    error: plan.filter(entry => entry.status === 'error').length,
+  } : null;
+
+  const cellStyle = { padding: spacing.sm, borderBottom: `1px solid ${colors.border}`, fontSize: '13px', color: colors.textPrimary, textAlign: 'left', verticalAlign: 'top' };
+  const selectStyle = { width: '100%', padding: spacing.sm, borderRadius: borderRadius.md, border: `2px solid ${colors.border}`, fontSize: '14px', backgroundColor: colors.background, color: colors.textPrimary };
+  const primaryButton = { flex: 1, padding: spacing.lg, borderRadius: borderRadius.lg, border: 'none', background: colors.primary, color: 'white', fontWeight: 'bold', cursor: busy ? 'not-allowed' : 'pointer', opacity: busy ? 0.6 : 1, display: 'flex', alignItems: 'center', justifyContent: 'center', gap: spacing.sm };
+  const secondaryButton = { padding: spacing.lg, borderRadius: borderRadius.lg, border: `2px solid ${colors.border}`, background: colors.card, color: colors.textPrimary, fontWeight: 'bold', cursor: busy ? 'not-allowed' : 'pointer', opacity: busy ? 0.6 : 1, display: 'flex', alignItems: 'center', gap: spacing.sm };
+
+  if (step === 'choose') {
+    return (
+      <div>
+        <input type="file" accept={IMPORT_FILE_TYPES} onChange={handleFileSelect} style={{ display: 'none' }} id="import-upload" />
+        <label
+          htmlFor="import-upload"
+          style={{
+            display: 'inline-block',
+            padding: spacing.lg,
+            borderRadius: borderRadius.lg,
+            border: `2px dashed ${colors.border}`,
+            background: colors.background,
+            color: colors.textPrimary,
+            fontWeight: 'bold',
+            cursor: 'pointer',
+            textAlign: 'center',
+            width: '100%',
+            marginTop: spacing.md,
+            boxSizing: 'border-box',
+          }}
+        >
+          📁 Choose File
+        </label>
+        <div style={{ fontSize: '13px', color: colors.textSecondary, marginTop: spacing.sm }}>
+          CSV or TSV, Excel (.xlsx), Grocy CSV or JSON export, or a plain-text list (.txt)
+        </div>
+
+        <div style={{ marginTop: spacing.lg }}>
+          <label style={{ display: 'block', fontSize: '13px', fontWeight: '600', color: colors.textSecondary, marginBottom: spacing.xs }}>
+            Or paste a list, one item per line
+          </label>
+          <textarea
+            value={pasteText}
+            onChange={(e) => setPasteText(e.target.value)}
+            placeholder={'2x canned tomatoes\nMilk x 3\n- a dozen eggs'}
+            rows={4}
+            style={{ width: '100%', padding: spacing.sm, borderRadius: borderRadius.md, border: `2px solid ${colors.border}`, fontSize: '14px', backgroundColor: colors.background, color: colors.textPrimary, boxSizing: 'border-box', fontFamily: 'inherit', resize: 'vertical' }}
+          />
+          {pasteText.trim() && (
+            <button onClick={handlePaste} style={{ ...secondaryButton, marginTop: spacing.sm, padding: `${spacing.sm} ${spacing.md}` }}>
+              Use pasted list
+            </button>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  if (step === 'map') {
+    const nameMapped = mapping.name !== undefined;
+    return (
+      <div style={{ marginTop: spacing.lg }}>
+        <h3 style={{ color: colors.textPrimary, marginBottom: spacing.xs }}>Map columns</h3>
+        <p style={{ color: colors.textSecondary, fontSize: '14px', marginTop: 0 }}>
+          {sourceName} ({sourceType}): {plural(rows.length)}. Choose which column holds each field; unmapped fields are left empty.
+        </p>
+
+        <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: spacing.lg }}>
+          <thead>
+            <tr>
+              <th style={{ ...cellStyle, color: colors.textSecondary, width: '30%' }}>Field</th>
+              <th style={{ ...cellStyle, color: colors.textSecondary, width: '35%' }}>Column</th>
+              <th style={{ ...cellStyle, color: colors.textSecondary }}>Sample</th>
+            </tr>
+          </thead>
+          <tbody>
+            {IMPORT_FIELDS.map(field => (
+              <tr key={field.key}>
+                <td style={{ ...cellStyle, fontWeight: '600' }}>
+                  {field.label}{field.required && <span style={{ color: colors.danger }}> *</span>}
+                </td>
+                <td style={cellStyle}>
+                  <select value={mapping[field.key] ?? ''} onChange={(e) => setFieldColumn(field.key, e.target.value)} style={selectStyle}>
+                    <option value="">Not imported</option>
+                    {headers.map((header, i) => <option key={i} value={i}>{header || `Column ${i + 1}`}</option>)}
+                  </select>
+                </td>
+                <td style={{ ...cellStyle, color: colors.textSecondary }}>
+                  {mapping[field.key] !== undefined && rows.slice(0, PREVIEW_ROWS).map((row, i) => (
+                    <div key={i} style={{ whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis', maxWidth: '220px' }}>
+                      {row[mapping[field.key]] || '—'}
+                    </div>
+                  ))}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div style={{ display: 'flex', gap: spacing.md, marginBottom: spacing.lg, flexWrap: 'wrap' }}>
+          <div style={{ flex: 1, minWidth: '180px' }}>
+            <label style={{ display: 'block', fontSize: '13px', fontWeight: '600', color: colors.textSecondary, marginBottom: spacing.xs }}>Location when empty</label>
+            <select value={options.location} onChange={(e) => setOptions({ ...options, location: e.target.value })} style={selectStyle}>
+              {locations.map(loc => <option key={loc} value={loc}>{loc}</option>)}
+            </select>
+          </div>
+          <div style={{ flex: 1, minWidth: '180px' }}>
+            <label style={{ display: 'block', fontSize: '13px', fontWeight: '600', color: colors.textSecondary, marginBottom: spacing.xs }}>Category when empty</label>
+            <select value={options.category} onChange={(e) => setOptions({ ...options, category: e.target.value })} style={selectStyle}>
+              {['Uncategorized', ...categories.filter(cat => cat !== 'Uncategorized')].map(cat => <option key={cat} value={cat}>{cat}</option>)}
+            </select>
+          </div>
+        </div>
+
+        <label style={{ display: 'flex', alignItems: 'center', gap: spacing.sm, cursor: 'pointer', marginBottom: spacing.lg }}>
+          <input type="checkbox" checked={options.skipDuplicates} onChange={(e) => setOptions({ ...options, skipDuplicates: e.target.checked })} />
+          <span style={{ color: colors.textPrimary }}>Skip duplicate barcodes</span>
+        </label>
+
+        <div style={{ display: 'flex', gap: spacing.md }}>
+          <button onClick={runDryRun} disabled={busy || !nameMapped} style={{ ...primaryButton, cursor: busy || !nameMapped ? 'not-allowed' : 'pointer', opacity: busy || !nameMapped ? 0.6 : 1 }}>
+            {busy ? '⏳ Checking...' : nameMapped ? 'Check rows' : 'Map the Name column to continue'}
+          </button>
+          <button onClick={reset} disabled={busy} style={secondaryButton}>Cancel</button>
+        </div>
+      </div>
+    );
+  }
+
+  if (step === 'review') {
+    const problems = plan.filter(entry => entry.status !== 'create' || entry.warnings.length > 0);
+    return (
+      <div style={{ marginTop: spacing.lg }}>
+        <h3 style={{ color: colors.textPrimary, marginBottom: spacing.xs }}>Dry run</h3>
+        <p style={{ color: colors.textSecondary, fontSize: '14px', marginTop: 0 }}>Nothing has been imported yet.</p>
+
+        <div style={{ display: 'flex', gap: spacing.md, marginBottom: spacing.lg, flexWrap: 'wrap' }}>
+          {[
+            { label: 'Will be created', count: counts.create, color: colors.success },
+            { label: 'Will be skipped', count: counts.skip, color: colors.textSecondary },
+            { label: 'Have errors', count: counts.error, color: colors.danger },
+          ].map(stat => (
+            <div key={stat.label} style={{ flex: 1, minWidth: '120px', padding: spacing.md, borderRadius: borderRadius.md, border: `1px solid ${colors.border}`, background: colors.background }}>
+              <div style={{ fontSize: '24px', fontWeight: '700', color: stat.color }}>{stat.count}</div>
+              <div style={{ fontSize: '13px', color: colors.textSecondary }}>{stat.label}</div>
+            </div>
+          ))}
+        </div>
+
+        {problems.length > 0 && (
+          <div style={{ maxHeight: '300px', overflowY: 'auto', marginBottom: spacing.lg, border: `1px solid ${colors.border}`, borderRadius: borderRadius.md }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr style={{ background: colors.background }}>
+                  <th style={cellStyle}>Row</th>
+                  <th style={cellStyle}>Item</th>
+                  <th style={cellStyle}>Result</th>
+                </tr>
+              </thead>
+              <tbody>
+                {problems.map(entry => (
+                  <tr key={entry.rowNumber}>
+                    <td style={{ ...cellStyle, color: colors.textSecondary }}>{entry.rowNumber}</td>
+                    <td style={cellStyle}>{entry.item.name || '—'}</td>
+                    <td style={cellStyle}>
+                      {entry.status === 'error' && <div style={{ color: colors.danger }}>{entry.errors.join('; ')}</div>}
+                      {entry.status === 'skip' && <div style={{ color: colors.textSecondary }}>Skipped: {entry.reason}</div>}
+                      {entry.status === 'create' && entry.warnings.map(warning => (
+                        <div key={warning} style={{ color: colors.warning }}>{warning}</div>
+                      ))}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {progress && (
+          <div style={{ marginBottom: spacing.lg }}>
+            <div style={{ height: '6px', background: colors.border, borderRadius: borderRadius.full, overflow: 'hidden' }}>
+              <div style={{ height: '100%', width: `${progress.total ? (progress.done / progress.total) * 100 : 0}%`, background: colors.primary, transition: 'width 0.2s' }} />
+            </div>
+            <div style={{ fontSize: '12px', color: colors.textSecondary, marginTop: spacing.xs }}>
+              Importing {progress.done} of {progress.total}…
+            </div>
+          </div>
+        )}
+
+        <div style={{ display: 'flex', gap: spacing.md, flexWrap: 'wrap' }}>
+          <button onClick={performImport} disabled={busy || counts.create === 0} style={{ ...primaryButton, cursor: busy || counts.create === 0 ? 'not-allowed' : 'pointer', opacity: busy || counts.create === 0 ? 0.6 : 1 }}>
+            <Upload size={18} />
+            {busy ? 'Importing...' : `Import ${plural(counts.create, 'item')}`}
+          </button>
+          {counts.error > 0 && (
+            <button onClick={() => downloadFailedRows(plan.filter(entry => entry.status === 'error'))} disabled={busy} style={secondaryButton}>
+              <Download size={18} />
+              Rows with errors
+            </button>
+          )}
+          <button onClick={() => { setPlan(null); setStep('map'); }} disabled={busy} style={secondaryButton}>
+            <ArrowLeft size={18} />
+            Back
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ marginTop: spacing.lg }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: spacing.sm, color: colors.textPrimary, fontWeight: '600', marginBottom: spacing.md }}>
+        <CheckCircle size={20} color={colors.success} />
+        Imported {plural(createdCount, 'item')}
+        {counts.skip > 0 && <span style={{ color: colors.textSecondary, fontWeight: '400' }}>, skipped {counts.skip}</span>}
+      </div>
+
+      {failed.length > 0 && (
+        <div style={{ background: colors.expiredBg, borderRadius: borderRadius.md, padding: spacing.md, marginBottom: spacing.lg, fontSize: '14px' }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: spacing.xs, color: colors.expiredText, fontWeight: '600', marginBottom: spacing.sm }}>
+            <AlertTriangle size={16} />
+            {plural(failed.length)} were not imported
+          </div>
+          <button onClick={() => downloadFailedRows(failed)} style={{ ...secondaryButton, padding: `${spacing.sm} ${spacing.md}` }}>
+            <Download size={16} />
+            Download failed rows
+          </button>
+        </div>
+      )}
+
+      <button onClick={reset} style={{ ...primaryButton, flex: 'none', width: '100%' }}>
+        Import another file
+      </button>
+    </div>
+  );
+}
+
+export default ImportWizard;
@@ -0,0 +1,40 @@
+// Provides the shared inventory store and keeps it fresh in the background
+import { useState, useEffect } from 'react';
+import { InventoryContext, createInventoryStore } from '../inventoryStore';
+
+const REVALIDATE_INTERVAL = 60 * 1000;
+
+export function InventoryProvider({ children }) {
+  const [store] = useState(() => createInventoryStore());
+
+  // Revalidate what's on screen when the tab regains focus, and periodically while visible.
+  // The same moments are a good time to replay anything queued while offline.
+  useEffect(() => {
+    store.startSync();
+
+    const handleFocus = () => {
+      if (document.visibilityState !== 'visible') return;
+      store.revalidateStale();
+      store.flushQueue();
+    };
+    const handleOnline = () => store.flushQueue();
+    const interval = setInterval(handleFocus, REVALIDATE_INTERVAL);
+    window.addEventListener('focus', handleFocus);
+    window.addEventListener('online', handleOnline);
+    document.addEventListener('visibilitychange', handleFocus);
+    return () => {
+      clearInterval(interval);
+      window.removeEventListener('focus', handleFocus);
+      window.removeEventListener('online', handleOnline);
+      document.removeEventListener('visibilitychange', handleFocus);
+    };
+  }, [store]);
+
+  return (
+    <InventoryContext.Provider value={store}>
+      {children}
+    </InventoryContext.Provider>
+  );
+}
+
+export default InventoryProvider;
@@ -1,13 +1,16 @@
 // Item card component for displaying inventory items
-import { Edit, Trash2, MapPin, Tag, Calendar } from 'lucide-react';
+import { Edit, Trash2, MapPin, Tag, Calendar, PackageOpen, Snowflake } from 'lucide-react';
 import { getColors, borderRadius, spacing, getShadows } from '../colors';
-import { formatDate, getExpiryBadgeText, getExpiryColor } from '../utils/dateUtils';
+import { formatDate, getExpiryBadgeText, getExpiryColor, getEffectiveExpiry, isEstimatedExpiry, isBestBefore, getFrozenText } from '../utils/dateUtils';
+import QuantityStepper from './QuantityStepper';
 
-export function ItemCard({ item, onEdit, onDelete, onSelect, isSelected, isDark }) {
+export function ItemCard({ item, onEdit, onDelete, onSelect, onView, onAdjustQuantity, isSelected, isDark }) {
   const colors = getColors(isDark);
   const shadows = getShadows(isDark);
-  const expiryColor = getExpiryColor(item.expiry_date);
-  const expiryBadge = getExpiryBadgeText(item.expiry_date);
+  const expiryColor = getExpiryColor(item);
+  const expiryDate = getEffectiveExpiry(item);
+  const expiryBadge = getExpiryBadgeText(item);
+  const estimated = isEstimatedExpiry(item);
 
   return (
     <div
@@ -33,9 +36,18 @@ export function ItemCard({ item, onEdit, onDelete, onSelect, isSelected, isDark
       {/* Header */}
       <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'start', marginBottom: spacing.md }}>
         <div style={{ flex: 1 }}>
-          <h3 style={{ margin: 0, fontSize: '18px', fontWeight: 'bold', color: colors.textPrimary }}>
+          <h3
+            onClick={onView ? (e) => { e.stopPropagation(); onView(item); } : undefined}
+            style={{ margin: 0, fontSize: '18px', fontWeight: 'bold', color: colors.textPrimary, textDecoration: onView ? 'underline dotted' : 'none', textUnderlineOffset: '4px' }}
+            title={onView ? 'View details' : undefined}
+          >
             {item.name}
           </h3>
+          {item.pending && (
+            <div style={{ fontSize: '12px', color: colors.textSecondary, marginTop: spacing.xs }} title="Saved on this device; will sync when the connection is back">
+              Not synced yet
+            </div>
+          )}
           {item.barcode && (
             <div style={{ fontSize: '12px', color: colors.textTertiary, marginTop: spacing.xs }}>
               {item.barcode}
@@ -86,7 +98,7 @@ export function ItemCard({ item, onEdit, onDelete, onSelect, isSelected, isDark
           <Tag size={16} />
           <span>{item.category || 'No category'}</span>
         </div>
-        {item.expiry_date && (
+        {expiryDate && (
           <div style={{ display: 'flex', alignItems: 'center', gap: spacing.sm }}>
             <Calendar size={16} style={{ color: colors.textSecondary }} />
             <span
@@ -94,13 +106,32 @@ export function ItemCard({ item, onEdit, onDelete, onSelect, isSelected, isDark
                 padding: `${spacing.xs} ${spacing.sm}`,
                 backgroundColor: expiryColor + '20',
                 color: expiryColor,
+                border: estimated ? `1px dashed ${expiryColor}` : 'none',
                 borderRadius: borderRadius.sm,
                 fontSize: '12px',
                 fontWeight: '600',
               }}
+              title={`${estimated ? 'Estimated from shelf life: ' : isBestBefore(item) ? 'Best before ' : ''}${formatDate(expiryDate)}`}
             >
-              {expiryBadge}
+              {estimated ? `≈ ${expiryBadge}` : expiryBadge}
             </span>
+            {estimated && <span style={{ fontSize: '12px', color: colors.textTertiary }}>estimated</span>}
+          </div>
+        )}
+        {item.opened_date && (
+          <div style={{ display: 'flex', alignItems: 'flex-start', gap: spacing.sm, color: colors.textSecondary }}>
+            <PackageOpen size={16} style={{ flexShrink: 0 }} />
+            <span style={{ fontSize: '12px' }}>
+              Opened {formatDate(item.opened_date)}
+              {item.opened_expiry_date && <> · use by {formatDate(item.opened_expiry_date)}</>}
+              {item.expiry_date && <> · {item.expiry_estimated ? 'estimated' : 'printed'} {formatDate(item.expiry_date)}</>}
+            </span>
+          </div>
+        )}
+        {item.frozen_date && (
+          <div style={{ display: 'flex', alignItems: 'center', gap: spacing.sm, color: colors.info }} title={`In the freezer since ${formatDate(item.frozen_date)}`}>
+            <Snowflake size={16} style={{ flexShrink: 0 }} />
+            <span style={{ fontSize: '12px' }}>{getFrozenText(item)}</span>
           </div>
         )}
       </div>
@@ -117,9 +148,13 @@ export function ItemCard({ item, onEdit, onDelete, onSelect, isSelected, isDark
         }}
       >
         <span style={{ fontSize: '14px', color: colors.textSecondary }}>Quantity</span>
-        <span style={{ fontSize: '18px', fontWeight: 'bold', color: colors.primary }}>
-          {item.quantity || 1}
-        </span>
+        {onAdjustQuantity ? (
+          <QuantityStepper quantity={item.quantity} onChange={(delta) => onAdjustQuantity(item, delta)} isDark={isDark} />
+        ) : (
+          <span style={{ fontSize: '18px', fontWeight: 'bold', color: colors.primary }}>
+            {item.quantity ?? 0}
+          </span>
+        )}
       </div>
 
       {item.notes && (
@@ -0,0 +1,71 @@
+// Live sync status - briefly shows who changed the inventory, or that the connection dropped
+import { useState, useEffect } from 'react';
+import { RefreshCw, WifiOff } from 'lucide-react';
+import { getColors, spacing, borderRadius } from '../colors';
+import { useLiveInventory } from '../hooks/useLiveInventory';
+
+const SHOW_CHANGE_FOR = 6000;
+
+const CHANGE_VERBS = {
+  'item.created': 'added',
+  'item.updated': 'updated',
+  'item.deleted': 'removed an item',
+  'inventory.changed': 'changed several items',
+};
+
+function describeChange({ type, actor, itemName }) {
+  const verb = CHANGE_VERBS[type] || 'updated the inventory';
+  if (itemName && (type === 'item.created' || type === 'item.updated')) {
+    return `${actor} ${verb} ${itemName}`;
+  }
+  return `${actor} ${verb}`;
+}
+
+export function LiveSyncIndicator({ isDark }) {
+  const colors = getColors(isDark);
+  const { status, lastChange } = useLiveInventory();
+  const [visibleChange, setVisibleChange] = useState(null);
+
+  useEffect(() => {
+    if (!lastChange) return;
+    setVisibleChange(lastChange);
+    const timer = setTimeout(() => setVisibleChange(null), SHOW_CHANGE_FOR);
+    return () => clearTimeout(timer);
+  }, [lastChange]);
+
+  const pillStyle = {
+    display: 'flex',
+    alignItems: 'center',
+    gap: spacing.xs,
+    padding: `${spacing.xs} ${spacing.md}`,
+    borderRadius: borderRadius.full,
+    fontSize: '12px',
+    color: colors.textSecondary,
+    background: colors.background,
+    border: `1px solid ${colors.border}`,
+    maxWidth: '280px',
+    whiteSpace: 'nowrap',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+  };
+
+  if (status === 'reconnecting') {
+    return (
+      <div style={pillStyle} title="Changes made by others will appear once the connection is back">
+        <WifiOff size={14} />
+        Reconnecting…
+      </div>
+    );
+  }
+
+  if (!visibleChange) return null;
+
+  return (
+    <div style={pillStyle} role="status" title={new Date(visibleChange.at).toLocaleTimeString()}>
+      <RefreshCw size={14} color={colors.primary} />
+      <span style={{ overflow: 'hidden', textOverflow: 'ellipsis' }}>{describeChange(visibleChange)}</span>
+    </div>
+  );
+}
+
+export default LiveSyncIndicator;
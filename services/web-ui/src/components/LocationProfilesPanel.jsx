@@ -0,0 +1,110 @@
+// Location profiles panel - what kind of storage each location is and what moving an item there does to its expiry
+import { useState, useEffect } from 'react';
+import { getColors, spacing, borderRadius } from '../colors';
+import { getLocationProfiles, saveLocationProfiles } from '../api';
+
+const STORAGE_OPTIONS = [
+  { value: 'pantry', label: 'Pantry' },
+  { value: 'fridge', label: 'Fridge' },
+  { value: 'freezer', label: 'Freezer' },
+];
+const MOVE_OPTIONS = [
+  { value: 'keep', label: 'Keep its date' },
+  { value: 'extend', label: 'Extend to shelf life here' },
+  { value: 'reset', label: 'Reset to shelf life here' },
+];
+
+export function LocationProfilesPanel({ locations, isDark }) {
+  const colors = getColors(isDark);
+  const [profiles, setProfiles] = useState([]);
+  const [draft, setDraft] = useState(null); // null until the first edit
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState('');
+  const locationKey = locations.join(',');
+
+  useEffect(() => {
+    getLocationProfiles(locationKey ? locationKey.split(',') : [])
+      .then(setProfiles)
+      .catch(err => console.error('Failed to load location profiles:', err));
+  }, [locationKey]);
+
+  const shown = draft || profiles;
+
+  const edit = (next) => {
+    setDraft(next);
+    setMessage('');
+  };
+  const updateProfile = (location, field, value) => {
+    edit(shown.map(profile => profile.location === location ? { ...profile, [field]: value } : profile));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      setProfiles(await saveLocationProfiles(shown.map(({ location, storage, on_move }) => ({ location, storage, on_move }))));
+      setDraft(null);
+      setMessage('✅ Location profiles saved!');
+    } catch (err) {
+      setMessage('❌ ' + (err.response?.data?.detail || 'Failed to save location profiles'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const selectStyle = { padding: spacing.sm, borderRadius: borderRadius.sm, border: `2px solid ${colors.border}`, fontSize: '14px', backgroundColor: colors.card, color: colors.textPrimary };
+  const rowStyle = { display: 'flex', alignItems: 'center', gap: spacing.md, padding: spacing.md, backgroundColor: colors.background, borderRadius: borderRadius.sm, marginBottom: spacing.xs, flexWrap: 'wrap', color: colors.textPrimary };
+
+  return (
+    <div style={{ background: colors.card, padding: spacing.xl, borderRadius: borderRadius.lg, boxShadow: '0 2px 8px rgba(0,0,0,0.05)', marginBottom: spacing.lg }}>
+      <h2 style={{ marginTop: 0, color: colors.textPrimary }}>🧊 Location Profiles</h2>
+      <p style={{ color: colors.textSecondary, lineHeight: 1.6 }}>
+        Which kind of storage each location is, and what happens to an item's expiry date when it is moved there from
+        a different kind. Extending to the freezer's shelf life keeps chicken from showing as expired the week after it
+        was frozen. Anything taken out of a freezer always gets the shelf life of where it goes, counted from that day,
+        so thawed food never carries its freezer date; without a shelf life for its category there, its date is cleared
+        so you can set one. New dates are marked as estimates,
+        and a date you change yourself in the same edit always wins. Items moved into a freezer remember when they were frozen.
+      </p>
+
+      {shown.map(profile => (
+        <div key={profile.location} style={rowStyle}>
+          <span style={{ flex: '1 1 140px' }}>
+            {profile.location}
+            {!profile.saved && !draft && <span style={{ marginLeft: spacing.sm, fontSize: '12px', color: colors.textTertiary }}>guessed from name</span>}
+          </span>
+          <select value={profile.storage} onChange={(e) => updateProfile(profile.location, 'storage', e.target.value)} title="Kind of storage" style={selectStyle}>
+            {STORAGE_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+          </select>
+          <select value={profile.on_move} onChange={(e) => updateProfile(profile.location, 'on_move', e.target.value)} title="When an item is moved here" style={selectStyle}>
+            {MOVE_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+          </select>
+        </div>
+      ))}
+
+      <div style={{ display: 'flex', gap: spacing.sm, marginTop: spacing.md, justifyContent: 'flex-end' }}>
+        {draft && (
+          <button
+            onClick={() => edit(null)}
+            disabled={saving}
+            style={{ padding: `${spacing.sm} ${spacing.lg}`, borderRadius: borderRadius.md, border: `2px solid ${colors.border}`, background: colors.card, color: colors.textPrimary, cursor: 'pointer', fontWeight: '600' }}
+          >
+            Discard
+          </button>
+        )}
+        <button
+          onClick={handleSave}
+          disabled={saving || !draft}
+          style={{ padding: `${spacing.sm} ${spacing.lg}`, borderRadius: borderRadius.md, border: 'none', background: colors.primary, color: '#ffffff', cursor: saving || !draft ? 'default' : 'pointer', fontWeight: 'bold', opacity: saving || !draft ? 0.6 : 1 }}
+        >
+          {saving ? 'Saving...' : 'Save Profiles'}
+        </button>
+      </div>
+
+      {message && (
+        <div style={{ marginTop: spacing.md, fontSize: '14px', color: message.startsWith('❌') ? colors.danger : colors.success }}>{message}</div>
+      )}
+    </div>
+  );
+}
+
+export default LocationProfilesPanel;
@@ -0,0 +1,123 @@
+// After-opening shelf life panel - how many days each category keeps once opened
+import { useState, useEffect } from 'react';
+import { Plus, X } from 'lucide-react';
+import { getColors, spacing, borderRadius } from '../colors';
+import { useInventoryStore } from '../hooks/useInventoryStore';
+import { getOpenedShelfLife, saveOpenedShelfLife } from '../api';
+import { MAX_THRESHOLD_DAYS } from '../utils/expiryRules';
+
+export function OpenedShelfLifePanel({ categories, isDark }) {
+  const colors = getColors(isDark);
+  const store = useInventoryStore();
+  const [rules, setRules] = useState([]);
+  const [draft, setDraft] = useState(null); // null until the first edit
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    getOpenedShelfLife()
+      .then(setRules)
+      .catch(err => console.error('Failed to load after-opening shelf life:', err));
+  }, []);
+
+  const shown = draft || rules;
+  const unusedCategories = categories.filter(category => !shown.some(rule => rule.category === category));
+
+  const edit = (next) => {
+    setDraft(next);
+    setMessage('');
+  };
+  const updateRule = (category, value) => {
+    const days = value === '' ? '' : parseInt(value, 10);
+    edit(shown.map(rule => rule.category === category ? { ...rule, days } : rule));
+  };
+  const addRule = (category) => {
+    if (!category) return;
+    edit([...shown, { category, days: 7 }]);
+  };
+  const removeRule = (category) => edit(shown.filter(rule => rule.category !== category));
+
+  const handleSave = async () => {
+    const invalid = shown.find(rule => !Number.isInteger(rule.days) || rule.days < 0 || rule.days > MAX_THRESHOLD_DAYS);
+    if (invalid) {
+      setMessage(`❌ ${invalid.category}: enter a number of days between 0 and ${MAX_THRESHOLD_DAYS}`);
+      return;
+    }
+    setSaving(true);
+    try {
+      setRules(await saveOpenedShelfLife(shown));
+      setDraft(null);
+      setMessage('✅ After-opening shelf life saved!');
+      // Use-by dates of opened items move with the rules
+      store.revalidate();
+    } catch (err) {
+      setMessage('❌ ' + (err.response?.data?.detail || 'Failed to save shelf life'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputStyle = { width: '64px', padding: spacing.sm, borderRadius: borderRadius.sm, border: `2px solid ${colors.border}`, fontSize: '14px', backgroundColor: colors.card, color: colors.textPrimary };
+  const rowStyle = { display: 'flex', alignItems: 'center', gap: spacing.md, padding: spacing.md, backgroundColor: colors.background, borderRadius: borderRadius.sm, marginBottom: spacing.xs, flexWrap: 'wrap', color: colors.textPrimary };
+
+  return (
+    <div style={{ background: colors.card, padding: spacing.xl, borderRadius: borderRadius.lg, boxShadow: '0 2px 8px rgba(0,0,0,0.05)', marginBottom: spacing.lg }}>
+      <h2 style={{ marginTop: 0, color: colors.textPrimary }}>🥫 After Opening</h2>
+      <p style={{ color: colors.textSecondary, lineHeight: 1.6 }}>
+        How long a category keeps once opened. An opened item has to be used by the earlier of its printed date and
+        its opened date plus these days. Setting days on a single item (when editing it) overrides this for that product.
+        These apply to everyone in the household.
+      </p>
+
+      {shown.length === 0 && (
+        <div style={{ ...rowStyle, color: colors.textSecondary }}>No categories set up yet; opened items keep their printed date.</div>
+      )}
+
+      {shown.map(rule => (
+        <div key={rule.category} style={rowStyle}>
+          <span style={{ flex: '1 1 140px' }}>{rule.category}</span>
+          <label style={{ display: 'flex', alignItems: 'center', gap: spacing.xs, fontSize: '14px', color: colors.textSecondary }}>
+            Keeps
+            <input type="number" min="0" max={MAX_THRESHOLD_DAYS} value={rule.days} onChange={(e) => updateRule(rule.category, e.target.value)} style={inputStyle} />
+            days
+          </label>
+          <button onClick={() => removeRule(rule.category)} title="Remove rule" style={{ background: 'none', border: 'none', cursor: 'pointer', color: colors.danger, display: 'flex', padding: spacing.xs }}>
+            <X size={16} />
+          </button>
+        </div>
+      ))}
+
+      <div style={{ display: 'flex', gap: spacing.sm, marginTop: spacing.md, alignItems: 'center', flexWrap: 'wrap' }}>
+        <Plus size={16} color={colors.textSecondary} />
+        <select value="" onChange={(e) => addRule(e.target.value)} disabled={unusedCategories.length === 0} style={{ ...inputStyle, width: 'auto' }}>
+          <option value="">Add a category...</option>
+          {unusedCategories.map(category => <option key={category} value={category}>{category}</option>)}
+        </select>
+        <div style={{ marginLeft: 'auto', display: 'flex', gap: spacing.sm }}>
+          {draft && (
+            <button
+              onClick={() => edit(null)}
+              disabled={saving}
+              style={{ padding: `${spacing.sm} ${spacing.lg}`, borderRadius: borderRadius.md, border: `2px solid ${colors.border}`, background: colors.card, color: colors.textPrimary, cursor: 'pointer', fontWeight: '600' }}
+            >
+              Discard
+            </button>
+          )}
+          <button
+            onClick={handleSave}
+            disabled={saving || !draft}
+            style={{ padding: `${spacing.sm} ${spacing.lg}`, borderRadius: borderRadius.md, border: 'none', background: colors.primary, color: '#ffffff', cursor: saving || !draft ? 'default' : 'pointer', fontWeight: 'bold', opacity: saving || !draft ? 0.6 : 1 }}
+          >
+            {saving ? 'Saving...' : 'Save Shelf Life'}
+          </button>
+        </div>
+      </div>
+
+      {message && (
+        <div style={{ marginTop: spacing.md, fontSize: '14px', color: message.startsWith('❌') ? colors.danger : colors.success }}>{message}</div>
+      )}
+    </div>
+  );
+}
+
+export default OpenedShelfLifePanel;
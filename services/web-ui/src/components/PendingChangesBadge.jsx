@@ -0,0 +1,169 @@
+// Pending Changes Badge - changes waiting for a connection, and replayed changes that conflicted
+import { useState, useRef, useEffect } from 'react';
+import { CloudOff, UploadCloud, AlertTriangle, RefreshCw } from 'lucide-react';
+import { getColors, spacing, borderRadius } from '../colors';
+import { useOfflineSync } from '../hooks/useOfflineSync';
+
+const FIELD_LABELS = {
+  name: 'Name',
+  brand: 'Brand',
+  category: 'Category',
+  location: 'Location',
+  quantity: 'Quantity',
+  expiry_date: 'Expiry date',
+  date_type: 'Date type',
+  expiry_estimated: 'Estimated expiry',
+  opened_date: 'Opened date',
+  opened_shelf_life_days: 'Shelf life after opening',
+  frozen_date: 'Frozen date',
+  notes: 'Notes',
+};
+
+const itemLabel = (mutation) => mutation.base?.name || mutation.data?.name || `item #${mutation.itemId}`;
+
+function describeMutation(mutation) {
+  if (mutation.type === 'create') return `Add ${itemLabel(mutation)}`;
+  if (mutation.type === 'delete') return `Delete ${itemLabel(mutation)}`;
+  const fields = Object.keys(mutation.data).map(field => (FIELD_LABELS[field] || field).toLowerCase());
+  return `Update ${itemLabel(mutation)} (${fields.join(', ')})`;
+}
+
+const showValue = (value) => (value === null || value === undefined || value === '' ? 'empty' : String(value));
+
+export function PendingChangesBadge({ isDark }) {
+  const colors = getColors(isDark);
+  const { pending, conflicts, syncing, online, syncNow, keepMine, keepTheirs } = useOfflineSync();
+  const [open, setOpen] = useState(false);
+  const [busy, setBusy] = useState(null);
+  const ref = useRef(null);
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (ref.current && !ref.current.contains(event.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  if (online && pending.length === 0 && conflicts.length === 0) return null;
+
+  const resolve = async (conflict, action) => {
+    try {
+      setBusy(conflict.seq);
+      await action(conflict);
+    } catch (err) {
+      alert('Failed to resolve conflict: ' + err.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const color = conflicts.length > 0 ? colors.danger : online ? colors.primary : colors.textSecondary;
+  const Icon = online ? UploadCloud : CloudOff;
+  const count = pending.length + conflicts.length;
+
+  const smallButton = {
+    padding: `${spacing.xs} ${spacing.sm}`,
+    borderRadius: borderRadius.sm,
+    border: `1px solid ${colors.border}`,
+    background: colors.card,
+    color: colors.textPrimary,
+    fontSize: '12px',
+    cursor: 'pointer',
+  };
+
+  return (
+    <div ref={ref} style={{ position: 'relative' }}>
+      <button
+        onClick={() => setOpen(!open)}
+        title={online ? 'Changes waiting to sync' : 'Offline - changes will sync when the connection is back'}
+        style={{ background: 'transparent', border: 'none', padding: '10px', cursor: 'pointer', borderRadius: borderRadius.md, color, display: 'flex', alignItems: 'center', gap: spacing.xs }}
+      >
+        <Icon size={20} />
+        {count > 0 && <span style={{ fontSize: '12px', fontWeight: '600' }}>{count}</span>}
+      </button>
+
+      {open && (
+        <div style={{
+          position: 'absolute',
+          top: '100%',
+          right: 0,
+          marginTop: spacing.sm,
+          background: colors.card,
+          border: `1px solid ${colors.border}`,
+          borderRadius: borderRadius.lg,
+          boxShadow: '0 4px 12px rgba(0,0,0,0.15)',
+          minWidth: '340px',
+          maxWidth: '400px',
+          maxHeight: '500px',
+          overflowY: 'auto',
+          zIndex: 1000,
+        }}>
+          <div style={{ padding: `${spacing.md} ${spacing.lg}`, borderBottom: `1px solid ${colors.border}`, display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: spacing.sm }}>
+            <span style={{ fontWeight: '600', color: colors.textPrimary }}>
+              {online ? 'Pending changes' : 'Offline'}
+            </span>
+            {online && pending.length > 0 && (
+              <button onClick={syncNow} disabled={syncing} style={{ ...smallButton, display: 'flex', alignItems: 'center', gap: spacing.xs, opacity: syncing ? 0.6 : 1 }}>
+                <RefreshCw size={12} />
+                {syncing ? 'Syncing…' : 'Sync now'}
+              </button>
+            )}
+          </div>
+
+          {!online && (
+            <div style={{ padding: `${spacing.sm} ${spacing.lg}`, fontSize: '13px', color: colors.textSecondary }}>
+              Changes are saved on this device and will sync when the connection is back.
+            </div>
+          )}
+
+          {pending.map(mutation => (
+            <div key={`pending-${mutation.seq}`} style={{ padding: `${spacing.sm} ${spacing.lg}`, borderBottom: `1px solid ${colors.border}`, fontSize: '13px', color: colors.textPrimary }}>
+              {describeMutation(mutation)}
+            </div>
+          ))}
+
+          {conflicts.map(conflict => {
+            const { mutation } = conflict;
+            return (
+              <div key={`conflict-${conflict.seq}`} style={{ padding: `${spacing.md} ${spacing.lg}`, borderBottom: `1px solid ${colors.border}`, background: colors.expiredBg, fontSize: '13px' }}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: spacing.xs, color: colors.expiredText, fontWeight: '600', marginBottom: spacing.xs }}>
+                  <AlertTriangle size={14} />
+                  {describeMutation(mutation)}
+                </div>
+                {conflict.reason === 'changed' ? (
+                  <div style={{ color: colors.textSecondary, marginBottom: spacing.sm }}>
+                    Someone else changed this while you were offline:
+                    {conflict.fields.map(field => (
+                      <div key={field}>
+                        {FIELD_LABELS[field] || field}: theirs {showValue(conflict.serverItem[field])}, yours {showValue(mutation.data[field])}
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  <div style={{ color: colors.textSecondary, marginBottom: spacing.sm }}>
+                    {conflict.reason === 'deleted'
+                      ? 'Someone deleted this item while you were offline.'
+                      : conflict.reason === 'unanswered'
+                        ? 'The server didn\'t answer in time, so this may have been added already. Check the inventory before retrying.'
+                        : `The server rejected this change: ${conflict.reason}`}
+                  </div>
+                )}
+                <div style={{ display: 'flex', gap: spacing.sm }}>
+                  <button onClick={() => resolve(conflict, keepMine)} disabled={busy === conflict.seq} style={smallButton}>
+                    {conflict.reason === 'deleted' ? 'Add it back' : conflict.reason === 'changed' ? 'Keep mine' : 'Retry'}
+                  </button>
+                  <button onClick={() => resolve(conflict, keepTheirs)} disabled={busy === conflict.seq} style={smallButton}>
+                    {conflict.reason === 'changed' ? 'Keep theirs' : 'Discard'}
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PendingChangesBadge;
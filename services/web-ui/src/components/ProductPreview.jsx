@@ -0,0 +1,54 @@
+// Product preview for barcode lookup results
+import { Package } from 'lucide-react';
+import { getColors, spacing, borderRadius } from '../colors';
+
+export function ProductPreview({ product, loading, useImage, onToggleImage, isDark }) {
+  const colors = getColors(isDark);
+
+  if (loading) {
+    return (
+      <div style={{ padding: spacing.md, background: colors.background, borderRadius: borderRadius.md, fontSize: '14px', color: colors.textSecondary }}>
+        Looking up barcode...
+      </div>
+    );
+  }
+
+  if (!product) return null;
+
+  if (!product.found) {
+    return (
+      <div style={{ padding: spacing.md, background: colors.background, borderRadius: borderRadius.md, fontSize: '14px', color: colors.textSecondary }}>
+        No product info found for {product.barcode}. Fill in the details manually.
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ display: 'flex', gap: spacing.lg, padding: spacing.lg, background: colors.accentBg, border: `1px solid ${colors.border}`, borderRadius: borderRadius.lg, alignItems: 'center' }}>
+      <div style={{ width: '72px', height: '72px', flexShrink: 0, borderRadius: borderRadius.md, background: colors.card, display: 'flex', alignItems: 'center', justifyContent: 'center', overflow: 'hidden' }}>
+        {product.image_url ? (
+          <img src={product.image_url} alt={product.name} style={{ maxWidth: '100%', maxHeight: '100%', objectFit: 'contain', opacity: useImage ? 1 : 0.35 }} />
+        ) : (
+          <Package size={32} color={colors.textTertiary} />
+        )}
+      </div>
+      <div style={{ flex: 1, minWidth: 0 }}>
+        <div style={{ fontWeight: '600', color: colors.textPrimary }}>{product.name}</div>
+        <div style={{ fontSize: '13px', color: colors.textSecondary }}>
+          {[product.brand, product.category].filter(Boolean).join(' · ')}
+        </div>
+        <div style={{ fontSize: '12px', color: colors.textTertiary, marginTop: spacing.xs }}>
+          Source: {product.source || 'Unknown'}{product.from_cache ? ' (cached)' : ''}
+        </div>
+        {product.image_url && (
+          <label style={{ display: 'flex', alignItems: 'center', gap: spacing.xs, fontSize: '13px', color: colors.textSecondary, marginTop: spacing.xs, cursor: 'pointer' }}>
+            <input type="checkbox" checked={useImage} onChange={(e) => onToggleImage(e.target.checked)} />
+            Use product image
+          </label>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ProductPreview;
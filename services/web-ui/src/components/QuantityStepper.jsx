@@ -0,0 +1,50 @@
+// +/- quantity stepper for consume/restock actions
+import { Minus, Plus } from 'lucide-react';
+import { getColors, spacing, borderRadius } from '../colors';
+
+export function QuantityStepper({ quantity, onChange, isDark, size = 'md' }) {
+  const colors = getColors(isDark);
+  const buttonSize = size === 'sm' ? '26px' : '30px';
+  const value = quantity ?? 0;
+
+  const buttonStyle = (disabled) => ({
+    width: buttonSize,
+    height: buttonSize,
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    border: `1px solid ${colors.border}`,
+    borderRadius: borderRadius.sm,
+    background: colors.card,
+    color: disabled ? colors.textTertiary : colors.textPrimary,
+    cursor: disabled ? 'not-allowed' : 'pointer',
+    padding: 0,
+  });
+
+  return (
+    <div style={{ display: 'inline-flex', alignItems: 'center', gap: spacing.sm }} onClick={(e) => e.stopPropagation()}>
+      <button
+        type="button"
+        onClick={() => onChange(-1)}
+        disabled={value <= 0}
+        style={buttonStyle(value <= 0)}
+        title="Consume one"
+      >
+        <Minus size={14} />
+      </button>
+      <span style={{ minWidth: '24px', textAlign: 'center', fontSize: size === 'sm' ? '15px' : '18px', fontWeight: 'bold', color: value === 0 ? colors.danger : colors.primary }}>
+        {value}
+      </span>
+      <button
+        type="button"
+        onClick={() => onChange(1)}
+        style={buttonStyle(false)}
+        title="Restock one"
+      >
+        <Plus size={14} />
+      </button>
+    </div>
+  );
+}
+
+export default QuantityStepper;
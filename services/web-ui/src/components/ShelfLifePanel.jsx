@@ -0,0 +1,155 @@
+// Shelf-life panel - typical shelf life per category, used to estimate missing expiry dates
+import { useState, useEffect } from 'react';
+import { Plus, X } from 'lucide-react';
+import { getColors, spacing, borderRadius } from '../colors';
+import { useInventoryStore } from '../hooks/useInventoryStore';
+import { getShelfLife, saveShelfLife, applyShelfLifeEstimates } from '../api';
+
+const STORAGE_COLUMNS = [
+  { field: 'pantry_days', label: 'Pantry' },
+  { field: 'fridge_days', label: 'Fridge' },
+  { field: 'freezer_days', label: 'Freezer' },
+];
+const MAX_SHELF_LIFE_DAYS = 3650;
+
+export function ShelfLifePanel({ categories, isDark }) {
+  const colors = getColors(isDark);
+  const store = useInventoryStore();
+  const [estimates, setEstimates] = useState([]);
+  const [draft, setDraft] = useState(null); // null until the first edit
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    getShelfLife()
+      .then(setEstimates)
+      .catch(err => console.error('Failed to load shelf life:', err));
+  }, []);
+
+  const shown = draft || estimates;
+  const unusedCategories = categories.filter(category => !shown.some(estimate => estimate.category === category));
+
+  const edit = (next) => {
+    setDraft(next);
+    setMessage('');
+  };
+  const updateEstimate = (category, field, value) => {
+    const days = value === '' ? null : parseInt(value, 10);
+    edit(shown.map(estimate => estimate.category === category ? { ...estimate, [field]: days } : estimate));
+  };
+  const addEstimate = (category) => {
+    if (!category) return;
+    edit([...shown, { category, pantry_days: null, fridge_days: null, freezer_days: null }]);
+  };
+  const removeEstimate = (category) => edit(shown.filter(estimate => estimate.category !== category));
+
+  const handleSave = async () => {
+    const invalid = shown.find(estimate => STORAGE_COLUMNS.some(({ field }) => {
+      const days = estimate[field];
+      return days !== null && (!Number.isInteger(days) || days < 0 || days > MAX_SHELF_LIFE_DAYS);
+    }));
+    if (invalid) {
+      setMessage(`❌ ${invalid.category}: shelf life must be between 0 and ${MAX_SHELF_LIFE_DAYS} days`);
+      return;
+    }
+    setBusy(true);
+    try {
+      setEstimates(await saveShelfLife(shown));
+      setDraft(null);
+      setMessage('✅ Shelf life saved!');
+    } catch (err) {
+      setMessage('❌ ' + (err.response?.data?.detail || 'Failed to save shelf life'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleApply = async () => {
+    if (!window.confirm('Give every in-stock item without an expiry date an estimated one, counted from when it was added?')) return;
+    setBusy(true);
+    try {
+      const { updated, skipped } = await applyShelfLifeEstimates();
+      setMessage(`✅ Estimated ${updated} expiry date${updated === 1 ? '' : 's'}${skipped ? `; ${skipped} item${skipped === 1 ? '' : 's'} had no shelf life to go by` : ''}.`);
+      if (updated) store.revalidate();
+    } catch (err) {
+      setMessage('❌ ' + (err.response?.data?.detail || 'Failed to estimate expiry dates'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const inputStyle = { width: '72px', padding: spacing.sm, borderRadius: borderRadius.sm, border: `2px solid ${colors.border}`, fontSize: '14px', backgroundColor: colors.card, color: colors.textPrimary };
+  const rowStyle = { display: 'flex', alignItems: 'center', gap: spacing.md, padding: spacing.md, backgroundColor: colors.background, borderRadius: borderRadius.sm, marginBottom: spacing.xs, flexWrap: 'wrap', color: colors.textPrimary };
+  const secondaryButton = { padding: `${spacing.sm} ${spacing.lg}`, borderRadius: borderRadius.md, border: `2px solid ${colors.border}`, background: colors.card, color: colors.textPrimary, cursor: 'pointer', fontWeight: '600' };
+
+  return (
+    <div style={{ background: colors.card, padding: spacing.xl, borderRadius: borderRadius.lg, boxShadow: '0 2px 8px rgba(0,0,0,0.05)', marginBottom: spacing.lg }}>
+      <h2 style={{ marginTop: 0, color: colors.textPrimary }}>📦 Shelf Life</h2>
+      <p style={{ color: colors.textSecondary, lineHeight: 1.6 }}>
+        How long each category usually keeps, by where it is stored. When an item has no date on the pack, Add Item
+        suggests one from this table; estimated dates are marked ≈ so they are never mistaken for printed ones.
+        Leave a box empty where a category shouldn't be stored that way.
+      </p>
+
+      <div style={{ ...rowStyle, backgroundColor: 'transparent', fontSize: '13px', fontWeight: '600', color: colors.textSecondary }}>
+        <span style={{ flex: '1 1 140px' }}>Category</span>
+        {STORAGE_COLUMNS.map(({ field, label }) => <span key={field} style={{ width: '72px' }}>{label}</span>)}
+        <span style={{ width: '24px' }} />
+      </div>
+
+      {shown.map(estimate => (
+        <div key={estimate.category} style={rowStyle}>
+          <span style={{ flex: '1 1 140px' }}>{estimate.category}</span>
+          {STORAGE_COLUMNS.map(({ field, label }) => (
+            <input
+              key={field}
+              type="number"
+              min="0"
+              max={MAX_SHELF_LIFE_DAYS}
+              value={estimate[field] ?? ''}
+              onChange={(e) => updateEstimate(estimate.category, field, e.target.value)}
+              placeholder="–"
+              title={`Days in the ${label.toLowerCase()}`}
+              style={inputStyle}
+            />
+          ))}
+          <button onClick={() => removeEstimate(estimate.category)} title="Remove category" style={{ background: 'none', border: 'none', cursor: 'pointer', color: colors.danger, display: 'flex', padding: spacing.xs }}>
+            <X size={16} />
+          </button>
+        </div>
+      ))}
+
+      <div style={{ display: 'flex', gap: spacing.sm, marginTop: spacing.md, alignItems: 'center', flexWrap: 'wrap' }}>
+        <Plus size={16} color={colors.textSecondary} />
+        <select value="" onChange={(e) => addEstimate(e.target.value)} disabled={unusedCategories.length === 0} style={{ ...inputStyle, width: 'auto' }}>
+          <option value="">Add a category...</option>
+          {unusedCategories.map(category => <option key={category} value={category}>{category}</option>)}
+        </select>
+        <div style={{ marginLeft: 'auto', display: 'flex', gap: spacing.sm, flexWrap: 'wrap' }}>
+          {draft ? (
+            <button onClick={() => edit(null)} disabled={busy} style={secondaryButton}>
+              Discard
+            </button>
+          ) : (
+            <button onClick={handleApply} disabled={busy} style={secondaryButton} title="Fill in estimated dates for items that have none">
+              Estimate Missing Dates
+            </button>
+          )}
+          <button
+            onClick={handleSave}
+            disabled={busy || !draft}
+            style={{ padding: `${spacing.sm} ${spacing.lg}`, borderRadius: borderRadius.md, border: 'none', background: colors.primary, color: '#ffffff', cursor: busy || !draft ? 'default' : 'pointer', fontWeight: 'bold', opacity: busy || !draft ? 0.6 : 1 }}
+          >
+            {busy && draft ? 'Saving...' : 'Save Shelf Life'}
+          </button>
+        </div>
+      </div>
+
+      {message && (
+        <div style={{ marginTop: spacing.md, fontSize: '14px', color: message.startsWith('❌') ? colors.danger : colors.success }}>{message}</div>
+      )}
+    </div>
+  );
+}
+
+export default ShelfLifePanel;
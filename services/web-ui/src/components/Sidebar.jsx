@@ -1,35 +1,23 @@
 // Sidebar - Minimal Design with Working Navigation
-import { useState, useEffect } from 'react';
-import { Package, AlertTriangle, XCircle, Plus } from 'lucide-react';
+import { useState } from 'react';
+import { Package, AlertTriangle, XCircle, Hourglass, Plus, ShoppingCart, Trash2, Printer, QrCode, ClipboardCheck, BarChart3 } from 'lucide-react';
 import { getColors, spacing, borderRadius, getShadows, getGradient } from '../colors';
-import { useItems } from '../hooks/useItems';
-import { getExpiryStatus } from '../utils/dateUtils';
+import { useItemSummary } from '../hooks/useItemSummary';
 
 export function Sidebar({ isOpen, currentPath, onNavigate, isDark, onFilterChange }) {
   const colors = getColors(isDark);
   const gradient = getGradient(isDark);
   const shadows = getShadows(isDark);
-  const { items } = useItems();
-  const [stats, setStats] = useState({ total: 0, expiring: 0, expired: 0 });
-  const [locationCounts, setLocationCounts] = useState({});
-  const [categoryCounts, setCategoryCounts] = useState({});
-
-  useEffect(() => {
-    if (items.length > 0) {
-      let expiring = 0, expired = 0;
-      const locs = {}, cats = {};
-      items.forEach(item => {
-        const status = getExpiryStatus(item.expiry_date);
-        if (status === 'expired') expired++;
-        else if (status === 'critical' || status === 'warning') expiring++;
-        if (item.location) locs[item.location] = (locs[item.location] || 0) + 1;
-        if (item.category) cats[item.category] = (cats[item.category] || 0) + 1;
-      });
-      setStats({ total: items.length, expiring, expired });
-      setLocationCounts(locs);
-      setCategoryCounts(cats);
-    }
-  }, [items]);
+  const { summary } = useItemSummary();
+  const stats = {
+    total: summary.total_items,
+    expiring: summary.by_status.critical + summary.by_status.warning,
+    expired: summary.by_status.expired,
+    pastBest: summary.by_status.past_best,
+    depleted: summary.depleted,
+  };
+  const locationCounts = summary.by_location;
+  const categoryCounts = summary.by_category;
 
   const locationIcons = {
     'Basement Pantry': '🏠', 'Kitchen Pantry': '🍴', 'Kitchen Fridge': '❄️',
@@ -88,6 +76,63 @@ export function Sidebar({ isOpen, currentPath, onNavigate, isDark, onFilterChang
             colors={colors} 
             gradient={gradient} 
           />
+          <NavItem 
+            icon={<Hourglass size={18} />} 
+            label="Past Best Before" 
+            count={stats.pastBest} 
+            onClick={() => { onNavigate('/inventory'); onFilterChange({ filter: 'past_best', location: null, category: null }); }}
+            colors={colors} 
+            gradient={gradient} 
+          />
+          <NavItem 
+            icon={<ShoppingCart size={18} />} 
+            label="Shopping List" 
+            count={stats.depleted} 
+            active={currentPath === '/shopping'} 
+            onClick={() => onNavigate('/shopping')}
+            colors={colors} 
+            gradient={gradient} 
+          />
+          <NavItem 
+            icon={<BarChart3 size={18} />} 
+            label="Analytics" 
+            active={currentPath === '/analytics'} 
+            onClick={() => onNavigate('/analytics')}
+            colors={colors} 
+            gradient={gradient} 
+          />
+          <NavItem 
+            icon={<Printer size={18} />} 
+            label="Reports" 
+            active={currentPath === '/reports'} 
+            onClick={() => onNavigate('/reports')}
+            colors={colors} 
+            gradient={gradient} 
+          />
+          <NavItem 
+            icon={<QrCode size={18} />} 
+            label="Labels" 
+            active={currentPath === '/labels'} 
+            onClick={() => onNavigate('/labels')}
+            colors={colors} 
+            gradient={gradient} 
+          />
+          <NavItem 
+            icon={<ClipboardCheck size={18} />} 
+            label="Stock-take" 
+            active={currentPath === '/audit'} 
+            onClick={() => onNavigate('/audit')}
+            colors={colors} 
+            gradient={gradient} 
+          />
+          <NavItem 
+            icon={<Trash2 size={18} />} 
+            label="Recently Deleted" 
+            active={currentPath === '/trash'} 
+            onClick={() => onNavigate('/trash')}
+            colors={colors} 
+            gradient={gradient} 
+          />
         </NavSection>
 
         {Object.keys(locationCounts).length > 0 && (
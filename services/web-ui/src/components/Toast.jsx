@@ -1,7 +1,7 @@
 import { useEffect } from 'react';
 import { colors, spacing, borderRadius } from '../colors';
 
-export default function Toast({ message, type = 'info', onClose, duration = 3000 }) {
+export default function Toast({ message, type = 'info', onClose, duration = 3000, action = null }) {
   useEffect(() => {
     const timer = setTimeout(() => {
       onClose();
@@ -58,6 +58,25 @@ export default function Toast({ message, type = 'info', onClose, duration = 3000
     >
       <span style={{ fontSize: '20px', fontWeight: 'bold' }}>{getIcon()}</span>
       <span style={{ flex: 1 }}>{message}</span>
+      {action && (
+        <button
+          onClick={() => {
+            action.onClick();
+            onClose();
+          }}
+          style={{
+            background: 'rgba(255, 255, 255, 0.2)',
+            border: '1px solid rgba(255, 255, 255, 0.6)',
+            color: '#ffffff',
+            cursor: 'pointer',
+            fontWeight: '600',
+            padding: `${spacing.xs} ${spacing.md}`,
+            borderRadius: borderRadius.md,
+          }}
+        >
+          {action.label}
+        </button>
+      )}
       <button
         onClick={onClose}
         style={{
@@ -0,0 +1,26 @@
+// Provides one app-wide toast (see useAppToast) and renders it above every page
+import Toast from './Toast';
+import { ToastContext, useToast } from '../hooks/useToast';
+
+export function ToastProvider({ children }) {
+  const toastApi = useToast();
+  const { toast, hideToast } = toastApi;
+
+  return (
+    <ToastContext.Provider value={toastApi}>
+      {children}
+      {toast && (
+        <Toast
+          key={toast.id}
+          message={toast.message}
+          type={toast.type}
+          duration={toast.duration}
+          action={toast.action}
+          onClose={hideToast}
+        />
+      )}
+    </ToastContext.Provider>
+  );
+}
+
+export default ToastProvider;
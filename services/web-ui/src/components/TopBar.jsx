@@ -1,23 +1,30 @@
 // TopBar
-import { useState, useRef, useEffect } from 'react';
-import { Bell, Settings, User, Moon, Sun, LogOut, AlertTriangle, Calendar } from 'lucide-react';
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Bell, Settings, User, Moon, Sun, LogOut, AlertTriangle, Calendar, ScanLine } from 'lucide-react';
 import { getColors, spacing, borderRadius } from '../colors';
 import { useItems } from '../hooks/useItems';
+import LiveSyncIndicator from './LiveSyncIndicator';
+import PendingChangesBadge from './PendingChangesBadge';
+import BarcodeScanner from './BarcodeScanner';
+import { getItemByLabelCode, getItemsByBarcode } from '../api';
 import { getExpiryStatus, getExpiryBadgeText } from '../utils/dateUtils';
+import { LABEL_SCAN_FORMATS, parseLabelCode } from '../utils/labels';
 
 export function TopBar({ onMenuClick, currentUser, onLogout, onSettingsClick, isDark, onToggleDark }) {
   const colors = getColors(isDark);
+  const navigate = useNavigate();
   const [showUserMenu, setShowUserMenu] = useState(false);
   const [showNotifications, setShowNotifications] = useState(false);
+  const [showScanner, setShowScanner] = useState(false);
   const userMenuRef = useRef(null);
   const notificationRef = useRef(null);
-  const { items } = useItems();
-
-  // Get expiring and expired items for notifications
-  const expiringItems = items.filter(item => {
-    const status = getExpiryStatus(item.expiry_date);
-    return status === 'critical' || status === 'warning' || status === 'expired';
-  }).slice(0, 10); // Limit to 10 notifications
+  // Expired, past-best and soon-to-expire items for notifications, soonest first
+  const { items: expiringItems, total: expiringTotal } = useItems({
+    expiryStatus: 'expired,critical,warning,past_best',
+    sort: 'expiry_date',
+    limit: 10, // Limit to 10 notifications
+  });
 
   // Close menus when clicking outside
   useEffect(() => {
@@ -34,10 +41,36 @@ export function TopBar({ onMenuClick, currentUser, onLogout, onSettingsClick, is
     return () => document.removeEventListener('mousedown', handleClickOutside);
   }, []);
 
+  // Open the item behind a scanned label, or a batch of a scanned product
+  const handleScanned = useCallback(async (value) => {
+    setShowScanner(false);
+    const labelCode = parseLabelCode(value);
+    try {
+      if (labelCode) {
+        const item = await getItemByLabelCode(labelCode);
+        navigate(`/items/${item.id}`);
+        return;
+      }
+      const [item] = await getItemsByBarcode(value);
+      if (item) navigate(`/items/${item.id}`);
+      else alert(`Nothing in your inventory has the barcode ${value}.`);
+    } catch (err) {
+      console.error('Failed to open scanned item:', err);
+      alert(err.response?.status === 404 ? `No item has the label ${labelCode}.` : 'Failed to look up the scanned code.');
+    }
+  }, [navigate]);
+
   return (
-    <div style={{ background: colors.card, borderBottom: `1px solid ${colors.border}`, padding: `${spacing.lg} ${spacing.xxl}`, display: 'flex', alignItems: 'center', justifyContent: 'flex-end', transition: 'all 0.3s ease' }}>
+    <div className="no-print" style={{ background: colors.card, borderBottom: `1px solid ${colors.border}`, padding: `${spacing.lg} ${spacing.xxl}`, display: 'flex', alignItems: 'center', justifyContent: 'flex-end', transition: 'all 0.3s ease' }}>
       {/* Right Actions */}
       <div style={{ display: 'flex', gap: spacing.md, alignItems: 'center' }}>
+        <LiveSyncIndicator isDark={isDark} />
+        <PendingChangesBadge isDark={isDark} />
+
+        <button onClick={() => setShowScanner(true)} style={{ background: 'transparent', border: 'none', padding: '10px', cursor: 'pointer', borderRadius: borderRadius.md, color: colors.textSecondary }} title="Scan a label or barcode">
+          <ScanLine size={20} />
+        </button>
+
         <button onClick={onToggleDark} style={{ background: 'transparent', border: 'none', padding: '10px', cursor: 'pointer', borderRadius: borderRadius.md, color: colors.primary }} title={isDark ? 'Light mode' : 'Dark mode'}>
           {isDark ? <Sun size={20} /> : <Moon size={20} />}
         </button>
@@ -95,7 +128,7 @@ export function TopBar({ onMenuClick, currentUser, onLogout, onSettingsClick, is
                 gap: spacing.sm,
               }}>
                 <AlertTriangle size={18} />
-                <span>Notifications ({expiringItems.length})</span>
+                <span>Notifications ({expiringTotal})</span>
               </div>
 
               {expiringItems.length === 0 ? (
@@ -109,14 +142,18 @@ export function TopBar({ onMenuClick, currentUser, onLogout, onSettingsClick, is
               ) : (
                 <div>
                   {expiringItems.map(item => {
-                    const status = getExpiryStatus(item.expiry_date);
-                    const badge = getExpiryBadgeText(item.expiry_date);
+                    const status = getExpiryStatus(item);
+                    const badge = getExpiryBadgeText(item);
                     const statusColor = status === 'expired' ? colors.danger :
-                                       status === 'critical' ? colors.warning : colors.info;
+                                       status === 'critical' || status === 'past_best' ? colors.warning : colors.info;
 
                     return (
                       <div
                         key={item.id}
+                        onClick={() => {
+                          setShowNotifications(false);
+                          navigate(`/items/${item.id}`);
+                        }}
                         style={{
                           padding: `${spacing.md} ${spacing.lg}`,
                           borderBottom: `1px solid ${colors.border}`,
@@ -262,6 +299,16 @@ export function TopBar({ onMenuClick, currentUser, onLogout, onSettingsClick, is
           </div>
         )}
       </div>
+
+      {showScanner && (
+        <BarcodeScanner
+          onDetected={handleScanned}
+          onClose={() => setShowScanner(false)}
+          isDark={isDark}
+          formats={LABEL_SCAN_FORMATS}
+          title="Scan Label"
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,35 @@
+// Custom hook for consumption and waste history
+import { useState, useEffect, useCallback } from 'react';
+import { getAnalytics } from '../api';
+
+export function useAnalytics(months = 12) {
+  const [analytics, setAnalytics] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadAnalytics = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setAnalytics(await getAnalytics(months));
+    } catch (err) {
+      console.error('Failed to load analytics:', err);
+      setError(err.response?.data?.detail || err.message || 'Failed to load analytics');
+    } finally {
+      setLoading(false);
+    }
+  }, [months]);
+
+  useEffect(() => {
+    loadAnalytics();
+  }, [loadAnalytics]);
+
+  return {
+    analytics,
+    loading,
+    error,
+    refresh: loadAnalytics,
+  };
+}
+
+export default useAnalytics;
@@ -0,0 +1,47 @@
+// Custom hook for debounced barcode product lookups
+import { useState, useEffect } from 'react';
+import { lookupBarcode } from '../api';
+import { validateBarcode } from '../utils/validators';
+
+export function useBarcodeLookup(barcode, { delay = 500, enabled = true } = {}) {
+  const [product, setProduct] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const validation = validateBarcode(barcode);
+    if (!enabled || !barcode || !validation.isValid) {
+      setProduct(null);
+      setLoading(false);
+      setError(null);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const data = await lookupBarcode(validation.cleaned);
+        if (!cancelled) setProduct(data);
+      } catch (err) {
+        console.error('Barcode lookup failed:', err);
+        if (!cancelled) {
+          setProduct(null);
+          setError(err.message || 'Lookup failed');
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, delay);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [barcode, delay, enabled]);
+
+  return { product, loading, error };
+}
+
+export default useBarcodeLookup;
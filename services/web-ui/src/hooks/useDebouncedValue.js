@@ -0,0 +1,15 @@
+// Custom hook for debouncing a fast-changing value (e.g. search input)
+import { useState, useEffect } from 'react';
+
+export function useDebouncedValue(value, delay = 300) {
+  const [debounced, setDebounced] = useState(value);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+
+  return debounced;
+}
+
+export default useDebouncedValue;
@@ -0,0 +1,39 @@
+// Custom hook for deleting items with an Undo toast; deleted items also stay in
+// Recently Deleted for 30 days
+import { useCallback } from 'react';
+import { useInventoryStore } from './useInventoryStore';
+import { useAppToast } from './useToast';
+
+const UNDO_DURATION = 8000;
+
+export function useDeleteWithUndo() {
+  const { removeItems, restoreItems } = useInventoryStore();
+  const { showToast, showSuccess, showError } = useAppToast();
+
+  // name: shown in the toast when deleting a single item. Resolves to the ids that couldn't be
+  // deleted; the toast still offers Undo for the rest.
+  return useCallback(async (ids, name = null) => {
+    const deleted = await removeItems(ids);
+    const failedIds = deleted.failures.map(failure => failure.id);
+    const count = ids.length - failedIds.length;
+    const what = count === 1 && name ? name : `${count} item${count === 1 ? '' : 's'}`;
+    const failed = failedIds.length > 0
+      ? `; ${failedIds.length} couldn't be deleted (${deleted.failures[0].error.response?.data?.detail || deleted.failures[0].error.message})`
+      : '';
+
+    showToast(`Deleted ${what}${failed}`, failed ? 'warning' : 'info', UNDO_DURATION, {
+      label: 'Undo',
+      onClick: async () => {
+        try {
+          await restoreItems(deleted);
+          showSuccess(`Restored ${what}`);
+        } catch (err) {
+          showError(`Failed to restore ${what}: ${err.message}. You can still restore it from Recently Deleted.`, 6000);
+        }
+      },
+    });
+    return failedIds;
+  }, [removeItems, restoreItems, showToast, showSuccess, showError]);
+}
+
+export default useDeleteWithUndo;
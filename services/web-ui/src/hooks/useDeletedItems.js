@@ -0,0 +1,60 @@
+// Custom hook for Recently Deleted: items deleted in the last 30 days
+import { useState, useEffect, useCallback } from 'react';
+import { getDeletedItems, purgeDeletedItems, emptyTrash } from '../api';
+import { useInventoryStore } from './useInventoryStore';
+
+export function useDeletedItems() {
+  const { restoreItems } = useInventoryStore();
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadEntries = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setEntries(await getDeletedItems());
+    } catch (err) {
+      console.error('Failed to load deleted items:', err);
+      setError(err.message || 'Failed to load deleted items');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  // Entries are keyed by their own id: an item id can come back on a newer item
+  const drop = (ids) => setEntries(prev => prev.filter(entry => !ids.includes(entry.id)));
+
+  // Back into the inventory (through the shared store so every list refreshes)
+  const restore = async (ids) => {
+    const restored = await restoreItems({ trashIds: ids });
+    drop(ids);
+    return restored;
+  };
+
+  const purge = async (ids) => {
+    await purgeDeletedItems(ids);
+    drop(ids);
+  };
+
+  const purgeAll = async () => {
+    await emptyTrash();
+    setEntries([]);
+  };
+
+  return {
+    entries,
+    loading,
+    error,
+    restore,
+    purge,
+    purgeAll,
+    refresh: loadEntries,
+  };
+}
+
+export default useDeletedItems;
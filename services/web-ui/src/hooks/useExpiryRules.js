@@ -0,0 +1,33 @@
+// Custom hook for the expiry thresholds; components using it re-render when they change
+import { useSyncExternalStore, useCallback } from 'react';
+import { getExpiryRules as fetchExpiryRules, saveExpiryRules } from '../api';
+import { getExpiryRules, setExpiryRules, subscribeExpiryRules } from '../utils/expiryRules';
+
+export function useExpiryRules() {
+  const { scope, rules } = useSyncExternalStore(subscribeExpiryRules, getExpiryRules);
+
+  const reload = useCallback(async () => {
+    try {
+      setExpiryRules(await fetchExpiryRules());
+    } catch (err) {
+      // Built-in thresholds still work
+      console.warn('Using default expiry thresholds:', err);
+    }
+  }, []);
+
+  const save = useCallback(async (nextRules) => {
+    const saved = await saveExpiryRules(nextRules);
+    setExpiryRules(saved);
+    return saved;
+  }, []);
+
+  return {
+    scope,
+    rules,
+    reload,
+    save,
+    reset: () => setExpiryRules(null),
+  };
+}
+
+export default useExpiryRules;
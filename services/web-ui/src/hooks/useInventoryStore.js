@@ -0,0 +1,20 @@
+// Custom hook for reading the shared inventory store and subscribing to one cache entry
+import { useContext, useCallback, useSyncExternalStore } from 'react';
+import { InventoryContext } from '../inventoryStore';
+
+export function useInventoryStore() {
+  const store = useContext(InventoryContext);
+  if (!store) {
+    throw new Error('useInventoryStore must be used inside <InventoryProvider>');
+  }
+  return store;
+}
+
+export function useInventoryEntry(key) {
+  const store = useInventoryStore();
+  const subscribe = useCallback((listener) => store.subscribe(key, listener), [store, key]);
+  const getSnapshot = useCallback(() => store.getEntry(key), [store, key]);
+  return useSyncExternalStore(subscribe, getSnapshot);
+}
+
+export default useInventoryStore;
@@ -0,0 +1,48 @@
+// Custom hook for loading a single inventory item by id
+import { useState, useEffect, useCallback } from 'react';
+import { getItem } from '../api';
+
+export function useItem(itemId) {
+  const [item, setItem] = useState(null);
+  const [loading, setLoading] = useState(!!itemId);
+  const [error, setError] = useState(null);
+  const [notFound, setNotFound] = useState(false);
+
+  const loadItem = useCallback(async () => {
+    if (!itemId) return null;
+    try {
+      setLoading(true);
+      setError(null);
+      setNotFound(false);
+      const data = await getItem(itemId);
+      setItem(data);
+      return data;
+    } catch (err) {
+      console.error('Failed to load item:', err);
+      if (err.response?.status === 404) {
+        setNotFound(true);
+        setItem(null);
+      } else {
+        setError(err.message || 'Failed to load item');
+      }
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  }, [itemId]);
+
+  useEffect(() => {
+    loadItem();
+  }, [loadItem]);
+
+  return {
+    item,
+    loading,
+    error,
+    notFound,
+    setItem,
+    refresh: loadItem,
+  };
+}
+
+export default useItem;
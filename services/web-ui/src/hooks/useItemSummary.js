@@ -0,0 +1,37 @@
+// Custom hook for item counts (by expiry status, location and category) computed server-side
+import { useEffect, useCallback, useMemo } from 'react';
+import { getSummaryKey } from '../inventoryStore';
+import { useInventoryStore, useInventoryEntry } from './useInventoryStore';
+
+const EMPTY_SUMMARY = {
+  total_items: 0,
+  total_quantity: 0,
+  depleted: 0,
+  by_status: { expired: 0, past_best: 0, critical: 0, warning: 0, good: 0, none: 0 },
+  by_location: {},
+  by_category: {},
+};
+
+export function useItemSummary(query = {}) {
+  const store = useInventoryStore();
+
+  const queryKey = JSON.stringify(query);
+  const filters = useMemo(() => JSON.parse(queryKey), [queryKey]);
+  const entry = useInventoryEntry(getSummaryKey(filters));
+
+  useEffect(() => {
+    store.ensureSummary(filters);
+  }, [store, filters]);
+
+  const refresh = useCallback(() => store.ensureSummary(filters, { force: true }), [store, filters]);
+  const summary = useMemo(() => ({ ...EMPTY_SUMMARY, ...entry.summary }), [entry.summary]);
+
+  return {
+    summary,
+    loading: entry.loading,
+    error: entry.error,
+    refresh,
+  };
+}
+
+export default useItemSummary;
@@ -1,97 +1,49 @@
 // Custom hook for managing inventory items
-import { useState, useEffect, useCallback } from 'react';
-import { getItems, createItem, updateItem, deleteItem } from '../api';
+import { useEffect, useCallback, useMemo } from 'react';
+import { getItemsKey } from '../inventoryStore';
+import { useInventoryStore, useInventoryEntry } from './useInventoryStore';
+
+// query: filters passed to the API (location, category, search, expiryStatus,
+// expiresWithin, sort, order). With pageSize set, items load a page at a time
+// and loadMore() fetches the next one. Results come from the shared inventory
+// store, so components asking for the same query share one request.
+export function useItems(query = {}, { pageSize = null } = {}) {
+  const store = useInventoryStore();
+
+  // Callers usually pass a fresh object each render; only refetch when it really changes
+  const queryKey = JSON.stringify(query);
+  const filters = useMemo(() => JSON.parse(queryKey), [queryKey]);
+  const entry = useInventoryEntry(getItemsKey(filters, pageSize));
 
-export function useItems(initialFilters = {}) {
-  const [items, setItems] = useState([]);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
-  const [filters, setFilters] = useState(initialFilters);
-
-  const loadItems = useCallback(async () => {
-    try {
-      setLoading(true);
-      setError(null);
-      const data = await getItems(filters.location || null, filters.search || null);
-      setItems(data);
-    } catch (err) {
-      console.error('Failed to load items:', err);
-      setError(err.message || 'Failed to load items');
-    } finally {
-      setLoading(false);
-    }
-  }, [filters]);
-
-  const addItem = async (itemData) => {
-    try {
-      setLoading(true);
-      const newItem = await createItem(itemData);
-      setItems(prev => [...prev, newItem]);
-      return newItem;
-    } catch (err) {
-      setError(err.message || 'Failed to add item');
-      throw err;
-    } finally {
-      setLoading(false);
-    }
-  };
-
-  const editItem = async (id, itemData) => {
-    try {
-      setLoading(true);
-      const updatedItem = await updateItem(id, itemData);
-      setItems(prev => prev.map(item => item.id === id ? updatedItem : item));
-      return updatedItem;
-    } catch (err) {
-      setError(err.message || 'Failed to update item');
-      throw err;
-    } finally {
-      setLoading(false);
-    }
-  };
+  useEffect(() => {
+    store.ensureItems(filters, pageSize);
+  }, [store, filters, pageSize]);
 
-  const removeItem = async (id) => {
-    try {
-      setLoading(true);
-      await deleteItem(id);
-      setItems(prev => prev.filter(item => item.id !== id));
-    } catch (err) {
-      setError(err.message || 'Failed to delete item');
-      throw err;
-    } finally {
-      setLoading(false);
-    }
-  };
+  const refresh = useCallback(() => store.ensureItems(filters, pageSize, { force: true }), [store, filters, pageSize]);
+  const loadMore = useCallback(() => store.loadMore(filters, pageSize), [store, filters, pageSize]);
 
-  const removeItems = async (ids) => {
-    try {
-      setLoading(true);
-      await Promise.all(ids.map(id => deleteItem(id)));
-      setItems(prev => prev.filter(item => !ids.includes(item.id)));
-    } catch (err) {
-      setError(err.message || 'Failed to delete items');
-      throw err;
-    } finally {
-      setLoading(false);
-    }
+  const adjustQuantity = async (id, delta) => {
+    const current = entry.items.find(item => item.id === id);
+    if (!current) return null;
+    return store.adjustQuantity(current, delta);
   };
 
-  useEffect(() => {
-    loadItems();
-  }, [loadItems]);
-
   return {
-    items,
-    loading,
-    error,
+    items: entry.items,
+    total: entry.total,
+    hasMore: !!pageSize && entry.items.length < entry.total,
+    loading: entry.loading,
+    validating: entry.validating,
+    loadingMore: entry.loadingMore,
+    error: entry.error,
     filters,
-    addItem,
-    editItem,
-    removeItem,
-    removeItems,
-    refresh: loadItems,
-    updateFilters: (newFilters) => setFilters(prev => ({ ...prev, ...newFilters })),
-    clearFilters: () => setFilters({}),
+    addItem: store.addItem,
+    editItem: store.editItem,
+    adjustQuantity,
+    removeItem: (id) => store.removeItems([id]),
+    removeItems: store.removeItems,
+    refresh,
+    loadMore,
   };
 }
 
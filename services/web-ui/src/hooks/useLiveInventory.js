@@ -0,0 +1,66 @@
+// Custom hook for live inventory sync: keeps an event stream open while mounted
+// and feeds changes made by other users into the shared inventory store
+import { useEffect, useSyncExternalStore } from 'react';
+import { streamInventoryEvents } from '../api';
+import { useInventoryStore } from './useInventoryStore';
+
+const MIN_RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 30 * 1000;
+
+const wait = (ms, signal) => new Promise(resolve => {
+  const timer = setTimeout(resolve, ms);
+  signal.addEventListener('abort', () => {
+    clearTimeout(timer);
+    resolve();
+  }, { once: true });
+});
+
+export function useLiveInventory() {
+  const store = useInventoryStore();
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const { signal } = controller;
+
+    const run = async () => {
+      let attempt = 0;
+      let connectedBefore = false;
+      while (!signal.aborted) {
+        store.setLiveStatus(connectedBefore ? 'reconnecting' : 'connecting');
+        try {
+          await streamInventoryEvents({
+            signal,
+            onEvent: store.applyEvent,
+            onOpen: () => {
+              attempt = 0;
+              store.setLiveStatus('live');
+              // Anything that happened while disconnected was missed
+              if (connectedBefore) store.revalidate();
+              connectedBefore = true;
+            },
+          });
+        } catch (err) {
+          if (signal.aborted) break;
+          console.warn('Live updates disconnected:', err.message);
+        }
+        if (signal.aborted) break;
+
+        // Exponential backoff with jitter so every tab doesn't reconnect at once
+        store.setLiveStatus('reconnecting');
+        const delay = Math.min(MAX_RETRY_DELAY, MIN_RETRY_DELAY * 2 ** attempt);
+        attempt++;
+        await wait(delay / 2 + Math.random() * delay / 2, signal);
+      }
+    };
+
+    run();
+    return () => {
+      controller.abort();
+      store.setLiveStatus('offline');
+    };
+  }, [store]);
+
+  return useSyncExternalStore(store.subscribeLive, store.getLive);
+}
+
+export default useLiveInventory;
@@ -0,0 +1,31 @@
+// Custom hook for the offline change queue: pending changes, conflicts and manual sync
+import { useState, useEffect, useSyncExternalStore } from 'react';
+import { useInventoryStore } from './useInventoryStore';
+
+export function useOfflineSync() {
+  const store = useInventoryStore();
+  const { pending, conflicts, syncing } = useSyncExternalStore(store.subscribeSync, store.getSync);
+  const [online, setOnline] = useState(navigator.onLine);
+
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  return {
+    pending,
+    conflicts,
+    syncing,
+    online,
+    syncNow: store.flushQueue,
+    keepMine: (conflict) => store.resolveConflict(conflict, true),
+    keepTheirs: (conflict) => store.resolveConflict(conflict, false),
+  };
+}
+
+export default useOfflineSync;
@@ -0,0 +1,28 @@
+// Custom hook for the estimated expiry date of an item, from its category and where it is kept
+import { useState, useEffect } from 'react';
+import { getShelfLifeEstimate } from '../api';
+
+export function useShelfLifeEstimate(category, location, { enabled = true } = {}) {
+  const [estimate, setEstimate] = useState(null);
+
+  useEffect(() => {
+    if (!enabled || !category) {
+      setEstimate(null);
+      return;
+    }
+
+    let cancelled = false;
+    getShelfLifeEstimate(category, location)
+      .then(data => { if (!cancelled) setEstimate(data.expiry_date ? data : null); })
+      .catch(err => {
+        console.error('Shelf-life estimate failed:', err);
+        if (!cancelled) setEstimate(null);
+      });
+
+    return () => { cancelled = true; };
+  }, [category, location, enabled]);
+
+  return estimate;
+}
+
+export default useShelfLifeEstimate;
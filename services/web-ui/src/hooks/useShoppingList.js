@@ -0,0 +1,185 @@
+// Custom hook for the shopping list, falling back to localStorage when the API is unavailable
+import { useState, useEffect, useCallback } from 'react';
+import {
+  getShoppingList,
+  addShoppingItem,
+  updateShoppingItem,
+  deleteShoppingItem,
+  purchaseShoppingItems,
+  getItems,
+  createItem,
+  updateItem,
+} from '../api';
+import {
+  getLocalShoppingList,
+  saveLocalShoppingList,
+  clearLocalShoppingList,
+  createLocalEntry,
+  syncLocalShoppingList,
+} from '../shoppingList';
+import { useInventoryStore } from './useInventoryStore';
+
+export function useShoppingList() {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [isLocal, setIsLocal] = useState(false);
+  const inventoryStore = useInventoryStore();
+
+  // Local mode keeps dismissed entries in storage but never shows them
+  const updateLocal = (updater) => {
+    const next = updater(getLocalShoppingList());
+    saveLocalShoppingList(next);
+    setEntries(next.filter(e => !e.dismissed));
+  };
+
+  const loadList = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      try {
+        // Push entries added while offline before loading the server list
+        const pending = getLocalShoppingList().filter(e => e.item_id == null && !e.dismissed);
+        if (pending.length > 0) {
+          await getShoppingList(); // fail fast before uploading anything
+          // One at a time, forgetting each once it's uploaded, so a failure part-way
+          // doesn't upload the earlier ones again next time
+          for (const { id, name, barcode, brand, category, location, quantity, notes } of pending) {
+            await addShoppingItem({ name, barcode, brand, category, location, quantity, notes });
+            saveLocalShoppingList(getLocalShoppingList().filter(e => e.id !== id));
+          }
+          clearLocalShoppingList();
+        }
+        const data = await getShoppingList();
+        setEntries(data);
+        setIsLocal(false);
+      } catch (apiError) {
+        console.warn('Using local shopping list:', apiError);
+        let local = getLocalShoppingList();
+        try {
+          local = syncLocalShoppingList(local, await getItems());
+          saveLocalShoppingList(local);
+        } catch {
+          // Inventory unreachable too; show what we have
+        }
+        setEntries(local.filter(e => !e.dismissed));
+        setIsLocal(true);
+      }
+    } catch (err) {
+      console.error('Failed to load shopping list:', err);
+      setError(err.message || 'Failed to load shopping list');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadList();
+  }, [loadList]);
+
+  const addEntry = async (entry) => {
+    if (isLocal) {
+      const newEntry = createLocalEntry(entry);
+      updateLocal(prev => [newEntry, ...prev]);
+      return newEntry;
+    }
+    const newEntry = await addShoppingItem(entry);
+    setEntries(prev => [newEntry, ...prev]);
+    return newEntry;
+  };
+
+  const editEntry = async (id, updates) => {
+    if (isLocal) {
+      updateLocal(prev => prev.map(e => e.id === id ? { ...e, ...updates } : e));
+      return;
+    }
+    // Optimistic so check-off feels instant in the store
+    const previous = entries.find(e => e.id === id);
+    setEntries(prev => prev.map(e => e.id === id ? { ...e, ...updates } : e));
+    try {
+      const updated = await updateShoppingItem(id, updates);
+      setEntries(prev => prev.map(e => e.id === id ? updated : e));
+    } catch (err) {
+      setEntries(prev => prev.map(e => e.id === id ? previous : e));
+      setError(err.message || 'Failed to update shopping list');
+      throw err;
+    }
+  };
+
+  const toggleChecked = (entry) => editEntry(entry.id, { checked: !entry.checked });
+
+  const removeEntry = async (id) => {
+    if (isLocal) {
+      // Generated entries are hidden rather than deleted so they don't come straight back
+      updateLocal(prev => prev
+        .map(e => e.id === id && e.item_id != null ? { ...e, dismissed: true, checked: false } : e)
+        .filter(e => e.id !== id || e.item_id != null));
+      return;
+    }
+    await deleteShoppingItem(id);
+    setEntries(prev => prev.filter(e => e.id !== id));
+  };
+
+  // Re-add checked entries to inventory, keeping their location and category
+  const purchaseChecked = async () => {
+    try {
+      return await (isLocal ? purchaseLocal() : purchaseRemote());
+    } finally {
+      // Restocked quantities show up everywhere else in the app
+      inventoryStore.revalidate();
+    }
+  };
+
+  const purchaseRemote = async () => {
+    const result = await purchaseShoppingItems();
+    await loadList();
+    return result;
+  };
+
+  const purchaseLocal = async () => {
+    const checked = entries.filter(e => e.checked);
+    const restocked = [];
+    for (const entry of checked) {
+      if (entry.item_id != null && entry.source === 'depleted') {
+        // A fresh pack: clear the old one's dates, opened state included
+        restocked.push(await updateItem(entry.item_id, {
+          quantity: entry.quantity,
+          expiry_date: null,
+          expiry_estimated: false,
+          date_type: null,
+          opened_date: null,
+          opened_shelf_life_days: null,
+        }));
+      } else {
+        restocked.push(await createItem({
+          name: entry.name,
+          barcode: entry.barcode,
+          brand: entry.brand,
+          category: entry.category || undefined,
+          location: entry.location || undefined,
+          quantity: entry.quantity,
+          notes: entry.notes,
+        }));
+      }
+      updateLocal(prev => prev
+        .map(e => e.id === entry.id && e.source === 'expired' ? { ...e, dismissed: true, checked: false } : e)
+        .filter(e => e.id !== entry.id || e.source === 'expired'));
+    }
+    return { purchased: restocked.length, items: restocked };
+  };
+
+  return {
+    entries,
+    loading,
+    error,
+    isLocal,
+    addEntry,
+    editEntry,
+    toggleChecked,
+    removeEntry,
+    purchaseChecked,
+    refresh: loadList,
+  };
+}
+
+export default useShoppingList;
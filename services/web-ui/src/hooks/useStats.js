@@ -1,12 +1,13 @@
 // Custom hook for inventory statistics
 import { useState, useEffect, useCallback } from 'react';
-import { getDaysUntilExpiry, getExpiryStatus } from '../utils/dateUtils';
+import { getDaysUntilExpiry, getEffectiveExpiry, getExpiryStatus } from '../utils/dateUtils';
 
 export function useStats(items = []) {
   const [stats, setStats] = useState({
     totalItems: 0,
     expiringSoon: 0,
     expired: 0,
+    pastBest: 0,
     locations: 0,
     categories: 0,
   });
@@ -18,6 +19,7 @@ export function useStats(items = []) {
         totalItems: 0,
         expiringSoon: 0,
         expired: 0,
+        pastBest: 0,
         locations: 0,
         categories: 0,
       };
@@ -28,12 +30,15 @@ export function useStats(items = []) {
     
     let expiringSoon = 0;
     let expired = 0;
+    let pastBest = 0;
     
     itemsList.forEach(item => {
-      if (item.expiry_date) {
-        const status = getExpiryStatus(item.expiry_date);
+      if (getEffectiveExpiry(item)) {
+        const status = getExpiryStatus(item);
         if (status === 'expired') {
           expired += item.quantity || 1;
+        } else if (status === 'past_best') {
+          pastBest += item.quantity || 1;
         } else if (status === 'critical' || status === 'warning') {
           expiringSoon += item.quantity || 1;
         }
@@ -44,6 +49,7 @@ export function useStats(items = []) {
       totalItems: itemsList.reduce((sum, item) => sum + (item.quantity || 1), 0),
       expiringSoon,
       expired,
+      pastBest,
       locations: uniqueLocations.size,
       categories: uniqueCategories.size,
     };
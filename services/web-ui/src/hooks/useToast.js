@@ -1,10 +1,14 @@
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useContext, createContext } from 'react';
+
+// App-wide toast, provided by ToastProvider so a toast survives navigation
+export const ToastContext = createContext(null);
 
 export function useToast() {
   const [toast, setToast] = useState(null);
 
-  const showToast = useCallback((message, type = 'info', duration = 3000) => {
-    setToast({ message, type, duration });
+  // action: optional { label, onClick } button, e.g. Undo
+  const showToast = useCallback((message, type = 'info', duration = 3000, action = null) => {
+    setToast({ id: Date.now(), message, type, duration, action });
   }, []);
 
   const hideToast = useCallback(() => {
@@ -37,3 +41,11 @@ export function useToast() {
     showInfo,
   };
 }
+
+export function useAppToast() {
+  const toast = useContext(ToastContext);
+  if (!toast) {
+    throw new Error('useAppToast must be used inside <ToastProvider>');
+  }
+  return toast;
+}
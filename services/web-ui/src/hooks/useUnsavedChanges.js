@@ -0,0 +1,46 @@
+// Custom hook for warning before leaving a page with unsaved changes
+import { useEffect, useRef, useCallback } from 'react';
+import { useBlocker } from 'react-router-dom';
+
+const DEFAULT_MESSAGE = 'You have unsaved changes. Leave this page and discard them?';
+
+export function useUnsavedChanges(isDirty, message = DEFAULT_MESSAGE) {
+  // Set when the page itself navigates away after a successful save
+  const allowNavigationRef = useRef(false);
+
+  const shouldBlock = useCallback(({ currentLocation, nextLocation }) => (
+    isDirty &&
+    !allowNavigationRef.current &&
+    currentLocation.pathname !== nextLocation.pathname
+  ), [isDirty]);
+
+  const blocker = useBlocker(shouldBlock);
+
+  useEffect(() => {
+    if (blocker.state !== 'blocked') return;
+    if (window.confirm(message)) {
+      blocker.proceed();
+    } else {
+      blocker.reset();
+    }
+  }, [blocker, message]);
+
+  // Browser reloads, tab closes and external links
+  useEffect(() => {
+    if (!isDirty) return;
+    const handleBeforeUnload = (e) => {
+      e.preventDefault();
+      e.returnValue = '';
+    };
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [isDirty]);
+
+  const allowNavigation = useCallback(() => {
+    allowNavigationRef.current = true;
+  }, []);
+
+  return { allowNavigation };
+}
+
+export default useUnsavedChanges;
@@ -0,0 +1,673 @@
+// App-wide inventory cache shared by every useItems/useItemSummary consumer.
+// Identical queries share one request and one cache entry, mutations patch every
+// cached list, and active queries are revalidated in the background. Changes
+// made elsewhere arrive as live events (see useLiveInventory). Changes that
+// can't reach the server are queued in IndexedDB and replayed later.
+import { createContext } from 'react';
+import { getItemsPage, getItemsSummary, getItem, createItem, updateItem, batchUpdateItems, openItem, prepareLabels, deleteItem, restoreDeletedItems, getClientId } from './api';
+import {
+  getQueuedMutations,
+  addQueuedMutation,
+  saveQueuedMutation,
+  removeQueuedMutation,
+  claimQueuedMutation,
+  releaseQueuedMutation,
+  getConflicts,
+  addConflict,
+  removeConflict,
+} from './offlineQueue';
+
+const STALE_TIME = 30 * 1000;
+const GC_TIME = 5 * 60 * 1000;
+// Bursts of live events (e.g. someone importing a CSV) trigger one refetch
+const LIVE_REVALIDATE_DELAY = 1000;
+
+const BATCH_SIZE = 50;
+
+const EMPTY_ENTRY = {
+  items: [],
+  total: 0,
+  summary: null,
+  loading: false, // first load only
+  validating: false, // any fetch, including background revalidation
+  loadingMore: false,
+  error: null,
+  fetched: false,
+  updatedAt: 0,
+};
+
+export const InventoryContext = createContext(null);
+
+// The request never reached the server: worth queueing and retrying. A timeout is not one of
+// these; the server may have applied the change, and replaying a create would duplicate it.
+export const isOfflineError = (err) => !navigator.onLine || err?.code === 'ERR_NETWORK';
+
+// Sent, but no answer came back (e.g. the 10s timeout)
+const isUnansweredError = (err) => !!err && !err.response && err.code !== 'ERR_CANCELED';
+
+// Updates and deletes are safe to send twice, so they are queued whether or not they arrived
+const shouldQueueRetry = (err) => isOfflineError(err) || isUnansweredError(err);
+
+// Items created offline get negative ids until the server assigns real ones
+export const isPendingId = (id) => typeof id === 'number' && id < 0;
+
+// Fields a queued update changed that someone else also changed since
+const getConflictingFields = (mutation, serverItem) => {
+  if (!mutation.base) return [];
+  const same = (a, b) => (a ?? '') === (b ?? '');
+  return Object.keys(mutation.data).filter(field =>
+    !same(serverItem[field], mutation.base[field]) && !same(serverItem[field], mutation.data[field]));
+};
+
+// Rough client-side filter for where an item created offline should show up
+const matchesQuery = (item, query = {}) => {
+  if (query.barcode || query.expiresWithin || (query.expiryStatus && query.expiryStatus !== 'all')) return false;
+  if (query.location && item.location !== query.location) return false;
+  if (query.category && item.category !== query.category) return false;
+  if (query.search && !`${item.name} ${item.brand || ''}`.toLowerCase().includes(query.search.toLowerCase())) return false;
+  return true;
+};
+
+const toPendingItem = (id, data) => {
+  const now = new Date().toISOString();
+  return {
+    barcode: null,
+    brand: null,
+    image_url: null,
+    category: 'Uncategorized',
+    location: 'Basement Pantry',
+    expiry_date: null,
+    notes: null,
+    added_date: now,
+    ...data,
+    id,
+    quantity: parseInt(data.quantity, 10) || 0,
+    updated_date: now,
+    pending: true,
+  };
+};
+
+export const getItemsKey = (query = {}, pageSize = null) => `items:${JSON.stringify({ query, pageSize })}`;
+export const getSummaryKey = (query = {}) => `summary:${JSON.stringify(query)}`;
+
+export function createInventoryStore({ staleTime = STALE_TIME, gcTime = GC_TIME } = {}) {
+  const entries = new Map(); // key -> entry snapshot (replaced, never mutated)
+  const requests = new Map(); // key -> in-flight promise
+  const listeners = new Map(); // key -> Set of callbacks
+  const gcTimers = new Map();
+  let generation = 0; // bumped by every mutation
+  let live = { status: 'offline', lastChange: null }; // live sync connection
+  const liveListeners = new Set();
+  let liveRevalidateTimer = null;
+  let sync = { pending: [], conflicts: [], syncing: false }; // offline queue
+  const syncListeners = new Set();
+  let nextPendingId = -Date.now();
+
+  const getEntry = (key) => entries.get(key) || EMPTY_ENTRY;
+
+  const setEntry = (key, changes) => {
+    entries.set(key, { ...getEntry(key), ...changes });
+    (listeners.get(key) || []).forEach(listener => listener());
+  };
+
+  const subscribe = (key, listener) => {
+    if (!listeners.has(key)) listeners.set(key, new Set());
+    listeners.get(key).add(listener);
+    clearTimeout(gcTimers.get(key));
+    gcTimers.delete(key);
+
+    return () => {
+      const keyListeners = listeners.get(key);
+      keyListeners.delete(listener);
+      if (keyListeners.size > 0) return;
+      listeners.delete(key);
+      // Keep unused entries briefly so navigating back is instant
+      gcTimers.set(key, setTimeout(() => {
+        entries.delete(key);
+        gcTimers.delete(key);
+      }, gcTime));
+    };
+  };
+
+  const isActive = (key) => listeners.has(key);
+
+  // Run one request per key; later callers share the in-flight promise
+  const dedupe = (key, request) => {
+    if (requests.has(key)) return requests.get(key);
+    const promise = request().finally(() => requests.delete(key));
+    requests.set(key, promise);
+    return promise;
+  };
+
+  // A fetch that started before a mutation may return pre-mutation data; go again
+  const refetchIfOutdated = (startedAt, key, refetch) => {
+    if (startedAt !== generation && isActive(key)) refetch();
+  };
+
+  const fetchItems = (key, query, pageSize) => dedupe(key, async () => {
+    const startedAt = generation;
+    const loaded = getEntry(key).items.length;
+    setEntry(key, { query, pageSize, kind: 'items', loading: !getEntry(key).fetched, validating: true, error: null });
+    try {
+      // Revalidating a paginated list refetches everything already scrolled into view
+      const limit = pageSize ? Math.max(pageSize, loaded) : undefined;
+      const page = await getItemsPage(limit ? { ...query, limit, offset: 0 } : query);
+      const items = withPendingChanges(page.items, query);
+      setEntry(key, { items, total: page.total + items.length - page.items.length, fetched: true, loading: false, validating: false, updatedAt: Date.now() });
+    } catch (err) {
+      console.error('Failed to load items:', err);
+      setEntry(key, { loading: false, validating: false, error: err.message || 'Failed to load items' });
+      return;
+    }
+    setTimeout(() => refetchIfOutdated(startedAt, key, () => fetchItems(key, query, pageSize)), 0);
+  });
+
+  const fetchSummary = (key, query) => dedupe(key, async () => {
+    const startedAt = generation;
+    setEntry(key, { query, kind: 'summary', loading: !getEntry(key).fetched, validating: true, error: null });
+    try {
+      const summary = await getItemsSummary(query);
+      setEntry(key, { summary, fetched: true, loading: false, validating: false, updatedAt: Date.now() });
+    } catch (err) {
+      console.error('Failed to load item summary:', err);
+      setEntry(key, { loading: false, validating: false, error: err.message || 'Failed to load item summary' });
+      return;
+    }
+    setTimeout(() => refetchIfOutdated(startedAt, key, () => fetchSummary(key, query)), 0);
+  });
+
+  const isStale = (key) => Date.now() - getEntry(key).updatedAt > staleTime;
+
+  const ensureItems = (query, pageSize = null, { force = false } = {}) => {
+    const key = getItemsKey(query, pageSize);
+    if (force || isStale(key)) return fetchItems(key, query, pageSize);
+    return requests.get(key) || Promise.resolve();
+  };
+
+  const ensureSummary = (query, { force = false } = {}) => {
+    const key = getSummaryKey(query);
+    if (force || isStale(key)) return fetchSummary(key, query);
+    return requests.get(key) || Promise.resolve();
+  };
+
+  const loadMore = (query, pageSize) => {
+    const key = getItemsKey(query, pageSize);
+    const entry = getEntry(key);
+    if (!pageSize || entry.validating || entry.loadingMore || entry.items.length >= entry.total) return Promise.resolve();
+
+    return dedupe(`${key}:more`, async () => {
+      setEntry(key, { loadingMore: true });
+      try {
+        const page = await getItemsPage({ ...query, limit: pageSize, offset: entry.items.length });
+        const current = getEntry(key).items;
+        const seen = new Set(current.map(item => item.id));
+        setEntry(key, {
+          items: [...current, ...page.items.filter(item => !seen.has(item.id))],
+          total: page.total,
+          loadingMore: false,
+        });
+      } catch (err) {
+        console.error('Failed to load more items:', err);
+        setEntry(key, { loadingMore: false, error: err.message || 'Failed to load more items' });
+      }
+    });
+  };
+
+  // Refetch everything on screen; anything cached but unused is refetched on next use
+  const revalidate = () => {
+    generation++;
+    entries.forEach((entry, key) => {
+      if (!isActive(key)) {
+        setEntry(key, { updatedAt: 0 });
+      } else if (entry.kind === 'summary') {
+        fetchSummary(key, entry.query);
+      } else if (entry.kind === 'items') {
+        fetchItems(key, entry.query, entry.pageSize);
+      }
+    });
+  };
+
+  const revalidateStale = () => {
+    entries.forEach((entry, key) => {
+      if (isActive(key) && isStale(key)) {
+        if (entry.kind === 'summary') fetchSummary(key, entry.query);
+        else if (entry.kind === 'items') fetchItems(key, entry.query, entry.pageSize);
+      }
+    });
+  };
+
+  const forEachItemList = (fn) => {
+    entries.forEach((entry, key) => {
+      if (entry.kind === 'items') fn(entry, key);
+    });
+  };
+
+  const findItem = (id) => {
+    for (const entry of entries.values()) {
+      const item = entry.items?.find(cached => cached.id === id);
+      if (item) return item;
+    }
+    return null;
+  };
+
+  // Replace an item wherever it is cached
+  const patchItem = (id, updater) => {
+    forEachItemList((entry, key) => {
+      if (!entry.items.some(item => item.id === id)) return;
+      setEntry(key, { items: entry.items.map(item => item.id === id ? updater(item) : item) });
+    });
+  };
+
+  const dropItems = (ids) => {
+    forEachItemList((entry, key) => {
+      const items = entry.items.filter(item => !ids.includes(item.id));
+      if (items.length === entry.items.length) return;
+      setEntry(key, { items, total: Math.max(0, entry.total - (entry.items.length - items.length)) });
+    });
+  };
+
+  // Offline queue ----------------------------------------------------------
+
+  const getSync = () => sync;
+
+  const subscribeSync = (listener) => {
+    syncListeners.add(listener);
+    return () => syncListeners.delete(listener);
+  };
+
+  const setSync = (changes) => {
+    sync = { ...sync, ...changes };
+    syncListeners.forEach(listener => listener());
+  };
+
+  // Server results don't include queued changes yet; lay them over the top
+  const withPendingChanges = (items, query = {}) => {
+    let result = items;
+    sync.pending.forEach(mutation => {
+      if (mutation.type === 'update') {
+        result = result.map(item => item.id === mutation.itemId ? { ...item, ...mutation.data, pending: true } : item);
+      } else if (mutation.type === 'delete') {
+        result = result.filter(item => item.id !== mutation.itemId);
+      } else if (mutation.type === 'create' && !result.some(item => item.id === mutation.itemId)) {
+        const item = toPendingItem(mutation.itemId, mutation.data);
+        if (matchesQuery(item, query)) result = [item, ...result];
+      }
+    });
+    return result;
+  };
+
+  const applyPendingToCache = () => {
+    forEachItemList((entry, key) => {
+      const items = withPendingChanges(entry.items, entry.query);
+      if (items === entry.items) return;
+      setEntry(key, { items, total: Math.max(0, entry.total + items.length - entry.items.length) });
+    });
+  };
+
+  const loadSyncState = async () => {
+    try {
+      const [pending, conflicts] = await Promise.all([getQueuedMutations(), getConflicts()]);
+      setSync({ pending, conflicts });
+      applyPendingToCache();
+    } catch (err) {
+      console.error('Failed to read offline queue:', err);
+    }
+  };
+
+  const queueMutation = async (mutation) => {
+    const queued = sync.pending;
+    if (isPendingId(mutation.itemId)) {
+      // The item only exists locally, so fold the change into its queued create
+      const create = queued.find(m => m.type === 'create' && m.itemId === mutation.itemId);
+      if (create && mutation.type === 'update') {
+        await saveQueuedMutation({ ...create, data: { ...create.data, ...mutation.data } });
+      } else if (create && mutation.type === 'delete') {
+        await removeQueuedMutation(create.seq);
+      } else if (mutation.type === 'create') {
+        await addQueuedMutation(mutation);
+      }
+    } else if (mutation.type === 'update' && queued.some(m => m.type === 'update' && m.itemId === mutation.itemId)) {
+      // One update per item, keeping the first base so conflicts are judged against what we started from
+      const update = queued.find(m => m.type === 'update' && m.itemId === mutation.itemId);
+      await saveQueuedMutation({ ...update, data: { ...update.data, ...mutation.data } });
+    } else {
+      if (mutation.type === 'delete') {
+        for (const update of queued.filter(m => m.type === 'update' && m.itemId === mutation.itemId)) {
+          await removeQueuedMutation(update.seq);
+        }
+      }
+      await addQueuedMutation(mutation);
+    }
+    await loadSyncState();
+  };
+
+  // Queue a change that couldn't reach the server and show it as if it had
+  const queueOffline = async (mutation) => {
+    await queueMutation(mutation);
+    return findItem(mutation.itemId) || toPendingItem(mutation.itemId, { ...mutation.base, ...mutation.data });
+  };
+
+  const replayMutation = async (mutation) => {
+    if (mutation.type === 'create') {
+      await createItem(mutation.data);
+      return;
+    }
+
+    if (mutation.type === 'delete') {
+      try {
+        await deleteItem(mutation.itemId);
+      } catch (err) {
+        // Already gone is what we wanted
+        if (err.response?.status !== 404) throw err;
+      }
+      return;
+    }
+
+    if (mutation.base) {
+      let serverItem;
+      try {
+        serverItem = await getItem(mutation.itemId);
+      } catch (err) {
+        if (err.response?.status !== 404) throw err;
+        await addConflict({ mutation, serverItem: null, fields: [], reason: 'deleted' });
+        return;
+      }
+      const fields = getConflictingFields(mutation, serverItem);
+      if (fields.length > 0) {
+        await addConflict({ mutation, serverItem, fields, reason: 'changed' });
+        return;
+      }
+    }
+    await updateItem(mutation.itemId, mutation.data);
+  };
+
+  // Replay queued changes in the order they were made
+  const flushQueue = async () => {
+    if (sync.syncing || !navigator.onLine) return;
+    let mutations;
+    try {
+      mutations = await getQueuedMutations();
+    } catch (err) {
+      console.error('Failed to read offline queue:', err);
+      return;
+    }
+    if (mutations.length === 0) return;
+
+    setSync({ syncing: true });
+    let replayed = 0;
+    try {
+      for (const mutation of mutations) {
+        // Another tab may be replaying the same queue
+        if (!await claimQueuedMutation(mutation.seq, getClientId())) continue;
+        try {
+          await replayMutation(mutation);
+        } catch (err) {
+          // Unreachable, logged out or a server outage: the rest waits for the next attempt
+          const unanswered = isUnansweredError(err);
+          if ((mutation.type === 'create' ? isOfflineError(err) : shouldQueueRetry(err)) || err.response?.status === 401 || err.response?.status >= 500) {
+            await releaseQueuedMutation(mutation.seq);
+            break;
+          }
+          const reason = unanswered ? 'unanswered' : err.response?.data?.detail || err.message;
+          await addConflict({ mutation, serverItem: null, fields: [], reason });
+        }
+        await removeQueuedMutation(mutation.seq);
+        replayed++;
+      }
+    } finally {
+      setSync({ syncing: false });
+      await loadSyncState();
+      if (replayed > 0) revalidate();
+    }
+  };
+
+  const startSync = async () => {
+    await loadSyncState();
+    await flushQueue();
+  };
+
+  // Keep my change (overwriting theirs, or re-adding a deleted item) or drop it
+  const resolveConflict = async (conflict, keepMine) => {
+    if (keepMine) {
+      const { mutation } = conflict;
+      if (mutation.type === 'create') {
+        await createItem(mutation.data);
+      } else if (mutation.type === 'update' && conflict.reason === 'deleted') {
+        const { id: _id, added_date: _added, updated_date: _updated, pending: _pending, ...fields } = mutation.base;
+        await createItem({ ...fields, ...mutation.data });
+      } else if (mutation.type === 'update') {
+        await updateItem(mutation.itemId, mutation.data);
+      }
+      revalidate();
+    }
+    await removeConflict(conflict.seq);
+    await loadSyncState();
+  };
+
+  // Mutations --------------------------------------------------------------
+
+  const addItem = async (itemData) => {
+    try {
+      const newItem = await createItem(itemData);
+      // Where the new item lands depends on each list's filters and sort order
+      revalidate();
+      return newItem;
+    } catch (err) {
+      if (isUnansweredError(err) && !isOfflineError(err)) {
+        // It may have been added; queueing it could add it twice
+        revalidate();
+        const unanswered = new Error('The server didn\'t answer in time, so the item may have been added anyway. Check the inventory before adding it again.');
+        unanswered.maybeSaved = true;
+        throw unanswered;
+      }
+      if (!isOfflineError(err)) throw err;
+      return queueOffline({ type: 'create', itemId: nextPendingId--, data: itemData });
+    }
+  };
+
+  // loadedItem: the item as the caller has it, for pages (e.g. a deep link) whose item isn't in
+  // any cached list. An offline edit needs it for conflict checks and to show the edited item.
+  const editItem = async (id, updates, loadedItem = null) => {
+    if (isPendingId(id)) return queueOffline({ type: 'update', itemId: id, data: updates });
+    try {
+      const updatedItem = await updateItem(id, updates);
+      patchItem(id, () => updatedItem);
+      revalidate();
+      return updatedItem;
+    } catch (err) {
+      if (!shouldQueueRetry(err)) throw err;
+      return queueOffline({ type: 'update', itemId: id, data: updates, base: findItem(id) || loadedItem });
+    }
+  };
+
+  // Same changes for many items, sent in chunks so progress can be shown.
+  // Resolves to one { id, ok, item?, error? } result per id.
+  const batchEditItems = async (ids, changes, onProgress) => {
+    const results = ids.filter(isPendingId).map(id => ({ id, ok: false, name: findItem(id)?.name, error: 'Not synced yet' }));
+    const serverIds = ids.filter(id => !isPendingId(id));
+    onProgress?.(results.length, ids.length);
+    try {
+      for (let start = 0; start < serverIds.length; start += BATCH_SIZE) {
+        const chunk = serverIds.slice(start, start + BATCH_SIZE);
+        const response = await batchUpdateItems(chunk, changes);
+        for (const result of response.results) {
+          if (result.ok) patchItem(result.id, () => result.item);
+          results.push({ ...result, name: result.name || result.item?.name || findItem(result.id)?.name });
+        }
+        onProgress?.(results.length, ids.length);
+      }
+    } finally {
+      // Items may have moved out of the current filters or groups
+      revalidate();
+    }
+    return results;
+  };
+
+  // Label codes are assigned on first print; items not synced yet can't have one
+  const prepareItemLabels = async (ids) => {
+    const items = await prepareLabels(ids.filter(id => !isPendingId(id)));
+    items.forEach(item => patchItem(item.id, () => item));
+    return items;
+  };
+
+  // Opening one of several splits it off as a new item, so lists are refetched
+  const openOneItem = async (id, openedDate) => {
+    if (isPendingId(id)) throw new Error('Not synced yet');
+    const result = await openItem(id, openedDate);
+    patchItem(result.item.id, () => result.item);
+    if (result.source) patchItem(result.source.id, () => result.source);
+    revalidate();
+    return result;
+  };
+
+  // Optimistic +/- quantity change, rolled back if the request fails (kept and queued if offline or unanswered)
+  const adjustQuantity = async (item, delta) => {
+    // Rapid clicks can outrun re-renders, so start from the cached value
+    const current = findItem(item.id) || item;
+    const previousQuantity = current.quantity ?? 0;
+    const quantity = Math.max(0, previousQuantity + delta);
+    if (quantity === previousQuantity) return current;
+
+    patchItem(item.id, cached => ({ ...cached, quantity }));
+    if (isPendingId(item.id)) return queueOffline({ type: 'update', itemId: item.id, data: { quantity } });
+    try {
+      const updatedItem = await updateItem(item.id, { quantity });
+      patchItem(item.id, () => updatedItem);
+      if (previousQuantity === 0 || quantity === 0) revalidate(); // depleted counts changed
+      return updatedItem;
+    } catch (err) {
+      if (shouldQueueRetry(err)) {
+        return queueOffline({ type: 'update', itemId: item.id, data: { quantity }, base: { ...current, quantity: previousQuantity } });
+      }
+      // Only roll back if nothing else changed the quantity in the meantime
+      patchItem(item.id, cached => cached.quantity === quantity ? { ...cached, quantity: previousQuantity } : cached);
+      throw err;
+    }
+  };
+
+  // Resolves to { trashId } once deleted, or { deferred: true } if the delete has to be sent (again) later
+  const deleteOrDefer = async (id) => {
+    if (isPendingId(id)) return { deferred: true };
+    try {
+      const result = await deleteItem(id);
+      return { trashId: result.trash_id };
+    } catch (err) {
+      if (!shouldQueueRetry(err)) throw err;
+      return { deferred: true };
+    }
+  };
+
+  // Resolves to { deferredIds, trashIds, failures }: the first two are what restoreItems needs to
+  // undo the delete, failures lists { id, error } for items that couldn't be deleted. Only throws
+  // when nothing was deleted, so a partly failed bulk delete can still be undone.
+  const removeItems = async (ids) => {
+    const results = await Promise.allSettled(ids.map(deleteOrDefer));
+    const deferredIds = ids.filter((_id, index) => results[index].status === 'fulfilled' && results[index].value.deferred);
+    const trashIds = results.filter(result => result.status === 'fulfilled' && !result.value.deferred).map(result => result.value.trashId);
+    for (const id of deferredIds) {
+      await queueMutation({ type: 'delete', itemId: id, base: findItem(id) });
+    }
+    dropItems(ids.filter((_id, index) => results[index].status === 'fulfilled'));
+    // Some deletes may have succeeded even if one failed
+    if (deferredIds.length < ids.length) revalidate();
+
+    const failures = ids
+      .map((id, index) => ({ id, result: results[index] }))
+      .filter(({ result }) => result.status === 'rejected')
+      .map(({ id, result }) => ({ id, error: result.reason }));
+    if (failures.length === ids.length) throw failures[0].error;
+    return { deferredIds, trashIds, failures };
+  };
+
+  // Undo deletes: queued ones (by item id) are simply cancelled, the rest come back
+  // from Recently Deleted (by entry id)
+  const restoreItems = async ({ deferredIds = [], trashIds = [] }) => {
+    const queuedDeletes = sync.pending.filter(m => m.type === 'delete' && deferredIds.includes(m.itemId));
+    for (const mutation of queuedDeletes) {
+      await removeQueuedMutation(mutation.seq);
+    }
+    try {
+      const result = trashIds.length > 0 ? await restoreDeletedItems(trashIds) : { items: [] };
+      return result.items;
+    } finally {
+      await loadSyncState();
+      revalidate();
+    }
+  };
+
+  // Live sync --------------------------------------------------------------
+
+  const getLive = () => live;
+
+  const subscribeLive = (listener) => {
+    liveListeners.add(listener);
+    return () => liveListeners.delete(listener);
+  };
+
+  const setLive = (changes) => {
+    live = { ...live, ...changes };
+    liveListeners.forEach(listener => listener());
+  };
+
+  const setLiveStatus = (status) => {
+    if (live.status !== status) setLive({ status });
+  };
+
+  // Change made by someone else (another user or another tab)
+  const applyEvent = (event) => {
+    if (event.client_id && event.client_id === getClientId()) return;
+
+    if (event.type === 'item.updated' && event.item) {
+      patchItem(event.item.id, () => event.item);
+    } else if (event.type === 'item.deleted') {
+      dropItems([event.item_id]);
+    }
+    setLive({
+      lastChange: { type: event.type, actor: event.actor, itemName: event.item?.name || null, at: Date.now() },
+    });
+
+    // Patched lists may no longer match their filters/sort, and counts changed
+    clearTimeout(liveRevalidateTimer);
+    liveRevalidateTimer = setTimeout(revalidate, LIVE_REVALIDATE_DELAY);
+  };
+
+  // Forget everything, e.g. after logging out
+  const reset = () => {
+    generation++;
+    clearTimeout(liveRevalidateTimer);
+    const keys = [...entries.keys()];
+    entries.clear();
+    keys.forEach(key => (listeners.get(key) || []).forEach(listener => listener()));
+    setLive({ lastChange: null });
+  };
+
+  return {
+    getEntry,
+    subscribe,
+    ensureItems,
+    ensureSummary,
+    loadMore,
+    revalidate,
+    revalidateStale,
+    addItem,
+    editItem,
+    batchEditItems,
+    prepareItemLabels,
+    openItem: openOneItem,
+    adjustQuantity,
+    removeItems,
+    restoreItems,
+    getSync,
+    subscribeSync,
+    startSync,
+    flushQueue,
+    resolveConflict,
+    getLive,
+    subscribeLive,
+    setLiveStatus,
+    applyEvent,
+    reset,
+  };
+}
+
+export default createInventoryStore;
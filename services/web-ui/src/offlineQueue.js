@@ -0,0 +1,103 @@
+// IndexedDB persistence for item changes made while offline, and for replayed
+// changes that conflicted with someone else's. Survives reloads and app restarts.
+
+const DB_NAME = 'pantrypal';
+const DB_VERSION = 1;
+const MUTATIONS = 'mutations';
+const CONFLICTS = 'conflicts';
+// A claim left behind by a tab that closed mid-replay can be taken over after this
+const CLAIM_TIMEOUT = 60 * 1000;
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        // seq preserves the order changes were made in
+        db.createObjectStore(MUTATIONS, { keyPath: 'seq', autoIncrement: true });
+        db.createObjectStore(CONFLICTS, { keyPath: 'seq', autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+};
+
+const run = async (storeName, mode, operation) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = operation(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+const sortBySeq = (records) => records.sort((a, b) => a.seq - b.seq);
+
+// Mutations: { seq, type: 'create' | 'update' | 'delete', itemId, data, base, queuedAt }
+export const getQueuedMutations = async () => sortBySeq(await run(MUTATIONS, 'readonly', store => store.getAll()));
+
+export const addQueuedMutation = (mutation) => run(MUTATIONS, 'readwrite', store => store.add({ ...mutation, queuedAt: new Date().toISOString() }));
+
+export const saveQueuedMutation = (mutation) => run(MUTATIONS, 'readwrite', store => store.put(mutation));
+
+export const removeQueuedMutation = (seq) => run(MUTATIONS, 'readwrite', store => store.delete(seq));
+
+// Every open tab replays the same queue, so a tab claims a mutation before sending it.
+// Resolves to false if it is gone or another tab holds a live claim. The get and put share
+// one readwrite transaction, which IndexedDB runs one at a time across tabs.
+export const claimQueuedMutation = async (seq, owner) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(MUTATIONS, 'readwrite');
+    const store = tx.objectStore(MUTATIONS);
+    let claimed = false;
+    const request = store.get(seq);
+    request.onsuccess = () => {
+      const mutation = request.result;
+      const heldElsewhere = mutation?.claimedBy && mutation.claimedBy !== owner && Date.now() - mutation.claimedAt < CLAIM_TIMEOUT;
+      if (!mutation || heldElsewhere) return;
+      store.put({ ...mutation, claimedBy: owner, claimedAt: Date.now() });
+      claimed = true;
+    };
+    tx.oncomplete = () => resolve(claimed);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+// Give a claimed mutation back, e.g. when the connection dropped before it was sent
+export const releaseQueuedMutation = async (seq) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(MUTATIONS, 'readwrite');
+    const store = tx.objectStore(MUTATIONS);
+    const request = store.get(seq);
+    request.onsuccess = () => {
+      if (!request.result) return;
+      const { claimedBy: _claimedBy, claimedAt: _claimedAt, ...mutation } = request.result;
+      store.put(mutation);
+    };
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+// Conflicts: { seq, mutation, serverItem, reason, detectedAt }
+export const getConflicts = async () => sortBySeq(await run(CONFLICTS, 'readonly', store => store.getAll()));
+
+export const addConflict = (conflict) => run(CONFLICTS, 'readwrite', store => store.add({ ...conflict, detectedAt: new Date().toISOString() }));
+
+export const removeConflict = (seq) => run(CONFLICTS, 'readwrite', store => store.delete(seq));
@@ -1,75 +1,239 @@
 // Add/Edit Item Page - Supports both modes
-import { useState, useEffect } from 'react';
-import { ArrowLeft, Save } from 'lucide-react';
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useParams } from 'react-router-dom';
+import { ArrowLeft, Save, ScanBarcode, Clock } from 'lucide-react';
 import { getColors, spacing, borderRadius } from '../colors';
-import { useItems } from '../hooks/useItems';
 import { useLocations } from '../hooks/useLocations';
+import { useBarcodeLookup } from '../hooks/useBarcodeLookup';
+import { useUnsavedChanges } from '../hooks/useUnsavedChanges';
+import { useItem } from '../hooks/useItem';
+import { useInventoryStore } from '../hooks/useInventoryStore';
+import { useShelfLifeEstimate } from '../hooks/useShelfLifeEstimate';
+import { formatDate, getRelativeTime, DATE_TYPES } from '../utils/dateUtils';
 import { getDefaultLocations, getDefaultCategories } from '../defaults';
+import BarcodeScanner from '../components/BarcodeScanner';
+import ProductPreview from '../components/ProductPreview';
+import DuplicateItemModal from '../components/DuplicateItemModal';
+import { findMatchingItems, normalizeBarcode } from '../utils/itemMatching';
+import { getItems } from '../api';
+
+const EMPTY_FORM = {
+  name: '',
+  barcode: '',
+  brand: '',
+  quantity: 1,
+  location: '',
+  category: '',
+  expiry_date: '',
+  date_type: 'use_by',
+  expiry_estimated: false,
+  opened_date: '',
+  opened_shelf_life_days: '',
+  notes: '',
+  image_url: '',
+};
+
+function itemToFormData(item) {
+  return {
+    name: item.name || '',
+    barcode: item.barcode || '',
+    brand: item.brand || '',
+    quantity: item.quantity ?? 1,
+    location: item.location || '',
+    category: item.category || '',
+    expiry_date: item.expiry_date ? item.expiry_date.split('T')[0] : '',
+    date_type: item.date_type || 'use_by',
+    expiry_estimated: !!item.expiry_estimated,
+    opened_date: item.opened_date || '',
+    opened_shelf_life_days: item.opened_shelf_life_days ?? '',
+    notes: item.notes || '',
+    image_url: item.image_url || '',
+  };
+}
+
+// Blank date fields mean "none"; blank shelf life means "use the category's"
+function formDataToItem(formData) {
+  const days = parseInt(formData.opened_shelf_life_days, 10);
+  return {
+    ...formData,
+    expiry_date: formData.expiry_date || null,
+    expiry_estimated: !!formData.expiry_date && formData.expiry_estimated,
+    opened_date: formData.opened_date || null,
+    opened_shelf_life_days: Number.isNaN(days) ? null : days,
+  };
+}
+
+// Fields the barcode lookup can pre-fill
+const SUGGESTED_FIELDS = ['name', 'brand', 'category', 'image_url'];
+
+function getProductSuggestions(product) {
+  if (!product?.found) return {};
+  return SUGGESTED_FIELDS.reduce((values, field) => {
+    if (product[field]) values[field] = product[field];
+    return values;
+  }, {});
+}
 
 export function AddItemPage({ onBack, isDark }) {
   const colors = getColors(isDark);
-  const { items, addItem, editItem } = useItems();
+  const { id: editId } = useParams();
+  const isEditing = !!editId;
   const { locations: apiLocations, categories: apiCategories } = useLocations();
-  const [formData, setFormData] = useState({
-    name: '',
-    barcode: '',
-    brand: '',
-    quantity: 1,
-    location: '',
-    category: '',
-    expiry_date: '',
-    notes: '',
-  });
+  const { addItem, editItem } = useInventoryStore();
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [initialData, setInitialData] = useState(EMPTY_FORM);
+  const { item, loading: loadingItem, error: loadError, notFound } = useItem(editId);
   const [saving, setSaving] = useState(false);
-  const [isEditing, setIsEditing] = useState(false);
-  const [editId, setEditId] = useState(null);
+  const [showScanner, setShowScanner] = useState(false);
+  const [duplicateMatches, setDuplicateMatches] = useState([]);
+  const [suggestions, setSuggestions] = useState({});
+  const suggestionsRef = useRef({});
+  const { product, loading: lookingUp } = useBarcodeLookup(formData.barcode, { enabled: !isEditing });
+  // Only proposed while there is no date; never filled in without asking
+  const estimate = useShelfLifeEstimate(formData.category, formData.location, { enabled: !formData.expiry_date });
 
   const locations = apiLocations.length > 0 ? apiLocations : getDefaultLocations();
-  const categories = apiCategories.length > 0 ? apiCategories : getDefaultCategories();
+  const baseCategories = apiCategories.length > 0 ? apiCategories : getDefaultCategories();
+  const categories = formData.category && !baseCategories.includes(formData.category)
+    ? [...baseCategories, formData.category]
+    : baseCategories;
+
+  const isDirty = JSON.stringify(formData) !== JSON.stringify(initialData);
+  const { allowNavigation } = useUnsavedChanges(isDirty && !saving);
 
-  // Check for edit mode on mount
+  // Populate the form once the item being edited has loaded
   useEffect(() => {
-    const params = new URLSearchParams(window.location.search);
-    const id = params.get('id');
-    
-    if (id && items.length > 0) {
-      const item = items.find(i => i.id === parseInt(id));
-      if (item) {
-        setIsEditing(true);
-        setEditId(item.id);
-        setFormData({
-          name: item.name || '',
-          barcode: item.barcode || '',
-          brand: item.brand || '',
-          quantity: item.quantity || 1,
-          location: item.location || '',
-          category: item.category || '',
-          expiry_date: item.expiry_date ? item.expiry_date.split('T')[0] : '',
-          notes: item.notes || '',
-        });
-      }
+    if (!item) return;
+    const loaded = itemToFormData(item);
+    setFormData(loaded);
+    setInitialData(loaded);
+  }, [item]);
+
+  // Pre-fill fields from the lookup result, but never overwrite values the user typed
+  useEffect(() => {
+    if (!product?.found) return;
+    const values = getProductSuggestions(product);
+    const previous = suggestionsRef.current;
+    suggestionsRef.current = values;
+    setSuggestions(values);
+    setFormData(prev => {
+      const next = { ...prev };
+      Object.entries(values).forEach(([field, value]) => {
+        if (!prev[field] || prev[field] === previous[field]) next[field] = value;
+      });
+      return next;
+    });
+  }, [product]);
+
+  const renderSuggestionHint = (field) => {
+    const suggestion = suggestions[field];
+    if (!suggestion) return null;
+    if (formData[field] === suggestion) {
+      return <span style={{ marginLeft: spacing.sm, fontSize: '12px', fontWeight: '500', color: colors.primary }}>suggested</span>;
+    }
+    return (
+      <button type="button" onClick={() => setFormData(prev => ({ ...prev, [field]: suggestion }))} style={{ marginLeft: spacing.sm, background: 'none', border: 'none', padding: 0, fontSize: '12px', color: colors.info, cursor: 'pointer' }}>
+        use "{suggestion}"
+      </button>
+    );
+  };
+
+  const handleScanned = useCallback((barcode) => {
+    setFormData(prev => ({ ...prev, barcode }));
+    setShowScanner(false);
+  }, []);
+
+  // Narrow candidates server-side, then compare normalized barcode/name locally
+  const findExistingItems = async ({ barcode, name }) => {
+    const searches = [normalizeBarcode(barcode), name.trim()].filter(Boolean);
+    const results = await Promise.all(searches.map(search => getItems({ search, limit: 50 })));
+    const candidates = [...new Map(results.flat().map(candidate => [candidate.id, candidate])).values()];
+    return findMatchingItems(candidates, { barcode, name });
+  };
+
+  const finishSave = (message) => {
+    alert(message);
+    allowNavigation();
+    onBack();
+  };
+
+  const saveNewItem = async () => {
+    try {
+      setSaving(true);
+      await addItem(formDataToItem(formData));
+      setDuplicateMatches([]);
+      finishSave('Item added successfully!');
+    } catch (error) {
+      alert(error.maybeSaved ? error.message : 'Failed to add item: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleMerge = async (match) => {
+    const quantity = parseInt(formData.quantity) || 1;
+    try {
+      setSaving(true);
+      await editItem(match.id, { quantity: (match.quantity ?? 0) + quantity }, match);
+      setDuplicateMatches([]);
+      finishSave(`Added ${quantity} to ${match.name} in ${match.location}`);
+    } catch (error) {
+      alert('Failed to update item: ' + error.message);
+    } finally {
+      setSaving(false);
     }
-  }, [items]);
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+    if (!isEditing) {
+      // Same barcode or name already in stock: offer a merge instead of a silent duplicate
+      let matches = [];
+      try {
+        setSaving(true);
+        matches = await findExistingItems(formData);
+      } catch (error) {
+        console.warn('Duplicate check failed:', error);
+      } finally {
+        setSaving(false);
+      }
+      if (matches.length > 0) {
+        setDuplicateMatches(matches);
+        return;
+      }
+      await saveNewItem();
+      return;
+    }
     try {
       setSaving(true);
-      if (isEditing && editId) {
-        await editItem(editId, formData);
-        alert('Item updated successfully!');
-      } else {
-        await addItem(formData);
-        alert('Item added successfully!');
-      }
-      onBack();
+      await editItem(item.id, formDataToItem(formData), item);
+      finishSave('Item updated successfully!');
     } catch (error) {
-      alert(`Failed to ${isEditing ? 'update' : 'add'} item: ` + error.message);
+      alert('Failed to update item: ' + error.message);
     } finally {
       setSaving(false);
     }
   };
 
+  if (isEditing && (loadingItem || loadError || notFound)) {
+    return (
+      <div style={{ padding: `${spacing.xl} ${spacing.xxl}`, maxWidth: '800px' }}>
+        <button onClick={onBack} style={{ background: 'none', border: 'none', cursor: 'pointer', display: 'flex', alignItems: 'center', gap: spacing.sm, color: colors.textSecondary, marginBottom: spacing.lg, fontSize: '14px', padding: spacing.sm }}>
+          <ArrowLeft size={18} />
+          Back to Inventory
+        </button>
+        <div style={{ background: colors.card, padding: spacing.xxl, borderRadius: borderRadius.xl, border: `1px solid ${colors.border}`, textAlign: 'center', color: colors.textSecondary }}>
+          {loadingItem ? 'Loading item...' : notFound ? (
+            <>
+              <h2 style={{ fontSize: '20px', fontWeight: '700', color: colors.textPrimary, marginBottom: spacing.sm }}>Item not found</h2>
+              <p>Item #{editId} does not exist or has been deleted.</p>
+            </>
+          ) : `Failed to load item: ${loadError}`}
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div style={{ padding: `${spacing.xl} ${spacing.xxl}`, maxWidth: '800px' }}>
       <button onClick={onBack} style={{ background: 'none', border: 'none', cursor: 'pointer', display: 'flex', alignItems: 'center', gap: spacing.sm, color: colors.textSecondary, marginBottom: spacing.lg, fontSize: '14px', padding: spacing.sm }}>
@@ -77,27 +241,53 @@ export function AddItemPage({ onBack, isDark }) {
         Back to Inventory
       </button>
 
-      <h1 style={{ marginBottom: spacing.xl, fontSize: '24px', fontWeight: '700', color: colors.textPrimary }}>
+      <h1 style={{ marginBottom: isEditing ? spacing.sm : spacing.xl, fontSize: '24px', fontWeight: '700', color: colors.textPrimary }}>
         {isEditing ? 'Edit Item' : 'Add New Item'}
       </h1>
 
+      {isEditing && item && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: spacing.sm, marginBottom: spacing.xl, fontSize: '13px', color: colors.textSecondary }}>
+          <Clock size={14} />
+          <span title={item.updated_date}>Last updated {getRelativeTime(item.updated_date)}</span>
+          {item.added_date && <span>· Added {formatDate(item.added_date)}</span>}
+          {isDirty && <span style={{ color: colors.warning, fontWeight: '600' }}>· Unsaved changes</span>}
+        </div>
+      )}
+
       <form onSubmit={handleSubmit} style={{ background: colors.card, padding: spacing.xxl, borderRadius: borderRadius.xl, border: `1px solid ${colors.border}` }}>
         <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: spacing.lg }}>
           <div style={{ gridColumn: '1 / -1' }}>
-            <label style={{ display: 'block', fontWeight: '600', marginBottom: spacing.sm, color: colors.textPrimary }}>Item Name *</label>
+            <label style={{ display: 'block', fontWeight: '600', marginBottom: spacing.sm, color: colors.textPrimary }}>Item Name *{renderSuggestionHint('name')}</label>
             <input type="text" value={formData.name} onChange={(e) => setFormData(prev => ({ ...prev, name: e.target.value }))} required style={{ width: '100%', padding: spacing.md, border: `2px solid ${colors.border}`, borderRadius: borderRadius.md, fontSize: '15px' }} />
           </div>
 
           <div>
             <label style={{ display: 'block', fontWeight: '600', marginBottom: spacing.sm, color: colors.textPrimary }}>Barcode</label>
-            <input type="text" value={formData.barcode} onChange={(e) => setFormData(prev => ({ ...prev, barcode: e.target.value }))} style={{ width: '100%', padding: spacing.md, border: `2px solid ${colors.border}`, borderRadius: borderRadius.md, fontSize: '15px' }} />
+            <div style={{ display: 'flex', gap: spacing.sm }}>
+              <input type="text" inputMode="numeric" value={formData.barcode} onChange={(e) => setFormData(prev => ({ ...prev, barcode: e.target.value }))} style={{ flex: 1, minWidth: 0, padding: spacing.md, border: `2px solid ${colors.border}`, borderRadius: borderRadius.md, fontSize: '15px' }} />
+              <button type="button" onClick={() => setShowScanner(true)} title="Scan with camera" style={{ padding: `0 ${spacing.md}`, background: colors.accentBg, border: `2px solid ${colors.border}`, borderRadius: borderRadius.md, cursor: 'pointer', color: colors.primary, display: 'flex', alignItems: 'center' }}>
+                <ScanBarcode size={20} />
+              </button>
+            </div>
           </div>
 
           <div>
-            <label style={{ display: 'block', fontWeight: '600', marginBottom: spacing.sm, color: colors.textPrimary }}>Brand</label>
+            <label style={{ display: 'block', fontWeight: '600', marginBottom: spacing.sm, color: colors.textPrimary }}>Brand{renderSuggestionHint('brand')}</label>
             <input type="text" value={formData.brand} onChange={(e) => setFormData(prev => ({ ...prev, brand: e.target.value }))} style={{ width: '100%', padding: spacing.md, border: `2px solid ${colors.border}`, borderRadius: borderRadius.md, fontSize: '15px' }} />
           </div>
 
+          {(lookingUp || product) && (
+            <div style={{ gridColumn: '1 / -1' }}>
+              <ProductPreview
+                product={product}
+                loading={lookingUp}
+                useImage={!!product?.image_url && formData.image_url === product.image_url}
+                onToggleImage={(checked) => setFormData(prev => ({ ...prev, image_url: checked ? product.image_url : '' }))}
+                isDark={isDark}
+              />
+            </div>
+          )}
+
           <div>
             <label style={{ display: 'block', fontWeight: '600', marginBottom: spacing.sm, color: colors.textPrimary }}>Quantity *</label>
             <input type="number" value={formData.quantity} onChange={(e) => setFormData(prev => ({ ...prev, quantity: parseInt(e.target.value) }))} required min="1" style={{ width: '100%', padding: spacing.md, border: `2px solid ${colors.border}`, borderRadius: borderRadius.md, fontSize: '15px' }} />
@@ -112,7 +302,7 @@ export function AddItemPage({ onBack, isDark }) {
           </div>
 
           <div>
-            <label style={{ display: 'block', fontWeight: '600', marginBottom: spacing.sm, color: colors.textPrimary }}>Category *</label>
+            <label style={{ display: 'block', fontWeight: '600', marginBottom: spacing.sm, color: colors.textPrimary }}>Category *{renderSuggestionHint('category')}</label>
             <select value={formData.category} onChange={(e) => setFormData(prev => ({ ...prev, category: e.target.value }))} required style={{ width: '100%', padding: spacing.md, border: `2px solid ${colors.border}`, borderRadius: borderRadius.md, fontSize: '15px' }}>
               <option value="">Select category</option>
               {categories.map(cat => <option key={cat} value={cat}>{cat}</option>)}
@@ -120,8 +310,36 @@ export function AddItemPage({ onBack, isDark }) {
           </div>
 
           <div style={{ gridColumn: '1 / -1' }}>
-            <label style={{ display: 'block', fontWeight: '600', marginBottom: spacing.sm, color: colors.textPrimary }}>Expiry Date</label>
-            <input type="date" value={formData.expiry_date} onChange={(e) => setFormData(prev => ({ ...prev, expiry_date: e.target.value }))} style={{ width: '100%', padding: spacing.md, border: `2px solid ${colors.border}`, borderRadius: borderRadius.md, fontSize: '15px' }} />
+            <label style={{ display: 'block', fontWeight: '600', marginBottom: spacing.sm, color: colors.textPrimary }}>
+              Expiry Date
+              {formData.expiry_date && formData.expiry_estimated && (
+                <span style={{ marginLeft: spacing.sm, fontSize: '12px', fontWeight: '500', color: colors.info }}>estimated, not from the pack</span>
+              )}
+            </label>
+            <div style={{ display: 'flex', gap: spacing.sm }}>
+              <select value={formData.date_type} onChange={(e) => setFormData(prev => ({ ...prev, date_type: e.target.value }))} title="Use by is a safety limit; best before is only about quality" style={{ padding: spacing.md, border: `2px solid ${colors.border}`, borderRadius: borderRadius.md, fontSize: '15px' }}>
+                {Object.entries(DATE_TYPES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+              </select>
+              <input type="date" value={formData.expiry_date} onChange={(e) => setFormData(prev => ({ ...prev, expiry_date: e.target.value, expiry_estimated: false }))} style={{ flex: 1, minWidth: 0, padding: spacing.md, border: `2px solid ${colors.border}`, borderRadius: borderRadius.md, fontSize: '15px' }} />
+            </div>
+            {!formData.expiry_date && estimate && (
+              <div style={{ marginTop: spacing.sm, fontSize: '13px', color: colors.textSecondary }}>
+                No date on the pack? {formData.category} usually keeps {estimate.days} days in the {estimate.storage}.{' '}
+                <button type="button" onClick={() => setFormData(prev => ({ ...prev, expiry_date: estimate.expiry_date, expiry_estimated: true }))} style={{ background: 'none', border: 'none', padding: 0, fontSize: '13px', color: colors.info, cursor: 'pointer' }}>
+                  Use {formatDate(estimate.expiry_date)} as an estimate
+                </button>
+              </div>
+            )}
+          </div>
+
+          <div>
+            <label style={{ display: 'block', fontWeight: '600', marginBottom: spacing.sm, color: colors.textPrimary }}>Opened On</label>
+            <input type="date" value={formData.opened_date} onChange={(e) => setFormData(prev => ({ ...prev, opened_date: e.target.value }))} style={{ width: '100%', padding: spacing.md, border: `2px solid ${colors.border}`, borderRadius: borderRadius.md, fontSize: '15px' }} />
+          </div>
+
+          <div>
+            <label style={{ display: 'block', fontWeight: '600', marginBottom: spacing.sm, color: colors.textPrimary }}>Keeps After Opening (days)</label>
+            <input type="number" min="0" value={formData.opened_shelf_life_days} onChange={(e) => setFormData(prev => ({ ...prev, opened_shelf_life_days: e.target.value }))} placeholder="Category default" style={{ width: '100%', padding: spacing.md, border: `2px solid ${colors.border}`, borderRadius: borderRadius.md, fontSize: '15px' }} />
           </div>
 
           <div style={{ gridColumn: '1 / -1' }}>
@@ -135,6 +353,20 @@ export function AddItemPage({ onBack, isDark }) {
           {saving ? 'Saving...' : isEditing ? 'Update Item' : 'Add Item'}
         </button>
       </form>
+
+      {showScanner && (
+        <BarcodeScanner onDetected={handleScanned} onClose={() => setShowScanner(false)} isDark={isDark} />
+      )}
+
+      <DuplicateItemModal
+        matches={duplicateMatches}
+        newItem={formData}
+        onMerge={handleMerge}
+        onCreateSeparate={saveNewItem}
+        onCancel={() => setDuplicateMatches([])}
+        busy={saving}
+        isDark={isDark}
+      />
     </div>
   );
 }
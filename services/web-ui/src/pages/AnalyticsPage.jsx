@@ -0,0 +1,140 @@
+// Analytics Page - what was eaten vs. thrown away over time, and where
+import { useState, useMemo } from 'react';
+import { RefreshCw } from 'lucide-react';
+import { getColors, spacing, borderRadius } from '../colors';
+import LoadingSpinner from '../components/LoadingSpinner';
+import Alert from '../components/Alert';
+import { StackedBarChart, RankedBarChart } from '../components/Charts';
+import { useAnalytics } from '../hooks/useAnalytics';
+
+const PERIODS = [3, 6, 12, 24];
+const TOP_CATEGORIES = 6;
+
+// "2026-01" -> "Jan 26" on year changes, "Feb" otherwise
+const monthLabel = (key, index) => {
+  const [year, month] = key.split('-').map(Number);
+  const date = new Date(year, month - 1, 1);
+  const name = date.toLocaleDateString(undefined, { month: 'short' });
+  return index === 0 || month === 1 ? `${name} ${String(year).slice(2)}` : name;
+};
+
+export function AnalyticsPage({ isDark }) {
+  const colors = getColors(isDark);
+  const [months, setMonths] = useState(12);
+  const { analytics, loading, error, refresh } = useAnalytics(months);
+
+  const monthly = useMemo(() => (analytics?.monthly || []).map((entry, index) => ({
+    ...entry,
+    label: monthLabel(entry.month, index),
+    title: new Date(`${entry.month}-01T00:00:00`).toLocaleDateString(undefined, { month: 'long', year: 'numeric' }),
+  })), [analytics]);
+
+  if (loading && !analytics) return <LoadingSpinner />;
+
+  const selectStyle = { padding: spacing.sm, border: `2px solid ${colors.border}`, borderRadius: borderRadius.md, fontSize: '14px', background: colors.card, color: colors.textPrimary };
+  const cardStyle = { background: colors.card, border: `1px solid ${colors.border}`, borderRadius: borderRadius.lg, padding: spacing.lg, marginBottom: spacing.lg };
+  const sectionTitle = { fontWeight: '600', color: colors.textPrimary, marginBottom: spacing.md };
+  const cellStyle = { padding: `${spacing.sm} ${spacing.md}`, borderBottom: `1px solid ${colors.border}`, fontSize: '14px', color: colors.textPrimary };
+
+  const totals = analytics?.totals || { consumed: 0, discarded: 0, waste_rate: null };
+  const hasHistory = totals.consumed + totals.discarded > 0;
+  const tiles = [
+    { label: 'Used up', value: totals.consumed, color: colors.success },
+    { label: 'Thrown away', value: totals.discarded, color: colors.danger },
+    { label: 'Waste rate', value: totals.waste_rate === null ? '–' : `${Math.round(totals.waste_rate * 100)}%`, color: colors.warning },
+    { label: 'Avg. days to use', value: analytics?.average_days_to_consume ?? '–', color: colors.info },
+  ];
+
+  return (
+    <div style={{ padding: `${spacing.xl} ${spacing.xxl}`, maxWidth: '1000px' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: spacing.md, marginBottom: spacing.lg, flexWrap: 'wrap' }}>
+        <h1 style={{ fontSize: '28px', fontWeight: '700', color: colors.textPrimary, margin: 0 }}>Analytics</h1>
+        <div style={{ display: 'flex', gap: spacing.sm, marginLeft: 'auto' }}>
+          <select value={months} onChange={(e) => setMonths(Number(e.target.value))} style={selectStyle}>
+            {PERIODS.map(period => <option key={period} value={period}>Last {period} months</option>)}
+          </select>
+          <button onClick={refresh} disabled={loading} title="Refresh" style={{ ...selectStyle, cursor: 'pointer', display: 'flex', alignItems: 'center' }}>
+            <RefreshCw size={16} />
+          </button>
+        </div>
+      </div>
+
+      {error && <Alert type="error" message={error} />}
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))', gap: spacing.md, marginBottom: spacing.lg }}>
+        {tiles.map(tile => (
+          <div key={tile.label} style={{ ...cardStyle, marginBottom: 0 }}>
+            <div style={{ fontSize: '13px', color: colors.textSecondary, marginBottom: spacing.xs }}>{tile.label}</div>
+            <div style={{ fontSize: '28px', fontWeight: '700', color: tile.color }}>{tile.value}</div>
+          </div>
+        ))}
+      </div>
+
+      {!hasHistory && !loading && (
+        <div style={{ ...cardStyle, textAlign: 'center', color: colors.textSecondary, fontSize: '14px' }}>
+          Nothing used up or thrown away in this period yet. History starts building as you consume items,
+          and as you throw away or delete ones you had to bin.
+        </div>
+      )}
+
+      {hasHistory && (
+        <>
+          <div style={cardStyle}>
+            <div style={sectionTitle}>Used up vs. thrown away per month</div>
+            <StackedBarChart
+              data={monthly}
+              series={[
+                { key: 'consumed', label: 'Used up', color: colors.success },
+                { key: 'discarded', label: 'Thrown away', color: colors.danger },
+              ]}
+              colors={colors}
+            />
+          </div>
+
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(320px, 1fr))', gap: spacing.lg }}>
+            <div style={cardStyle}>
+              <div style={sectionTitle}>Most wasted categories</div>
+              {analytics.wasted_categories.length === 0 ? (
+                <div style={{ fontSize: '14px', color: colors.textSecondary }}>Nothing thrown away. Nice.</div>
+              ) : (
+                <RankedBarChart
+                  rows={analytics.wasted_categories.slice(0, TOP_CATEGORIES).map(entry => ({ label: entry.category, value: entry.quantity }))}
+                  color={colors.danger}
+                  colors={colors}
+                />
+              )}
+            </div>
+
+            <div style={cardStyle}>
+              <div style={sectionTitle}>Turnover by location</div>
+              <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                <thead>
+                  <tr>
+                    {['Location', 'Used', 'Wasted', 'In stock', 'Turnover'].map(heading => (
+                      <th key={heading} style={{ ...cellStyle, textAlign: heading === 'Location' ? 'left' : 'right', color: colors.textSecondary, fontWeight: '600', fontSize: '12px' }}>{heading}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {analytics.locations.map(row => (
+                    <tr key={row.location}>
+                      <td style={cellStyle}>{row.location}</td>
+                      <td style={{ ...cellStyle, textAlign: 'right' }}>{row.consumed}</td>
+                      <td style={{ ...cellStyle, textAlign: 'right', color: row.discarded ? colors.danger : colors.textPrimary }}>{row.discarded}</td>
+                      <td style={{ ...cellStyle, textAlign: 'right' }}>{row.in_stock}</td>
+                      <td style={{ ...cellStyle, textAlign: 'right', fontWeight: '600' }} title="Units used in this period per unit in stock now">
+                        {row.turnover === null ? '–' : `${row.turnover}×`}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default AnalyticsPage;
@@ -0,0 +1,360 @@
+// Audit Page - stock-take one location: check every expected item, then apply the differences at once
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { ClipboardCheck, Check, X, Plus, ArrowLeft, MapPin } from 'lucide-react';
+import { getColors, spacing, borderRadius } from '../colors';
+import LoadingSpinner from '../components/LoadingSpinner';
+import Alert from '../components/Alert';
+import { useItems } from '../hooks/useItems';
+import { useLocations } from '../hooks/useLocations';
+import { useInventoryStore } from '../hooks/useInventoryStore';
+import { useUnsavedChanges } from '../hooks/useUnsavedChanges';
+import { getLatestAudits, applyAudit } from '../api';
+import { getDefaultLocations, getDefaultCategories } from '../defaults';
+import { expectedItems, buildAuditDiff, toAuditRequest } from '../utils/audit';
+import { validateItemName } from '../utils/validators';
+import { formatDate, getRelativeTime } from '../utils/dateUtils';
+
+export function AuditPage({ isDark }) {
+  const colors = getColors(isDark);
+  const { locations: apiLocations, categories: apiCategories } = useLocations();
+  const [audits, setAudits] = useState([]);
+  const [location, setLocation] = useState(null);
+  const [result, setResult] = useState(null);
+
+  const locations = apiLocations.length > 0 ? apiLocations : getDefaultLocations();
+  const categories = apiCategories.length > 0 ? apiCategories : getDefaultCategories();
+
+  const loadAudits = useCallback(() => {
+    getLatestAudits()
+      .then(setAudits)
+      .catch(err => console.error('Failed to load audits:', err));
+  }, []);
+
+  useEffect(() => {
+    loadAudits();
+  }, [loadAudits]);
+
+  const handleApplied = (applied) => {
+    setResult(applied);
+    setLocation(null);
+    loadAudits();
+  };
+
+  if (location) {
+    return (
+      <AuditSession
+        location={location}
+        categories={categories}
+        onApplied={handleApplied}
+        onCancel={() => setLocation(null)}
+        isDark={isDark}
+      />
+    );
+  }
+
+  const lastAudit = Object.fromEntries(audits.map(audit => [audit.location, audit]));
+  // Locations that were never audited, or not for the longest time, come first
+  const ordered = [...locations].sort((a, b) => (lastAudit[a]?.audited_date || '').localeCompare(lastAudit[b]?.audited_date || ''));
+
+  return (
+    <div style={{ padding: `${spacing.xl} ${spacing.xxl}`, maxWidth: '900px' }}>
+      <h1 style={{ fontSize: '28px', fontWeight: '700', color: colors.textPrimary, margin: 0, marginBottom: spacing.xs }}>Stock-take</h1>
+      <p style={{ fontSize: '14px', color: colors.textSecondary, marginBottom: spacing.xl }}>
+        Pick a shelf, check off what's really there, and fix the differences in one go.
+      </p>
+
+      {result && (
+        <Alert
+          type="success"
+          message={`${result.audit.location} audited: ${result.audit.present} present (${result.audit.adjusted} recounted), ${result.audit.missing} missing, ${result.audit.found} new.${result.skipped ? ` ${result.skipped} item(s) were deleted elsewhere and left alone.` : ''}`}
+          onClose={() => setResult(null)}
+        />
+      )}
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(240px, 1fr))', gap: spacing.md, marginTop: spacing.lg }}>
+        {ordered.map(loc => {
+          const audit = lastAudit[loc];
+          return (
+            <button
+              key={loc}
+              onClick={() => { setResult(null); setLocation(loc); }}
+              style={{ textAlign: 'left', padding: spacing.lg, borderRadius: borderRadius.lg, border: `2px solid ${colors.border}`, background: colors.card, cursor: 'pointer' }}
+            >
+              <div style={{ display: 'flex', alignItems: 'center', gap: spacing.sm, fontWeight: '600', color: colors.textPrimary, marginBottom: spacing.xs }}>
+                <MapPin size={16} color={colors.primary} />
+                {loc}
+              </div>
+              <div style={{ fontSize: '13px', color: audit ? colors.textSecondary : colors.warning }}>
+                {audit ? `Last audited ${auditedWhen(audit.audited_date)}` : 'Never audited'}
+              </div>
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+// getRelativeTime falls back to a plain date for older audits
+const auditedWhen = (date) => {
+  const relative = getRelativeTime(date);
+  return /ago$|^Just now$/.test(relative) ? relative.toLowerCase() : `on ${relative}`;
+};
+
+const EMPTY_FOUND = { name: '', quantity: 1, category: '', expiry_date: '' };
+
+function AuditSession({ location, categories, onApplied, onCancel, isDark }) {
+  const colors = getColors(isDark);
+  const store = useInventoryStore();
+  const { items, loading, error } = useItems({ location, sort: 'name', order: 'asc' });
+  const [marks, setMarks] = useState({});
+  const [found, setFound] = useState([]);
+  const [draft, setDraft] = useState(EMPTY_FOUND);
+  const [reviewing, setReviewing] = useState(false);
+  const [missingAction, setMissingAction] = useState('zero');
+  const [applying, setApplying] = useState(false);
+
+  const expected = useMemo(() => expectedItems(items, location), [items, location]);
+  const diff = useMemo(() => buildAuditDiff(expected, marks, found), [expected, marks, found]);
+  const checked = expected.length - diff.unchecked.length;
+  const hasProgress = checked > 0 || found.length > 0;
+  const { allowNavigation } = useUnsavedChanges(hasProgress && !applying, 'This stock-take has not been applied. Leave and lose your counts?');
+
+  const mark = (item, status) => setMarks(current => ({ ...current, [item.id]: { status, quantity: current[item.id]?.quantity ?? item.quantity } }));
+  const setCount = (item, quantity) => setMarks(current => ({ ...current, [item.id]: { status: 'present', quantity: Math.max(0, quantity) } }));
+  const markRestPresent = () => setMarks(current => {
+    const next = { ...current };
+    diff.unchecked.forEach(item => { next[item.id] = { status: 'present', quantity: item.quantity }; });
+    return next;
+  });
+
+  const addFound = (e) => {
+    e.preventDefault();
+    const { isValid, error: nameError } = validateItemName(draft.name);
+    if (!isValid) {
+      alert(nameError);
+      return;
+    }
+    setFound([...found, { ...draft, key: Date.now(), name: draft.name.trim(), quantity: Math.max(1, parseInt(draft.quantity) || 1), category: draft.category || 'Uncategorized' }]);
+    setDraft(EMPTY_FOUND);
+  };
+
+  const handleCancel = () => {
+    if (hasProgress && !window.confirm('Discard this stock-take?')) return;
+    onCancel();
+  };
+
+  const handleApply = async () => {
+    setApplying(true);
+    try {
+      const applied = await applyAudit(toAuditRequest(location, diff, missingAction));
+      store.revalidate();
+      allowNavigation();
+      onApplied(applied);
+    } catch (err) {
+      console.error('Failed to apply stock-take:', err);
+      alert('Failed to apply stock-take: ' + (err.response?.data?.detail || err.message));
+      setApplying(false);
+    }
+  };
+
+  if (loading && items.length === 0) return <LoadingSpinner />;
+
+  const inputStyle = { padding: spacing.sm, border: `2px solid ${colors.border}`, borderRadius: borderRadius.md, fontSize: '14px', background: colors.card, color: colors.textPrimary };
+  const buttonStyle = { padding: `${spacing.sm} ${spacing.lg}`, border: 'none', borderRadius: borderRadius.md, color: 'white', fontWeight: '600', fontSize: '14px', cursor: 'pointer', display: 'flex', alignItems: 'center', gap: spacing.xs };
+  const cardStyle = { background: colors.card, border: `1px solid ${colors.border}`, borderRadius: borderRadius.lg, marginBottom: spacing.lg };
+  const sectionTitle = { padding: `${spacing.md} ${spacing.lg}`, borderBottom: `1px solid ${colors.border}`, fontWeight: '600', color: colors.textPrimary };
+  const rowStyle = { display: 'flex', alignItems: 'center', gap: spacing.md, padding: `${spacing.sm} ${spacing.lg}`, borderBottom: `1px solid ${colors.border}`, fontSize: '14px', color: colors.textPrimary };
+
+  const header = (
+    <div style={{ display: 'flex', alignItems: 'center', gap: spacing.md, marginBottom: spacing.lg }}>
+      <button onClick={reviewing ? () => setReviewing(false) : handleCancel} style={{ background: 'none', border: 'none', cursor: 'pointer', color: colors.textSecondary, display: 'flex', padding: spacing.sm }}>
+        <ArrowLeft size={20} />
+      </button>
+      <div>
+        <h1 style={{ fontSize: '24px', fontWeight: '700', color: colors.textPrimary, margin: 0 }}>{reviewing ? 'Review changes' : `Stock-take: ${location}`}</h1>
+        <div style={{ fontSize: '14px', color: colors.textSecondary }}>
+          {reviewing ? location : `${checked} of ${expected.length} checked${found.length ? ` · ${found.length} new` : ''}`}
+        </div>
+      </div>
+    </div>
+  );
+
+  if (reviewing) {
+    const nothingChanged = diff.changed.length === 0 && diff.missing.length === 0 && diff.found.length === 0;
+    return (
+      <div style={{ padding: `${spacing.xl} ${spacing.xxl}`, maxWidth: '900px' }}>
+        {header}
+
+        {diff.changed.length > 0 && (
+          <div style={cardStyle}>
+            <div style={sectionTitle}>Recounted ({diff.changed.length})</div>
+            {diff.changed.map(({ item, from, to }) => (
+              <div key={item.id} style={rowStyle}>
+                <span style={{ flex: 1 }}>{item.name}</span>
+                <span style={{ color: colors.textSecondary }}>{from}</span>
+                <span style={{ color: colors.textSecondary }}>→</span>
+                <span style={{ fontWeight: '600', color: to < from ? colors.danger : colors.success }}>{to}</span>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {diff.missing.length > 0 && (
+          <div style={cardStyle}>
+            <div style={sectionTitle}>Missing ({diff.missing.length})</div>
+            {diff.missing.map(item => (
+              <div key={item.id} style={rowStyle}>
+                <span style={{ flex: 1 }}>{item.name}</span>
+                <span style={{ color: colors.textSecondary }}>expected {item.quantity}</span>
+              </div>
+            ))}
+            <div style={{ display: 'flex', gap: spacing.lg, padding: `${spacing.md} ${spacing.lg}`, fontSize: '14px', color: colors.textPrimary, flexWrap: 'wrap' }}>
+              <label style={{ display: 'flex', alignItems: 'center', gap: spacing.xs, cursor: 'pointer' }}>
+                <input type="radio" checked={missingAction === 'zero'} onChange={() => setMissingAction('zero')} />
+                Mark as used up (adds them to the shopping list)
+              </label>
+              <label style={{ display: 'flex', alignItems: 'center', gap: spacing.xs, cursor: 'pointer' }}>
+                <input type="radio" checked={missingAction === 'trash'} onChange={() => setMissingAction('trash')} />
+                Move to Recently Deleted
+              </label>
+            </div>
+          </div>
+        )}
+
+        {diff.found.length > 0 && (
+          <div style={cardStyle}>
+            <div style={sectionTitle}>New ({diff.found.length})</div>
+            {diff.found.map(item => (
+              <div key={item.key} style={rowStyle}>
+                <span style={{ flex: 1 }}>{item.name}</span>
+                <span style={{ color: colors.textSecondary }}>{item.category}</span>
+                <span style={{ color: colors.textSecondary }}>{item.expiry_date ? formatDate(item.expiry_date) : ''}</span>
+                <span style={{ fontWeight: '600', color: colors.success }}>+{item.quantity}</span>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div style={{ fontSize: '14px', color: colors.textSecondary, marginBottom: spacing.lg }}>
+          {nothingChanged ? 'Everything matches. Applying records the audit date.' : `${diff.unchanged.length} item${diff.unchanged.length === 1 ? '' : 's'} matched exactly.`}
+        </div>
+
+        <div style={{ display: 'flex', gap: spacing.sm, justifyContent: 'flex-end' }}>
+          <button onClick={() => setReviewing(false)} style={{ ...buttonStyle, background: colors.card, color: colors.textPrimary, border: `2px solid ${colors.border}` }}>
+            Back to counting
+          </button>
+          <button onClick={handleApply} disabled={applying} style={{ ...buttonStyle, background: colors.primary, opacity: applying ? 0.6 : 1 }}>
+            <ClipboardCheck size={16} />
+            {applying ? 'Applying...' : 'Apply stock-take'}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ padding: `${spacing.xl} ${spacing.xxl}`, maxWidth: '900px' }}>
+      {header}
+      {error && <Alert type="error" message={error} />}
+
+      <div style={{ height: '6px', background: colors.border, borderRadius: '3px', overflow: 'hidden', marginBottom: spacing.lg }}>
+        <div style={{ width: `${expected.length ? (checked / expected.length) * 100 : 100}%`, height: '100%', background: colors.primary, transition: 'width 0.2s' }} />
+      </div>
+
+      <div style={cardStyle}>
+        <div style={{ ...sectionTitle, display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+          <span>Expected here ({expected.length})</span>
+          {diff.unchecked.length > 0 && (
+            <button onClick={markRestPresent} style={{ background: 'none', border: 'none', color: colors.primary, cursor: 'pointer', fontSize: '14px', fontWeight: '600' }}>
+              Mark the rest present
+            </button>
+          )}
+        </div>
+        {expected.length === 0 && (
+          <div style={{ padding: spacing.lg, fontSize: '14px', color: colors.textSecondary, textAlign: 'center' }}>PantryPal has nothing in stock here.</div>
+        )}
+        {expected.map(item => {
+          const itemMark = marks[item.id];
+          const rowBackground = itemMark?.status === 'missing' ? colors.expiredBg : itemMark ? colors.accentBg : 'transparent';
+          return (
+            <div key={item.id} style={{ ...rowStyle, background: rowBackground }}>
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <div style={{ fontWeight: '500', textDecoration: itemMark?.status === 'missing' ? 'line-through' : 'none' }}>{item.name}</div>
+                <div style={{ fontSize: '12px', color: colors.textSecondary }}>
+                  {[item.brand, item.expiry_date ? `Exp ${formatDate(item.expiry_date)}` : null, `expected ${item.quantity}`].filter(Boolean).join(' · ')}
+                </div>
+              </div>
+              {itemMark?.status === 'present' && (
+                <input
+                  type="number"
+                  min="0"
+                  value={itemMark.quantity}
+                  onChange={(e) => setCount(item, parseInt(e.target.value) || 0)}
+                  style={{ ...inputStyle, width: '70px' }}
+                  title="Counted quantity"
+                />
+              )}
+              <button
+                onClick={() => mark(item, 'present')}
+                title="Present"
+                style={{ ...buttonStyle, padding: spacing.sm, background: itemMark?.status === 'present' ? colors.success : colors.card, color: itemMark?.status === 'present' ? 'white' : colors.success, border: `2px solid ${colors.success}` }}
+              >
+                <Check size={16} />
+              </button>
+              <button
+                onClick={() => mark(item, 'missing')}
+                title="Missing"
+                style={{ ...buttonStyle, padding: spacing.sm, background: itemMark?.status === 'missing' ? colors.danger : colors.card, color: itemMark?.status === 'missing' ? 'white' : colors.danger, border: `2px solid ${colors.danger}` }}
+              >
+                <X size={16} />
+              </button>
+            </div>
+          );
+        })}
+      </div>
+
+      <div style={cardStyle}>
+        <div style={sectionTitle}>Found, but not in PantryPal</div>
+        {found.map(item => (
+          <div key={item.key} style={rowStyle}>
+            <span style={{ flex: 1 }}>{item.name}</span>
+            <span style={{ color: colors.textSecondary }}>{item.category}</span>
+            <span style={{ color: colors.textSecondary }}>×{item.quantity}</span>
+            <button onClick={() => setFound(found.filter(other => other.key !== item.key))} title="Remove" style={{ background: 'none', border: 'none', cursor: 'pointer', color: colors.textSecondary, display: 'flex' }}>
+              <X size={16} />
+            </button>
+          </div>
+        ))}
+        <form onSubmit={addFound} style={{ display: 'flex', gap: spacing.sm, padding: spacing.lg, flexWrap: 'wrap' }}>
+          <input value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} placeholder="Item name" style={{ ...inputStyle, flex: '2 1 180px' }} />
+          <input type="number" min="1" value={draft.quantity} onChange={(e) => setDraft({ ...draft, quantity: e.target.value })} style={{ ...inputStyle, width: '70px' }} title="Quantity" />
+          <select value={draft.category} onChange={(e) => setDraft({ ...draft, category: e.target.value })} style={{ ...inputStyle, flex: '1 1 140px' }}>
+            <option value="">Category...</option>
+            {categories.map(cat => <option key={cat} value={cat}>{cat}</option>)}
+          </select>
+          <input type="date" value={draft.expiry_date} onChange={(e) => setDraft({ ...draft, expiry_date: e.target.value })} style={inputStyle} title="Expiry date (optional)" />
+          <button type="submit" style={{ ...buttonStyle, background: colors.info }}>
+            <Plus size={16} />
+            Add
+          </button>
+        </form>
+      </div>
+
+      <div style={{ display: 'flex', justifyContent: 'flex-end', alignItems: 'center', gap: spacing.md }}>
+        {diff.unchecked.length > 0 && (
+          <span style={{ fontSize: '14px', color: colors.textSecondary }}>{diff.unchecked.length} item{diff.unchecked.length === 1 ? '' : 's'} left to check</span>
+        )}
+        <button
+          onClick={() => setReviewing(true)}
+          disabled={diff.unchecked.length > 0}
+          style={{ ...buttonStyle, background: colors.primary, opacity: diff.unchecked.length > 0 ? 0.6 : 1, cursor: diff.unchecked.length > 0 ? 'not-allowed' : 'pointer' }}
+        >
+          Review changes
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default AuditPage;
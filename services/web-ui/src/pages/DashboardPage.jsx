@@ -1,26 +1,23 @@
 // Dashboard page - main overview
-import { useState, useEffect } from 'react';
-import { Package, AlertTriangle, MapPin, Clock } from 'lucide-react';
+import { Package, AlertTriangle, MapPin, Clock, Hourglass } from 'lucide-react';
 import StatsCard from '../components/StatsCard';
 import ItemCard from '../components/ItemCard';
 import LoadingSpinner from '../components/LoadingSpinner';
 import Alert from '../components/Alert';
 import { colors, spacing } from '../colors';
 import { useItems } from '../hooks/useItems';
-import { useStats } from '../hooks/useStats';
-import { getExpiringWithinDays, sortByExpiry } from '../utils/dateUtils';
+import { useItemSummary } from '../hooks/useItemSummary';
 
 export function DashboardPage({ onNavigate }) {
-  const { items, loading, error } = useItems();
-  const { stats } = useStats(items);
-  const [expiringItems, setExpiringItems] = useState([]);
-
-  useEffect(() => {
-    if (items.length > 0) {
-      const expiring = getExpiringWithinDays(items, 7);
-      setExpiringItems(sortByExpiry(expiring).slice(0, 5));
-    }
-  }, [items]);
+  const { items: expiringItems, loading, error } = useItems({ expiryStatus: 'critical,warning', sort: 'expiry_date', limit: 5 });
+  const { summary } = useItemSummary();
+  const stats = {
+    totalItems: summary.total_quantity,
+    expiringSoon: summary.by_status.critical + summary.by_status.warning,
+    locations: Object.keys(summary.by_location).length,
+    expired: summary.by_status.expired,
+    pastBest: summary.by_status.past_best,
+  };
 
   if (loading) return <LoadingSpinner />;
 
@@ -41,6 +38,7 @@ export function DashboardPage({ onNavigate }) {
         <StatsCard icon={AlertTriangle} label="Expiring Soon" value={stats.expiringSoon} color={colors.warning} />
         <StatsCard icon={MapPin} label="Locations" value={stats.locations} color={colors.info} />
         <StatsCard icon={Clock} label="Expired" value={stats.expired} color={colors.danger} />
+        <StatsCard icon={Hourglass} label="Past Best Before" value={stats.pastBest} color={colors.warning} />
       </div>
 
       {/* Expiring Soon */}
@@ -54,7 +52,8 @@ export function DashboardPage({ onNavigate }) {
               <ItemCard 
                 key={item.id} 
                 item={item}
-                onEdit={() => onNavigate(`/item/${item.id}`)}
+                onEdit={() => onNavigate(`/items/${item.id}/edit`)}
+                onView={() => onNavigate(`/items/${item.id}`)}
                 onDelete={() => {}}
               />
             ))}
@@ -1,74 +1,75 @@
 // Inventory page - full item list with filtering and bulk actions
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { ChevronRight, ChevronDown, Grid, List } from 'lucide-react';
 import ItemCard from '../components/ItemCard';
 import FilterPanel from '../components/FilterPanel';
 import BulkActions from '../components/BulkActions';
+import BulkEditModal from '../components/BulkEditModal';
+import QuantityStepper from '../components/QuantityStepper';
+import DepletedItemPrompt from '../components/DepletedItemPrompt';
 import LoadingSpinner from '../components/LoadingSpinner';
 import Alert from '../components/Alert';
 import { getColors, spacing, borderRadius } from '../colors';
 import { useItems } from '../hooks/useItems';
+import { useItemSummary } from '../hooks/useItemSummary';
 import { useLocations } from '../hooks/useLocations';
-import { exportToCSV } from '../utils/exportUtils';
-import { filterByExpiryStatus, sortByExpiry, getExpiryStatus, formatDate } from '../utils/dateUtils';
-import { downloadCSVTemplate, readCSVFile, validateImportedItems } from '../utils/exportUtils';
-import { filterByExpiryStatus, sortByExpiry } from '../utils/dateUtils';
+import { useDebouncedValue } from '../hooks/useDebouncedValue';
+import { useDeleteWithUndo } from '../hooks/useDeleteWithUndo';
+import { isPendingId } from '../inventoryStore';
+import { getExpiryStatus, getEffectiveExpiry, isEstimatedExpiry, formatDate } from '../utils/dateUtils';
 import { exportItemsCSV } from '../api';
 
+const PAGE_SIZE = 50;
+
+const SORT_OPTIONS = {
+  expiry: { label: 'Expiry (soonest)', sort: 'expiry_date', order: 'asc' },
+  'name-asc': { label: 'Name (A-Z)', sort: 'name', order: 'asc' },
+  'name-desc': { label: 'Name (Z-A)', sort: 'name', order: 'desc' },
+  newest: { label: 'Recently added', sort: 'added_date', order: 'desc' },
+  quantity: { label: 'Quantity (lowest)', sort: 'quantity', order: 'asc' },
+};
+
 export function InventoryPage({ isDark, sidebarFilters = {} }) {
   const colors = getColors(isDark);
-  const { items, loading, error, removeItems } = useItems();
+  const navigate = useNavigate();
   const { locations, categories } = useLocations();
+  const deleteWithUndo = useDeleteWithUndo();
   const [filters, setFilters] = useState({ expiryStatus: 'all' });
   const [selectedItems, setSelectedItems] = useState(new Set());
   const [groupBy, setGroupBy] = useState('none');
-  const [collapsedGroups, setCollapsedGroups] = useState(new Set());
+  const [sortBy, setSortBy] = useState('expiry');
+  const [expandedGroups, setExpandedGroups] = useState(new Set());
   const [viewMode, setViewMode] = useState('card'); // 'card' or 'list'
+  const [depleted, setDepleted] = useState(null); // { item, remove }
+  const [bulkEditing, setBulkEditing] = useState(false);
 
   // Merge sidebar filters with local filters
   const mergedFilters = { ...filters, ...sidebarFilters };
+  const search = useDebouncedValue(mergedFilters.search || '');
 
-  // Apply filters
-  const filteredItems = items.filter(item => {
-    if (mergedFilters.search && !item.name.toLowerCase().includes(mergedFilters.search.toLowerCase())) return false;
-    if (mergedFilters.location && item.location !== mergedFilters.location) return false;
-    if (mergedFilters.category && item.category !== mergedFilters.category) return false;
-
-    // Handle expiry filter from sidebar
-    if (mergedFilters.filter === 'expiring') {
-      const status = getExpiryStatus(item.expiry_date);
-      return status === 'warning' || status === 'critical';
-    }
-    if (mergedFilters.filter === 'expired') {
-      const status = getExpiryStatus(item.expiry_date);
-      return status === 'expired';
-    }
-
-    // Handle expiry status from filter panel
-    if (mergedFilters.expiryStatus && mergedFilters.expiryStatus !== 'all') {
-      return filterByExpiryStatus([item], mergedFilters.expiryStatus).length > 0;
-    }
-    return true;
-  });
-
-  const sortedItems = sortByExpiry(filteredItems);
+  // Filtering and sorting happen server-side; the sidebar expiry filter wins over the panel's
+  const query = {
+    search: search || undefined,
+    location: mergedFilters.location || undefined,
+    category: mergedFilters.category || undefined,
+    expiryStatus: mergedFilters.filter === 'expiring' ? 'expiring' :
+                  mergedFilters.filter === 'expired' ? 'expired' :
+                  mergedFilters.filter === 'past_best' ? 'past_best' : mergedFilters.expiryStatus,
+  };
+  const { summary, loading: summaryLoading } = useItemSummary(query);
+  const listQuery = { ...query, sort: SORT_OPTIONS[sortBy].sort, order: SORT_OPTIONS[sortBy].order };
 
-  // Grouping logic
-  const groupedItems = groupBy === 'none' ? { 'All Items': sortedItems } :
-    sortedItems.reduce((groups, item) => {
-      const key = groupBy === 'location' ? (item.location || 'No Location') :
-                  groupBy === 'category' ? (item.category || 'No Category') : 'All Items';
-      if (!groups[key]) groups[key] = [];
-      groups[key].push(item);
-      return groups;
-    }, {});
+  // Group headers come from the summary; each group loads its own items when expanded
+  const groupCounts = groupBy === 'location' ? summary.by_location :
+                      groupBy === 'category' ? summary.by_category : null;
 
   const handleFilterChange = (newFilters) => {
     setFilters(prev => ({ ...prev, ...newFilters }));
   };
 
   const toggleGroup = (groupKey) => {
-    setCollapsedGroups(prev => {
+    setExpandedGroups(prev => {
       const next = new Set(prev);
       if (next.has(groupKey)) {
         next.delete(groupKey);
@@ -81,28 +82,15 @@ export function InventoryPage({ isDark, sidebarFilters = {} }) {
 
   // Collapse all groups by default when grouping changes
   useEffect(() => {
-    if (groupBy !== 'none') {
-      const allGroupKeys = Object.keys(groupedItems);
-      setCollapsedGroups(new Set(allGroupKeys));
-    } else {
-      setCollapsedGroups(new Set());
-    }
+    setExpandedGroups(new Set());
   }, [groupBy]);
 
-  // Auto-expand groups when search is active and has matches
+  // Auto-expand groups when search is active; the summary only lists groups with matches
   useEffect(() => {
-    if (filters.search && groupBy !== 'none') {
-      const groupsWithMatches = Object.entries(groupedItems)
-        .filter(([_, items]) => items.length > 0)
-        .map(([key, _]) => key);
-
-      setCollapsedGroups(prev => {
-        const next = new Set(prev);
-        groupsWithMatches.forEach(key => next.delete(key));
-        return next;
-      });
+    if (search && groupCounts) {
+      setExpandedGroups(new Set(Object.keys(groupCounts)));
     }
-  }, [filters.search, groupedItems, groupBy]);
+  }, [search, groupCounts]);
 
   const handleSelect = (item) => {
     setSelectedItems(prev => {
@@ -113,26 +101,55 @@ export function InventoryPage({ isDark, sidebarFilters = {} }) {
     });
   };
 
+  const handleRemoveDepleted = async () => {
+    try {
+      await depleted.remove();
+    } catch {
+      alert('Failed to delete item');
+    } finally {
+      setDepleted(null);
+    }
+  };
+
   const handleBulkDelete = async () => {
     if (window.confirm(`Delete ${selectedItems.size} items?`)) {
       try {
-        await removeItems(Array.from(selectedItems));
-        setSelectedItems(new Set());
-      } catch (err) {
+        // Anything that couldn't be deleted stays selected
+        const failedIds = await deleteWithUndo(Array.from(selectedItems));
+        setSelectedItems(new Set(failedIds));
+      } catch {
         alert('Failed to delete items');
       }
     }
   };
 
+  const handleBulkEditDone = (failedIds) => {
+    setSelectedItems(new Set(failedIds));
+  };
+
   const handleExport = async () => {
     try {
       await exportItemsCSV();
-    } catch (err) {
+    } catch {
       alert('Failed to export items');
     }
   };
 
-  if (loading) return <LoadingSpinner />;
+  const listProps = {
+    viewMode,
+    selectedItems,
+    onSelect: handleSelect,
+    onDepleted: setDepleted,
+    isDark,
+  };
+
+  const selectStyle = {
+    padding: spacing.sm,
+    borderRadius: borderRadius.sm,
+    border: `1px solid ${colors.border}`,
+    backgroundColor: colors.card,
+    color: colors.textPrimary,
+  };
 
   return (
     <div style={{ padding: spacing.xl }}>
@@ -140,8 +157,6 @@ export function InventoryPage({ isDark, sidebarFilters = {} }) {
         <h1 style={{ margin: 0, fontSize: '32px', fontWeight: 'bold' }}>Inventory</h1>
       </div>
 
-      {error && <Alert type="error" message={error} />}
-
       <FilterPanel
         filters={filters}
         onFilterChange={handleFilterChange}
@@ -151,25 +166,28 @@ export function InventoryPage({ isDark, sidebarFilters = {} }) {
       />
 
       <div style={{ display: 'flex', gap: spacing.lg, marginBottom: spacing.lg, alignItems: 'center', justifyContent: 'space-between' }}>
-        <div style={{ display: 'flex', gap: spacing.md, alignItems: 'center' }}>
+        <div style={{ display: 'flex', gap: spacing.md, alignItems: 'center', flexWrap: 'wrap' }}>
           <label style={{ fontSize: '14px', fontWeight: '500', color: colors.textPrimary }}>Group by:</label>
           <select
             value={groupBy}
             onChange={(e) => setGroupBy(e.target.value)}
-            style={{
-              padding: spacing.sm,
-              borderRadius: borderRadius.sm,
-              border: `1px solid ${colors.border}`,
-              backgroundColor: colors.card,
-              color: colors.textPrimary,
-            }}
+            style={selectStyle}
           >
             <option value="none">None</option>
             <option value="location">Location</option>
             <option value="category">Category</option>
           </select>
+          <label style={{ fontSize: '14px', fontWeight: '500', color: colors.textPrimary }}>Sort by:</label>
+          <select
+            value={sortBy}
+            onChange={(e) => setSortBy(e.target.value)}
+            style={selectStyle}
+          >
+            {Object.entries(SORT_OPTIONS).map(([value, option]) => (
+              <option key={value} value={value}>{option.label}</option>
+            ))}
+          </select>
         </div>
-
         <div style={{ display: 'flex', gap: spacing.xs }}>
           <button
             onClick={() => setViewMode('card')}
@@ -208,162 +226,46 @@ export function InventoryPage({ isDark, sidebarFilters = {} }) {
         </div>
       </div>
 
-      {Object.entries(groupedItems)
-        .filter(([_, groupItems]) => groupItems.length > 0)
-        .map(([group, groupItems]) => {
-          const isCollapsed = collapsedGroups.has(group);
+      {groupCounts ? (
+        Object.entries(groupCounts).map(([group, count]) => {
+          const isCollapsed = !expandedGroups.has(group);
           const Icon = isCollapsed ? ChevronRight : ChevronDown;
 
           return (
             <div key={group} style={{ marginBottom: spacing.xxl }}>
-              {groupBy !== 'none' && (
-                <div
-                  onClick={() => toggleGroup(group)}
-                  style={{
-                    marginBottom: spacing.lg,
-                    display: 'flex',
-                    alignItems: 'center',
-                    gap: spacing.sm,
-                    cursor: 'pointer',
-                    userSelect: 'none',
-                    padding: spacing.md,
-                    borderRadius: borderRadius.md,
-                    transition: 'background-color 0.2s',
-                    backgroundColor: isCollapsed ? colors.background : 'transparent',
-                  }}
-                  onMouseEnter={(e) => e.currentTarget.style.backgroundColor = colors.background}
-                  onMouseLeave={(e) => e.currentTarget.style.backgroundColor = isCollapsed ? colors.background : 'transparent'}
-                >
-                  <Icon size={20} color={colors.textSecondary} />
-                  <h2 style={{ margin: 0, fontSize: '20px', fontWeight: 'bold', color: colors.textSecondary }}>
-                    {group} ({groupItems.length})
-                  </h2>
-                </div>
-              )}
+              <div
+                onClick={() => toggleGroup(group)}
+                style={{
+                  marginBottom: spacing.lg,
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: spacing.sm,
+                  cursor: 'pointer',
+                  userSelect: 'none',
+                  padding: spacing.md,
+                  borderRadius: borderRadius.md,
+                  transition: 'background-color 0.2s',
+                  backgroundColor: isCollapsed ? colors.background : 'transparent',
+                }}
+                onMouseEnter={(e) => e.currentTarget.style.backgroundColor = colors.background}
+                onMouseLeave={(e) => e.currentTarget.style.backgroundColor = isCollapsed ? colors.background : 'transparent'}
+              >
+                <Icon size={20} color={colors.textSecondary} />
+                <h2 style={{ margin: 0, fontSize: '20px', fontWeight: 'bold', color: colors.textSecondary }}>
+                  {group} ({count})
+                </h2>
+              </div>
               {!isCollapsed && (
-                viewMode === 'card' ? (
-                  <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(300px, 1fr))', gap: spacing.lg }}>
-                    {groupItems.map(item => (
-                      <ItemCard
-                        key={item.id}
-                        item={item}
-                        isSelected={selectedItems.has(item.id)}
-                        onSelect={handleSelect}
-                        onEdit={() => {}}
-                        onDelete={() => removeItems([item.id])}
-                        isDark={isDark}
-                      />
-                    ))}
-                  </div>
-                ) : (
-                  <div style={{
-                    backgroundColor: colors.card,
-                    borderRadius: borderRadius.lg,
-                    overflow: 'hidden',
-                    border: `1px solid ${colors.border}`,
-                  }}>
-                    <table style={{ width: '100%', borderCollapse: 'collapse' }}>
-                      <thead>
-                        <tr style={{ backgroundColor: colors.background }}>
-                          <th style={{ padding: spacing.md, textAlign: 'left', fontSize: '14px', fontWeight: '600', color: colors.textSecondary, borderBottom: `1px solid ${colors.border}` }}>Name</th>
-                          <th style={{ padding: spacing.md, textAlign: 'left', fontSize: '14px', fontWeight: '600', color: colors.textSecondary, borderBottom: `1px solid ${colors.border}` }}>Location</th>
-                          <th style={{ padding: spacing.md, textAlign: 'left', fontSize: '14px', fontWeight: '600', color: colors.textSecondary, borderBottom: `1px solid ${colors.border}` }}>Category</th>
-                          <th style={{ padding: spacing.md, textAlign: 'left', fontSize: '14px', fontWeight: '600', color: colors.textSecondary, borderBottom: `1px solid ${colors.border}` }}>Expiry</th>
-                          <th style={{ padding: spacing.md, textAlign: 'center', fontSize: '14px', fontWeight: '600', color: colors.textSecondary, borderBottom: `1px solid ${colors.border}` }}>Quantity</th>
-                          <th style={{ padding: spacing.md, textAlign: 'center', fontSize: '14px', fontWeight: '600', color: colors.textSecondary, borderBottom: `1px solid ${colors.border}` }}>Actions</th>
-                        </tr>
-                      </thead>
-                      <tbody>
-                        {groupItems.map(item => {
-                          const expiryColor = getExpiryStatus(item.expiry_date) === 'expired' ? colors.danger :
-                                             getExpiryStatus(item.expiry_date) === 'critical' ? colors.warning : colors.info;
-                          const expiryBadge = item.expiry_date ? formatDate(item.expiry_date) : 'N/A';
-
-                          return (
-                            <tr
-                              key={item.id}
-                              onClick={() => handleSelect(item)}
-                              style={{
-                                backgroundColor: selectedItems.has(item.id) ? colors.primary + '10' : 'transparent',
-                                cursor: 'pointer',
-                                transition: 'background 0.2s',
-                              }}
-                              onMouseEnter={(e) => e.currentTarget.style.backgroundColor = selectedItems.has(item.id) ? colors.primary + '20' : colors.background}
-                              onMouseLeave={(e) => e.currentTarget.style.backgroundColor = selectedItems.has(item.id) ? colors.primary + '10' : 'transparent'}
-                            >
-                              <td style={{ padding: spacing.md, borderBottom: `1px solid ${colors.border}`, color: colors.textPrimary, fontWeight: '500' }}>
-                                {item.name}
-                              </td>
-                              <td style={{ padding: spacing.md, borderBottom: `1px solid ${colors.border}`, color: colors.textSecondary }}>
-                                {item.location || 'N/A'}
-                              </td>
-                              <td style={{ padding: spacing.md, borderBottom: `1px solid ${colors.border}`, color: colors.textSecondary }}>
-                                {item.category || 'N/A'}
-                              </td>
-                              <td style={{ padding: spacing.md, borderBottom: `1px solid ${colors.border}` }}>
-                                <span style={{
-                                  padding: `${spacing.xs} ${spacing.sm}`,
-                                  backgroundColor: expiryColor + '20',
-                                  color: expiryColor,
-                                  borderRadius: borderRadius.sm,
-                                  fontSize: '12px',
-                                  fontWeight: '600',
-                                }}>
-                                  {expiryBadge}
-                                </span>
-                              </td>
-                              <td style={{ padding: spacing.md, borderBottom: `1px solid ${colors.border}`, textAlign: 'center', color: colors.textPrimary, fontWeight: '600' }}>
-                                {item.quantity || 1}
-                              </td>
-                              <td style={{ padding: spacing.md, borderBottom: `1px solid ${colors.border}`, textAlign: 'center' }}>
-                                <div style={{ display: 'flex', gap: spacing.sm, justifyContent: 'center' }}>
-                                  <button
-                                    onClick={(e) => {
-                                      e.stopPropagation();
-                                    }}
-                                    style={{
-                                      background: 'none',
-                                      border: 'none',
-                                      cursor: 'pointer',
-                                      color: colors.textSecondary,
-                                      padding: spacing.xs,
-                                    }}
-                                    title="Edit item"
-                                  >
-                                    Edit
-                                  </button>
-                                  <button
-                                    onClick={(e) => {
-                                      e.stopPropagation();
-                                      removeItems([item.id]);
-                                    }}
-                                    style={{
-                                      background: 'none',
-                                      border: 'none',
-                                      cursor: 'pointer',
-                                      color: colors.danger,
-                                      padding: spacing.xs,
-                                    }}
-                                    title="Delete item"
-                                  >
-                                    Delete
-                                  </button>
-                                </div>
-                              </td>
-                            </tr>
-                          );
-                        })}
-                      </tbody>
-                    </table>
-                  </div>
-                )
+                <InventoryItemList query={{ ...listQuery, [groupBy]: group }} {...listProps} />
               )}
             </div>
           );
         })
-      }
+      ) : (
+        <InventoryItemList query={listQuery} {...listProps} />
+      )}
 
-      {sortedItems.length === 0 && (
+      {groupCounts && !summaryLoading && Object.keys(groupCounts).length === 0 && (
         <div style={{ textAlign: 'center', padding: spacing.xxxl, color: colors.textSecondary }}>
           No items found. Try adjusting your filters or add new items.
         </div>
@@ -371,10 +273,238 @@ export function InventoryPage({ isDark, sidebarFilters = {} }) {
 
       <BulkActions
         selectedCount={selectedItems.size}
+        onEdit={() => setBulkEditing(true)}
+        onLabels={() => navigate(`/labels?items=${[...selectedItems].join(',')}`)}
         onDelete={handleBulkDelete}
         onExport={handleExport}
         onClear={() => setSelectedItems(new Set())}
       />
+
+      {bulkEditing && (
+        <BulkEditModal
+          itemIds={Array.from(selectedItems)}
+          locations={locations}
+          categories={categories}
+          onDone={handleBulkEditDone}
+          onClose={() => setBulkEditing(false)}
+          isDark={isDark}
+        />
+      )}
+
+      <DepletedItemPrompt
+        item={depleted?.item}
+        onRemove={handleRemoveDepleted}
+        onKeep={() => setDepleted(null)}
+        isDark={isDark}
+      />
+    </div>
+  );
+}
+
+// One paginated list of items (the whole inventory, or a single group)
+function InventoryItemList({ query, viewMode, selectedItems, onSelect, onDepleted, isDark }) {
+  const colors = getColors(isDark);
+  const navigate = useNavigate();
+  const { items, total, hasMore, loading, loadingMore, error, loadMore, adjustQuantity } = useItems(query, { pageSize: PAGE_SIZE });
+  const deleteWithUndo = useDeleteWithUndo();
+  const sentinelRef = useRef(null);
+
+  // Infinite scroll: fetch the next page when the end of the list comes into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !hasMore || typeof IntersectionObserver === 'undefined') return;
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) loadMore();
+    }, { rootMargin: '400px' });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMore, loadMore]);
+
+  const handleAdjustQuantity = async (item, delta) => {
+    try {
+      const updated = await adjustQuantity(item.id, delta);
+      if (updated && updated.quantity === 0 && delta < 0) {
+        onDepleted({ item: updated, remove: () => handleRemove(updated) });
+      }
+    } catch {
+      alert(`Failed to update quantity for ${item.name}`);
+    }
+  };
+
+  const handleRemove = (item) => deleteWithUndo([item.id], item.name);
+
+  // Items added offline have no server id to open yet
+  const openItem = (item, suffix = '') => {
+    if (isPendingId(item.id)) {
+      alert(`${item.name} hasn't synced yet. It can be opened once the connection is back.`);
+      return;
+    }
+    navigate(`/items/${item.id}${suffix}`);
+  };
+
+  const handleDelete = (item) => handleRemove(item).catch(() => alert('Failed to delete item'));
+
+  if (loading && items.length === 0) return <LoadingSpinner />;
+
+  if (error && items.length === 0) return <Alert type="error" message={error} />;
+
+  if (items.length === 0) {
+    return (
+      <div style={{ textAlign: 'center', padding: spacing.xxxl, color: colors.textSecondary }}>
+        No items found. Try adjusting your filters or add new items.
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ opacity: loading ? 0.6 : 1, transition: 'opacity 0.2s' }}>
+      {error && <Alert type="error" message={error} />}
+      {viewMode === 'card' ? (
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(300px, 1fr))', gap: spacing.lg }}>
+          {items.map(item => (
+            <ItemCard
+              key={item.id}
+              item={item}
+              isSelected={selectedItems.has(item.id)}
+              onSelect={onSelect}
+              onEdit={() => openItem(item, '/edit')}
+              onView={() => openItem(item)}
+              onDelete={() => handleDelete(item)}
+              onAdjustQuantity={handleAdjustQuantity}
+              isDark={isDark}
+            />
+          ))}
+        </div>
+      ) : (
+        <div style={{
+          backgroundColor: colors.card,
+          borderRadius: borderRadius.lg,
+          overflow: 'hidden',
+          border: `1px solid ${colors.border}`,
+        }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ backgroundColor: colors.background }}>
+                <th style={{ padding: spacing.md, textAlign: 'left', fontSize: '14px', fontWeight: '600', color: colors.textSecondary, borderBottom: `1px solid ${colors.border}` }}>Name</th>
+                <th style={{ padding: spacing.md, textAlign: 'left', fontSize: '14px', fontWeight: '600', color: colors.textSecondary, borderBottom: `1px solid ${colors.border}` }}>Location</th>
+                <th style={{ padding: spacing.md, textAlign: 'left', fontSize: '14px', fontWeight: '600', color: colors.textSecondary, borderBottom: `1px solid ${colors.border}` }}>Category</th>
+                <th style={{ padding: spacing.md, textAlign: 'left', fontSize: '14px', fontWeight: '600', color: colors.textSecondary, borderBottom: `1px solid ${colors.border}` }}>Expiry</th>
+                <th style={{ padding: spacing.md, textAlign: 'center', fontSize: '14px', fontWeight: '600', color: colors.textSecondary, borderBottom: `1px solid ${colors.border}` }}>Quantity</th>
+                <th style={{ padding: spacing.md, textAlign: 'center', fontSize: '14px', fontWeight: '600', color: colors.textSecondary, borderBottom: `1px solid ${colors.border}` }}>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {items.map(item => {
+                const status = getExpiryStatus(item);
+                const expiryColor = status === 'expired' ? colors.danger :
+                                   status === 'critical' || status === 'warning' || status === 'past_best' ? colors.warning : colors.info;
+                const expiryDate = getEffectiveExpiry(item);
+                const expiryBadge = expiryDate ? `${isEstimatedExpiry(item) ? '≈ ' : ''}${formatDate(expiryDate)}` : 'N/A';
+
+                return (
+                  <tr
+                    key={item.id}
+                    onClick={() => onSelect(item)}
+                    style={{
+                      backgroundColor: selectedItems.has(item.id) ? colors.primary + '10' : 'transparent',
+                      cursor: 'pointer',
+                      transition: 'background 0.2s',
+                    }}
+                    onMouseEnter={(e) => e.currentTarget.style.backgroundColor = selectedItems.has(item.id) ? colors.primary + '20' : colors.background}
+                    onMouseLeave={(e) => e.currentTarget.style.backgroundColor = selectedItems.has(item.id) ? colors.primary + '10' : 'transparent'}
+                  >
+                    <td style={{ padding: spacing.md, borderBottom: `1px solid ${colors.border}`, color: colors.textPrimary, fontWeight: '500' }}>
+                      <span
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          openItem(item);
+                        }}
+                        style={{ textDecoration: 'underline dotted', textUnderlineOffset: '4px' }}
+                        title="View details"
+                      >
+                        {item.name}
+                      </span>
+                    </td>
+                    <td style={{ padding: spacing.md, borderBottom: `1px solid ${colors.border}`, color: colors.textSecondary }}>
+                      {item.location || 'N/A'}
+                    </td>
+                    <td style={{ padding: spacing.md, borderBottom: `1px solid ${colors.border}`, color: colors.textSecondary }}>
+                      {item.category || 'N/A'}
+                    </td>
+                    <td style={{ padding: spacing.md, borderBottom: `1px solid ${colors.border}` }}>
+                      <span style={{
+                        padding: `${spacing.xs} ${spacing.sm}`,
+                        backgroundColor: expiryColor + '20',
+                        color: expiryColor,
+                        borderRadius: borderRadius.sm,
+                        fontSize: '12px',
+                        fontWeight: '600',
+                      }}>
+                        {expiryBadge}
+                      </span>
+                    </td>
+                    <td style={{ padding: spacing.md, borderBottom: `1px solid ${colors.border}`, textAlign: 'center' }}>
+                      <QuantityStepper
+                        quantity={item.quantity}
+                        onChange={(delta) => handleAdjustQuantity(item, delta)}
+                        isDark={isDark}
+                        size="sm"
+                      />
+                    </td>
+                    <td style={{ padding: spacing.md, borderBottom: `1px solid ${colors.border}`, textAlign: 'center' }}>
+                      <div style={{ display: 'flex', gap: spacing.sm, justifyContent: 'center' }}>
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            openItem(item, '/edit');
+                          }}
+                          style={{
+                            background: 'none',
+                            border: 'none',
+                            cursor: 'pointer',
+                            color: colors.textSecondary,
+                            padding: spacing.xs,
+                          }}
+                          title="Edit item"
+                        >
+                          Edit
+                        </button>
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            handleDelete(item);
+                          }}
+                          style={{
+                            background: 'none',
+                            border: 'none',
+                            cursor: 'pointer',
+                            color: colors.danger,
+                            padding: spacing.xs,
+                          }}
+                          title="Delete item"
+                        >
+                          Delete
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+      {hasMore && (
+        <div ref={sentinelRef} style={{ textAlign: 'center', padding: spacing.lg }}>
+          <button
+            onClick={loadMore}
+            disabled={loadingMore}
+            style={{ padding: `${spacing.sm} ${spacing.lg}`, border: `1px solid ${colors.border}`, borderRadius: borderRadius.md, background: colors.card, color: colors.textSecondary, cursor: loadingMore ? 'default' : 'pointer', fontSize: '14px' }}
+          >
+            {loadingMore ? 'Loading...' : `Load more (${items.length} of ${total})`}
+          </button>
+        </div>
+      )}
     </div>
   );
 }
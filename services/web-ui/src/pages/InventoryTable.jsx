@@ -1,52 +1,49 @@
 // Inventory Table - With Modal Delete & Working Edit
 import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { Edit2, Trash2, X } from 'lucide-react';
 import { getColors, spacing, borderRadius } from '../colors';
 import { useItems } from '../hooks/useItems';
-import { formatDate, getExpiryBadgeText, getExpiryStatus } from '../utils/dateUtils';
+import { useDeleteWithUndo } from '../hooks/useDeleteWithUndo';
+import { formatDate, getExpiryBadgeText, getExpiryStatus, getEffectiveExpiry, isEstimatedExpiry } from '../utils/dateUtils';
 
 export function InventoryTable({ isDark, filters = {}, searchQuery = '' }) {
   const colors = getColors(isDark);
-  const { items, loading, removeItem } = useItems();
+  const navigate = useNavigate();
   const [sortBy, setSortBy] = useState('expiry');
   const [deleteModal, setDeleteModal] = useState(null);
 
-  const filteredItems = items.filter(item => {
-    if (searchQuery) {
-      const q = searchQuery.toLowerCase();
-      return item.name?.toLowerCase().includes(q) || item.brand?.toLowerCase().includes(q) || item.category?.toLowerCase().includes(q) || item.location?.toLowerCase().includes(q);
-    }
-    if (filters.filter === 'expiring') {
-      const s = getExpiryStatus(item.expiry_date);
-      return s === 'warning' || s === 'critical';
-    }
-    if (filters.filter === 'expired') return getExpiryStatus(item.expiry_date) === 'expired';
-    if (filters.location) return item.location === filters.location;
-    if (filters.category) return item.category === filters.category;
-    return true;
-  });
+  const sortOptions = {
+    'expiry': { sort: 'expiry_date', order: 'asc' },
+    'name-asc': { sort: 'name', order: 'asc' },
+    'name-desc': { sort: 'name', order: 'desc' },
+  };
 
-  const sortedItems = [...filteredItems].sort((a, b) => {
-    if (sortBy === 'expiry') {
-      if (!a.expiry_date) return 1;
-      if (!b.expiry_date) return -1;
-      return new Date(a.expiry_date) - new Date(b.expiry_date);
-    }
-    return sortBy === 'name-asc' ? a.name.localeCompare(b.name) : sortBy === 'name-desc' ? b.name.localeCompare(a.name) : 0;
-  });
+  // A search ignores the sidebar filters, as before
+  const query = searchQuery ? { search: searchQuery } : {
+    expiryStatus: ['expiring', 'expired', 'past_best'].includes(filters.filter) ? filters.filter : undefined,
+    location: filters.location,
+    category: filters.category,
+  };
+  const { items: sortedItems, loading } = useItems({ ...query, ...sortOptions[sortBy] });
+  const deleteWithUndo = useDeleteWithUndo();
 
   const icons = { 'Canned Goods': '🥫', 'Dairy': '🥛', 'Beverages': '🧃', 'Bakery': '🍞', 'Produce': '🥬', 'Frozen': '🧊', 'Snacks': '🍿', 'Condiments': '🍯' };
   
   const handleDelete = async () => {
     if (deleteModal) {
-      await removeItem(deleteModal.id);
+      try {
+        await deleteWithUndo([deleteModal.id], deleteModal.name);
+      } catch {
+        alert('Failed to delete item');
+      }
       setDeleteModal(null);
     }
   };
 
   if (loading) return <div style={{ padding: spacing.xxl, textAlign: 'center', color: colors.textSecondary }}>Loading...</div>;
 
-  const title = searchQuery ? `Search: "${searchQuery}"` : filters.filter === 'expiring' ? 'Expiring Soon' : filters.filter === 'expired' ? 'Expired Items' : filters.location || filters.category || 'All Items';
+  const title = searchQuery ? `Search: "${searchQuery}"` : filters.filter === 'expiring' ? 'Expiring Soon' : filters.filter === 'expired' ? 'Expired Items' : filters.filter === 'past_best' ? 'Past Best Before' : filters.location || filters.category || 'All Items';
 
   return (
     <div style={{ padding: `${spacing.xl} ${spacing.xxl}` }}>
@@ -73,9 +70,10 @@ export function InventoryTable({ isDark, filters = {}, searchQuery = '' }) {
           </thead>
           <tbody>
             {sortedItems.map(item => {
-              const status = getExpiryStatus(item.expiry_date);
+              const status = getExpiryStatus(item);
+              const expiryDate = getEffectiveExpiry(item);
               return (
-                <tr key={item.id} className={status === 'expired' ? 'expired' : (status === 'warning' || status === 'critical') ? 'warning' : ''}>
+                <tr key={item.id} className={status === 'expired' ? 'expired' : (status === 'warning' || status === 'critical' || status === 'past_best') ? 'warning' : ''}>
                   <td style={{ padding: `${spacing.lg} 20px` }}>
                     <div style={{ display: 'flex', gap: spacing.md, alignItems: 'center' }}>
                       <div style={{ fontSize: '28px', width: '40px', height: '40px', display: 'flex', alignItems: 'center', justifyContent: 'center', background: colors.accentBg, borderRadius: borderRadius.md }}>{icons[item.category] || '📦'}</div>
@@ -93,17 +91,17 @@ export function InventoryTable({ isDark, filters = {}, searchQuery = '' }) {
                   <td style={{ padding: `${spacing.lg} 20px`, color: colors.textSecondary, fontSize: '13px' }}>📍 {item.location || 'No location'}</td>
                   <td style={{ padding: `${spacing.lg} 20px`, fontWeight: '600' }}>{item.quantity || 1}</td>
                   <td style={{ padding: `${spacing.lg} 20px` }}>
-                    <div style={{ fontSize: '13px', color: colors.textPrimary }}>{item.expiry_date ? formatDate(item.expiry_date) : 'No expiry'}</div>
-                    {item.expiry_date && (
-                      <div style={{ fontSize: '12px', fontWeight: '600', color: status === 'expired' ? colors.expiredText : (status === 'warning' || status === 'critical') ? colors.warningText : colors.goodText }}>
-                        {(status === 'expired' || status === 'warning' || status === 'critical') ? '⚠️ ' : '✓ '}{getExpiryBadgeText(item.expiry_date)}
+                    <div style={{ fontSize: '13px', color: colors.textPrimary }}>{expiryDate ? formatDate(expiryDate) : 'No expiry'}{isEstimatedExpiry(item) && <span style={{ color: colors.textTertiary }} title="Estimated from shelf life"> (est.)</span>}</div>
+                    {expiryDate && (
+                      <div style={{ fontSize: '12px', fontWeight: '600', color: status === 'expired' ? colors.expiredText : (status === 'warning' || status === 'critical' || status === 'past_best') ? colors.warningText : colors.goodText }}>
+                        {(status === 'expired' || status === 'warning' || status === 'critical' || status === 'past_best') ? '⚠️ ' : '✓ '}{getExpiryBadgeText(item)}
                       </div>
                     )}
                   </td>
                   <td style={{ padding: `${spacing.lg} 20px` }}>
                     <div style={{ display: 'flex', gap: spacing.sm }}>
                       <button 
-                        onClick={() => window.location.href = `/add?id=${item.id}`}
+                        onClick={() => navigate(`/items/${item.id}/edit`)}
                         style={{ background: 'transparent', border: 'none', padding: '6px', cursor: 'pointer', borderRadius: borderRadius.sm, color: colors.textSecondary }} 
                         onMouseOver={(e) => e.currentTarget.style.color = colors.info} 
                         onMouseOut={(e) => e.currentTarget.style.color = colors.textSecondary}
@@ -143,7 +141,7 @@ export function InventoryTable({ isDark, filters = {}, searchQuery = '' }) {
               </button>
             </div>
             <p style={{ marginBottom: spacing.xl, color: colors.textSecondary }}>
-              Are you sure you want to delete <strong style={{ color: colors.textPrimary }}>"{deleteModal.name}"</strong>? This action cannot be undone.
+              Are you sure you want to delete <strong style={{ color: colors.textPrimary }}>"{deleteModal.name}"</strong>? You can undo this, or restore it from Recently Deleted for 30 days.
             </p>
             <div style={{ display: 'flex', gap: spacing.md }}>
               <button onClick={() => setDeleteModal(null)} style={{ flex: 1, padding: spacing.md, border: `2px solid ${colors.border}`, background: colors.card, borderRadius: borderRadius.md, cursor: 'pointer', fontWeight: '600', color: colors.textPrimary }}>
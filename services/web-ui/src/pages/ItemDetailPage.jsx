@@ -0,0 +1,331 @@
+// Item Detail Page - single item with expiry timeline, batches and quick actions
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { ArrowLeft, Edit2, Trash2, Copy, MinusCircle, Ban, PackageOpen, Snowflake, MapPin, Package, Tag, Barcode, QrCode } from 'lucide-react';
+import { getColors, spacing, borderRadius } from '../colors';
+import { useItem } from '../hooks/useItem';
+import { useLocations } from '../hooks/useLocations';
+import { useInventoryStore } from '../hooks/useInventoryStore';
+import { useDeleteWithUndo } from '../hooks/useDeleteWithUndo';
+import DepletedItemPrompt from '../components/DepletedItemPrompt';
+import { getDefaultLocations } from '../defaults';
+import { getItemsByBarcode } from '../api';
+import { formatDate, getRelativeTime, parseTimestamp, getExpiryBadgeText, getExpiryColor, getEffectiveExpiry, isEstimatedExpiry, isBestBefore, getFrozenText } from '../utils/dateUtils';
+
+export function ItemDetailPage({ isDark }) {
+  const colors = getColors(isDark);
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { item, loading, error, notFound, setItem } = useItem(id);
+  const { locations: apiLocations } = useLocations();
+  const { addItem, editItem, openItem } = useInventoryStore();
+  const deleteWithUndo = useDeleteWithUndo();
+  const [batches, setBatches] = useState([]);
+  const [moveTo, setMoveTo] = useState('');
+  const [busy, setBusy] = useState(null);
+  const [showDepleted, setShowDepleted] = useState(false);
+
+  const locations = apiLocations.length > 0 ? apiLocations : getDefaultLocations();
+  const barcode = item?.barcode;
+  const itemId = item?.id;
+
+  // Other batches of the same product (refetched when opening one splits the batch)
+  useEffect(() => {
+    if (!barcode) {
+      setBatches([]);
+      return;
+    }
+    let cancelled = false;
+    getItemsByBarcode(barcode)
+      .then(data => { if (!cancelled) setBatches(data); })
+      .catch(err => console.error('Failed to load batches:', err));
+    return () => { cancelled = true; };
+  }, [barcode, itemId]);
+
+  const runAction = async (name, action) => {
+    try {
+      setBusy(name);
+      await action();
+    } catch (err) {
+      alert(`Failed to ${name} item: ` + err.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleConsume = () => runAction('update', async () => {
+    const updated = await editItem(item.id, { quantity: Math.max(0, (item.quantity || 0) - 1) }, item);
+    setItem(updated);
+    if (updated.quantity === 0) setShowDepleted(true);
+  });
+
+  // Counted as waste in analytics, unlike consuming
+  const handleDiscard = () => {
+    if (!window.confirm(`Throw away ${item.quantity === 1 ? 'the last' : `all ${item.quantity}`} "${item.name}"?`)) return;
+    runAction('update', async () => {
+      const updated = await editItem(item.id, { quantity: 0, reason: 'discarded' }, item);
+      setItem(updated);
+      setShowDepleted(true);
+    });
+  };
+
+  // Opening one of several splits it off, so show the opened one
+  const handleOpen = () => runAction('open', async () => {
+    const { item: opened, source } = await openItem(item.id);
+    if (source) navigate(`/items/${opened.id}`);
+    else setItem(opened);
+  });
+
+  const handleMove = () => runAction('move', async () => {
+    if (!moveTo || moveTo === item.location) return;
+    const updated = await editItem(item.id, { location: moveTo }, item);
+    setItem(updated);
+    setMoveTo('');
+  });
+
+  const handleDuplicate = () => runAction('duplicate', async () => {
+    const copy = await addItem({
+      name: item.name,
+      barcode: item.barcode,
+      brand: item.brand,
+      image_url: item.image_url,
+      category: item.category,
+      location: item.location,
+      quantity: item.quantity || 1,
+      expiry_date: item.expiry_date,
+      date_type: item.date_type,
+      notes: item.notes,
+    });
+    navigate(`/items/${copy.id}`);
+  });
+
+  const removeAndLeave = () => runAction('delete', async () => {
+    await deleteWithUndo([item.id], item.name);
+    navigate('/inventory');
+  });
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete "${item.name}"?`)) return;
+    removeAndLeave();
+  };
+
+  const backButton = (
+    <button onClick={() => navigate('/inventory')} style={{ background: 'none', border: 'none', cursor: 'pointer', display: 'flex', alignItems: 'center', gap: spacing.sm, color: colors.textSecondary, marginBottom: spacing.lg, fontSize: '14px', padding: spacing.sm }}>
+      <ArrowLeft size={18} />
+      Back to Inventory
+    </button>
+  );
+
+  if (loading || error || notFound) {
+    return (
+      <div style={{ padding: `${spacing.xl} ${spacing.xxl}`, maxWidth: '900px' }}>
+        {backButton}
+        <div style={{ background: colors.card, padding: spacing.xxl, borderRadius: borderRadius.xl, border: `1px solid ${colors.border}`, textAlign: 'center', color: colors.textSecondary }}>
+          {loading ? 'Loading item...' : notFound ? (
+            <>
+              <h2 style={{ fontSize: '20px', fontWeight: '700', color: colors.textPrimary, marginBottom: spacing.sm }}>Item not found</h2>
+              <p>Item #{id} does not exist or has been deleted.</p>
+            </>
+          ) : `Failed to load item: ${error}`}
+        </div>
+      </div>
+    );
+  }
+
+  const otherBatches = batches.filter(batch => batch.id !== item.id);
+  const cardStyle = { background: colors.card, padding: spacing.xl, borderRadius: borderRadius.xl, border: `1px solid ${colors.border}`, marginBottom: spacing.lg };
+  const sectionTitle = { fontSize: '13px', fontWeight: '600', color: colors.textSecondary, textTransform: 'uppercase', letterSpacing: '0.5px', marginBottom: spacing.md };
+  const actionButton = { padding: `${spacing.sm} ${spacing.lg}`, border: `2px solid ${colors.border}`, background: colors.card, borderRadius: borderRadius.md, cursor: busy ? 'not-allowed' : 'pointer', fontWeight: '600', fontSize: '14px', color: colors.textPrimary, display: 'flex', alignItems: 'center', gap: spacing.sm, opacity: busy ? 0.6 : 1 };
+
+  return (
+    <div style={{ padding: `${spacing.xl} ${spacing.xxl}`, maxWidth: '900px' }}>
+      {backButton}
+
+      <div style={{ ...cardStyle, display: 'flex', gap: spacing.xl, alignItems: 'flex-start' }}>
+        <div style={{ width: '120px', height: '120px', flexShrink: 0, borderRadius: borderRadius.lg, background: colors.accentBg, display: 'flex', alignItems: 'center', justifyContent: 'center', overflow: 'hidden' }}>
+          {item.image_url ? (
+            <img src={item.image_url} alt={item.name} style={{ maxWidth: '100%', maxHeight: '100%', objectFit: 'contain' }} />
+          ) : (
+            <Package size={48} color={colors.textTertiary} />
+          )}
+        </div>
+        <div style={{ flex: 1, minWidth: 0 }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', gap: spacing.md, alignItems: 'flex-start' }}>
+            <div>
+              <h1 style={{ fontSize: '24px', fontWeight: '700', color: colors.textPrimary, margin: 0 }}>{item.name}</h1>
+              {item.brand && <div style={{ fontSize: '15px', color: colors.textSecondary, marginTop: spacing.xs }}>{item.brand}</div>}
+            </div>
+            <button onClick={() => navigate(`/items/${item.id}/edit`)} style={actionButton}>
+              <Edit2 size={16} />
+              Edit
+            </button>
+          </div>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: spacing.lg, marginTop: spacing.lg, fontSize: '14px', color: colors.textSecondary }}>
+            <span style={{ display: 'flex', alignItems: 'center', gap: spacing.xs }}><MapPin size={16} />{item.location || 'No location'}</span>
+            <span style={{ display: 'flex', alignItems: 'center', gap: spacing.xs }}><Tag size={16} />{item.category || 'No category'}</span>
+            <span style={{ display: 'flex', alignItems: 'center', gap: spacing.xs }}><Barcode size={16} />{item.barcode || (item.label_code ? `Label ${item.label_code}` : 'No barcode')}</span>
+          </div>
+          <div style={{ marginTop: spacing.lg, display: 'flex', alignItems: 'baseline', gap: spacing.sm }}>
+            <span style={{ fontSize: '32px', fontWeight: '700', color: colors.primary }}>{item.quantity ?? 0}</span>
+            <span style={{ fontSize: '14px', color: colors.textSecondary }}>in stock</span>
+          </div>
+        </div>
+      </div>
+
+      <div style={cardStyle}>
+        <div style={sectionTitle}>Quick Actions</div>
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: spacing.md, alignItems: 'center' }}>
+          <button onClick={handleConsume} disabled={!!busy || !item.quantity} style={actionButton}>
+            <MinusCircle size={16} />
+            Consume One
+          </button>
+          {!item.opened_date && (
+            <button onClick={handleOpen} disabled={!!busy || !item.quantity} style={actionButton} title={item.quantity > 1 ? 'Open one; it becomes its own item with an after-opening use-by date' : 'Mark as opened'}>
+              <PackageOpen size={16} />
+              {item.quantity > 1 ? 'Open One' : 'Mark Opened'}
+            </button>
+          )}
+          <button onClick={handleDiscard} disabled={!!busy || !item.quantity} style={actionButton}>
+            <Ban size={16} />
+            Throw Away
+          </button>
+          <div style={{ display: 'flex', gap: spacing.sm }}>
+            <select value={moveTo} onChange={(e) => setMoveTo(e.target.value)} style={{ padding: spacing.sm, border: `2px solid ${colors.border}`, borderRadius: borderRadius.md, fontSize: '14px', background: colors.card, color: colors.textPrimary }}>
+              <option value="">Move to...</option>
+              {locations.filter(loc => loc !== item.location).map(loc => <option key={loc} value={loc}>{loc}</option>)}
+            </select>
+            <button onClick={handleMove} disabled={!!busy || !moveTo} style={actionButton}>
+              <MapPin size={16} />
+              Move
+            </button>
+          </div>
+          <button onClick={handleDuplicate} disabled={!!busy} style={actionButton}>
+            <Copy size={16} />
+            Duplicate
+          </button>
+          <button onClick={() => navigate(`/labels?items=${item.id}`)} style={actionButton}>
+            <QrCode size={16} />
+            Print Label
+          </button>
+          <button onClick={handleDelete} disabled={!!busy} style={{ ...actionButton, color: colors.danger }}>
+            <Trash2 size={16} />
+            Delete
+          </button>
+        </div>
+      </div>
+
+      <div style={cardStyle}>
+        <div style={sectionTitle}>Expiry Timeline</div>
+        <ExpiryTimeline item={item} colors={colors} />
+      </div>
+
+      <div style={cardStyle}>
+        <div style={sectionTitle}>History</div>
+        <div style={{ display: 'grid', gridTemplateColumns: 'auto 1fr', gap: `${spacing.sm} ${spacing.xl}`, fontSize: '14px' }}>
+          <span style={{ color: colors.textSecondary }}>Added</span>
+          <span style={{ color: colors.textPrimary }}>{item.added_date ? `${formatDate(item.added_date)} (${getRelativeTime(item.added_date)})` : 'Unknown'}</span>
+          <span style={{ color: colors.textSecondary }}>Last updated</span>
+          <span style={{ color: colors.textPrimary }}>{item.updated_date ? `${formatDate(item.updated_date)} (${getRelativeTime(item.updated_date)})` : 'Unknown'}</span>
+          <span style={{ color: colors.textSecondary }}>Entry</span>
+          <span style={{ color: colors.textPrimary }}>{item.manually_added ? 'Added manually' : 'Added by barcode scan'}</span>
+        </div>
+        {item.notes && (
+          <div style={{ marginTop: spacing.lg, padding: spacing.md, background: colors.background, borderRadius: borderRadius.md, fontSize: '14px', color: colors.textPrimary, whiteSpace: 'pre-wrap' }}>
+            {item.notes}
+          </div>
+        )}
+      </div>
+
+      {item.barcode && (
+        <div style={cardStyle}>
+          <div style={sectionTitle}>Other Batches ({otherBatches.length})</div>
+          {otherBatches.length === 0 ? (
+            <div style={{ fontSize: '14px', color: colors.textSecondary }}>This is the only batch of this product.</div>
+          ) : (
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+              <thead>
+                <tr>
+                  {['Location', 'Qty', 'Expiry', 'Added'].map(h => (
+                    <th key={h} style={{ padding: spacing.sm, textAlign: 'left', color: colors.textSecondary, fontWeight: '600', borderBottom: `1px solid ${colors.border}` }}>{h}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {otherBatches.map(batch => (
+                  <tr key={batch.id} onClick={() => navigate(`/items/${batch.id}`)} style={{ cursor: 'pointer' }}>
+                    <td style={{ padding: spacing.sm, borderBottom: `1px solid ${colors.border}`, color: colors.textPrimary }}>{batch.location}</td>
+                    <td style={{ padding: spacing.sm, borderBottom: `1px solid ${colors.border}`, color: colors.textPrimary, fontWeight: '600' }}>{batch.quantity ?? 0}</td>
+                    <td style={{ padding: spacing.sm, borderBottom: `1px solid ${colors.border}`, color: getExpiryColor(batch), fontWeight: '600' }}>{getExpiryBadgeText(batch)}{batch.opened_date ? ' (opened)' : ''}</td>
+                    <td style={{ padding: spacing.sm, borderBottom: `1px solid ${colors.border}`, color: colors.textSecondary }}>{formatDate(batch.added_date)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+
+      <DepletedItemPrompt
+        item={showDepleted ? item : null}
+        onRemove={() => { setShowDepleted(false); removeAndLeave(); }}
+        onKeep={() => setShowDepleted(false)}
+        isDark={isDark}
+      />
+    </div>
+  );
+}
+
+function ExpiryTimeline({ item, colors }) {
+  const expiryDate = getEffectiveExpiry(item);
+  const openedNote = item.opened_date && (
+    <div style={{ marginTop: spacing.md, fontSize: '13px', color: colors.textSecondary, display: 'flex', alignItems: 'center', gap: spacing.xs }}>
+      <PackageOpen size={14} />
+      Opened {formatDate(item.opened_date)}
+      {item.opened_expiry_date
+        ? ` · use by ${formatDate(item.opened_expiry_date)} after opening${item.expiry_date ? ` · ${item.expiry_estimated ? 'estimated' : 'printed'} date ${formatDate(item.expiry_date)}` : ''}`
+        : ` · no after-opening shelf life set for ${item.category || 'this category'}`}
+    </div>
+  );
+  const frozenNote = item.frozen_date && (
+    <div style={{ marginTop: spacing.md, fontSize: '13px', color: colors.textSecondary, display: 'flex', alignItems: 'center', gap: spacing.xs }}>
+      <Snowflake size={14} />
+      {getFrozenText(item)} ({formatDate(item.frozen_date)}) · older freezer stock is more likely to have freezer burn
+    </div>
+  );
+
+  if (!expiryDate) {
+    return (
+      <div>
+        <div style={{ fontSize: '14px', color: colors.textSecondary }}>No expiry date set.</div>
+        {openedNote}
+        {frozenNote}
+      </div>
+    );
+  }
+
+  const start = parseTimestamp(item.added_date) || new Date();
+  const end = new Date(expiryDate);
+  const now = new Date();
+  const span = end - start;
+  const progress = span > 0 ? Math.min(1, Math.max(0, (now - start) / span)) : 1;
+  const expiryColor = getExpiryColor(item);
+
+  return (
+    <div>
+      <div style={{ position: 'relative', height: '10px', background: colors.background, borderRadius: '9999px', overflow: 'hidden' }}>
+        <div style={{ width: `${progress * 100}%`, height: '100%', background: expiryColor }} />
+      </div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: spacing.sm, fontSize: '13px', color: colors.textSecondary }}>
+        <span>Added {formatDate(item.added_date)}</span>
+        <span style={{ color: expiryColor, fontWeight: '600' }}>{getExpiryBadgeText(item)}</span>
+        <span title={isEstimatedExpiry(item) ? 'Estimated from the shelf-life table; no date was printed on the pack' : undefined}>
+          {isEstimatedExpiry(item) ? 'Estimated expiry' : isBestBefore(item) ? 'Best before' : expiryDate === item.expiry_date ? 'Expires' : 'Use by'} {formatDate(expiryDate)}
+        </span>
+      </div>
+      {openedNote}
+      {frozenNote}
+    </div>
+  );
+}
+
+export default ItemDetailPage;
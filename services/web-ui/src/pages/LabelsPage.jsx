@@ -0,0 +1,302 @@
+// Labels Page - printable code labels on sticker sheets, for items without a barcode
+import { useState, useMemo, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { Printer, Search } from 'lucide-react';
+import { getColors, spacing, borderRadius } from '../colors';
+import LoadingSpinner from '../components/LoadingSpinner';
+import Alert from '../components/Alert';
+import { useItems } from '../hooks/useItems';
+import { useInventoryStore } from '../hooks/useInventoryStore';
+import { isPendingId } from '../inventoryStore';
+import { LABEL_LAYOUTS, SYMBOLOGIES, labelUrl, labelText, layoutLabels, slotPosition } from '../utils/labels';
+import { encodeQR, QUIET_ZONE as QR_QUIET_ZONE } from '../utils/qrCode';
+import { encodeCode128, QUIET_ZONE as CODE128_QUIET_ZONE } from '../utils/code128';
+
+// US and Canada use Letter sheets, almost everyone else A4
+const defaultLayout = () => (/-(US|CA)$/i.test(navigator.language || '') ? 'avery5160' : 'l7160');
+
+const INK = '#111827';
+const LABEL_PADDING = 1.5; // mm
+
+export function LabelsPage({ isDark }) {
+  const colors = getColors(isDark);
+  const store = useInventoryStore();
+  const [searchParams] = useSearchParams();
+  const { items, loading, error } = useItems({ sort: 'name', order: 'asc' });
+  const [layoutKey, setLayoutKey] = useState(defaultLayout);
+  const [symbology, setSymbology] = useState('qr');
+  const [copies, setCopies] = useState('one');
+  const [skip, setSkip] = useState(0);
+  const [filter, setFilter] = useState('');
+  const [showAll, setShowAll] = useState(!!searchParams.get('items'));
+  const [selected, setSelected] = useState(null);
+  const [preparing, setPreparing] = useState(false);
+  const [printRequested, setPrintRequested] = useState(false);
+
+  // Start with the items passed in the URL, or the unbarcoded items that were never labeled
+  useEffect(() => {
+    if (selected !== null || items.length === 0) return;
+    const requested = (searchParams.get('items') || '').split(',').filter(Boolean).map(Number);
+    setSelected(new Set(requested.length > 0
+      ? requested
+      : items.filter(item => !item.barcode && !item.label_code).map(item => item.id)));
+  }, [items, selected, searchParams]);
+
+  // Print once the assigned codes have rendered
+  useEffect(() => {
+    if (!printRequested) return;
+    setPrintRequested(false);
+    window.print();
+  }, [printRequested]);
+
+  const selectedIds = useMemo(() => selected || new Set(), [selected]);
+  const layout = LABEL_LAYOUTS[layoutKey];
+  const perPage = layout.columns * layout.rows;
+
+  const listed = useMemo(() => {
+    const term = filter.trim().toLowerCase();
+    return items.filter(item =>
+      (showAll || !item.barcode || selectedIds.has(item.id)) &&
+      (!term || item.name.toLowerCase().includes(term) || (item.location || '').toLowerCase().includes(term))
+    );
+  }, [items, filter, showAll, selectedIds]);
+
+  const selectedItems = useMemo(() => items.filter(item => selectedIds.has(item.id)), [items, selectedIds]);
+  const pages = useMemo(() => layoutLabels(selectedItems, layoutKey, { copies, skip }), [selectedItems, layoutKey, copies, skip]);
+  const labelCount = pages.flat().filter(Boolean).length;
+
+  const toggle = (id) => {
+    const next = new Set(selectedIds);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    setSelected(next);
+  };
+
+  const setListed = (checked) => {
+    const next = new Set(selectedIds);
+    listed.forEach(item => (checked ? next.add(item.id) : next.delete(item.id)));
+    setSelected(next);
+  };
+
+  const handlePrint = async () => {
+    const missing = selectedItems.filter(item => !item.label_code);
+    if (missing.some(item => isPendingId(item.id))) {
+      alert('Some items have not synced yet. Print their labels once you are back online.');
+      return;
+    }
+    setPreparing(true);
+    try {
+      if (missing.length > 0) await store.prepareItemLabels(missing.map(item => item.id));
+      setPrintRequested(true);
+    } catch (err) {
+      console.error('Failed to assign label codes:', err);
+      alert('Failed to prepare labels: ' + (err.response?.data?.detail || err.message));
+    } finally {
+      setPreparing(false);
+    }
+  };
+
+  if (loading && items.length === 0) return <LoadingSpinner />;
+
+  const selectStyle = { padding: spacing.sm, border: `2px solid ${colors.border}`, borderRadius: borderRadius.md, fontSize: '14px', background: colors.card, color: colors.textPrimary };
+
+  return (
+    <div style={{ padding: `${spacing.xl} ${spacing.xxl}` }}>
+      {/* Exact sheet size, no browser margins; only while this page is open */}
+      <style>{`@media print { @page { size: ${layout.page.width}mm ${layout.page.height}mm; margin: 0; } }`}</style>
+
+      <div className="no-print">
+        <h1 style={{ fontSize: '28px', fontWeight: '700', color: colors.textPrimary, margin: 0, marginBottom: spacing.xs }}>Labels</h1>
+        <p style={{ fontSize: '14px', color: colors.textSecondary, marginBottom: spacing.lg }}>
+          Print code labels for homemade and loose items. Scanning a label opens the item.
+        </p>
+
+        {error && <Alert type="error" message={error} />}
+
+        <div style={{ display: 'flex', gap: spacing.md, marginBottom: spacing.lg, flexWrap: 'wrap' }}>
+          {Object.entries(SYMBOLOGIES).map(([key, option]) => (
+            <button
+              key={key}
+              onClick={() => setSymbology(key)}
+              style={{
+                flex: '1 1 200px',
+                textAlign: 'left',
+                padding: spacing.lg,
+                borderRadius: borderRadius.lg,
+                border: `2px solid ${symbology === key ? colors.primary : colors.border}`,
+                background: colors.card,
+                cursor: 'pointer',
+              }}
+            >
+              <div style={{ fontWeight: '600', color: colors.textPrimary, marginBottom: spacing.xs }}>{option.label}</div>
+              <div style={{ fontSize: '13px', color: colors.textSecondary }}>{option.description}</div>
+            </button>
+          ))}
+        </div>
+
+        <div style={{ display: 'flex', gap: spacing.md, alignItems: 'center', marginBottom: spacing.lg, flexWrap: 'wrap' }}>
+          <select value={layoutKey} onChange={(e) => setLayoutKey(e.target.value)} style={selectStyle}>
+            {Object.entries(LABEL_LAYOUTS).map(([key, option]) => <option key={key} value={key}>{option.label}</option>)}
+          </select>
+          <select value={copies} onChange={(e) => setCopies(e.target.value)} style={selectStyle}>
+            <option value="one">One label per item</option>
+            <option value="quantity">One label per unit in stock</option>
+          </select>
+          <label style={{ display: 'flex', alignItems: 'center', gap: spacing.sm, fontSize: '14px', color: colors.textSecondary }}>
+            Skip first
+            <input
+              type="number"
+              min="0"
+              max={perPage - 1}
+              value={skip}
+              onChange={(e) => setSkip(Math.max(0, Math.min(perPage - 1, parseInt(e.target.value) || 0)))}
+              style={{ ...selectStyle, width: '70px' }}
+              title="Labels already used on a partly used sheet"
+            />
+            labels
+          </label>
+          <button
+            onClick={handlePrint}
+            disabled={labelCount === 0 || preparing}
+            style={{ marginLeft: 'auto', padding: `${spacing.sm} ${spacing.lg}`, border: 'none', borderRadius: borderRadius.md, background: colors.primary, color: 'white', fontWeight: '600', fontSize: '14px', cursor: labelCount === 0 || preparing ? 'not-allowed' : 'pointer', opacity: labelCount === 0 || preparing ? 0.6 : 1, display: 'flex', alignItems: 'center', gap: spacing.xs }}
+          >
+            <Printer size={16} />
+            {preparing ? 'Preparing...' : `Print ${labelCount} label${labelCount === 1 ? '' : 's'}`}
+          </button>
+        </div>
+
+        <div style={{ background: colors.card, border: `1px solid ${colors.border}`, borderRadius: borderRadius.lg, marginBottom: spacing.xl }}>
+          <div style={{ display: 'flex', gap: spacing.md, alignItems: 'center', padding: spacing.md, borderBottom: `1px solid ${colors.border}`, flexWrap: 'wrap' }}>
+            <div style={{ position: 'relative', flex: '1 1 220px' }}>
+              <Search size={16} style={{ position: 'absolute', left: '10px', top: '50%', transform: 'translateY(-50%)', color: colors.textSecondary }} />
+              <input value={filter} onChange={(e) => setFilter(e.target.value)} placeholder="Filter items" style={{ ...selectStyle, width: '100%', paddingLeft: '32px' }} />
+            </div>
+            <label style={{ display: 'flex', alignItems: 'center', gap: spacing.xs, fontSize: '14px', color: colors.textSecondary, cursor: 'pointer' }}>
+              <input type="checkbox" checked={showAll} onChange={(e) => setShowAll(e.target.checked)} />
+              Include items with a barcode
+            </label>
+            <button onClick={() => setListed(true)} style={{ background: 'none', border: 'none', color: colors.primary, cursor: 'pointer', fontSize: '14px', fontWeight: '600' }}>Select all</button>
+            <button onClick={() => setListed(false)} style={{ background: 'none', border: 'none', color: colors.textSecondary, cursor: 'pointer', fontSize: '14px' }}>Clear</button>
+          </div>
+          <div style={{ maxHeight: '260px', overflowY: 'auto' }}>
+            {listed.length === 0 && (
+              <div style={{ padding: spacing.lg, fontSize: '14px', color: colors.textSecondary, textAlign: 'center' }}>No items without a barcode.</div>
+            )}
+            {listed.map(item => (
+              <label key={item.id} style={{ display: 'flex', alignItems: 'center', gap: spacing.md, padding: `${spacing.sm} ${spacing.md}`, borderBottom: `1px solid ${colors.border}`, cursor: 'pointer', fontSize: '14px', color: colors.textPrimary }}>
+                <input type="checkbox" checked={selectedIds.has(item.id)} onChange={() => toggle(item.id)} />
+                <span style={{ flex: 1 }}>{item.name}</span>
+                <span style={{ color: colors.textSecondary }}>{item.location}</span>
+                <span style={{ color: colors.textSecondary, fontFamily: 'monospace', minWidth: '100px', textAlign: 'right' }}>{item.label_code || (item.barcode ? '' : 'new')}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div style={{ fontSize: '13px', color: colors.textSecondary, marginBottom: spacing.md }}>
+          Print at 100% scale ("Actual size"), with headers and footers turned off.
+        </div>
+      </div>
+
+      {/* A hair shorter than the paper, so browsers don't spill onto a blank page */}
+      {pages.map((slots, pageIndex) => (
+        <div
+          key={pageIndex}
+          className={pageIndex > 0 ? 'print-area label-sheet print-page-break' : 'print-area label-sheet'}
+          style={{ position: 'relative', width: `${layout.page.width}mm`, height: `${layout.page.height - 1}mm`, background: '#ffffff', boxShadow: '0 2px 8px rgba(0,0,0,0.08)', marginBottom: spacing.xl, overflow: 'hidden' }}
+        >
+          {slots.map((item, index) => {
+            const { left, top } = slotPosition(layout, index);
+            return (
+              <div
+                key={index}
+                className={item ? undefined : 'label-skipped'}
+                style={{ position: 'absolute', left: `${left}mm`, top: `${top}mm`, width: `${layout.width}mm`, height: `${layout.height}mm`, outline: item ? 'none' : `1px dashed ${colors.border}` }}
+              >
+                {item && <ItemLabel item={item} layout={layout} symbology={symbology} />}
+              </div>
+            );
+          })}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// One label: the code plus name, date and location, sized to the sticker
+function ItemLabel({ item, layout, symbology }) {
+  const { name, date, location } = labelText(item);
+  const innerHeight = layout.height - LABEL_PADDING * 2;
+  const fontSize = Math.min(3.4, Math.max(1.8, innerHeight / 6)); // mm
+  const textStyle = { fontSize: `${fontSize * 0.85}mm`, lineHeight: 1.15, whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' };
+  const nameStyle = { fontSize: `${fontSize}mm`, fontWeight: '700', lineHeight: 1.15, overflow: 'hidden', display: '-webkit-box', WebkitLineClamp: 2, WebkitBoxOrient: 'vertical' };
+
+  if (symbology === 'code128') {
+    return (
+      <div style={{ padding: `${LABEL_PADDING}mm`, height: '100%', display: 'flex', flexDirection: 'column', color: INK, fontFamily: 'Helvetica, Arial, sans-serif' }}>
+        <div style={{ height: '45%', flexShrink: 0 }}>
+          {item.label_code ? <Code128Symbol value={item.label_code} /> : <PendingCode />}
+        </div>
+        <div style={{ ...textStyle, fontFamily: 'monospace', textAlign: 'center' }}>{item.label_code || ' '}</div>
+        <div style={{ ...nameStyle, WebkitLineClamp: 1 }}>{name}</div>
+        <div style={textStyle}>{[date, location].filter(Boolean).join(' · ')}</div>
+      </div>
+    );
+  }
+
+  const symbolSize = Math.min(innerHeight, layout.width * 0.4);
+  return (
+    <div style={{ padding: `${LABEL_PADDING}mm`, height: '100%', display: 'flex', gap: `${LABEL_PADDING}mm`, alignItems: 'center', color: INK, fontFamily: 'Helvetica, Arial, sans-serif' }}>
+      <div style={{ width: `${symbolSize}mm`, height: `${symbolSize}mm`, flexShrink: 0 }}>
+        {item.label_code ? <QrSymbol value={labelUrl(item.label_code)} /> : <PendingCode />}
+      </div>
+      <div style={{ minWidth: 0, flex: 1 }}>
+        <div style={nameStyle}>{name}</div>
+        <div style={textStyle}>{date}</div>
+        {location && <div style={textStyle}>{location}</div>}
+        <div style={{ ...textStyle, fontFamily: 'monospace', color: '#4b5563' }}>{item.label_code || ''}</div>
+      </div>
+    </div>
+  );
+}
+
+function QrSymbol({ value }) {
+  const { size, modules } = useMemo(() => encodeQR(value), [value]);
+  const path = useMemo(() => modules.flatMap((line, row) =>
+    line.map((dark, col) => (dark ? `M${col + QR_QUIET_ZONE} ${row + QR_QUIET_ZONE}h1v1h-1z` : ''))
+  ).join(''), [modules]);
+  const total = size + QR_QUIET_ZONE * 2;
+
+  return (
+    <svg viewBox={`0 0 ${total} ${total}`} width="100%" height="100%" shapeRendering="crispEdges">
+      <path d={path} fill="#000000" />
+    </svg>
+  );
+}
+
+function Code128Symbol({ value }) {
+  const { widths, modules } = useMemo(() => encodeCode128(value), [value]);
+  let x = CODE128_QUIET_ZONE;
+  const bars = [];
+  widths.forEach((width, i) => {
+    if (i % 2 === 0) bars.push(`M${x} 0h${width}v1h-${width}z`);
+    x += width;
+  });
+
+  return (
+    <svg viewBox={`0 0 ${modules + CODE128_QUIET_ZONE * 2} 1`} width="100%" height="100%" preserveAspectRatio="none" shapeRendering="crispEdges">
+      <path d={bars.join('')} fill="#000000" />
+    </svg>
+  );
+}
+
+// Codes are assigned when the labels are printed
+function PendingCode() {
+  return (
+    <div style={{ width: '100%', height: '100%', border: '1px dashed #9ca3af', display: 'flex', alignItems: 'center', justifyContent: 'center', fontSize: '2mm', color: '#6b7280', textAlign: 'center' }}>
+      Code added on print
+    </div>
+  );
+}
+
+export default LabelsPage;
@@ -0,0 +1,149 @@
+// Recently Deleted Page - items deleted in the last 30 days, restorable one by one or in bulk
+import { useState } from 'react';
+import { RotateCcw, Trash2, MapPin, Tag, CheckSquare, Square } from 'lucide-react';
+import { getColors, spacing, borderRadius } from '../colors';
+import LoadingSpinner from '../components/LoadingSpinner';
+import Alert from '../components/Alert';
+import { useDeletedItems } from '../hooks/useDeletedItems';
+import { getRelativeTime, parseTimestamp } from '../utils/dateUtils';
+
+const daysLeft = (purgeDate) => Math.max(0, Math.ceil((parseTimestamp(purgeDate) - new Date()) / 86400000));
+
+export function RecentlyDeletedPage({ isDark }) {
+  const colors = getColors(isDark);
+  const { entries, loading, error, restore, purge, purgeAll } = useDeletedItems();
+  const [selected, setSelected] = useState(new Set());
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const selectedIds = entries.map(entry => entry.id).filter(id => selected.has(id));
+  const allSelected = entries.length > 0 && selectedIds.length === entries.length;
+
+  const toggle = (id) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const run = async (action, ids, successMessage) => {
+    try {
+      setBusy(true);
+      setMessage(null);
+      await action(ids);
+      setSelected(prev => new Set([...prev].filter(id => !ids?.includes(id))));
+      setMessage(successMessage);
+    } catch (err) {
+      alert('Something went wrong: ' + err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const plural = (count) => `${count} item${count === 1 ? '' : 's'}`;
+
+  const handleRestore = (ids) => run(restore, ids, `Restored ${plural(ids.length)}`);
+
+  const handlePurge = (ids) => {
+    if (!window.confirm(`Permanently delete ${plural(ids.length)}? This cannot be undone.`)) return;
+    run(purge, ids, `Permanently deleted ${plural(ids.length)}`);
+  };
+
+  const handleEmpty = () => {
+    if (!window.confirm(`Permanently delete all ${plural(entries.length)} in Recently Deleted? This cannot be undone.`)) return;
+    run(purgeAll, null, 'Recently Deleted is empty');
+  };
+
+  if (loading && entries.length === 0) return <LoadingSpinner />;
+
+  const cardStyle = { background: colors.card, padding: spacing.xl, borderRadius: borderRadius.xl, border: `1px solid ${colors.border}`, marginBottom: spacing.lg };
+  const buttonStyle = { padding: `${spacing.sm} ${spacing.lg}`, border: `1px solid ${colors.border}`, borderRadius: borderRadius.md, background: colors.card, color: colors.textPrimary, fontWeight: '600', fontSize: '14px', cursor: busy ? 'not-allowed' : 'pointer', opacity: busy ? 0.6 : 1, display: 'flex', alignItems: 'center', gap: spacing.xs };
+  const iconButton = { background: 'none', border: 'none', cursor: busy ? 'not-allowed' : 'pointer', padding: spacing.sm, display: 'flex' };
+
+  return (
+    <div style={{ padding: `${spacing.xl} ${spacing.xxl}`, maxWidth: '900px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: spacing.xl, gap: spacing.md, flexWrap: 'wrap' }}>
+        <div>
+          <h1 style={{ fontSize: '28px', fontWeight: '700', color: colors.textPrimary, margin: 0 }}>Recently Deleted</h1>
+          <div style={{ fontSize: '14px', color: colors.textSecondary, marginTop: spacing.xs }}>
+            Deleted items are kept for 30 days, then removed for good.
+          </div>
+        </div>
+        {entries.length > 0 && (
+          <button onClick={handleEmpty} disabled={busy} style={{ ...buttonStyle, color: colors.danger }}>
+            <Trash2 size={16} />
+            Empty
+          </button>
+        )}
+      </div>
+
+      {error && <Alert type="error" message={error} />}
+      {message && <Alert type="success" message={message} onClose={() => setMessage(null)} />}
+
+      {entries.length === 0 ? (
+        <div style={{ ...cardStyle, textAlign: 'center', color: colors.textSecondary }}>
+          Nothing here. Items you delete will show up here for 30 days.
+        </div>
+      ) : (
+        <div style={cardStyle}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: spacing.md, paddingBottom: spacing.md, borderBottom: `1px solid ${colors.border}`, flexWrap: 'wrap' }}>
+            <button
+              onClick={() => setSelected(allSelected ? new Set() : new Set(entries.map(entry => entry.id)))}
+              style={{ ...iconButton, padding: 0, color: colors.textSecondary, alignItems: 'center', gap: spacing.sm, fontSize: '14px' }}
+            >
+              {allSelected ? <CheckSquare size={18} /> : <Square size={18} />}
+              {selectedIds.length > 0 ? `${selectedIds.length} selected` : 'Select all'}
+            </button>
+            {selectedIds.length > 0 && (
+              <div style={{ display: 'flex', gap: spacing.sm, marginLeft: 'auto' }}>
+                <button onClick={() => handleRestore(selectedIds)} disabled={busy} style={buttonStyle}>
+                  <RotateCcw size={16} />
+                  Restore
+                </button>
+                <button onClick={() => handlePurge(selectedIds)} disabled={busy} style={{ ...buttonStyle, color: colors.danger }}>
+                  <Trash2 size={16} />
+                  Delete forever
+                </button>
+              </div>
+            )}
+          </div>
+
+          {entries.map(entry => {
+            const left = daysLeft(entry.purge_date);
+            return (
+              <div key={entry.id} style={{ display: 'flex', alignItems: 'center', gap: spacing.md, padding: `${spacing.md} 0`, borderBottom: `1px solid ${colors.border}` }}>
+                <button onClick={() => toggle(entry.id)} style={{ ...iconButton, padding: 0, color: selected.has(entry.id) ? colors.primary : colors.textTertiary }}>
+                  {selected.has(entry.id) ? <CheckSquare size={20} /> : <Square size={20} />}
+                </button>
+                <div style={{ flex: 1, minWidth: 0 }}>
+                  <div style={{ fontSize: '16px', fontWeight: '600', color: colors.textPrimary }}>
+                    {entry.name}
+                    {entry.item.quantity > 1 && <span style={{ color: colors.textSecondary, fontWeight: '400' }}> × {entry.item.quantity}</span>}
+                  </div>
+                  <div style={{ display: 'flex', gap: spacing.md, marginTop: spacing.xs, fontSize: '13px', color: colors.textSecondary, flexWrap: 'wrap' }}>
+                    {entry.item.location && <span style={{ display: 'flex', alignItems: 'center', gap: '4px' }}><MapPin size={13} />{entry.item.location}</span>}
+                    {entry.item.category && <span style={{ display: 'flex', alignItems: 'center', gap: '4px' }}><Tag size={13} />{entry.item.category}</span>}
+                    <span>Deleted {getRelativeTime(entry.deleted_date).toLowerCase()}</span>
+                    <span style={{ color: left <= 3 ? colors.danger : colors.textSecondary }}>
+                      {left === 0 ? 'Removed today' : `${left} day${left === 1 ? '' : 's'} left`}
+                    </span>
+                  </div>
+                </div>
+                <button onClick={() => handleRestore([entry.id])} disabled={busy} style={{ ...iconButton, color: colors.primary }} title="Restore">
+                  <RotateCcw size={18} />
+                </button>
+                <button onClick={() => handlePurge([entry.id])} disabled={busy} style={{ ...iconButton, color: colors.textSecondary }} title="Delete forever">
+                  <Trash2 size={18} />
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RecentlyDeletedPage;
@@ -0,0 +1,170 @@
+// Reports Page - print-ready inventory sheets, also downloadable as PDF
+import { useState, useMemo } from 'react';
+import { Printer, FileDown } from 'lucide-react';
+import { getColors, spacing, borderRadius } from '../colors';
+import LoadingSpinner from '../components/LoadingSpinner';
+import Alert from '../components/Alert';
+import { useItems } from '../hooks/useItems';
+import { REPORT_TYPES, buildReport } from '../utils/reports';
+import { PAGE_SIZES, downloadReportPDF } from '../utils/reportPdf';
+
+// US and Canada use Letter paper, almost everyone else A4
+const defaultPageSize = () => (/-(US|CA)$/i.test(navigator.language || '') ? 'letter' : 'a4');
+
+// Paper colors, regardless of dark mode
+const INK = '#111827';
+const MUTED = '#6b7280';
+const RULE = '#d1d5db';
+const EMPHASIS = { danger: '#b91c1c', warning: '#b45309' };
+
+export function ReportsPage({ isDark }) {
+  const colors = getColors(isDark);
+  const { items, loading, error } = useItems({ sort: 'name', order: 'asc' });
+  const [type, setType] = useState('inventory');
+  const [location, setLocation] = useState('');
+  const [pageSize, setPageSize] = useState(defaultPageSize);
+
+  const locations = useMemo(() => [...new Set(items.map(item => item.location).filter(Boolean))].sort(), [items]);
+  const report = useMemo(() => buildReport(type, items, { location }), [type, items, location]);
+
+  const handlePdf = () => {
+    try {
+      downloadReportPDF(report, { pageSize });
+    } catch (err) {
+      console.error('PDF export failed:', err);
+      alert('Failed to create PDF: ' + err.message);
+    }
+  };
+
+  if (loading && items.length === 0) return <LoadingSpinner />;
+
+  const selectStyle = { padding: spacing.sm, border: `2px solid ${colors.border}`, borderRadius: borderRadius.md, fontSize: '14px', background: colors.card, color: colors.textPrimary };
+  const buttonStyle = { padding: `${spacing.sm} ${spacing.lg}`, border: 'none', borderRadius: borderRadius.md, color: 'white', fontWeight: '600', fontSize: '14px', cursor: 'pointer', display: 'flex', alignItems: 'center', gap: spacing.xs };
+
+  return (
+    <div style={{ padding: `${spacing.xl} ${spacing.xxl}`, maxWidth: '1000px' }}>
+      <div className="no-print">
+        <h1 style={{ fontSize: '28px', fontWeight: '700', color: colors.textPrimary, margin: 0, marginBottom: spacing.lg }}>Reports</h1>
+
+        <div style={{ display: 'flex', gap: spacing.md, marginBottom: spacing.lg, flexWrap: 'wrap' }}>
+          {Object.entries(REPORT_TYPES).map(([key, reportType]) => (
+            <button
+              key={key}
+              onClick={() => setType(key)}
+              style={{
+                flex: '1 1 200px',
+                textAlign: 'left',
+                padding: spacing.lg,
+                borderRadius: borderRadius.lg,
+                border: `2px solid ${type === key ? colors.primary : colors.border}`,
+                background: colors.card,
+                cursor: 'pointer',
+              }}
+            >
+              <div style={{ fontWeight: '600', color: colors.textPrimary, marginBottom: spacing.xs }}>{reportType.label}</div>
+              <div style={{ fontSize: '13px', color: colors.textSecondary }}>{reportType.description}</div>
+            </button>
+          ))}
+        </div>
+
+        <div style={{ display: 'flex', gap: spacing.md, alignItems: 'center', marginBottom: spacing.xl, flexWrap: 'wrap' }}>
+          {type === 'checklist' && (
+            <select value={location} onChange={(e) => setLocation(e.target.value)} style={selectStyle}>
+              <option value="">All shelves</option>
+              {locations.map(loc => <option key={loc} value={loc}>{loc}</option>)}
+            </select>
+          )}
+          <select value={pageSize} onChange={(e) => setPageSize(e.target.value)} style={selectStyle} title="Paper size for the PDF">
+            {Object.entries(PAGE_SIZES).map(([key, size]) => <option key={key} value={key}>{size.label}</option>)}
+          </select>
+          <div style={{ display: 'flex', gap: spacing.sm, marginLeft: 'auto' }}>
+            <button onClick={() => window.print()} style={{ ...buttonStyle, background: colors.info }}>
+              <Printer size={16} />
+              Print
+            </button>
+            <button onClick={handlePdf} style={{ ...buttonStyle, background: colors.primary }}>
+              <FileDown size={16} />
+              Download PDF
+            </button>
+          </div>
+        </div>
+
+        {error && <Alert type="error" message={error} />}
+      </div>
+
+      <ReportPreview report={report} />
+    </div>
+  );
+}
+
+// The report as it will look on paper; print CSS hides everything else
+function ReportPreview({ report }) {
+  const cellStyle = { padding: '5px 6px', borderBottom: `1px solid ${RULE}`, fontSize: '12px', color: INK, textAlign: 'left', verticalAlign: 'top', height: '24px' };
+
+  const renderCell = (column, value) => {
+    if (column.kind === 'check') {
+      return <span style={{ display: 'inline-block', width: '12px', height: '12px', border: `1px solid ${MUTED}` }} />;
+    }
+    if (column.kind === 'blank') {
+      return <span style={{ display: 'block', borderBottom: `1px solid ${MUTED}`, height: '14px', marginRight: '6px' }} />;
+    }
+    return value;
+  };
+
+  return (
+    <div className="print-area" style={{ background: '#ffffff', color: INK, padding: '32px', borderRadius: borderRadius.lg, boxShadow: '0 2px 8px rgba(0,0,0,0.08)', fontFamily: 'Helvetica, Arial, sans-serif' }}>
+      <h1 style={{ fontSize: '22px', fontWeight: '700', margin: 0 }}>{report.title}</h1>
+      {report.subtitle && <div style={{ fontSize: '13px', color: MUTED, marginTop: '4px' }}>{report.subtitle}</div>}
+      <div style={{ fontSize: '11px', color: MUTED, marginTop: '2px', marginBottom: '20px' }}>Printed {report.generatedAt.toLocaleString()}</div>
+
+      {report.sections.length === 0 && <div style={{ fontSize: '13px', color: MUTED }}>No items.</div>}
+
+      {report.sections.map((section, index) => {
+        const blankRows = Array.from({ length: section.extraBlankRows || 0 }, () => ({ cells: section.columns.map(() => '') }));
+        const rows = [...section.rows, ...blankRows];
+        return (
+          <section key={section.heading} className={report.pageBreaks && index > 0 ? 'print-page-break' : undefined} style={{ marginBottom: '24px' }}>
+            <div style={{ display: 'flex', alignItems: 'baseline', gap: '12px', marginBottom: '6px' }}>
+              <h2 style={{ fontSize: '16px', fontWeight: '700', margin: 0 }}>{section.heading}</h2>
+              {section.note && <span style={{ fontSize: '12px', color: MUTED }}>{section.note}</span>}
+            </div>
+            {rows.length === 0 ? (
+              <div style={{ fontSize: '13px', color: MUTED }}>{section.empty || 'Nothing to show.'}</div>
+            ) : (
+              <table style={{ width: '100%', borderCollapse: 'collapse', background: '#ffffff', tableLayout: 'fixed' }}>
+                <thead>
+                  <tr style={{ background: '#eef0f3' }}>
+                    {section.columns.map((column, i) => (
+                      <th key={i} style={{ ...cellStyle, width: `${column.width * 100}%`, textAlign: column.align, fontWeight: '700' }}>{column.label}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map((row, rowIndex) => (
+                    <tr key={rowIndex}>
+                      {section.columns.map((column, i) => (
+                        <td
+                          key={i}
+                          style={{
+                            ...cellStyle,
+                            textAlign: column.align,
+                            color: row.emphasis ? EMPHASIS[row.emphasis] : INK,
+                            fontWeight: row.emphasis && i === 0 ? '600' : '400',
+                          }}
+                        >
+                          {renderCell(column, row.cells[i])}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </section>
+        );
+      })}
+    </div>
+  );
+}
+
+export default ReportsPage;
@@ -0,0 +1,46 @@
+// Scan Label Page - target of the link in QR labels; opens the labeled item
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { getColors, spacing } from '../colors';
+import LoadingSpinner from '../components/LoadingSpinner';
+import Alert from '../components/Alert';
+import { getItemByLabelCode } from '../api';
+import { parseLabelCode } from '../utils/labels';
+
+export function ScanLabelPage({ isDark }) {
+  const colors = getColors(isDark);
+  const { code } = useParams();
+  const navigate = useNavigate();
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const labelCode = parseLabelCode(code);
+    if (!labelCode) {
+      setError(`"${code}" is not a PantryPal label.`);
+      return;
+    }
+    let cancelled = false;
+    getItemByLabelCode(labelCode)
+      .then(item => { if (!cancelled) navigate(`/items/${item.id}`, { replace: true }); })
+      .catch(err => {
+        if (cancelled) return;
+        setError(err.response?.status === 404
+          ? `No item has the label ${labelCode}. It may have been used up and deleted.`
+          : 'Failed to look up this label.');
+      });
+    return () => { cancelled = true; };
+  }, [code, navigate]);
+
+  if (!error) return <LoadingSpinner />;
+
+  return (
+    <div style={{ padding: `${spacing.xl} ${spacing.xxl}`, maxWidth: '600px' }}>
+      <Alert type="error" message={error} />
+      <button onClick={() => navigate('/inventory')} style={{ marginTop: spacing.lg, background: 'none', border: 'none', color: colors.primary, cursor: 'pointer', fontSize: '14px', fontWeight: '600', padding: 0 }}>
+        Go to inventory
+      </button>
+    </div>
+  );
+}
+
+export default ScanLabelPage;
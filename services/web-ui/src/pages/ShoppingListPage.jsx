@@ -0,0 +1,218 @@
+// Shopping List Page - depleted, expired and hand-added entries with in-store check-off
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Plus, Trash2, ShoppingCart, CheckCircle, Circle, MapPin, Tag } from 'lucide-react';
+import { getColors, spacing, borderRadius } from '../colors';
+import LoadingSpinner from '../components/LoadingSpinner';
+import Alert from '../components/Alert';
+import { useShoppingList } from '../hooks/useShoppingList';
+import { useLocations } from '../hooks/useLocations';
+import { getDefaultLocations, getDefaultCategories } from '../defaults';
+
+const SOURCE_LABELS = {
+  depleted: 'Out of stock',
+  expired: 'Expired',
+  manual: 'Added',
+};
+
+const EMPTY_ENTRY = { name: '', quantity: 1, location: '', category: '' };
+
+export function ShoppingListPage({ isDark }) {
+  const colors = getColors(isDark);
+  const navigate = useNavigate();
+  const { entries, loading, error, isLocal, addEntry, editEntry, toggleChecked, removeEntry, purchaseChecked } = useShoppingList();
+  const { locations: apiLocations, categories: apiCategories } = useLocations();
+  const [newEntry, setNewEntry] = useState(EMPTY_ENTRY);
+  const [purchasing, setPurchasing] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const locations = apiLocations.length > 0 ? apiLocations : getDefaultLocations();
+  const categories = apiCategories.length > 0 ? apiCategories : getDefaultCategories();
+
+  const toBuy = entries.filter(e => !e.checked);
+  const inCart = entries.filter(e => e.checked);
+
+  const sourceColors = {
+    depleted: colors.danger,
+    expired: colors.warning,
+    manual: colors.info,
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!newEntry.name.trim()) return;
+    try {
+      await addEntry({
+        name: newEntry.name.trim(),
+        quantity: Math.max(1, parseInt(newEntry.quantity) || 1),
+        location: newEntry.location || null,
+        category: newEntry.category || null,
+      });
+      setNewEntry(EMPTY_ENTRY);
+    } catch (err) {
+      alert('Failed to add entry: ' + err.message);
+    }
+  };
+
+  const handleToggle = async (entry) => {
+    try {
+      await toggleChecked(entry);
+    } catch (err) {
+      alert('Failed to update entry: ' + err.message);
+    }
+  };
+
+  const handleQuantity = async (entry, value) => {
+    const quantity = Math.max(1, parseInt(value) || 1);
+    if (quantity === entry.quantity) return;
+    try {
+      await editEntry(entry.id, { quantity });
+    } catch (err) {
+      alert('Failed to update entry: ' + err.message);
+    }
+  };
+
+  const handleRemove = async (entry) => {
+    try {
+      await removeEntry(entry.id);
+    } catch (err) {
+      alert('Failed to remove entry: ' + err.message);
+    }
+  };
+
+  const handlePurchase = async () => {
+    try {
+      setPurchasing(true);
+      setMessage(null);
+      const result = await purchaseChecked();
+      setMessage(`Added ${result.purchased} item${result.purchased === 1 ? '' : 's'} back to your inventory`);
+    } catch (err) {
+      alert('Failed to add items to inventory: ' + err.message);
+    } finally {
+      setPurchasing(false);
+    }
+  };
+
+  if (loading && entries.length === 0) return <LoadingSpinner />;
+
+  const inputStyle = { padding: spacing.sm, border: `2px solid ${colors.border}`, borderRadius: borderRadius.md, fontSize: '14px', background: colors.card, color: colors.textPrimary };
+  const cardStyle = { background: colors.card, padding: spacing.xl, borderRadius: borderRadius.xl, border: `1px solid ${colors.border}`, marginBottom: spacing.lg };
+  const sectionTitle = { fontSize: '13px', fontWeight: '600', color: colors.textSecondary, textTransform: 'uppercase', letterSpacing: '0.5px', marginBottom: spacing.md };
+
+  const renderEntry = (entry) => (
+    <div key={entry.id} style={{ display: 'flex', alignItems: 'center', gap: spacing.md, padding: `${spacing.md} 0`, borderBottom: `1px solid ${colors.border}` }}>
+      <button
+        onClick={() => handleToggle(entry)}
+        style={{ background: 'none', border: 'none', cursor: 'pointer', padding: 0, color: entry.checked ? colors.success : colors.textTertiary, display: 'flex' }}
+        title={entry.checked ? 'Put back on the list' : 'Check off'}
+      >
+        {entry.checked ? <CheckCircle size={26} /> : <Circle size={26} />}
+      </button>
+      <div style={{ flex: 1, minWidth: 0 }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: spacing.sm, flexWrap: 'wrap' }}>
+          <span
+            onClick={entry.item_id != null ? () => navigate(`/items/${entry.item_id}`) : undefined}
+            style={{ fontSize: '16px', fontWeight: '600', color: colors.textPrimary, textDecoration: entry.checked ? 'line-through' : 'none', cursor: entry.item_id != null ? 'pointer' : 'default' }}
+          >
+            {entry.name}
+          </span>
+          <span style={{ padding: '2px 8px', borderRadius: borderRadius.full, fontSize: '11px', fontWeight: '600', color: 'white', background: sourceColors[entry.source] || colors.info }}>
+            {SOURCE_LABELS[entry.source] || entry.source}
+          </span>
+        </div>
+        <div style={{ display: 'flex', gap: spacing.md, marginTop: spacing.xs, fontSize: '13px', color: colors.textSecondary }}>
+          {entry.brand && <span>{entry.brand}</span>}
+          {entry.location && <span style={{ display: 'flex', alignItems: 'center', gap: '4px' }}><MapPin size={13} />{entry.location}</span>}
+          {entry.category && <span style={{ display: 'flex', alignItems: 'center', gap: '4px' }}><Tag size={13} />{entry.category}</span>}
+        </div>
+      </div>
+      <input
+        type="number"
+        min="1"
+        defaultValue={entry.quantity}
+        key={`${entry.id}-${entry.quantity}`}
+        onBlur={(e) => handleQuantity(entry, e.target.value)}
+        style={{ ...inputStyle, width: '64px', textAlign: 'center' }}
+        title="Quantity to buy"
+      />
+      <button onClick={() => handleRemove(entry)} style={{ background: 'none', border: 'none', cursor: 'pointer', color: colors.textSecondary, padding: spacing.sm }} title="Remove from list">
+        <Trash2 size={18} />
+      </button>
+    </div>
+  );
+
+  return (
+    <div style={{ padding: `${spacing.xl} ${spacing.xxl}`, maxWidth: '900px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: spacing.xl, gap: spacing.md, flexWrap: 'wrap' }}>
+        <div>
+          <h1 style={{ fontSize: '28px', fontWeight: '700', color: colors.textPrimary, margin: 0 }}>Shopping List</h1>
+          <div style={{ fontSize: '14px', color: colors.textSecondary, marginTop: spacing.xs }}>
+            {toBuy.length} to buy{inCart.length > 0 ? ` · ${inCart.length} in cart` : ''}
+          </div>
+        </div>
+        <button
+          onClick={handlePurchase}
+          disabled={inCart.length === 0 || purchasing}
+          style={{ padding: `${spacing.md} ${spacing.xl}`, border: 'none', borderRadius: borderRadius.md, background: colors.primary, color: 'white', fontWeight: '600', fontSize: '15px', cursor: inCart.length === 0 || purchasing ? 'not-allowed' : 'pointer', opacity: inCart.length === 0 || purchasing ? 0.5 : 1, display: 'flex', alignItems: 'center', gap: spacing.sm }}
+        >
+          <ShoppingCart size={18} />
+          {purchasing ? 'Adding...' : `Bought${inCart.length > 0 ? ` (${inCart.length})` : ''}`}
+        </button>
+      </div>
+
+      {error && <Alert type="error" message={error} />}
+      {isLocal && <Alert type="warning" message="Shopping list service unavailable. Changes are saved on this device and will sync when it's back." />}
+      {message && <Alert type="success" message={message} onClose={() => setMessage(null)} />}
+
+      <form onSubmit={handleAdd} style={{ ...cardStyle, display: 'flex', gap: spacing.sm, flexWrap: 'wrap', alignItems: 'center' }}>
+        <input
+          type="text"
+          value={newEntry.name}
+          onChange={(e) => setNewEntry({ ...newEntry, name: e.target.value })}
+          placeholder="Add something to buy..."
+          style={{ ...inputStyle, flex: '1 1 200px' }}
+        />
+        <input
+          type="number"
+          min="1"
+          value={newEntry.quantity}
+          onChange={(e) => setNewEntry({ ...newEntry, quantity: e.target.value })}
+          style={{ ...inputStyle, width: '64px', textAlign: 'center' }}
+        />
+        <select value={newEntry.location} onChange={(e) => setNewEntry({ ...newEntry, location: e.target.value })} style={inputStyle}>
+          <option value="">Location...</option>
+          {locations.map(loc => <option key={loc} value={loc}>{loc}</option>)}
+        </select>
+        <select value={newEntry.category} onChange={(e) => setNewEntry({ ...newEntry, category: e.target.value })} style={inputStyle}>
+          <option value="">Category...</option>
+          {categories.map(cat => <option key={cat} value={cat}>{cat}</option>)}
+        </select>
+        <button type="submit" disabled={!newEntry.name.trim()} style={{ padding: `${spacing.sm} ${spacing.lg}`, border: 'none', borderRadius: borderRadius.md, background: colors.primary, color: 'white', fontWeight: '600', cursor: 'pointer', display: 'flex', alignItems: 'center', gap: spacing.xs }}>
+          <Plus size={16} />
+          Add
+        </button>
+      </form>
+
+      <div style={cardStyle}>
+        <div style={sectionTitle}>To Buy</div>
+        {toBuy.length > 0 ? toBuy.map(renderEntry) : (
+          <div style={{ fontSize: '14px', color: colors.textSecondary }}>
+            Nothing to buy. Items that run out or expire will show up here.
+          </div>
+        )}
+      </div>
+
+      {inCart.length > 0 && (
+        <div style={cardStyle}>
+          <div style={sectionTitle}>In Cart</div>
+          {inCart.map(renderEntry)}
+          <div style={{ fontSize: '13px', color: colors.textSecondary, marginTop: spacing.md }}>
+            "Bought" restocks these in their usual location and category.
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ShoppingListPage;
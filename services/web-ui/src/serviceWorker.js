@@ -0,0 +1,17 @@
+// Service worker registration (production builds only - it would cache the dev server)
+
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(err => {
+      console.warn('Service worker registration failed:', err);
+    });
+  });
+}
+
+// Drop cached inventory responses, e.g. on logout
+export function clearOfflineCache() {
+  navigator.serviceWorker?.controller?.postMessage({ type: 'CLEAR_API_CACHE' });
+}
+
+export default { registerServiceWorker, clearOfflineCache };
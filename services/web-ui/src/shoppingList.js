@@ -0,0 +1,73 @@
+import { getExpiryStatus } from './utils/dateUtils';
+
+const SHOPPING_LIST_KEY = 'SHOPPING_LIST';
+
+export const getLocalShoppingList = () => {
+  const saved = localStorage.getItem(SHOPPING_LIST_KEY);
+  return saved ? JSON.parse(saved) : [];
+};
+
+export const saveLocalShoppingList = (entries) => {
+  localStorage.setItem(SHOPPING_LIST_KEY, JSON.stringify(entries));
+};
+
+export const clearLocalShoppingList = () => {
+  localStorage.removeItem(SHOPPING_LIST_KEY);
+};
+
+export const createLocalEntry = (entry) => ({
+  id: `local-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  item_id: null,
+  source: 'manual',
+  barcode: null,
+  brand: null,
+  category: null,
+  location: null,
+  quantity: 1,
+  notes: null,
+  checked: false,
+  dismissed: false,
+  added_date: new Date().toISOString(),
+  ...entry,
+});
+
+// Why an inventory item belongs on the shopping list, if it does
+export const getShoppingSource = (item) => {
+  if ((item.quantity ?? 0) <= 0) return 'depleted';
+  if (getExpiryStatus(item) === 'expired') return 'expired';
+  return null;
+};
+
+// Same rules the inventory service applies server-side
+export const syncLocalShoppingList = (entries, items) => {
+  const generated = new Map(entries.filter(e => e.item_id != null).map(e => [e.item_id, e]));
+  const next = entries.filter(e => e.item_id == null);
+
+  items.forEach(item => {
+    const source = getShoppingSource(item);
+    const entry = generated.get(item.id);
+    generated.delete(item.id);
+    if (source && !entry) {
+      next.push(createLocalEntry({
+        item_id: item.id,
+        source,
+        barcode: item.barcode,
+        name: item.name,
+        brand: item.brand,
+        category: item.category,
+        location: item.location,
+      }));
+    } else if (entry && (source || entry.checked)) {
+      next.push(source ? { ...entry, source } : entry);
+    }
+  });
+
+  // Entries whose item was deleted stay on the list as manual ones
+  generated.forEach(entry => {
+    if (!entry.dismissed) next.push({ ...entry, item_id: null, source: 'manual' });
+  });
+
+  return next;
+};
+
+export { SHOPPING_LIST_KEY };
@@ -0,0 +1,56 @@
+// Stock-take: compare what was counted on a shelf with what PantryPal expects,
+// and turn the result into one batch request for the inventory service
+
+/**
+ * Items the audit walks through: everything at the location that is in stock
+ */
+export function expectedItems(items, location) {
+  return items
+    .filter(item => item.location === location && (item.quantity ?? 0) > 0)
+    .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+}
+
+/**
+ * Diff the counts against the expected items.
+ * `marks` maps item id -> { status: 'present' | 'missing', quantity }.
+ */
+export function buildAuditDiff(expected, marks, found) {
+  const diff = { changed: [], unchanged: [], missing: [], unchecked: [], found };
+  expected.forEach(item => {
+    const mark = marks[item.id];
+    if (!mark) diff.unchecked.push(item);
+    else if (mark.status === 'missing') diff.missing.push(item);
+    else if (mark.quantity !== item.quantity) diff.changed.push({ item, from: item.quantity, to: mark.quantity });
+    else diff.unchanged.push(item);
+  });
+  return diff;
+}
+
+/**
+ * Request body for POST /api/audits. Unchanged items are sent too, so the
+ * audit records how many were checked.
+ */
+export function toAuditRequest(location, diff, missingAction) {
+  return {
+    location,
+    present: [
+      ...diff.unchanged.map(item => ({ item_id: item.id, quantity: item.quantity })),
+      ...diff.changed.map(({ item, to }) => ({ item_id: item.id, quantity: to })),
+    ],
+    missing: diff.missing.map(item => item.id),
+    found: diff.found.map(({ name, quantity, category, expiry_date }) => ({
+      name,
+      quantity,
+      category,
+      expiry_date: expiry_date || null,
+      manually_added: true,
+    })),
+    missing_action: missingAction,
+  };
+}
+
+export default {
+  expectedItems,
+  buildAuditDiff,
+  toAuditRequest,
+};
@@ -0,0 +1,196 @@
+// JSON backup of the whole household: items, locations, categories and preferences.
+// Backups are versioned; older versions are migrated forward before restoring.
+
+export const BACKUP_FORMAT = 'pantrypal-backup';
+export const BACKUP_VERSION = 1;
+
+// localStorage keys restored as preferences
+const PREFERENCE_KEYS = ['darkMode'];
+
+// Item fields kept in a backup; ids are not, since they belong to one server
+const ITEM_FIELDS = ['barcode', 'name', 'brand', 'image_url', 'category', 'location', 'quantity', 'expiry_date', 'date_type', 'expiry_estimated', 'notes', 'manually_added', 'label_code', 'added_date', 'opened_date', 'opened_shelf_life_days', 'frozen_date'];
+
+// MIGRATIONS[n] turns a version n backup into version n + 1
+const MIGRATIONS = {};
+
+// Errors past this many are summarized so the report stays readable
+const MAX_REPORTED_ERRORS = 10;
+
+/**
+ * FNV-1a hash of the backup data; catches truncated or hand-edited files
+ * (crypto.subtle isn't available on plain-http LAN installs)
+ */
+export function checksum(data) {
+  const text = JSON.stringify(data);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return `fnv1a-${(hash >>> 0).toString(16).padStart(8, '0')}`;
+}
+
+/**
+ * Current preferences from localStorage
+ */
+export function getPreferences() {
+  const preferences = {};
+  PREFERENCE_KEYS.forEach(key => {
+    const value = localStorage.getItem(key);
+    if (value !== null) preferences[key] = value;
+  });
+  return preferences;
+}
+
+/**
+ * Write restored preferences back to localStorage
+ */
+export function applyPreferences(preferences = {}) {
+  PREFERENCE_KEYS.forEach(key => {
+    if (typeof preferences[key] === 'string') localStorage.setItem(key, preferences[key]);
+  });
+}
+
+/**
+ * Build a backup object; apiKeys are metadata only and are never restored
+ */
+export function createBackup({ items, locations, categories, preferences, apiKeys = [] }) {
+  const data = {
+    items: items.map(item => Object.fromEntries(ITEM_FIELDS.map(field => [field, item[field] ?? null]))),
+    locations,
+    categories,
+    preferences,
+    api_keys: apiKeys.map(({ name, description, created_at, expires_at, is_active }) => ({ name, description, created_at, expires_at, is_active })),
+  };
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    created_at: new Date().toISOString(),
+    counts: { items: data.items.length, locations: locations.length, categories: categories.length },
+    checksum: checksum(data),
+    data,
+  };
+}
+
+/**
+ * Save a backup as a .json file
+ */
+export function downloadBackup(backup) {
+  const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  const url = URL.createObjectURL(blob);
+
+  link.setAttribute('href', url);
+  link.setAttribute('download', `pantrypal-backup-${backup.created_at.split('T')[0]}.json`);
+  link.style.visibility = 'hidden';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Read a backup file; throws if it isn't JSON
+ */
+export function readBackupFile(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        resolve(JSON.parse(e.target.result));
+      } catch {
+        reject(new Error('File is not valid JSON'));
+      }
+    };
+    reader.onerror = () => reject(new Error('Failed to read file'));
+    reader.readAsText(file);
+  });
+}
+
+const isStringList = (value) => Array.isArray(value) && value.every(entry => typeof entry === 'string' && entry.trim());
+
+function checkItem(item, index) {
+  const label = `Item ${index + 1}${item?.name ? ` (${item.name})` : ''}`;
+  if (!item || typeof item !== 'object') return `${label}: not an item`;
+  if (typeof item.name !== 'string' || !item.name.trim()) return `${label}: name is missing`;
+  if (!Number.isInteger(item.quantity) || item.quantity < 0) return `${label}: quantity must be a whole number of 0 or more`;
+  if (item.expiry_date !== null && (!/^\d{4}-\d{2}-\d{2}$/.test(item.expiry_date) || isNaN(new Date(item.expiry_date).getTime()))) {
+    return `${label}: expiry date must be YYYY-MM-DD`;
+  }
+  for (const field of ['location', 'category']) {
+    if (typeof item[field] !== 'string' || !item[field].trim()) return `${label}: ${field} is missing`;
+  }
+  return null;
+}
+
+/**
+ * Check a parsed backup before anything is written. Returns the backup migrated
+ * to the current version, plus errors (restore must not continue) and warnings.
+ */
+export function verifyBackup(raw) {
+  const errors = [];
+  const warnings = [];
+
+  if (!raw || typeof raw !== 'object' || raw.format !== BACKUP_FORMAT) {
+    return { backup: null, errors: ['This is not a PantryPal backup file'], warnings };
+  }
+  if (!Number.isInteger(raw.version) || raw.version < 1) {
+    return { backup: null, errors: ['Backup has no valid version number'], warnings };
+  }
+  if (raw.version > BACKUP_VERSION) {
+    return { backup: null, errors: [`Backup was made by a newer PantryPal (format version ${raw.version}). Update PantryPal and try again.`], warnings };
+  }
+  if (!raw.data || typeof raw.data !== 'object') {
+    return { backup: null, errors: ['Backup has no data'], warnings };
+  }
+
+  // The checksum covers the data as written, so verify before migrating
+  if (raw.checksum !== checksum(raw.data)) {
+    errors.push('Checksum does not match: the file was changed or damaged after it was made');
+  }
+
+  let backup = raw;
+  for (let version = raw.version; version < BACKUP_VERSION; version++) {
+    backup = MIGRATIONS[version](backup);
+  }
+  if (backup.version !== raw.version) {
+    warnings.push(`Backup was upgraded from format version ${raw.version} to ${BACKUP_VERSION}`);
+  }
+
+  const { items, locations, categories, preferences, api_keys: apiKeys } = backup.data;
+  if (!Array.isArray(items)) {
+    errors.push('Backup has no item list');
+  } else {
+    const itemErrors = items.map(checkItem).filter(Boolean);
+    errors.push(...itemErrors.slice(0, MAX_REPORTED_ERRORS));
+    if (itemErrors.length > MAX_REPORTED_ERRORS) {
+      errors.push(`…and ${itemErrors.length - MAX_REPORTED_ERRORS} more item problems`);
+    }
+    if (backup.counts?.items !== items.length) {
+      errors.push(`Backup says it has ${backup.counts?.items ?? '?'} items but contains ${items.length}`);
+    }
+  }
+  if (!isStringList(locations)) errors.push('Location list is missing or invalid');
+  if (!isStringList(categories)) errors.push('Category list is missing or invalid');
+  if (preferences !== undefined && (typeof preferences !== 'object' || preferences === null)) {
+    errors.push('Preferences are invalid');
+  }
+  if (Array.isArray(apiKeys) && apiKeys.length > 0) {
+    warnings.push(`${apiKeys.length} API key${apiKeys.length === 1 ? ' is' : 's are'} listed for reference only; keys can't be restored and must be created again`);
+  }
+
+  return { backup, errors, warnings };
+}
+
+export default {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  checksum,
+  getPreferences,
+  applyPreferences,
+  createBackup,
+  downloadBackup,
+  readBackupFile,
+  verifyBackup,
+};
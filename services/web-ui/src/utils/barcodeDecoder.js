@@ -0,0 +1,372 @@
+// Pure-JS EAN-13 / UPC-A / EAN-8 and Code 128 decoder for still frames
+
+import { PATTERNS as CODE128_PATTERNS, START_B, STOP } from './code128';
+
+// Bar/space widths (in modules) of the L-code digits. R-codes share the same
+// widths starting with a bar, G-codes are the L widths reversed.
+const L_PATTERNS = [
+  [3, 2, 1, 1], [2, 2, 2, 1], [2, 1, 2, 2], [1, 4, 1, 1], [1, 1, 3, 2],
+  [1, 2, 3, 1], [1, 1, 1, 4], [1, 3, 1, 2], [1, 2, 1, 3], [3, 1, 1, 2],
+];
+const G_PATTERNS = L_PATTERNS.map(pattern => [...pattern].reverse());
+
+// Parity of the six left-hand digits encodes the leading EAN-13 digit
+const FIRST_DIGIT_PARITY = [
+  'LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG',
+  'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL',
+];
+
+const CODE128_WIDTHS = CODE128_PATTERNS.map(pattern => pattern.split('').map(Number));
+
+const MAX_DIGIT_ERROR = 0.45;
+const MAX_GUARD_ERROR = 0.7;
+const SCAN_LINES = 15;
+
+export const SUPPORTED_FORMATS = ['ean_13', 'upc_a', 'ean_8'];
+
+/**
+ * Validate the GTIN check digit of an EAN-8, UPC-A or EAN-13 code
+ */
+export function isValidGtinChecksum(code) {
+  if (!/^\d{8}$|^\d{12,13}$/.test(code)) return false;
+
+  const digits = code.split('').map(Number);
+  const check = digits.pop();
+  const sum = digits
+    .reverse()
+    .reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 3 : 1), 0);
+
+  return (10 - (sum % 10)) % 10 === check;
+}
+
+/**
+ * Convert RGBA pixel data to a luminance array
+ */
+function toGrayscale({ data, width, height }) {
+  const gray = new Uint8ClampedArray(width * height);
+  for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+    gray[i] = (data[p] * 299 + data[p + 1] * 587 + data[p + 2] * 114) / 1000;
+  }
+  return gray;
+}
+
+/**
+ * Binarize one pixel row and return its run lengths, starting with the first dark run
+ */
+function getRowRuns(gray, width, y) {
+  const offset = y * width;
+  let min = 255;
+  let max = 0;
+  for (let x = 0; x < width; x++) {
+    const value = gray[offset + x];
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+
+  // Flat rows (blank paper, blurred frames) carry no bars
+  if (max - min < 40) return [];
+
+  const threshold = (min + max) / 2;
+  const runs = [];
+  let current = null;
+  let length = 0;
+
+  for (let x = 0; x < width; x++) {
+    const isDark = gray[offset + x] < threshold;
+    if (current === null) {
+      if (!isDark) continue;
+      current = true;
+    }
+    if (isDark === current) {
+      length++;
+    } else {
+      runs.push(length);
+      current = isDark;
+      length = 1;
+    }
+  }
+  if (length > 0) runs.push(length);
+
+  return runs;
+}
+
+/**
+ * Check a guard pattern of single-module runs, returns the module width or null
+ */
+function matchGuard(runs, start, count) {
+  if (start < 0 || start + count > runs.length) return null;
+
+  const slice = runs.slice(start, start + count);
+  const module = slice.reduce((sum, width) => sum + width, 0) / count;
+  const fits = slice.every(width => Math.abs(width / module - 1) < MAX_GUARD_ERROR);
+
+  return fits ? module : null;
+}
+
+/**
+ * Match four runs against a set of digit patterns, returns { digit, error } or null
+ */
+function matchDigit(runs, start, patterns) {
+  const slice = runs.slice(start, start + 4);
+  if (slice.length < 4) return null;
+
+  const module = slice.reduce((sum, width) => sum + width, 0) / 7;
+  let best = null;
+
+  patterns.forEach((pattern, digit) => {
+    const error = slice.reduce((sum, width, i) => sum + Math.abs(width / module - pattern[i]), 0) / 4;
+    if (!best || error < best.error) best = { digit, error };
+  });
+
+  return best && best.error < MAX_DIGIT_ERROR ? best : null;
+}
+
+/**
+ * Decode a left-half digit that may be L- or G-encoded
+ */
+function matchLeftDigit(runs, start) {
+  const l = matchDigit(runs, start, L_PATTERNS);
+  const g = matchDigit(runs, start, G_PATTERNS);
+  if (l && (!g || l.error <= g.error)) return { digit: l.digit, parity: 'L' };
+  if (g) return { digit: g.digit, parity: 'G' };
+  return null;
+}
+
+/**
+ * Try to decode an EAN-13 symbol whose start guard begins at run index `start`
+ */
+function decodeEan13At(runs, start) {
+  if (!matchGuard(runs, start, 3)) return null;
+
+  let position = start + 3;
+  let parity = '';
+  const digits = [];
+
+  for (let i = 0; i < 6; i++, position += 4) {
+    const match = matchLeftDigit(runs, position);
+    if (!match) return null;
+    digits.push(match.digit);
+    parity += match.parity;
+  }
+
+  if (!matchGuard(runs, position, 5)) return null;
+  position += 5;
+
+  for (let i = 0; i < 6; i++, position += 4) {
+    const match = matchDigit(runs, position, L_PATTERNS);
+    if (!match) return null;
+    digits.push(match.digit);
+  }
+
+  if (!matchGuard(runs, position, 3)) return null;
+
+  const firstDigit = FIRST_DIGIT_PARITY.indexOf(parity);
+  if (firstDigit === -1) return null;
+
+  const code = `${firstDigit}${digits.join('')}`;
+  if (!isValidGtinChecksum(code)) return null;
+
+  // UPC-A is an EAN-13 with a leading zero
+  return firstDigit === 0
+    ? { format: 'upc_a', rawValue: code.slice(1) }
+    : { format: 'ean_13', rawValue: code };
+}
+
+/**
+ * Try to decode an EAN-8 symbol whose start guard begins at run index `start`
+ */
+function decodeEan8At(runs, start) {
+  if (!matchGuard(runs, start, 3)) return null;
+
+  let position = start + 3;
+  const digits = [];
+
+  for (let i = 0; i < 4; i++, position += 4) {
+    const match = matchDigit(runs, position, L_PATTERNS);
+    if (!match) return null;
+    digits.push(match.digit);
+  }
+
+  if (!matchGuard(runs, position, 5)) return null;
+  position += 5;
+
+  for (let i = 0; i < 4; i++, position += 4) {
+    const match = matchDigit(runs, position, L_PATTERNS);
+    if (!match) return null;
+    digits.push(match.digit);
+  }
+
+  if (!matchGuard(runs, position, 3)) return null;
+
+  const code = digits.join('');
+  return isValidGtinChecksum(code) ? { format: 'ean_8', rawValue: code } : null;
+}
+
+/**
+ * Match runs against one Code 128 pattern (six runs, or seven for the stop),
+ * returns the average error per run
+ */
+function code128Error(runs, start, widths) {
+  const slice = runs.slice(start, start + widths.length);
+  if (slice.length < widths.length) return Infinity;
+
+  const modules = widths.reduce((sum, width) => sum + width, 0);
+  const module = slice.reduce((sum, width) => sum + width, 0) / modules;
+  return slice.reduce((sum, width, i) => sum + Math.abs(width / module - widths[i]), 0) / widths.length;
+}
+
+/**
+ * Closest Code 128 symbol for the six runs at `start`, as { value, error }
+ */
+function matchCode128Symbol(runs, start) {
+  let best = null;
+  CODE128_WIDTHS.forEach((widths, value) => {
+    if (value === STOP) return;
+    const error = code128Error(runs, start, widths);
+    if (!best || error < best.error) best = { value, error };
+  });
+  return best;
+}
+
+/**
+ * Try to decode a Code 128 symbol starting at run index `start`. Only code
+ * set B is read, which is what PantryPal labels use.
+ */
+function decodeCode128At(runs, start) {
+  const first = matchCode128Symbol(runs, start);
+  if (first.value !== START_B || first.error >= MAX_DIGIT_ERROR) return null;
+
+  const values = [];
+  for (let position = start + 6; position + 7 <= runs.length; position += 6) {
+    // A symbol followed by a bar can look like the stop pattern; take the closer match
+    const symbol = matchCode128Symbol(runs, position);
+    const stopError = code128Error(runs, position, CODE128_WIDTHS[STOP]);
+    if (stopError < MAX_DIGIT_ERROR && stopError < symbol.error) {
+      const checksum = values.pop();
+      if (values.length === 0) return null;
+      const expected = values.reduce((sum, value, i) => sum + value * (i + 1), START_B) % 103;
+      if (checksum !== expected || values.some(value => value > 94)) return null;
+      return { format: 'code_128', rawValue: String.fromCharCode(...values.map(value => value + 32)) };
+    }
+    if (symbol.error >= MAX_DIGIT_ERROR) return null;
+    values.push(symbol.value);
+  }
+
+  return null;
+}
+
+/**
+ * Decode the first symbol found in a run-length encoded scan line
+ */
+function decodeRuns(runs, formats) {
+  const wantsEan13 = formats.includes('ean_13') || formats.includes('upc_a');
+  const wantsEan8 = formats.includes('ean_8');
+  const wantsCode128 = formats.includes('code_128');
+
+  // Symbols always start with a bar, which sits at even run indices
+  for (let start = 0; start < runs.length; start += 2) {
+    if (wantsEan13 && start + 59 <= runs.length) {
+      const result = decodeEan13At(runs, start);
+      if (result && formats.includes(result.format)) return result;
+    }
+    if (wantsEan8 && start + 43 <= runs.length) {
+      const result = decodeEan8At(runs, start);
+      if (result) return result;
+    }
+    if (wantsCode128 && start + 25 <= runs.length) {
+      const result = decodeCode128At(runs, start);
+      if (result) return result;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Decode a barcode from ImageData-like input ({ data, width, height }).
+ * Scans several horizontal lines in both directions and returns the most
+ * common valid result as { format, rawValue }, or null if nothing was found.
+ */
+export function decodeImageData(imageData, { formats = SUPPORTED_FORMATS } = {}) {
+  const { width, height } = imageData;
+  if (!width || !height) return null;
+
+  const gray = toGrayscale(imageData);
+  const votes = new Map();
+
+  for (let line = 1; line <= SCAN_LINES; line++) {
+    const y = Math.floor((height * line) / (SCAN_LINES + 1));
+    const runs = getRowRuns(gray, width, y);
+    if (runs.length < 25) continue;
+
+    // Try the row as-is and mirrored, for upside-down barcodes
+    const reversed = runs.length % 2 === 1 ? [...runs].reverse() : [...runs].reverse().slice(1);
+    const result = decodeRuns(runs, formats) || decodeRuns(reversed, formats);
+
+    if (result) {
+      const key = `${result.format}:${result.rawValue}`;
+      const entry = votes.get(key) || { ...result, count: 0 };
+      entry.count++;
+      votes.set(key, entry);
+    }
+  }
+
+  let best = null;
+  votes.forEach(entry => {
+    if (!best || entry.count > best.count) best = entry;
+  });
+
+  return best ? { format: best.format, rawValue: best.rawValue } : null;
+}
+
+/**
+ * Decode a barcode from an image, video frame or canvas (browser only)
+ */
+export function decodeImageSource(source, options = {}) {
+  const width = source.videoWidth || source.naturalWidth || source.width;
+  const height = source.videoHeight || source.naturalHeight || source.height;
+  if (!width || !height) return null;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(source, 0, 0, width, height);
+
+  return decodeImageData(context.getImageData(0, 0, width, height), options);
+}
+
+/**
+ * Load an image File/Blob and decode the barcode in it (browser only)
+ */
+export function decodeImageFile(file, options = {}) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+
+    image.onload = () => {
+      try {
+        resolve(decodeImageSource(image, options));
+      } catch (error) {
+        reject(error);
+      } finally {
+        URL.revokeObjectURL(url);
+      }
+    };
+
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Failed to load image'));
+    };
+
+    image.src = url;
+  });
+}
+
+export default {
+  SUPPORTED_FORMATS,
+  isValidGtinChecksum,
+  decodeImageData,
+  decodeImageSource,
+  decodeImageFile,
+};
@@ -0,0 +1,130 @@
+// CSV reading and writing (RFC 4180)
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings).
+ * Handles quoted fields with commas, newlines and doubled quotes,
+ * CRLF or LF line endings, and a leading byte order mark.
+ */
+export function parseCSV(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i += 2;
+          continue;
+        }
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\r' || char === '\n') {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+      if (char === '\r' && text[i + 1] === '\n') i++;
+    } else {
+      field += char;
+    }
+    i++;
+  }
+
+  if (inQuotes) {
+    throw new Error('CSV has an unclosed quoted field');
+  }
+
+  // Last line without a trailing newline
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines carry no data
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Quote a value if it contains a delimiter, quote or line break
+ */
+export function escapeCSV(value) {
+  if (value === null || value === undefined) return '';
+
+  const str = String(value);
+  if (/[",\r\n]/.test(str)) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+}
+
+/**
+ * Turn an array of rows into CSV text
+ */
+export function toCSV(rows) {
+  return rows.map(row => row.map(escapeCSV).join(',')).join('\r\n');
+}
+
+/**
+ * Save rows as a CSV file
+ */
+export function downloadCSV(rows, filename) {
+  const blob = new Blob([toCSV(rows)], { type: 'text/csv;charset=utf-8;' });
+  const link = document.createElement('a');
+  const url = URL.createObjectURL(blob);
+
+  link.setAttribute('href', url);
+  link.setAttribute('download', filename);
+  link.style.visibility = 'hidden';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Read a File as text and parse it
+ */
+export function readCSVFile(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+
+    reader.onload = (e) => {
+      try {
+        resolve(parseCSV(e.target.result));
+      } catch (error) {
+        reject(error);
+      }
+    };
+
+    reader.onerror = () => {
+      reject(new Error('Failed to read file'));
+    };
+
+    reader.readAsText(file);
+  });
+}
+
+export default {
+  parseCSV,
+  escapeCSV,
+  toCSV,
+  downloadCSV,
+  readCSVFile,
+};
@@ -0,0 +1,115 @@
+// Import planning: map source columns to item fields, validate every row,
+// and work out what an import would do before anything is written
+
+import { validateItem } from './validators';
+
+/**
+ * Item fields a column can be mapped to, with header names we recognize
+ */
+export const IMPORT_FIELDS = [
+  { key: 'name', label: 'Name', required: true, aliases: ['name', 'item', 'product', 'item name', 'product name'] },
+  { key: 'brand', label: 'Brand', aliases: ['brand', 'manufacturer', 'maker'] },
+  { key: 'barcode', label: 'Barcode', aliases: ['barcode', 'upc', 'ean', 'gtin', 'code'] },
+  { key: 'quantity', label: 'Quantity', aliases: ['quantity', 'qty', 'amount', 'count'] },
+  { key: 'location', label: 'Location', aliases: ['location', 'place', 'where', 'storage'] },
+  { key: 'category', label: 'Category', aliases: ['category', 'type', 'cat', 'group', 'product group'] },
+  { key: 'expiry_date', label: 'Expiry Date', aliases: ['expiry date', 'expiry', 'exp date', 'expires', 'expiration', 'expiration date', 'best before', 'best before date', 'next due date', 'due date', 'use by'] },
+  { key: 'notes', label: 'Notes', aliases: ['notes', 'note', 'description', 'desc', 'comments', 'product description'] },
+];
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[_.-]/g, ' ').replace(/\s+/g, ' ').trim();
+
+/**
+ * Guess which column feeds each field; returns { field: columnIndex }
+ */
+export function guessColumnMapping(headers) {
+  const normalized = headers.map(normalizeHeader);
+  const mapping = {};
+  IMPORT_FIELDS.forEach(field => {
+    const index = normalized.findIndex((header, i) =>
+      field.aliases.includes(header) && !Object.values(mapping).includes(i)
+    );
+    if (index !== -1) mapping[field.key] = index;
+  });
+  return mapping;
+}
+
+// Spreadsheets and other apps spell "no expiry date" in various ways
+const NO_DATE = /^(never|none|n\/a|-+)$/i;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Dates go to the API as YYYY-MM-DD; anything else the browser can read is converted
+ */
+function normalizeDate(value) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return value; // left as-is so validation reports it
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function rowToItem(row, mapping, defaults) {
+  const value = (field) => (mapping[field] === undefined ? '' : (row[mapping[field]] || '').trim());
+  const quantity = value('quantity');
+  const expiry = NO_DATE.test(value('expiry_date')) ? '' : value('expiry_date');
+
+  return {
+    name: value('name'),
+    brand: value('brand') || null,
+    barcode: value('barcode') || null,
+    quantity: quantity === '' ? 1 : Number(quantity),
+    location: value('location') || defaults.location,
+    category: value('category') || defaults.category,
+    expiry_date: expiry ? normalizeDate(expiry) : null,
+    notes: value('notes') || null,
+  };
+}
+
+/**
+ * Dry run: one entry per data row, saying whether it would be created, skipped or rejected.
+ * Row numbers count the header as row 1, like a spreadsheet.
+ */
+export function planImport(rows, mapping, { existingItems = [], skipDuplicates = true, defaults } = {}) {
+  const knownBarcodes = new Set(existingItems.map(item => item.barcode).filter(Boolean));
+  const fileBarcodes = new Set();
+
+  return rows.map((row, index) => {
+    const entry = { rowNumber: index + 2, row };
+    const item = rowToItem(row, mapping, defaults);
+    const { isValid, errors, warnings } = validateItem(item);
+
+    if (!isValid) {
+      return { ...entry, status: 'error', item, errors: Object.values(errors), warnings: Object.values(warnings) };
+    }
+    if (skipDuplicates && item.barcode && knownBarcodes.has(item.barcode)) {
+      return { ...entry, status: 'skip', item, reason: 'Barcode already in inventory' };
+    }
+    if (skipDuplicates && item.barcode && fileBarcodes.has(item.barcode)) {
+      return { ...entry, status: 'skip', item, reason: 'Barcode repeated earlier in the file' };
+    }
+    if (item.barcode) fileBarcodes.add(item.barcode);
+    return { ...entry, status: 'create', item, warnings: Object.values(warnings) };
+  });
+}
+
+/**
+ * Failed rows as they appeared in the source file, plus an Error column,
+ * so they can be fixed and imported again
+ */
+export function failedRowsToCSVRows(headers, entries) {
+  return [
+    [...headers, 'Error'],
+    ...entries.map(entry => [
+      ...headers.map((_header, i) => entry.row[i] ?? ''),
+      entry.errors.join('; '),
+    ]),
+  ];
+}
+
+export default {
+  IMPORT_FIELDS,
+  guessColumnMapping,
+  planImport,
+  failedRowsToCSVRows,
+};
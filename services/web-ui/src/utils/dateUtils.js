@@ -1,4 +1,13 @@
 // Date utility functions for PantryPal
+import { getExpiryThresholds } from './expiryRules';
+
+// What an item's expiry date means. Use by is a safety limit; best before is
+// only about quality, so items past it are "past best" rather than expired.
+// Items without a date type are treated as use by.
+export const DATE_TYPES = {
+  use_by: 'Use by',
+  best_before: 'Best before',
+};
 
 /**
  * Format date to readable string
@@ -30,28 +39,62 @@ export function getDaysUntilExpiry(expiryDate) {
 }
 
 /**
- * Get expiry status (good, warning, critical, expired)
+ * Get the date an item actually has to be used by: the printed expiry date, or
+ * the date its after-opening shelf life runs out if that comes first
+ */
+export function getEffectiveExpiry(item) {
+  const dates = [item?.expiry_date, item?.opened_expiry_date].filter(Boolean);
+  if (dates.length === 0) return null;
+  return dates.reduce((earliest, date) => (date < earliest ? date : earliest));
+}
+
+/**
+ * Whether the date an item has to be used by is an estimate from the
+ * shelf-life table rather than a date printed on the pack
  */
-export function getExpiryStatus(expiryDate) {
+export function isEstimatedExpiry(item) {
+  return !!item?.expiry_estimated && getEffectiveExpiry(item) === item.expiry_date;
+}
+
+/**
+ * Whether an item's effective expiry date is an advisory best-before date. The
+ * use-by date after opening is always strict, so once it has passed this is false.
+ */
+export function isBestBefore(item) {
+  if (item?.date_type !== 'best_before' || getEffectiveExpiry(item) !== item.expiry_date) return false;
+  return !item.opened_expiry_date || getDaysUntilExpiry(item.opened_expiry_date) >= 0;
+}
+
+/**
+ * Get expiry status (good, warning, critical, past_best, expired) of an item, using
+ * the expiry thresholds for its category. Every status shown in the UI comes from here.
+ */
+export function getExpiryStatus(item) {
+  const expiryDate = getEffectiveExpiry(item);
   if (!expiryDate) return 'none';
   
   const days = getDaysUntilExpiry(expiryDate);
+  const { critical_days, warning_days } = getExpiryThresholds(item.category);
   
-  if (days < 0) return 'expired';
-  if (days === 0) return 'critical';
-  if (days <= 3) return 'critical';
-  if (days <= 7) return 'warning';
+  if (days < 0) return isBestBefore(item) ? 'past_best' : 'expired';
+  if (days <= critical_days) return 'critical';
+  if (days <= warning_days) return 'warning';
   return 'good';
 }
 
 /**
- * Get expiry badge text
+ * Get an item's expiry badge text, worded for best-before or use-by dates
  */
-export function getExpiryBadgeText(expiryDate) {
+export function getExpiryBadgeText(item) {
+  const expiryDate = getEffectiveExpiry(item);
   if (!expiryDate) return 'No expiry';
   
   const days = getDaysUntilExpiry(expiryDate);
   
+  if (isBestBefore(item)) {
+    if (days < 0) return `Past best by ${Math.abs(days)} day${days === -1 ? '' : 's'}`;
+    if (days === 0) return 'Best before today';
+  }
   if (days < 0) return `Expired ${Math.abs(days)} days ago`;
   if (days === 0) return 'Expires today!';
   if (days === 1) return 'Expires tomorrow';
@@ -61,15 +104,16 @@ export function getExpiryBadgeText(expiryDate) {
 }
 
 /**
- * Get expiry color based on status
+ * Get an item's expiry color based on its status
  */
-export function getExpiryColor(expiryDate) {
-  const status = getExpiryStatus(expiryDate);
+export function getExpiryColor(item) {
+  const status = getExpiryStatus(item);
   
   const colors = {
     none: '#6b7280',      // Gray
     good: '#10b981',      // Green
     warning: '#f59e0b',   // Amber
+    past_best: '#d97706', // Dark amber
     critical: '#ef4444',  // Red
     expired: '#7f1d1d',   // Dark red
   };
@@ -100,13 +144,22 @@ export function isValidDate(dateString) {
   return date instanceof Date && !isNaN(date);
 }
 
+/**
+ * Parse a server timestamp (naive ISO strings from the API are UTC)
+ */
+export function parseTimestamp(dateString) {
+  if (!dateString) return null;
+  const hasTimezone = /(Z|[+-]\d{2}:?\d{2})$/.test(dateString);
+  return new Date(dateString.includes('T') && !hasTimezone ? `${dateString}Z` : dateString);
+}
+
 /**
  * Get relative time string (e.g., "2 hours ago", "in 3 days")
  */
 export function getRelativeTime(dateString) {
   if (!dateString) return '';
   
-  const date = new Date(dateString);
+  const date = parseTimestamp(dateString);
   const now = new Date();
   const diffMs = now - date;
   const diffMins = Math.floor(diffMs / 60000);
@@ -122,18 +175,31 @@ export function getRelativeTime(dateString) {
   return formatDate(dateString);
 }
 
+/**
+ * How long an item has been in the freezer (e.g. "Frozen 12 days ago"), or '' if it isn't frozen
+ */
+export function getFrozenText(item) {
+  if (!item?.frozen_date) return '';
+  const days = -getDaysUntilExpiry(item.frozen_date);
+  if (days <= 0) return 'Frozen today';
+  if (days === 1) return 'Frozen yesterday';
+  return `Frozen ${days} days ago`;
+}
+
 /**
  * Sort items by expiry date
  */
 export function sortByExpiry(items, ascending = true) {
   return [...items].sort((a, b) => {
+    const expiryA = getEffectiveExpiry(a);
+    const expiryB = getEffectiveExpiry(b);
     // Items without expiry go to the end
-    if (!a.expiry_date && !b.expiry_date) return 0;
-    if (!a.expiry_date) return 1;
-    if (!b.expiry_date) return -1;
+    if (!expiryA && !expiryB) return 0;
+    if (!expiryA) return 1;
+    if (!expiryB) return -1;
     
-    const dateA = new Date(a.expiry_date);
-    const dateB = new Date(b.expiry_date);
+    const dateA = new Date(expiryA);
+    const dateB = new Date(expiryB);
     
     return ascending ? dateA - dateB : dateB - dateA;
   });
@@ -145,7 +211,7 @@ export function sortByExpiry(items, ascending = true) {
 export function filterByExpiryStatus(items, status) {
   if (status === 'all') return items;
   
-  return items.filter(item => getExpiryStatus(item.expiry_date) === status);
+  return items.filter(item => getExpiryStatus(item) === status);
 }
 
 /**
@@ -153,8 +219,9 @@ export function filterByExpiryStatus(items, status) {
  */
 export function getExpiringWithinDays(items, days) {
   return items.filter(item => {
-    if (!item.expiry_date) return false;
-    const daysUntil = getDaysUntilExpiry(item.expiry_date);
+    const expiryDate = getEffectiveExpiry(item);
+    if (!expiryDate) return false;
+    const daysUntil = getDaysUntilExpiry(expiryDate);
     return daysUntil >= 0 && daysUntil <= days;
   });
 }
@@ -162,12 +229,17 @@ export function getExpiringWithinDays(items, days) {
 export default {
   formatDate,
   getDaysUntilExpiry,
+  getEffectiveExpiry,
+  isEstimatedExpiry,
+  isBestBefore,
   getExpiryStatus,
   getExpiryBadgeText,
   getExpiryColor,
   formatDateForInput,
   isValidDate,
+  parseTimestamp,
   getRelativeTime,
+  getFrozenText,
   sortByExpiry,
   filterByExpiryStatus,
   getExpiringWithinDays,
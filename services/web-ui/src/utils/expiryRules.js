@@ -0,0 +1,64 @@
+// Expiry thresholds: how many days before its expiry date an item counts as
+// critical or warning. The server stores them (per user when logged in, else
+// for the household); per-category rules override the default rule.
+
+export const DEFAULT_EXPIRY_RULE = { category: null, critical_days: 3, warning_days: 7 };
+export const MAX_THRESHOLD_DAYS = 365;
+
+let state = { scope: 'household', rules: [DEFAULT_EXPIRY_RULE] };
+const listeners = new Set();
+
+/**
+ * Current rules, { scope, rules } as returned by the API
+ */
+export function getExpiryRules() {
+  return state;
+}
+
+/**
+ * Replace the rules everywhere in the app
+ */
+export function setExpiryRules(next) {
+  state = next?.rules?.length ? next : { scope: 'household', rules: [DEFAULT_EXPIRY_RULE] };
+  listeners.forEach(listener => listener());
+}
+
+export function subscribeExpiryRules(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Thresholds for a category: its own rule, else the default rule
+ */
+export function getExpiryThresholds(category) {
+  return state.rules.find(rule => rule.category && rule.category === category)
+    || state.rules.find(rule => !rule.category)
+    || DEFAULT_EXPIRY_RULE;
+}
+
+/**
+ * Same checks as the server; returns an error message or null
+ */
+export function validateExpiryRules(rules) {
+  const seen = new Set();
+  for (const rule of rules) {
+    const name = rule.category || 'Default';
+    if (seen.has(rule.category || null)) return `${name} has more than one rule`;
+    seen.add(rule.category || null);
+    if (!Number.isInteger(rule.critical_days) || !Number.isInteger(rule.warning_days)) return `${name}: enter whole days`;
+    if (rule.critical_days < 0 || rule.warning_days > MAX_THRESHOLD_DAYS) return `${name}: thresholds must be between 0 and ${MAX_THRESHOLD_DAYS} days`;
+    if (rule.warning_days < rule.critical_days) return `${name}: warning must be at least as long as critical`;
+  }
+  return null;
+}
+
+export default {
+  DEFAULT_EXPIRY_RULE,
+  MAX_THRESHOLD_DAYS,
+  getExpiryRules,
+  setExpiryRules,
+  subscribeExpiryRules,
+  getExpiryThresholds,
+  validateExpiryRules,
+};
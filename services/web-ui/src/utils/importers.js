@@ -0,0 +1,142 @@
+// Importers for files from other tools. Every format is turned into a table
+// ({ headers, rows }) so it goes through the same column mapping and dry run.
+
+import { parseCSV, readCSVFile } from './csv';
+import { readXLSXFile } from './xlsx';
+
+// Grocy stores "never expires" as this date
+const GROCY_NEVER_EXPIRES = '2999-12-31';
+
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, dozen: 12 };
+
+const readText = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = (e) => resolve(e.target.result);
+  reader.onerror = () => reject(new Error('Failed to read file'));
+  reader.readAsText(file);
+});
+
+const tableFromRows = (rows, source) => ({
+  headers: rows[0].map(header => header.trim()),
+  rows: rows.slice(1),
+  source,
+});
+
+/**
+ * Parse one line of a shopping-style list: "2x canned tomatoes", "Milk x 3",
+ * "- 6 eggs", "Bread (2)", "a dozen eggs". Returns null for blank lines and headings.
+ */
+export function parseListLine(line) {
+  let text = line
+    .replace(/^\s*(?:[-*•·]|\d+[.)]|\[[ xX]?\])\s+/, '') // bullets, numbering, checkboxes
+    .trim();
+  if (!text || text.endsWith(':')) return null;
+
+  let quantity = 1;
+  let match;
+  if ((match = text.match(/^(\d+)\s*(?:x|×|pcs?\.?|pieces?)?\s+(.+)$/i))) {
+    quantity = parseInt(match[1]);
+    text = match[2];
+  } else if ((match = text.match(/^(.+?)\s*(?:[x×]\s*(\d+)|\((\d+)\)|:\s*(\d+))$/i))) {
+    quantity = parseInt(match[2] || match[3] || match[4]);
+    text = match[1];
+  } else if ((match = text.match(/^(a|an|one|two|three|four|five|six|seven|eight|nine|ten)\s+(dozen\s+)?(.+)$/i))) {
+    quantity = NUMBER_WORDS[match[1].toLowerCase()] * (match[2] ? 12 : 1);
+    text = match[3];
+  } else if ((match = text.match(/^dozen\s+(.+)$/i))) {
+    quantity = 12;
+    text = match[1];
+  }
+
+  const name = text.replace(/^of\s+/i, '').trim();
+  return name ? { name, quantity } : null;
+}
+
+/**
+ * Plain-text list, one item per line
+ */
+export function parsePlainTextList(text) {
+  const rows = text.split(/\r?\n/)
+    .map(parseListLine)
+    .filter(Boolean)
+    .map(({ name, quantity }) => [name, String(quantity)]);
+  return { headers: ['Name', 'Quantity'], rows, source: 'Text list' };
+}
+
+// { product: { name: 'Milk' } } -> { 'product.name': 'Milk' }
+function flatten(object, prefix = '', out = {}) {
+  Object.entries(object || {}).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) flatten(value, path, out);
+    else if (!Array.isArray(value)) out[path] = value;
+  });
+  return out;
+}
+
+/**
+ * Grocy JSON: the /api/stock response (entries with a nested product) or a
+ * plain array of product/stock objects. Grocy refers to locations and product
+ * groups by id only, so those columns are left out; pick defaults when mapping.
+ */
+export function parseGrocyJSON(data) {
+  const entries = Array.isArray(data) ? data : Array.isArray(data?.stock) ? data.stock : null;
+  if (!entries || entries.length === 0) throw new Error('No stock entries found in this JSON file');
+
+  const flattened = entries.map(entry => {
+    const flat = flatten(entry);
+    if (flat.best_before_date === GROCY_NEVER_EXPIRES) flat.best_before_date = '';
+    return flat;
+  });
+  const headers = [...new Set(flattened.flatMap(Object.keys))]
+    .filter(key => !/(^|\.)(id|.*_id|row_created_timestamp)$/.test(key));
+  const rows = flattened.map(flat => headers.map(key => (flat[key] === null || flat[key] === undefined ? '' : String(flat[key]))));
+  return { headers, rows, source: 'Grocy' };
+}
+
+/**
+ * Read any supported file into a table. Grocy CSV exports are plain CSV and
+ * are recognized by their column names during mapping.
+ */
+export async function readImportFile(file) {
+  const extension = file.name.split('.').pop().toLowerCase();
+
+  if (extension === 'xlsx') {
+    const rows = await readXLSXFile(file);
+    if (rows.length < 2) throw new Error('The first sheet needs a header row and at least one item');
+    return tableFromRows(rows, 'Spreadsheet');
+  }
+  if (extension === 'json') {
+    let data;
+    try {
+      data = JSON.parse(await readText(file));
+    } catch {
+      throw new Error('File is not valid JSON');
+    }
+    if (data?.format === 'pantrypal-backup') throw new Error('This is a PantryPal backup; use Restore from Backup instead');
+    return parseGrocyJSON(data);
+  }
+  if (extension === 'txt' || extension === 'md') {
+    const table = parsePlainTextList(await readText(file));
+    if (table.rows.length === 0) throw new Error('No items found in this list');
+    return table;
+  }
+  if (extension === 'tsv') {
+    const rows = parseCSV(await readText(file), '\t');
+    if (rows.length < 2) throw new Error('File needs a header row and at least one item');
+    return tableFromRows(rows, 'TSV');
+  }
+
+  const rows = await readCSVFile(file);
+  if (rows.length < 2) throw new Error('CSV file needs a header row and at least one item');
+  return tableFromRows(rows, 'CSV');
+}
+
+export const IMPORT_FILE_TYPES = '.csv,.tsv,.xlsx,.json,.txt,.md,text/csv,text/plain,application/json';
+
+export default {
+  IMPORT_FILE_TYPES,
+  parseListLine,
+  parsePlainTextList,
+  parseGrocyJSON,
+  readImportFile,
+};
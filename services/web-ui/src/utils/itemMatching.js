@@ -0,0 +1,44 @@
+// Utilities for spotting items that are already in the inventory
+
+/**
+ * Normalize an item name for comparison ("Tomato  Sauce!" -> "tomato sauce")
+ */
+export function normalizeItemName(name) {
+  if (!name) return '';
+  return name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Normalize a barcode so UPC-A and its zero-padded EAN-13 form compare equal
+ */
+export function normalizeBarcode(barcode) {
+  if (!barcode) return '';
+  const digits = String(barcode).replace(/[\s-]/g, '');
+  return digits.length === 13 && digits.startsWith('0') ? digits.slice(1) : digits;
+}
+
+/**
+ * Find inventory items with the same barcode or normalized name
+ */
+export function findMatchingItems(items, { barcode, name }, excludeId = null) {
+  const targetBarcode = normalizeBarcode(barcode);
+  const targetName = normalizeItemName(name);
+  if (!targetBarcode && !targetName) return [];
+
+  return items.filter(item => {
+    if (excludeId != null && item.id === excludeId) return false;
+    if (targetBarcode && normalizeBarcode(item.barcode) === targetBarcode) return true;
+    return !!targetName && normalizeItemName(item.name) === targetName;
+  });
+}
+
+export default {
+  normalizeItemName,
+  normalizeBarcode,
+  findMatchingItems,
+};
@@ -0,0 +1,137 @@
+// Printable item labels: sticker sheet layouts, label codes, and laying
+// labels out on sheets. Rendering lives in pages/LabelsPage.jsx.
+
+import { formatDate } from './dateUtils';
+import { SUPPORTED_FORMATS } from './barcodeDecoder';
+
+const inch = (value) => value * 25.4;
+
+/**
+ * Common sticker sheets. All sizes in millimetres: page, label, first label's
+ * top-left corner, and the gaps between labels.
+ */
+export const LABEL_LAYOUTS = {
+  avery5160: {
+    label: 'Avery 5160 · 1" × 2⅝", 30 per Letter sheet',
+    page: { width: inch(8.5), height: inch(11) },
+    columns: 3, rows: 10,
+    width: inch(2.625), height: inch(1),
+    top: inch(0.5), left: inch(0.1875), columnGap: inch(0.125), rowGap: 0,
+  },
+  avery5167: {
+    label: 'Avery 5167 · ½" × 1¾", 80 per Letter sheet',
+    page: { width: inch(8.5), height: inch(11) },
+    columns: 4, rows: 20,
+    width: inch(1.75), height: inch(0.5),
+    top: inch(0.5), left: inch(0.3), columnGap: inch(0.3), rowGap: 0,
+  },
+  avery5163: {
+    label: 'Avery 5163 · 2" × 4", 10 per Letter sheet',
+    page: { width: inch(8.5), height: inch(11) },
+    columns: 2, rows: 5,
+    width: inch(4), height: inch(2),
+    top: inch(0.5), left: inch(0.156), columnGap: inch(0.188), rowGap: 0,
+  },
+  l7160: {
+    label: 'Avery L7160 · 63.5 × 38.1 mm, 21 per A4 sheet',
+    page: { width: 210, height: 297 },
+    columns: 3, rows: 7,
+    width: 63.5, height: 38.1,
+    top: 15.15, left: 7.25, columnGap: 2.5, rowGap: 0,
+  },
+  l7163: {
+    label: 'Avery L7163 · 99.1 × 38.1 mm, 14 per A4 sheet',
+    page: { width: 210, height: 297 },
+    columns: 2, rows: 7,
+    width: 99.1, height: 38.1,
+    top: 15.15, left: 4.65, columnGap: 2.5, rowGap: 0,
+  },
+  l7651: {
+    label: 'Avery L7651 · 38.1 × 21.2 mm, 65 per A4 sheet',
+    page: { width: 210, height: 297 },
+    columns: 5, rows: 13,
+    width: 38.1, height: 21.2,
+    top: 10.7, left: 4.65, columnGap: 2.5, rowGap: 0,
+  },
+};
+
+export const SYMBOLOGIES = {
+  qr: { label: 'QR code', description: 'Opens the item from any phone camera, too' },
+  code128: { label: 'Barcode (Code 128)', description: 'For handheld barcode scanners' },
+};
+
+// Product barcodes plus both label symbologies
+export const LABEL_SCAN_FORMATS = [...SUPPORTED_FORMATS, 'code_128', 'qr_code'];
+
+// Crockford base32, as generated by the inventory service
+const LABEL_CODE_PATTERN = /PP-[0-9A-HJKMNP-TV-Z]{8}/i;
+
+/**
+ * Find a PantryPal label code in scanned text (a bare code or a /scan/ link)
+ */
+export function parseLabelCode(text) {
+  const match = String(text || '').match(LABEL_CODE_PATTERN);
+  return match ? match[0].toUpperCase() : null;
+}
+
+/**
+ * Link encoded in QR labels; scanning it with a phone opens the item
+ */
+export const labelUrl = (code) => `${window.location.origin}/scan/${code}`;
+
+/**
+ * Text lines printed next to the code
+ */
+export function labelText(item) {
+  return {
+    name: item.name,
+    date: item.expiry_date ? `${item.date_type === 'best_before' ? 'Best before' : 'Exp'} ${formatDate(item.expiry_date)}` : `Added ${formatDate(item.added_date)}`,
+    location: item.location || '',
+  };
+}
+
+/**
+ * Place labels on sheets. `skip` leaves the first positions empty so a
+ * partly used sheet can go back in the printer. With copies 'quantity' each
+ * item gets one label per unit in stock. Returns pages of label slots,
+ * where empty slots are null.
+ */
+export function layoutLabels(items, layoutKey, { copies = 'one', skip = 0 } = {}) {
+  const layout = LABEL_LAYOUTS[layoutKey];
+  const perPage = layout.columns * layout.rows;
+  const labels = items.flatMap(item => {
+    const count = copies === 'quantity' ? Math.max(1, item.quantity || 0) : 1;
+    return Array.from({ length: count }, () => item);
+  });
+  if (labels.length === 0) return [];
+
+  const slots = [...new Array(Math.min(skip, perPage - 1)).fill(null), ...labels];
+  const pages = [];
+  for (let start = 0; start < slots.length; start += perPage) {
+    pages.push(slots.slice(start, start + perPage));
+  }
+  return pages;
+}
+
+/**
+ * Top-left corner of a slot on its page, in millimetres
+ */
+export function slotPosition(layout, index) {
+  const column = index % layout.columns;
+  const row = Math.floor(index / layout.columns);
+  return {
+    left: layout.left + column * (layout.width + layout.columnGap),
+    top: layout.top + row * (layout.height + layout.rowGap),
+  };
+}
+
+export default {
+  LABEL_LAYOUTS,
+  SYMBOLOGIES,
+  LABEL_SCAN_FORMATS,
+  parseLabelCode,
+  labelUrl,
+  labelText,
+  layoutLabels,
+  slotPosition,
+};
@@ -0,0 +1,339 @@
+/**
+ * QR code encoder for printing labels: byte mode, error correction level M,
+ * versions 1-10 (up to 213 bytes), which is plenty for a short link.
+ * Follows ISO/IEC 18004; the mask is chosen by the standard penalty rules.
+ */
+
+// Per version: EC codewords per block, and [block count, data codewords] groups
+const VERSIONS = [
+  null,
+  { ec: 10, groups: [[1, 16]], align: [] },
+  { ec: 16, groups: [[1, 28]], align: [6, 18] },
+  { ec: 26, groups: [[1, 44]], align: [6, 22] },
+  { ec: 18, groups: [[2, 32]], align: [6, 26] },
+  { ec: 24, groups: [[2, 43]], align: [6, 30] },
+  { ec: 16, groups: [[4, 27]], align: [6, 34] },
+  { ec: 18, groups: [[4, 31]], align: [6, 22, 38] },
+  { ec: 22, groups: [[2, 38], [2, 39]], align: [6, 24, 42] },
+  { ec: 22, groups: [[3, 36], [2, 37]], align: [6, 26, 46] },
+  { ec: 26, groups: [[4, 43], [1, 44]], align: [6, 28, 50] },
+];
+
+// Format info bits for level M
+const EC_LEVEL_M = 0;
+
+// Required light margin on each side, in modules
+export const QUIET_ZONE = 4;
+
+const dataCapacity = (version) => VERSIONS[version].groups.reduce((sum, [count, size]) => sum + count * size, 0);
+
+// GF(256) arithmetic with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+const EXP = new Uint8Array(512);
+const LOG = new Uint8Array(256);
+for (let i = 0, x = 1; i < 255; i++) {
+  EXP[i] = x;
+  LOG[x] = i;
+  x <<= 1;
+  if (x & 0x100) x ^= 0x11d;
+}
+for (let i = 255; i < 512; i++) EXP[i] = EXP[i - 255];
+
+const gfMultiply = (a, b) => (a === 0 || b === 0 ? 0 : EXP[LOG[a] + LOG[b]]);
+
+/**
+ * Reed-Solomon error correction codewords for one block
+ */
+function reedSolomon(data, ecLength) {
+  // Generator polynomial (x - a^0)(x - a^1)...(x - a^(n-1)), highest term dropped
+  let generator = [1];
+  for (let i = 0; i < ecLength; i++) {
+    const next = new Array(generator.length + 1).fill(0);
+    generator.forEach((coefficient, j) => {
+      next[j] ^= coefficient;
+      next[j + 1] ^= gfMultiply(coefficient, EXP[i]);
+    });
+    generator = next;
+  }
+  generator = generator.slice(1);
+
+  const remainder = new Array(ecLength).fill(0);
+  data.forEach(byte => {
+    const factor = byte ^ remainder.shift();
+    remainder.push(0);
+    generator.forEach((coefficient, j) => {
+      remainder[j] ^= gfMultiply(coefficient, factor);
+    });
+  });
+  return remainder;
+}
+
+/**
+ * Mode indicator, length, data, terminator and padding, as data codewords
+ */
+function buildDataCodewords(bytes, version) {
+  const bits = [];
+  const push = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+
+  push(0b0100, 4);
+  push(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach(byte => push(byte, 8));
+
+  const capacityBits = dataCapacity(version) * 8;
+  push(0, Math.min(4, capacityBits - bits.length));
+  while (bits.length % 8 !== 0) bits.push(0);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  for (let pad = 0xec; codewords.length < dataCapacity(version); pad ^= 0xec ^ 0x11) {
+    codewords.push(pad);
+  }
+  return codewords;
+}
+
+/**
+ * Split into blocks, add error correction and interleave
+ */
+function buildCodewords(dataCodewords, version) {
+  const { ec, groups } = VERSIONS[version];
+  const blocks = [];
+  let offset = 0;
+  groups.forEach(([count, size]) => {
+    for (let i = 0; i < count; i++) {
+      const data = dataCodewords.slice(offset, offset + size);
+      blocks.push({ data, ec: reedSolomon(data, ec) });
+      offset += size;
+    }
+  });
+
+  const result = [];
+  const longest = Math.max(...blocks.map(block => block.data.length));
+  for (let i = 0; i < longest; i++) {
+    blocks.forEach(block => {
+      if (i < block.data.length) result.push(block.data[i]);
+    });
+  }
+  for (let i = 0; i < ec; i++) {
+    blocks.forEach(block => result.push(block.ec[i]));
+  }
+  return result;
+}
+
+// BCH codes protecting the format and version information
+function formatBits(mask) {
+  const data = (EC_LEVEL_M << 3) | mask;
+  let remainder = data;
+  for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+  return ((data << 10) | remainder) ^ 0x5412;
+}
+
+function versionBits(version) {
+  let remainder = version;
+  for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+  return (version << 12) | remainder;
+}
+
+const MASKS = [
+  (row, col) => (row + col) % 2 === 0,
+  (row) => row % 2 === 0,
+  (_row, col) => col % 3 === 0,
+  (row, col) => (row + col) % 3 === 0,
+  (row, col) => (Math.floor(row / 2) + Math.floor(col / 3)) % 2 === 0,
+  (row, col) => ((row * col) % 2) + ((row * col) % 3) === 0,
+  (row, col) => (((row * col) % 2) + ((row * col) % 3)) % 2 === 0,
+  (row, col) => (((row + col) % 2) + ((row * col) % 3)) % 2 === 0,
+];
+
+/**
+ * Module grid with the finder, timing and alignment patterns drawn, and the
+ * format/version areas reserved
+ */
+function buildFunctionPatterns(version) {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+  const set = (row, col, dark) => {
+    modules[row][col] = dark;
+    reserved[row][col] = true;
+  };
+
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+
+  // Finder patterns, including their light separators
+  [[3, 3], [3, size - 4], [size - 4, 3]].forEach(([centerRow, centerCol]) => {
+    for (let dr = -4; dr <= 4; dr++) {
+      for (let dc = -4; dc <= 4; dc++) {
+        const row = centerRow + dr;
+        const col = centerCol + dc;
+        if (row < 0 || row >= size || col < 0 || col >= size) continue;
+        const distance = Math.max(Math.abs(dr), Math.abs(dc));
+        set(row, col, distance !== 2 && distance !== 4);
+      }
+    }
+  });
+
+  const { align } = VERSIONS[version];
+  align.forEach((centerRow, i) => {
+    align.forEach((centerCol, j) => {
+      // Skip the three corners taken by finder patterns
+      const last = align.length - 1;
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dr = -2; dr <= 2; dr++) {
+        for (let dc = -2; dc <= 2; dc++) {
+          set(centerRow + dr, centerCol + dc, Math.max(Math.abs(dr), Math.abs(dc)) !== 1);
+        }
+      }
+    });
+  });
+
+  drawFormatBits(modules, reserved, 0);
+  if (version >= 7) {
+    const bits = versionBits(version);
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      set(b, a, dark);
+      set(a, b, dark);
+    }
+  }
+
+  return { size, modules, reserved };
+}
+
+function drawFormatBits(modules, reserved, mask) {
+  const size = modules.length;
+  const bits = formatBits(mask);
+  const set = (row, col, i) => {
+    modules[row][col] = ((bits >>> i) & 1) === 1;
+    reserved[row][col] = true;
+  };
+
+  // Copy next to the top-left finder
+  for (let i = 0; i <= 5; i++) set(i, 8, i);
+  set(7, 8, 6);
+  set(8, 8, 7);
+  set(8, 7, 8);
+  for (let i = 9; i < 15; i++) set(8, 14 - i, i);
+
+  // Copy split between the other two finders
+  for (let i = 0; i < 8; i++) set(8, size - 1 - i, i);
+  for (let i = 8; i < 15; i++) set(size - 15 + i, 8, i);
+
+  // Always-dark module
+  modules[size - 8][8] = true;
+  reserved[size - 8][8] = true;
+}
+
+/**
+ * Place codeword bits in the zigzag order, right to left in two-column strips
+ */
+function placeCodewords(modules, reserved, codewords) {
+  const size = modules.length;
+  let bit = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5; // the vertical timing pattern is skipped
+    const upward = ((right + 1) & 2) === 0;
+    for (let step = 0; step < size; step++) {
+      const row = upward ? size - 1 - step : step;
+      for (let j = 0; j < 2; j++) {
+        const col = right - j;
+        if (reserved[row][col]) continue;
+        if (bit < codewords.length * 8) {
+          modules[row][col] = ((codewords[bit >>> 3] >>> (7 - (bit & 7))) & 1) === 1;
+          bit++;
+        }
+      }
+    }
+  }
+}
+
+function applyMask(modules, reserved, mask) {
+  const condition = MASKS[mask];
+  return modules.map((line, row) => line.map((dark, col) => (!reserved[row][col] && condition(row, col) ? !dark : dark)));
+}
+
+/**
+ * Penalty score from the standard's four rules; lower scans more reliably
+ */
+function penalty(modules) {
+  const size = modules.length;
+  let score = 0;
+
+  const scoreLine = (get) => {
+    let runColor = null;
+    let runLength = 0;
+    let line = '';
+    for (let i = 0; i < size; i++) {
+      const dark = get(i);
+      line += dark ? '1' : '0';
+      if (dark === runColor) {
+        runLength++;
+        if (runLength === 5) score += 3;
+        else if (runLength > 5) score += 1;
+      } else {
+        runColor = dark;
+        runLength = 1;
+      }
+    }
+    // Finder-like 1:1:3:1:1 with four light modules on one side
+    const padded = `0000${line}0000`;
+    for (let i = 0; i + 11 <= padded.length; i++) {
+      const window = padded.slice(i, i + 11);
+      if (window === '10111010000' || window === '00001011101') score += 40;
+    }
+  };
+
+  for (let i = 0; i < size; i++) {
+    scoreLine(j => modules[i][j]);
+    scoreLine(j => modules[j][i]);
+  }
+
+  for (let row = 0; row < size - 1; row++) {
+    for (let col = 0; col < size - 1; col++) {
+      const dark = modules[row][col];
+      if (dark === modules[row][col + 1] && dark === modules[row + 1][col] && dark === modules[row + 1][col + 1]) score += 3;
+    }
+  }
+
+  const darkCount = modules.reduce((sum, line) => sum + line.filter(Boolean).length, 0);
+  const percent = (darkCount * 100) / (size * size);
+  score += Math.floor(Math.abs(percent - 50) / 5) * 10;
+
+  return score;
+}
+
+/**
+ * Encode text (UTF-8) as a QR code. Returns { size, modules } where
+ * modules[row][col] is true for dark modules; the quiet zone is not included.
+ */
+export function encodeQR(text) {
+  const bytes = [...new TextEncoder().encode(String(text))];
+  const version = VERSIONS.findIndex((entry, v) => entry && bytes.length + (v < 10 ? 2 : 3) <= dataCapacity(v));
+  if (version === -1) throw new Error('Text is too long for a label QR code');
+
+  const codewords = buildCodewords(buildDataCodewords(bytes, version), version);
+  const { size, modules, reserved } = buildFunctionPatterns(version);
+  placeCodewords(modules, reserved, codewords);
+
+  let best = null;
+  MASKS.forEach((_condition, mask) => {
+    const masked = applyMask(modules, reserved, mask);
+    drawFormatBits(masked, reserved, mask);
+    const score = penalty(masked);
+    if (!best || score < best.score) best = { score, modules: masked };
+  });
+
+  return { size, modules: best.modules };
+}
+
+export default {
+  QUIET_ZONE,
+  encodeQR,
+};
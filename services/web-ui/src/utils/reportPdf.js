@@ -0,0 +1,243 @@
+// Render a report (see reports.js) as a PDF, entirely in the browser.
+// Uses the built-in Helvetica fonts, so no font files are embedded.
+
+export const PAGE_SIZES = {
+  letter: { label: 'Letter', width: 612, height: 792 },
+  a4: { label: 'A4', width: 595, height: 842 },
+};
+
+const MARGIN = 40;
+const ROW_HEIGHT = 16;
+const HEADER_HEIGHT = 18;
+const FONT_SIZE = 9;
+const FOOTER_Y = 24;
+
+// Glyph widths (1/1000 em) for characters 32-126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+
+// Characters outside Latin-1 that have a WinAnsi code
+const WIN_ANSI = { '—': 0x97, '–': 0x96, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '…': 0x85, '€': 0x80, '·': 0xb7 };
+
+const toWinAnsi = (text) => [...String(text)].map(char => {
+  if (WIN_ANSI[char]) return String.fromCharCode(WIN_ANSI[char]);
+  return char.charCodeAt(0) < 256 ? char : '?';
+}).join('');
+
+const textWidth = (text, size, bold) => {
+  const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  let total = 0;
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    total += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+  }
+  return (total * size) / 1000;
+};
+
+// Shorten text with an ellipsis so it fits the given width
+const fit = (text, width, size, bold) => {
+  let encoded = toWinAnsi(text);
+  if (textWidth(encoded, size, bold) <= width) return encoded;
+  const ellipsis = String.fromCharCode(0x85);
+  while (encoded.length > 0 && textWidth(encoded + ellipsis, size, bold) > width) {
+    encoded = encoded.slice(0, -1);
+  }
+  return encoded.trimEnd() + ellipsis;
+};
+
+const escapePdf = (text) => text.replace(/[\\()]/g, char => `\\${char}`);
+
+const num = (n) => Number(n.toFixed(2)).toString();
+
+/**
+ * Lay a report out on pages and return it as a PDF Blob
+ */
+export function reportToPDF(report, { pageSize = 'letter' } = {}) {
+  const { width: pageWidth, height: pageHeight } = PAGE_SIZES[pageSize];
+  const contentWidth = pageWidth - MARGIN * 2;
+  const pages = [];
+  let ops = null;
+  let y = 0;
+
+  const text = (value, x, baseline, { size = FONT_SIZE, bold = false, gray = 0 } = {}) => {
+    ops.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${gray} g ${num(x)} ${num(baseline)} Td (${escapePdf(value)}) Tj ET`);
+  };
+  const line = (x1, y1, x2, y2, gray = 0.75, lineWidth = 0.5) => {
+    ops.push(`${gray} G ${lineWidth} w ${num(x1)} ${num(y1)} m ${num(x2)} ${num(y2)} l S`);
+  };
+  const rect = (x, top, w, h, { fill = null, stroke = null } = {}) => {
+    if (fill !== null) ops.push(`${fill} g ${num(x)} ${num(top - h)} ${num(w)} ${num(h)} re f`);
+    if (stroke !== null) ops.push(`${stroke} G 0.75 w ${num(x)} ${num(top - h)} ${num(w)} ${num(h)} re S`);
+  };
+
+  const newPage = () => {
+    ops = [];
+    pages.push(ops);
+    y = pageHeight - MARGIN;
+    if (pages.length === 1) {
+      text(fit(report.title, contentWidth, 18, true), MARGIN, y - 18, { size: 18, bold: true });
+      y -= 26;
+      if (report.subtitle) {
+        text(fit(report.subtitle, contentWidth, 10), MARGIN, y - 10, { size: 10, gray: 0.35 });
+        y -= 16;
+      }
+      y -= 8;
+    }
+  };
+
+  const sectionHeading = (section, continued) => {
+    const heading = continued ? `${section.heading} (continued)` : section.heading;
+    text(fit(heading, contentWidth, 13, true), MARGIN, y - 13, { size: 13, bold: true });
+    if (section.note && !continued) {
+      const headingWidth = textWidth(toWinAnsi(heading), 13, true);
+      text(fit(section.note, contentWidth - headingWidth - 12, FONT_SIZE), MARGIN + headingWidth + 12, y - 12, { gray: 0.4 });
+    }
+    y -= 20;
+  };
+
+  const tableHeader = (columns) => {
+    rect(MARGIN, y, contentWidth, HEADER_HEIGHT, { fill: 0.92 });
+    let x = MARGIN;
+    columns.forEach(column => {
+      const w = column.width * contentWidth;
+      const label = fit(column.label, w - 8, FONT_SIZE, true);
+      const labelX = column.align === 'right' ? x + w - 4 - textWidth(label, FONT_SIZE, true) : x + 4;
+      text(label, labelX, y - 12, { bold: true });
+      x += w;
+    });
+    y -= HEADER_HEIGHT;
+  };
+
+  const tableRow = (columns, row) => {
+    let x = MARGIN;
+    const gray = row.emphasis ? 0 : 0.1;
+    columns.forEach((column, i) => {
+      const w = column.width * contentWidth;
+      if (column.kind === 'check') {
+        rect(x + 4, y - 3.5, 9, 9, { stroke: 0.3 });
+      } else if (column.kind === 'blank') {
+        line(x + 4, y - 13, x + w - 6, y - 13, 0.55);
+      } else {
+        const value = fit(row.cells[i] ?? '', w - 8, FONT_SIZE, !!row.emphasis && i === 0);
+        const valueX = column.align === 'right' ? x + w - 4 - textWidth(value, FONT_SIZE, !!row.emphasis && i === 0) : x + 4;
+        text(value, valueX, y - 11.5, { bold: !!row.emphasis && i === 0, gray });
+      }
+      x += w;
+    });
+    line(MARGIN, y - ROW_HEIGHT, MARGIN + contentWidth, y - ROW_HEIGHT);
+    y -= ROW_HEIGHT;
+  };
+
+  newPage();
+  report.sections.forEach((section, index) => {
+    if (index > 0) {
+      if (report.pageBreaks) newPage();
+      else y -= 14;
+    }
+    // Keep a heading together with its table header and first rows
+    if (y - 20 - HEADER_HEIGHT - ROW_HEIGHT * 3 < MARGIN) newPage();
+    sectionHeading(section, false);
+
+    const rows = [...section.rows];
+    for (let i = 0; i < (section.extraBlankRows || 0); i++) {
+      rows.push({ cells: section.columns.map(() => '') });
+    }
+    if (rows.length === 0) {
+      text(toWinAnsi(section.empty || 'Nothing to show.'), MARGIN, y - 11, { gray: 0.4 });
+      y -= ROW_HEIGHT;
+      return;
+    }
+
+    tableHeader(section.columns);
+    rows.forEach(row => {
+      if (y - ROW_HEIGHT < MARGIN) {
+        newPage();
+        sectionHeading(section, true);
+        tableHeader(section.columns);
+      }
+      tableRow(section.columns, row);
+    });
+  });
+
+  // Footers need the page count, so they go on last
+  const generated = toWinAnsi(`PantryPal · ${report.generatedAt.toLocaleString()}`);
+  pages.forEach((pageOps, index) => {
+    ops = pageOps;
+    text(generated, MARGIN, FOOTER_Y, { size: 8, gray: 0.5 });
+    const pageLabel = `Page ${index + 1} of ${pages.length}`;
+    text(pageLabel, pageWidth - MARGIN - textWidth(pageLabel, 8, false), FOOTER_Y, { size: 8, gray: 0.5 });
+  });
+
+  return serializePdf(pages.map(pageOps => pageOps.join('\n')), pageWidth, pageHeight);
+}
+
+// Objects: 1 catalog, 2 page tree, 3-4 fonts, then a page and its content stream per page
+function serializePdf(contents, pageWidth, pageHeight) {
+  const objects = [];
+  const pageIds = contents.map((_content, i) => 5 + i * 2);
+
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${contents.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+  objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+  contents.forEach((content, i) => {
+    const pageId = pageIds[i];
+    objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+    objects[pageId + 1] = `<< /Length ${content.length} >>\nstream\n${content}\nendstream`;
+  });
+
+  // Every character is a single byte (WinAnsi), so string length is the byte offset
+  let pdf = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = pdf.length;
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+  const xrefOffset = pdf.length;
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF`;
+
+  const bytes = new Uint8Array(pdf.length);
+  for (let i = 0; i < pdf.length; i++) bytes[i] = pdf.charCodeAt(i);
+  return new Blob([bytes], { type: 'application/pdf' });
+}
+
+/**
+ * Save a report as a PDF file
+ */
+export function downloadReportPDF(report, options) {
+  const blob = reportToPDF(report, options);
+  const link = document.createElement('a');
+  const url = URL.createObjectURL(blob);
+  const slug = report.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+  link.setAttribute('href', url);
+  link.setAttribute('download', `pantrypal-${slug}-${new Date().toISOString().split('T')[0]}.pdf`);
+  link.style.visibility = 'hidden';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+}
+
+export default {
+  PAGE_SIZES,
+  reportToPDF,
+  downloadReportPDF,
+};
@@ -0,0 +1,130 @@
+// Printable reports. Each report is a plain description of sections and table
+// rows, rendered both as HTML (for printing) and as a PDF (utils/reportPdf.js).
+
+import { formatDate, getDaysUntilExpiry, getEffectiveExpiry, getExpiryStatus } from './dateUtils';
+
+export const REPORT_TYPES = {
+  inventory: {
+    label: 'Inventory by location',
+    description: 'Everything in stock, grouped by where it is kept',
+  },
+  expiring: {
+    label: 'Expiring this week',
+    description: 'Items to use up in the next 7 days, plus anything expired or past its best-before date',
+  },
+  checklist: {
+    label: 'Stock-take checklist',
+    description: 'One sheet per shelf with blank columns to count by hand',
+  },
+};
+
+const EXPIRING_DAYS = 7;
+
+// Column kinds: 'text' (default), 'check' (empty tick box), 'blank' (line to write on)
+const col = (label, width, options = {}) => ({ label, width, align: 'left', kind: 'text', ...options });
+
+const byName = (a, b) => (a.name || '').localeCompare(b.name || '');
+
+const itemLabel = (item) => (item.brand ? `${item.name} (${item.brand})` : item.name);
+
+const groupByLocation = (items) => {
+  const groups = new Map();
+  items.forEach(item => {
+    const location = item.location || 'No location';
+    if (!groups.has(location)) groups.set(location, []);
+    groups.get(location).push(item);
+  });
+  return [...groups.entries()].sort(([a], [b]) => a.localeCompare(b));
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+const daysLabel = (days) => {
+  if (days < 0) return `${Math.abs(days)} day${days === -1 ? '' : 's'} ago`;
+  if (days === 0) return 'Today';
+  if (days === 1) return 'Tomorrow';
+  return `${days} days`;
+};
+
+function inventoryReport(items) {
+  const inStock = items.filter(item => (item.quantity ?? 0) > 0);
+  return {
+    title: 'Pantry Inventory',
+    subtitle: `${plural(inStock.length, 'item')} in stock`,
+    sections: groupByLocation(inStock).map(([location, locationItems]) => ({
+      heading: location,
+      note: plural(locationItems.length, 'item'),
+      columns: [col('Item', 0.45), col('Category', 0.25), col('Qty', 0.1, { align: 'right' }), col('Expires', 0.2)],
+      rows: locationItems.sort(byName).map(item => ({
+        cells: [itemLabel(item), item.category || '', String(item.quantity ?? 0), item.expiry_date ? formatDate(item.expiry_date) : '—'],
+      })),
+    })),
+  };
+}
+
+function expiringReport(items) {
+  const dated = items
+    .filter(item => (item.quantity ?? 0) > 0 && getEffectiveExpiry(item))
+    .map(item => ({ item, days: getDaysUntilExpiry(getEffectiveExpiry(item)) }))
+    .filter(({ days }) => days <= EXPIRING_DAYS)
+    .sort((a, b) => a.days - b.days || byName(a.item, b.item));
+
+  const columns = [col('Item', 0.4), col('Location', 0.22), col('Qty', 0.08, { align: 'right' }), col('Expires', 0.15), col('When', 0.15)];
+  const toRow = ({ item, days }) => ({
+    cells: [itemLabel(item), item.location || '', String(item.quantity ?? 0), formatDate(getEffectiveExpiry(item)), daysLabel(days)],
+    emphasis: { expired: 'danger', critical: 'warning', past_best: 'warning' }[getExpiryStatus(item)] || null,
+  });
+
+  const expired = dated.filter(({ item, days }) => days < 0 && getExpiryStatus(item) === 'expired');
+  const pastBest = dated.filter(({ item, days }) => days < 0 && getExpiryStatus(item) === 'past_best');
+  const soon = dated.filter(({ days }) => days >= 0);
+  return {
+    title: 'Expiring This Week',
+    subtitle: `${plural(soon.length, 'item')} to use by ${formatDate(new Date(Date.now() + EXPIRING_DAYS * 86400000).toISOString().split('T')[0])}`,
+    sections: [
+      ...(expired.length > 0 ? [{ heading: 'Already expired', note: 'Past their use-by date', columns, rows: expired.map(toRow) }] : []),
+      ...(pastBest.length > 0 ? [{ heading: 'Past best before', note: 'Usually still fine; check before using', columns, rows: pastBest.map(toRow) }] : []),
+      { heading: 'Use this week', columns, rows: soon.map(toRow), empty: 'Nothing expires in the next 7 days.' },
+    ],
+  };
+}
+
+function checklistReport(items, { location } = {}) {
+  const groups = groupByLocation(items).filter(([name]) => !location || name === location);
+  return {
+    title: 'Stock-take Checklist',
+    subtitle: 'Tick each item, write the counted quantity, and note anything missing or spoiled',
+    pageBreaks: true,
+    sections: groups.map(([name, locationItems]) => ({
+      heading: name,
+      note: `${plural(locationItems.length, 'item')} · Counted by ________  Date ________`,
+      columns: [
+        col('', 0.05, { kind: 'check' }),
+        col('Item', 0.37),
+        col('Expires', 0.15),
+        col('Expected', 0.11, { align: 'right' }),
+        col('Counted', 0.12, { kind: 'blank' }),
+        col('Notes', 0.2, { kind: 'blank' }),
+      ],
+      rows: locationItems.sort(byName).map(item => ({
+        cells: ['', itemLabel(item), item.expiry_date ? formatDate(item.expiry_date) : '—', String(item.quantity ?? 0), '', ''],
+      })),
+      // Room for things found on the shelf that aren't in PantryPal yet
+      extraBlankRows: 5,
+    })),
+  };
+}
+
+/**
+ * Build a report: { title, subtitle, generatedAt, pageBreaks, sections: [{ heading, note, columns, rows, empty, extraBlankRows }] }
+ */
+export function buildReport(type, items, options = {}) {
+  const builders = { inventory: inventoryReport, expiring: expiringReport, checklist: checklistReport };
+  const report = builders[type](items, options);
+  return { ...report, generatedAt: new Date() };
+}
+
+export default {
+  REPORT_TYPES,
+  buildReport,
+};
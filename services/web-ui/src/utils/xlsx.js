@@ -0,0 +1,159 @@
+// Minimal XLSX reader: returns the first worksheet as rows of strings.
+// An .xlsx file is a zip of XML parts; entries are inflated with the browser's
+// DecompressionStream, so no spreadsheet library is needed.
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+
+// Built-in number formats that display dates
+const DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 45, 46, 47, 50, 51, 52, 53, 54, 55, 56, 57, 58]);
+
+// Days between the spreadsheet epoch and 1970-01-01
+const EPOCH_1900 = 25569;
+const EPOCH_1904 = 24107;
+
+/**
+ * List the entries of a zip archive: name -> { method, offset, size }
+ */
+function readZipDirectory(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+    if (view.getUint32(i, true) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error('Not an .xlsx file (no zip directory found)');
+
+  const count = view.getUint16(eocd + 10, true);
+  let pos = view.getUint32(eocd + 16, true);
+  const decoder = new TextDecoder();
+  const entries = new Map();
+
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(pos, true) !== CENTRAL_SIGNATURE) throw new Error('Damaged .xlsx file');
+    const method = view.getUint16(pos + 10, true);
+    const size = view.getUint32(pos + 20, true);
+    const nameLength = view.getUint16(pos + 28, true);
+    const extraLength = view.getUint16(pos + 30, true);
+    const commentLength = view.getUint16(pos + 32, true);
+    const offset = view.getUint32(pos + 42, true);
+    const name = decoder.decode(bytes.subarray(pos + 46, pos + 46 + nameLength));
+    entries.set(name, { method, offset, size });
+    pos += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+async function readZipEntry(bytes, entry) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  // The local header repeats the name and may have a different extra field length
+  const start = entry.offset + 30 + view.getUint16(entry.offset + 26, true) + view.getUint16(entry.offset + 28, true);
+  const data = bytes.subarray(start, start + entry.size);
+
+  if (entry.method === 0) return new TextDecoder().decode(data);
+  if (entry.method !== 8) throw new Error('Unsupported compression in .xlsx file');
+  if (typeof DecompressionStream === 'undefined') throw new Error('This browser cannot read .xlsx files; save the sheet as CSV instead');
+
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Response(stream).text();
+}
+
+const parseXml = (text) => new DOMParser().parseFromString(text, 'application/xml');
+
+// Spreadsheet XML may or may not use a namespace prefix
+const byTag = (node, tag) => Array.from(node.getElementsByTagNameNS('*', tag));
+
+const textOf = (node) => byTag(node, 't').map(t => t.textContent).join('');
+
+function isDateFormat(id, code) {
+  if (DATE_FORMAT_IDS.has(id)) return true;
+  if (!code) return false;
+  // Ignore quoted literals, [colors]/[conditions] and escaped characters
+  const stripped = code.replace(/"[^"]*"/g, '').replace(/\[[^\]]*\]/g, '').replace(/\\./g, '');
+  return /[dy]/i.test(stripped) || /m/i.test(stripped.replace(/[hs]+:?m+|m+:?s+/gi, ''));
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+
+function serialToDate(serial, epoch) {
+  const date = new Date(Math.round((serial - epoch) * 86400000));
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+}
+
+// "AB12" -> 27
+function columnIndex(ref) {
+  const letters = ref.match(/^[A-Z]+/i)?.[0].toUpperCase() || 'A';
+  return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Read the first worksheet of an .xlsx file into rows of strings.
+ * Date-formatted cells come back as YYYY-MM-DD.
+ */
+export async function readXLSXFile(file) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const entries = readZipDirectory(bytes);
+  const read = async (name) => (entries.has(name) ? readZipEntry(bytes, entries.get(name)) : null);
+
+  const workbookXml = await read('xl/workbook.xml');
+  if (!workbookXml) throw new Error('Not an .xlsx file (no workbook found)');
+  const workbook = parseXml(workbookXml);
+  const epoch = byTag(workbook, 'workbookPr')[0]?.getAttribute('date1904') === '1' ? EPOCH_1904 : EPOCH_1900;
+
+  // Find the first sheet's part through the workbook relationships
+  let sheetPath = 'xl/worksheets/sheet1.xml';
+  const firstSheet = byTag(workbook, 'sheet')[0];
+  const relsXml = await read('xl/_rels/workbook.xml.rels');
+  if (firstSheet && relsXml) {
+    const relId = Array.from(firstSheet.attributes).find(attr => attr.localName === 'id')?.value;
+    const target = byTag(parseXml(relsXml), 'Relationship').find(rel => rel.getAttribute('Id') === relId)?.getAttribute('Target');
+    if (target) sheetPath = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+  }
+
+  const sharedXml = await read('xl/sharedStrings.xml');
+  const sharedStrings = sharedXml ? byTag(parseXml(sharedXml), 'si').map(textOf) : [];
+
+  const stylesXml = await read('xl/styles.xml');
+  let dateStyles = [];
+  if (stylesXml) {
+    const styles = parseXml(stylesXml);
+    const customFormats = new Map(byTag(styles, 'numFmt').map(fmt => [parseInt(fmt.getAttribute('numFmtId')), fmt.getAttribute('formatCode')]));
+    const cellXfs = byTag(styles, 'cellXfs')[0];
+    dateStyles = cellXfs ? byTag(cellXfs, 'xf').map(xf => {
+      const id = parseInt(xf.getAttribute('numFmtId') || '0');
+      return isDateFormat(id, customFormats.get(id));
+    }) : [];
+  }
+
+  const sheetXml = await read(sheetPath);
+  if (!sheetXml) throw new Error('The first worksheet is missing');
+
+  const rows = byTag(parseXml(sheetXml), 'row').map(row => {
+    const values = [];
+    byTag(row, 'c').forEach((cell, position) => {
+      const ref = cell.getAttribute('r');
+      const index = ref ? columnIndex(ref) : position;
+      const type = cell.getAttribute('t');
+      const raw = byTag(cell, 'v')[0]?.textContent ?? '';
+      let value = raw;
+
+      if (type === 's') value = sharedStrings[parseInt(raw)] ?? '';
+      else if (type === 'inlineStr') value = textOf(cell);
+      else if (type === 'b') value = raw === '1' ? 'TRUE' : 'FALSE';
+      else if (type === 'e') value = '';
+      else if (type === 'd') value = raw.split('T')[0];
+      else if (raw !== '' && dateStyles[parseInt(cell.getAttribute('s') || '0')]) value = serialToDate(Number(raw), epoch);
+
+      values[index] = value;
+    });
+    return Array.from(values, value => value ?? '');
+  });
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+export default {
+  readXLSXFile,
+};
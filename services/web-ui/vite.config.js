@@ -1,7 +1,34 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createHash } from 'node:crypto'
+import { readFileSync, writeFileSync } from 'node:fs'
+import path from 'node:path'
+
+// Stamp dist/sw.js with a version derived from the bundle's hashed file names, so
+// each deploy installs a new service worker and it drops the previous shell cache
+// (and the old assets in it) on activate
+function serviceWorkerVersion() {
+  let outDir
+  let version
+  return {
+    name: 'pantrypal-sw-version',
+    apply: 'build',
+    configResolved(config) {
+      outDir = path.resolve(config.root, config.build.outDir)
+    },
+    generateBundle(_, bundle) {
+      version = createHash('sha256').update(Object.keys(bundle).sort().join('\n')).digest('hex').slice(0, 12)
+    },
+    closeBundle() {
+      const file = path.join(outDir, 'sw.js')
+      const source = readFileSync(file, 'utf8')
+      if (!source.includes("const VERSION = 'dev';")) this.error('sw.js has no VERSION to stamp')
+      writeFileSync(file, source.replace("const VERSION = 'dev';", `const VERSION = '${version}';`))
+    },
+  }
+}
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorkerVersion()],
 })